@@ -8,6 +8,9 @@ import chalk from 'chalk';
 import { ScreenManager } from '../lib/screen-manager.js';
 import { readlineWidth } from '../lib/utils.js';
 
+// Output lines shown at a checkpoint before the decision prompt
+const CHECKPOINT_PREVIEW_LINES = 20;
+
 export class ControlDock {
     #rl;
     #screen;
@@ -426,6 +429,105 @@ export class ControlDock {
         });
     }
 
+    /**
+     * Get the user's decision at a plan checkpoint
+     * @param {Object} options - { message, step, totalSteps, role, output, approvalId }
+     * @returns {Promise<{action: string, guidance?: string}>} continue, edit (with guidance) or abort
+     */
+    async getCheckpointDecision({ message, step, totalSteps, role, output }) {
+        return new Promise((resolve) => {
+            const width = readlineWidth(this.#rl.output);
+
+            // Long outputs are trimmed to their last lines - the full text is in the session log
+            const outputLines = String(output || '').split('\n');
+            const outputPreview = outputLines.length > CHECKPOINT_PREVIEW_LINES
+                ? [chalk.dim(`… ${outputLines.length - CHECKPOINT_PREVIEW_LINES} earlier lines`), ...outputLines.slice(-CHECKPOINT_PREVIEW_LINES)].join('\n')
+                : outputLines.join('\n');
+
+            const statusLine = chalk.yellow(`⏸ Checkpoint${totalSteps ? ` after step ${step}/${totalSteps}` : ''}`);
+            const border = chalk.dim.gray('─'.repeat(width));
+            const header = [
+                statusLine,
+                border,
+                chalk.bold(message),
+                ...(output ? [chalk.bold(`Output${role ? ` of ${role}` : ''}:`), outputPreview] : []),
+                border
+            ].join('\n');
+
+            let editing = false;
+            let done = false;
+
+            const render = () => {
+                const promptLine = editing
+                    ? chalk.bold('Guidance: ') + this.#rl.line + chalk.dim('\n(Enter = Continue with guidance | ESC = Back)')
+                    : chalk.dim('Enter = Continue | E = Edit guidance | ESC = Abort\n');
+                this.#screen.render(`${header}\n${promptLine}`);
+            };
+
+            const finish = (decision) => {
+                done = true;
+                cleanup();
+
+                // Clear the readline buffer to prevent the keypress from being added to input
+                this.#rl.line = '';
+                this.#rl.cursor = 0;
+                this.#screen.clear();
+
+                const decisionText = decision.action === 'abort'
+                    ? chalk.red('✗ Aborted')
+                    : decision.action === 'edit'
+                        ? chalk.green('✓ Continued with guidance: ') + decision.guidance
+                        : chalk.green('✓ Continued');
+
+                // Write final checkpoint UI to scrollback
+                this.#screen.write(`${header}\n${decisionText}\n\n`);
+                resolve(decision);
+            };
+
+            const onLine = (line) => {
+                if (!editing || done) return;
+                const guidance = line.trim();
+                finish(guidance ? { action: 'edit', guidance } : { action: 'continue' });
+            };
+
+            const onKeypress = (char, key) => {
+                if (!key || done) return;
+
+                if (editing) {
+                    if (key.name === 'escape') {
+                        editing = false;
+                        this.#rl.line = '';
+                        this.#rl.cursor = 0;
+                    }
+                    if (key.name !== 'return') {
+                        render();
+                    }
+                    return;
+                }
+
+                if (key.name === 'return') {
+                    finish({ action: 'continue' });
+                } else if (key.name === 'escape') {
+                    finish({ action: 'abort' });
+                } else if (key.name === 'e') {
+                    editing = true;
+                    this.#rl.line = '';
+                    this.#rl.cursor = 0;
+                    render();
+                }
+            };
+
+            const cleanup = () => {
+                this.#rl.removeListener('line', onLine);
+                this.#rl.input.removeListener('keypress', onKeypress);
+            };
+
+            this.#rl.on('line', onLine);
+            this.#rl.input.on('keypress', onKeypress);
+            render();
+        });
+    }
+
     /**
      * Get the screen manager instance
      */
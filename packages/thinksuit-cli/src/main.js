@@ -9,6 +9,7 @@ import chalk from 'chalk';
 import { buildConfig } from '../../thinksuit/engine/config.js';
 import { loadPresets } from '../../thinksuit/presets.js';
 import { loadFrames, getFrame } from '../../thinksuit/frames.js';
+import { recoverOrphanedTurns } from '../../thinksuit/engine/sessions/durable.js';
 import pkg from '../package.json' with { type: 'json' };
 
 import { ControlDock } from './lib/control-dock.js';
@@ -69,6 +70,16 @@ async function main() {
         }
     }
 
+    // Turns left mid-flight by a process that crashed or was killed
+    const orphaned = await recoverOrphanedTurns().catch(() => []);
+    for (const checkpoint of orphaned) {
+        console.log(chalk.yellow(
+            `Turn ${checkpoint.turnIndex} of session ${checkpoint.sessionId} was orphaned` +
+            (checkpoint.lastState ? ` after ${checkpoint.lastState.name}` : '') +
+            ` - :session ${checkpoint.sessionId} then :resume to finish it`
+        ));
+    }
+
     // Setup history file path
     const historyDir = path.join(os.homedir(), '.thinksuit');
     const historyPath = path.join(historyDir, 'history');
@@ -145,12 +156,17 @@ async function main() {
                 provider: baseConfig.provider,
                 model: baseConfig.model,
                 providerConfig: baseConfig.providerConfig,
+                fallbackChain: baseConfig.fallbackChain,
+                retry: baseConfig.retry,
                 tools: baseConfig.allowedTools || [],
                 allowedDirectories: baseConfig.allowedDirectories,
                 mcpServers: baseConfig.mcpServers,
                 cwd: baseConfig.cwd || process.cwd(),
                 policy: baseConfig.policy,
-                trace: baseConfig.trace || false
+                pricing: baseConfig.pricing,
+                trace: baseConfig.trace || false,
+                stream: baseConfig.stream !== false,
+                cache: baseConfig.cache
             }
         },
         presetCycling: {
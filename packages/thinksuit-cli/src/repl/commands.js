@@ -185,6 +185,9 @@ export async function* helpCommand(args, session) {
     yield fx('output', chalk.bold('  :session [id]') + ' - Manage session (no args: clear, with ID: set)');
     yield fx('output', chalk.bold('  :status') + ' - Show current session and configuration');
     yield fx('output', chalk.bold('  :config [key] [value]') + ' - Get or set configuration');
+    yield fx('output', chalk.bold('  :export [format] [file]') + ' - Export session as markdown, html or json (--details adds pipeline)');
+    yield fx('output', chalk.bold('  :why [turn]') + ' - Explain why the last (or given) turn ran its plan');
+    yield fx('output', chalk.bold('  :resume') + ' - Continue an interrupted task or orphaned turn where it stopped');
     yield fx('output', chalk.bold('  :clear') + ' - Clear the screen');
     yield fx('output', chalk.bold('  :help') + ' - Show this help message');
     yield fx('output', chalk.bold('  :quit, :exit, :q') + ' - Exit the REPL');
@@ -192,6 +195,7 @@ export async function* helpCommand(args, session) {
     yield fx('output', chalk.bold.cyan('Usage:'));
     yield fx('output', '  Commands starting with : control the REPL (vim-like)');
     yield fx('output', '  Regular text sends input to ThinkSuit');
+    yield fx('output', '  @path in the text attaches that file (images, PDFs, text files)');
     yield fx('output', '');
     yield fx('output', chalk.bold.cyan('Keyboard Shortcuts:'));
     yield fx('output', chalk.bold('  Shift+Tab') + ' - Toggle between preset/frame cycling');
@@ -205,10 +209,25 @@ export async function* helpCommand(args, session) {
     return true;
 }
 
+/**
+ * :resume - Continue the session's interrupted task from its last completed cycle,
+ * or re-drive a turn orphaned by a crashed process from its last completed state
+ */
+export async function* resumeCommand(args, session) {
+    if (!session.thinkSuit.sessionId) {
+        yield fx('error', 'No active session');
+        return true;
+    }
+
+    yield* executeCommand([], session, { resume: true });
+    return true;
+}
+
 /**
  * execute - Execute user input through ThinkSuit (for non-slash input)
+ * @param {Object} [options] - { resume } re-runs the interrupted task or orphaned turn instead of new input
  */
-export async function* executeCommand(args, session) {
+export async function* executeCommand(args, session, options = {}) {
     const input = args.join(' ');
     const { thinkSuit, executionState } = session;
 
@@ -217,13 +236,14 @@ export async function* executeCommand(args, session) {
     const { createBaseConfig } = await import('../../../thinksuit/engine/logger.js');
     const { createLoggerStream } = await import('./logger-stream.js');
     const { resolveApproval } = await import('../../../thinksuit/index.js');
+    const { findAttachmentMentions } = await import('../../../thinksuit/engine/sessions/attachments.js');
     const pino = (await import('pino')).default;
-    const { join, dirname } = await import('node:path');
+    const { join, dirname, basename } = await import('node:path');
     const { fileURLToPath } = await import('node:url');
 
     const __dirname = dirname(fileURLToPath(import.meta.url));
 
-    // Approval queue for managing tool approval requests
+    // Approval queue for managing tool approval and plan checkpoint requests
     const approvalQueue = [];
 
     try {
@@ -237,8 +257,23 @@ export async function* executeCommand(args, session) {
         // Use modules already loaded in main.js startup
         const modules = thinkSuit.config.modules;
 
+        // Text streamed so far for the current LLM exchange
+        let streamBoundaryId = null;
+        let streamedText = '';
+
         // Event handler for ThinkSuit events
         const handleEvent = (event) => {
+            // Show streamed output live in the status line
+            if (event.event === 'processing.llm.delta') {
+                if (event.boundaryId !== streamBoundaryId) {
+                    streamBoundaryId = event.boundaryId;
+                    streamedText = '';
+                }
+                streamedText += event.data?.text || '';
+                session.controlDock.updateStatus(formatStreamPreview(streamedText));
+                return;
+            }
+
             // Detect tool approval requests
             if (event.event === 'execution.tool.approval-requested') {
                 approvalQueue.push({
@@ -249,6 +284,20 @@ export async function* executeCommand(args, session) {
                 });
             }
 
+            // Detect plan checkpoints
+            if (event.event === 'execution.checkpoint.requested') {
+                approvalQueue.push({
+                    kind: 'checkpoint',
+                    approvalId: event.approvalId,
+                    message: event.data?.message || '',
+                    step: event.data?.step,
+                    totalSteps: event.data?.totalSteps,
+                    role: event.data?.role,
+                    output: event.data?.output || '',
+                    sessionId: event.sessionId
+                });
+            }
+
             if (event.msg) {
                 const message = formatEventMessage(event);
                 if (message) {
@@ -290,25 +339,38 @@ export async function* executeCommand(args, session) {
             ? { text: session.frameCycling.selectedFrame.text }
             : thinkSuit.frame;
 
+        // @path mentions of files attach them to the input
+        const attachments = options.resume ? [] : findAttachmentMentions(input, thinkSuit.config.cwd);
+        if (attachments.length > 0) {
+            yield fx('output', chalk.dim(`Attaching ${attachments.map(path => basename(path)).join(', ')}`));
+        }
+
         // Build schedule config
         const scheduleConfig = {
             input,
+            attachments,
             module: thinkSuit.config.module,
             modules,
             provider: thinkSuit.config.provider,
             model: thinkSuit.config.model,
             providerConfig: thinkSuit.config.providerConfig,
+            fallbackChain: thinkSuit.config.fallbackChain,
+            retry: thinkSuit.config.retry,
             cwd: thinkSuit.config.cwd,
             tools: thinkSuit.config.tools,
             allowedDirectories: thinkSuit.config.allowedDirectories,
             mcpServers: thinkSuit.config.mcpServers,
             autoApproveTools: false, // Changed to false to enable interactive approval
             policy: thinkSuit.config.policy,
+            pricing: thinkSuit.config.pricing,
             trace: thinkSuit.config.trace,
+            stream: thinkSuit.config.stream,
+            cache: thinkSuit.config.cache,
             sessionId: thinkSuit.sessionId,
             frame,
             logger,
-            ...(session.presetCycling?.selectedPlan && { selectedPlan: session.presetCycling.selectedPlan })
+            ...(options.resume && { resume: true }),
+            ...(!options.resume && session.presetCycling?.selectedPlan && { selectedPlan: session.presetCycling.selectedPlan })
         };
 
         // Schedule and execute
@@ -338,10 +400,12 @@ export async function* executeCommand(args, session) {
                     const approval = approvalQueue.shift();
 
                     // Use the control dock directly for approval (bypass effect system for background task)
-                    const approved = await session.controlDock.getApproval(approval);
+                    const decision = approval.kind === 'checkpoint'
+                        ? await session.controlDock.getCheckpointDecision(approval)
+                        : await session.controlDock.getApproval(approval);
 
                     // Resolve approval in ThinkSuit core
-                    resolveApproval(approval.approvalId, approved);
+                    resolveApproval(approval.approvalId, decision);
                 }
 
                 // Small delay to avoid busy loop
@@ -370,6 +434,9 @@ export async function* executeCommand(args, session) {
             yield fx('output', '');
         } else if (result.interrupted) {
             yield fx('output', chalk.yellow('Execution interrupted'));
+            if (result.resumable) {
+                yield fx('output', chalk.dim('Use :resume to continue the task from its last completed cycle'));
+            }
             yield fx('output', '');
         } else {
             const [ first, ...rest ] = result.response.split('\n');
@@ -403,6 +470,17 @@ const LLM_PROCESSING_MESSAGES = [
     'Rearranging pixels...'
 ];
 
+/**
+ * Format the tail of streamed output as a single status line
+ */
+function formatStreamPreview(text, width = 60) {
+    const flattened = text.replace(/\s+/g, ' ').trim();
+    const tail = flattened.length > width
+        ? '...' + flattened.substring(flattened.length - (width - 3))
+        : flattened;
+    return `${chalk.dim('⋯')} ${tail}`;
+}
+
 /**
  * Format event message for display
  */
@@ -475,6 +553,78 @@ export async function* frameCommand(args, session) {
     return true;
 }
 
+/**
+ * :export [markdown|html|json] [file] [--details] - Export the current session
+ */
+export async function* exportCommand(args, session) {
+    const sessionId = session.thinkSuit.sessionId;
+    if (!sessionId) {
+        yield fx('error', 'No active session to export');
+        return true;
+    }
+
+    const details = args.includes('--details');
+    const [format = 'markdown', file] = args.filter(arg => arg !== '--details');
+
+    // Lazy imports to avoid circular dependencies
+    const { exportSession } = await import('../../../thinksuit/index.js');
+    const { writeFile } = await import('node:fs/promises');
+    const { resolve } = await import('node:path');
+
+    try {
+        const result = await exportSession(sessionId, { format, details });
+        if (!result) {
+            yield fx('error', `Session not found: ${sessionId}`);
+            return true;
+        }
+
+        const outputPath = resolve(file || result.filename);
+        await writeFile(outputPath, result.content);
+        yield fx('output', chalk.green(`Session exported to: ${outputPath}`));
+    } catch (error) {
+        yield fx('error', error.message);
+        yield fx('output', chalk.dim('Usage: :export [markdown|html|json] [file] [--details]'));
+    }
+
+    return true;
+}
+
+/**
+ * :why [turn] - Summarize the rules and plan resolution behind a turn
+ */
+export async function* whyCommand(args, session) {
+    const sessionId = session.thinkSuit.sessionId;
+    if (!sessionId) {
+        yield fx('error', 'No active session');
+        return true;
+    }
+
+    const turn = args[0] !== undefined ? parseInt(args[0], 10) : undefined;
+    if (turn !== undefined && (isNaN(turn) || turn < 1)) {
+        yield fx('error', 'Usage: :why [turn]');
+        return true;
+    }
+
+    // Lazy import to avoid circular dependencies
+    const { getSession, explainTurn, formatExplanation } = await import('../../../thinksuit/index.js');
+
+    const stored = await getSession(sessionId);
+    const explanation = stored && explainTurn(stored.entries, { turn });
+    if (!explanation) {
+        yield fx('error', turn ? `Turn ${turn} not found in session ${sessionId}` : `No turns in session ${sessionId}`);
+        return true;
+    }
+
+    const [heading, ...lines] = formatExplanation(explanation);
+    yield fx('output', '');
+    yield fx('output', chalk.bold.cyan(heading));
+    for (const line of lines) {
+        yield fx('output', line.endsWith(':') ? chalk.bold(line) : line);
+    }
+    yield fx('output', '');
+    return true;
+}
+
 /**
  * Default command registry
  */
@@ -483,6 +633,9 @@ export const defaultCommands = {
     'status': statusCommand,
     'config': configCommand,
     'frame': frameCommand,
+    'export': exportCommand,
+    'why': whyCommand,
+    'resume': resumeCommand,
     'clear': clearCommand,
     'help': helpCommand,
     'execute': executeCommand
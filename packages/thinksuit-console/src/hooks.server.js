@@ -0,0 +1,16 @@
+import { recoverOrphanedTurns } from 'thinksuit';
+
+/**
+ * Mark turns left mid-flight by a console or CLI process that exited,
+ * so their sessions show as ready with a Resume button
+ */
+export async function init() {
+    try {
+        const orphaned = await recoverOrphanedTurns();
+        for (const checkpoint of orphaned) {
+            console.log(`Turn ${checkpoint.turnIndex} of session ${checkpoint.sessionId} was orphaned`);
+        }
+    } catch (error) {
+        console.error('Failed to recover orphaned turns:', error);
+    }
+}
@@ -1,6 +1,7 @@
 import Welcome from '$lib/components/Welcome.svelte';
 import RunInterface from '$lib/components/RunInterface.svelte';
 import ConfigLayout from '$lib/components/ConfigLayout.svelte';
+import MemoryBrowser from '$lib/components/MemoryBrowser.svelte';
 import Sandbox from '$lib/components/Sandbox.svelte';
 import NotFound from '$lib/components/NotFound.svelte';
 import { location } from '$lib/components/HashRouter.svelte';
@@ -22,6 +23,7 @@ export const routes = new Map([
         ConfigLayout
     ],
     ['/config/:tab', ConfigLayout],
+    ['/memory', MemoryBrowser],
     ['/sandbox', Sandbox],
     ['*', NotFound]
 ]);
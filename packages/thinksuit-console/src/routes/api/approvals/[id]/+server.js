@@ -15,14 +15,30 @@ export async function GET({ params }) {
     return json(info);
 }
 
+const CHECKPOINT_ACTIONS = ['continue', 'edit', 'abort'];
+
 /**
  * POST /api/approvals/[id] - Resolve an approval
+ * Tool approvals take { approved }, plan checkpoints take { action, guidance }
  */
 export async function POST({ params, request }) {
     const { id } = params;
     
     try {
-        const { approved } = await request.json();
+        const { approved, action, guidance } = await request.json();
+
+        if (getApprovalInfo(id)?.kind === 'checkpoint') {
+            if (!CHECKPOINT_ACTIONS.includes(action)) {
+                return json({ error: `action must be one of ${CHECKPOINT_ACTIONS.join(', ')}` }, { status: 400 });
+            }
+
+            const decision = action === 'edit' ? { action, guidance: String(guidance || '') } : { action };
+            if (!resolveApproval(id, decision)) {
+                return json({ error: 'Approval not found or already resolved' }, { status: 404 });
+            }
+
+            return json({ success: true, approvalId: id, ...decision });
+        }
         
         if (typeof approved !== 'boolean') {
             return json({ error: 'approved must be a boolean' }, { status: 400 });
@@ -253,9 +253,7 @@ Your task is to determine:
 1. Which strategy is most appropriate for the request
 2. Which role(s) are needed
 3. Whether sequential steps should build a conversation thread
-4. How results should be combined (for sequential/parallel)
-
-Return ONLY the JSON object. No explanation, no markdown code blocks.`;
+4. How results should be combined (for sequential/parallel)`;
 
         const stage1UserPrompt = currentPlan
             ? `Revise the strategy for: ${description}\n\nCurrent plan:\n${JSON.stringify(currentPlan, null, 2)}`
@@ -269,16 +267,14 @@ Return ONLY the JSON object. No explanation, no markdown code blocks.`;
                     { role: 'system', content: stage1SystemPrompt },
                     { role: 'user', content: stage1UserPrompt }
                 ],
-                responseFormat: {
-                    name: 'plan_structure',
-                    schema: stage1Schema
-                },
+                responseSchema: stage1Schema,
+                schemaName: 'plan_structure',
                 maxTokens: 1000,
                 temperature: 0.7
             }
         );
 
-        const stage1Result = JSON.parse(stage1Response.output);
+        const stage1Result = stage1Response.parsed;
 
         // ============================================================
         // STAGE 2: Get strategy-specific details
@@ -303,9 +299,7 @@ Role: ${stage1Result.roles[0]}
 
 ${adaptationsSection}
 
-Direct strategy executes a single role without tools. Specify which adaptations should be applied.
-
-Return ONLY the JSON object. No explanation, no markdown code blocks.`;
+Direct strategy executes a single role without tools. Specify which adaptations should be applied.`;
                 stage2UserPrompt = `What adaptations should be applied for: ${description}`;
                 break;
 
@@ -321,9 +315,7 @@ ${adaptationsSection}
 
 Task strategy executes a single role WITH tools. Specify which tools and adaptations are needed.
 
-IMPORTANT: Only use tool names from the "Available tools" list above. Tool names must match exactly.
-
-Return ONLY the JSON object. No explanation, no markdown code blocks.`;
+IMPORTANT: Only use tool names from the "Available tools" list above. Tool names must match exactly.`;
                 stage2UserPrompt = `What tools and adaptations are needed for: ${description}`;
                 break;
 
@@ -354,9 +346,7 @@ For filesystem and codebase exploration tasks:
 - Include tools for listing/discovering (to see what exists)
 - Include tools for reading/examining (to inspect contents)
 - Include tools for searching (to find specific patterns)
-- Complete exploration typically requires multiple complementary tools, not just one
-
-Return ONLY the JSON object. No explanation, no markdown code blocks.`;
+- Complete exploration typically requires multiple complementary tools, not just one`;
                 stage2UserPrompt = `For each step, specify ALL tools needed for thorough execution. For information gathering steps, include tools for both discovering and examining content. Specify: ${description}`;
                 break;
 
@@ -387,9 +377,7 @@ For filesystem and codebase exploration tasks:
 - Include tools for listing/discovering (to see what exists)
 - Include tools for reading/examining (to inspect contents)
 - Include tools for searching (to find specific patterns)
-- Complete exploration typically requires multiple complementary tools, not just one
-
-Return ONLY the JSON object. No explanation, no markdown code blocks.`;
+- Complete exploration typically requires multiple complementary tools, not just one`;
                 stage2UserPrompt = `For each branch, specify ALL tools needed for thorough execution. For information gathering, include tools for both discovering and examining content. Specify: ${description}`;
                 break;
         }
@@ -402,16 +390,14 @@ Return ONLY the JSON object. No explanation, no markdown code blocks.`;
                     { role: 'system', content: stage2SystemPrompt },
                     { role: 'user', content: stage2UserPrompt }
                 ],
-                responseFormat: {
-                    name: 'plan_details',
-                    schema: stage2Schema
-                },
+                responseSchema: stage2Schema,
+                schemaName: 'plan_details',
                 maxTokens: 1500,
                 temperature: 0.7
             }
         );
 
-        const stage2Result = JSON.parse(stage2Response.output);
+        const stage2Result = stage2Response.parsed;
 
         // ============================================================
         // STITCH: Combine stage 1 and stage 2 results
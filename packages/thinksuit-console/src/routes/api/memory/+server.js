@@ -0,0 +1,44 @@
+import { json } from '@sveltejs/kit';
+import { listMemories, searchMemories, deleteMemory } from 'thinksuit';
+
+/**
+ * GET /api/memory?q=api+keys&tag=ops
+ * List long-term memories, newest first - or the best matches for q
+ */
+export async function GET({ url }) {
+    try {
+        const query = url.searchParams.get('q');
+        const tag = url.searchParams.get('tag') || undefined;
+
+        const memories = query
+            ? (await searchMemories(query, { limit: 50 })).filter(memory => !tag || memory.tags.includes(tag.toLowerCase()))
+            : await listMemories({ tag });
+
+        return json({ memories });
+    } catch (error) {
+        console.error('Error loading memories:', error);
+        return json({ error: error.message }, { status: 500 });
+    }
+}
+
+/**
+ * DELETE /api/memory?id=20250821T164513435Z-xXKTbcJ2
+ * Delete a memory so later turns no longer recall it
+ */
+export async function DELETE({ url }) {
+    try {
+        const id = url.searchParams.get('id');
+        if (!id) {
+            return json({ error: 'Memory ID required' }, { status: 400 });
+        }
+
+        if (!await deleteMemory(id)) {
+            return json({ error: `Memory ${id} not found` }, { status: 404 });
+        }
+
+        return json({ success: true });
+    } catch (error) {
+        console.error('Error deleting memory:', error);
+        return json({ error: error.message }, { status: 500 });
+    }
+}
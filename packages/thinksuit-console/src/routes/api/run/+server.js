@@ -1,6 +1,7 @@
 import { json } from '@sveltejs/kit';
 import { schedule, createLogger, buildConfig, loadModules } from 'thinksuit';
 import { validatePlan } from 'thinksuit/schemas/validate';
+import { validateAttachment } from 'thinksuit/sessions/attachments';
 import { modules as defaultModules } from 'thinksuit-modules';
 import { SESSION_STATUS } from 'thinksuit/constants/events';
 import { registerExecution, removeExecution } from '$lib/server/activeExecutions.js';
@@ -9,6 +10,7 @@ export async function POST({ request }) {
     try {
         const {
             input,
+            attachments = [],
             trace = false,
             cwd,
             allowedDirectories,
@@ -24,13 +26,30 @@ export async function POST({ request }) {
             allowedTools,
             autoApproveTools,
             policy,
+            resume = false,
             ...otherOverrides
         } = await request.json();
-        
-        if (!input || typeof input !== 'string') {
+
+        // A resumed turn re-runs the interrupted task with its original input
+        if (resume && !providedSessionId) {
+            return json({ error: 'Resume requires a sessionId' }, { status: 400 });
+        }
+
+        if (!resume && (!input || typeof input !== 'string')) {
             return json({ error: 'Input is required and must be a string' }, { status: 400 });
         }
 
+        // Dropped files arrive as base64 - never as server paths
+        if (!Array.isArray(attachments) || attachments.some(a => typeof a?.name !== 'string' || typeof a.data !== 'string')) {
+            return json({ error: 'Attachments must be an array of { name, data, mediaType }' }, { status: 400 });
+        }
+
+        // Reject what the turn could not store, before a session is scheduled for it
+        const attachmentError = attachments.map(validateAttachment).find(Boolean);
+        if (attachmentError) {
+            return json({ error: attachmentError }, { status: 400 });
+        }
+
         // Validate selectedPlan if provided
         if (selectedPlan) {
             const validation = validatePlan(selectedPlan);
@@ -66,6 +85,7 @@ export async function POST({ request }) {
         // Build final config with overrides taking precedence
         const config = {
             input,
+            attachments: attachments.map(({ name, data, mediaType }) => ({ name, data, mediaType })),
             sessionId: providedSessionId,  // May be undefined
             selectedPlan: selectedPlan || undefined,  // Manual plan override
             frame: frame || null,  // Frame context
@@ -81,7 +101,9 @@ export async function POST({ request }) {
             allowedTools: allowedTools || undefined,
             autoApproveTools: autoApproveTools ?? baseConfig.autoApproveTools,
             policy: policy || baseConfig.policy,
+            cache: baseConfig.cache,
             trace,
+            resume,  // Continue the session's interrupted task
             logger,  // Pass our custom logger
             ...otherOverrides  // Any other config overrides
         };
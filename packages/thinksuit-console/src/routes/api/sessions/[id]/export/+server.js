@@ -0,0 +1,30 @@
+import { json } from '@sveltejs/kit';
+import { exportSession } from 'thinksuit';
+
+export async function GET({ params, url }) {
+    try {
+        const { id } = params;
+        const format = url.searchParams.get('format') || 'markdown';
+        const details = url.searchParams.get('details') === 'true';
+
+        if (!['markdown', 'html', 'json'].includes(format)) {
+            return json({ error: 'Invalid format parameter' }, { status: 400 });
+        }
+
+        const result = await exportSession(id, { format, details });
+
+        if (!result) {
+            return json({ error: 'Session not found' }, { status: 404 });
+        }
+
+        return new Response(result.content, {
+            headers: {
+                'Content-Type': `${result.mimeType}; charset=utf-8`,
+                'Content-Disposition': `attachment; filename="${result.filename}"`
+            }
+        });
+    } catch (error) {
+        console.error('Error exporting session:', error);
+        return json({ error: 'Failed to export session' }, { status: 500 });
+    }
+}
@@ -0,0 +1,24 @@
+import { json } from '@sveltejs/kit';
+import { diffSessions } from 'thinksuit';
+
+export async function GET({ url }) {
+    try {
+        const a = url.searchParams.get('a');
+        const b = url.searchParams.get('b');
+
+        if (!a || !b) {
+            return json({ error: 'Both a and b session IDs are required' }, { status: 400 });
+        }
+
+        const diff = await diffSessions(a, b);
+
+        if (!diff) {
+            return json({ error: 'Session not found' }, { status: 404 });
+        }
+
+        return json(diff);
+    } catch (error) {
+        console.error('Error diffing sessions:', error);
+        return json({ error: 'Failed to diff sessions' }, { status: 500 });
+    }
+}
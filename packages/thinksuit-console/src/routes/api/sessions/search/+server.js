@@ -0,0 +1,36 @@
+import { json } from '@sveltejs/kit';
+import { searchSessions } from 'thinksuit';
+
+// Structured filters that can be written inline, e.g. "role:analyzer tool:read_file budget"
+const FILTERS = ['role', 'plan', 'tool', 'status'];
+
+export async function GET({ url }) {
+    try {
+        const query = {
+            from: url.searchParams.get('from') || undefined,
+            to: url.searchParams.get('to') || undefined
+        };
+        const words = [];
+
+        for (const word of (url.searchParams.get('q') || '').split(/\s+/).filter(Boolean)) {
+            const [key, ...rest] = word.split(':');
+            if (FILTERS.includes(key) && rest.length > 0) {
+                query[key] = rest.join(':');
+            } else {
+                words.push(word);
+            }
+        }
+        for (const key of FILTERS) {
+            query[key] ??= url.searchParams.get(key) || undefined;
+        }
+        query.text = words.join(' ');
+
+        const limit = parseInt(url.searchParams.get('limit'), 10);
+        if (!isNaN(limit)) query.limit = limit;
+
+        return json(await searchSessions(query));
+    } catch (error) {
+        console.error('Error searching sessions:', error);
+        return json({ error: 'Failed to search sessions' }, { status: 500 });
+    }
+}
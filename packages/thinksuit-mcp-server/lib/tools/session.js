@@ -1,15 +1,19 @@
 import { z } from 'zod';
-import { listSessions, getSession, getSessionMetadata, getSessionStatus } from 'thinksuit';
+import { listSessions, getSession, getSessionMetadata, getSessionStatus, diffSessions } from 'thinksuit';
 
 export function registerSessionTool(server) {
     server.tool(
         'thinksuit-session',
         {
-            action: z.enum(['list', 'get', 'status', 'metadata']).describe('Action to perform'),
+            action: z.enum(['list', 'get', 'status', 'metadata', 'diff']).describe('Action to perform'),
             sessionId: z
                 .string()
                 .optional()
-                .describe('Session ID (required for get/status/metadata)'),
+                .describe('Session ID (required for get/status/metadata/diff)'),
+            otherSessionId: z
+                .string()
+                .optional()
+                .describe('Session to compare against (diff only, defaults to the fork source)'),
             options: z
                 .object({
                     fromTime: z
@@ -28,7 +32,7 @@ export function registerSessionTool(server) {
                 })
                 .optional()
         },
-        async ({ action, sessionId, options = {} }) => {
+        async ({ action, sessionId, otherSessionId, options = {} }) => {
             try {
                 switch (action) {
                     case 'list': {
@@ -177,6 +181,72 @@ export function registerSessionTool(server) {
                         };
                     }
 
+                    case 'diff': {
+                        if (!sessionId) {
+                            throw new Error('Session ID required for diff action');
+                        }
+
+                        let baseSessionId = otherSessionId;
+                        if (!baseSessionId) {
+                            const session = await getSession(sessionId);
+                            baseSessionId = session?.entries.find((entry) => entry.sourceSessionId)?.sourceSessionId;
+                        }
+                        if (!baseSessionId) {
+                            throw new Error('otherSessionId required - session is not a fork');
+                        }
+
+                        const diff = await diffSessions(baseSessionId, sessionId);
+
+                        if (!diff) {
+                            return {
+                                content: [
+                                    {
+                                        type: 'text',
+                                        text: `Session ${baseSessionId} or ${sessionId} not found.`
+                                    }
+                                ]
+                            };
+                        }
+
+                        let output = `## Session Diff: ${diff.a} → ${diff.b}\n\n`;
+                        output += diff.identical
+                            ? `All ${diff.turns.length} turns match.\n`
+                            : `First difference at turn ${diff.firstDifference} of ${diff.turns.length}.\n`;
+
+                        diff.turns
+                            .filter((turn) => !turn.same)
+                            .forEach((turn) => {
+                                output += `\n### Turn ${turn.index}\n`;
+                                if (!turn.input.same) {
+                                    output += `- Input: "${turn.input.a ?? ''}" → "${turn.input.b ?? ''}"\n`;
+                                }
+                                for (const [label, list] of [['Signals', turn.signals], [`Rules (${turn.rules.source})`, turn.rules]]) {
+                                    if (!list.same) {
+                                        output += `- ${label}: ${[...list.added.map((item) => `+${item}`), ...list.removed.map((item) => `-${item}`)].join(', ')}\n`;
+                                    }
+                                }
+                                if (!turn.plan.same) {
+                                    output += `- Plan changed: ${turn.plan.changed.join(', ')} (${turn.plan.a?.name ?? 'none'} → ${turn.plan.b?.name ?? 'none'})\n`;
+                                }
+                                if (!turn.instructions.same) {
+                                    output += `- Instructions changed: ${turn.instructions.changed.join(', ')}\n`;
+                                }
+                                if (!turn.response.same) {
+                                    output += `- Response A: "${(turn.response.a ?? '').substring(0, 100)}"\n`;
+                                    output += `- Response B: "${(turn.response.b ?? '').substring(0, 100)}"\n`;
+                                }
+                            });
+
+                        return {
+                            content: [
+                                {
+                                    type: 'text',
+                                    text: output
+                                }
+                            ]
+                        };
+                    }
+
                     default:
                         throw new Error(`Unknown action: ${action}`);
                 }
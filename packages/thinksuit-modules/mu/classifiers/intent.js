@@ -64,23 +64,20 @@ async function validateInstrument(instrument, text, callLLM, model) {
                     content: text
                 }
             ],
-            responseFormat: {
-                name: `${instrument}_validation`,
-                schema: {
-                    type: 'object',
-                    properties: {
-                        confirmed: { type: 'boolean' }
-                    },
-                    required: ['confirmed'],
-                    additionalProperties: false
-                }
+            responseSchema: {
+                type: 'object',
+                properties: {
+                    confirmed: { type: 'boolean' }
+                },
+                required: ['confirmed'],
+                additionalProperties: false
             },
+            schemaName: `${instrument}_validation`,
             maxTokens: 20,
             temperature: 0.1
         });
 
-        const result = JSON.parse(response.output);
-        return result.confirmed;
+        return response.parsed.confirmed;
     } catch (error) {
         // Validation failed - assume pattern was correct
         return true;
@@ -98,6 +98,7 @@ export async function composeInstructions({ plan = {}, factMap = {}, thread = []
         frameSet: -1,
         frameAck: -1,
         primaryPrompt: -1,
+        memory: -1,
         conversationStart: -1,
         conversationEnd: -1,
         userInput: -1
@@ -146,6 +147,17 @@ export async function composeInstructions({ plan = {}, factMap = {}, thread = []
             addPromptToThread(alignmentScript, completeThread);
         }
 
+        // Add saved memories retrieved for this input when the plan recalls them
+        const memories = factMap.MemoryRetrieval?.[0]?.data?.memories || [];
+        if (plan.memory === 'recall' && memories.length > 0) {
+            indices.memory = completeThread.length;
+            completeThread.push({
+                role: 'user',
+                content: resolvePrompt('memory.recall', { ...promptContext, memories }, module),
+                semantic: 'memory'
+            });
+        }
+
         // Add primary prompt (last before user input)
         indices.primaryPrompt = completeThread.length;
         completeThread.push({
@@ -134,6 +134,16 @@ const prompts = {
         }
     ],
 
+    // ─── Memory ─────────────────────────────────────────────────────────────
+
+    'memory.recall': ({ memories }) => [
+        'Saved notes from earlier sessions that match this request. Use them when they answer it:',
+        ...memories.map(memory => {
+            const tags = memory.tags.length > 0 ? ` [${memory.tags.map(tag => `#${tag}`).join(' ')}]` : '';
+            return `- (${memory.createdAt.slice(0, 10)})${tags} ${memory.content}`;
+        })
+    ].join('\n'),
+
     // ─── Length Guidance ────────────────────────────────────────────────────
 
     'length.brief':
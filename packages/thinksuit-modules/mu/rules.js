@@ -18,13 +18,15 @@ const plans = {
     rationale: 'Direct recording preserves exact content without analysis or transformation',
     strategy: 'direct',
     role: 'capture',
+    memory: 'capture',
     lengthLevel: 'brief'
   },
   readback: {
     name: 'readback',
-    rationale: 'Direct recall and presentation of information from conversation history',
+    rationale: 'Direct recall and presentation of information from conversation history and saved memories',
     strategy: 'direct',
     role: 'readback',
+    memory: 'recall',
     lengthLevel: 'standard'
   },
   analyze: {
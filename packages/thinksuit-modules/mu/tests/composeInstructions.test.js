@@ -162,6 +162,35 @@ describe('composeInstructions', () => {
         });
     });
 
+    describe('memory recall', () => {
+        const factMap = {
+            MemoryRetrieval: [{
+                type: 'MemoryRetrieval',
+                data: {
+                    query: 'When do the API keys rotate?',
+                    memories: [{ id: 'm1', content: 'API keys rotate every Friday #ops', tags: ['ops'], createdAt: '2025-08-21T16:45:13.435Z' }]
+                }
+            }]
+        };
+
+        it('should add retrieved memories before the primary prompt for recall plans', async () => {
+            const plan = { role: 'readback', memory: 'recall' };
+            const result = await composeInstructions({ plan, factMap, input: 'When do the API keys rotate?' }, mu);
+
+            const message = result.thread[result.indices.memory];
+            expect(message).toMatchObject({ role: 'user', semantic: 'memory' });
+            expect(message.content).toContain('- (2025-08-21) [#ops] API keys rotate every Friday #ops');
+            expect(result.indices.memory).toBe(result.indices.primaryPrompt - 1);
+        });
+
+        it('should leave memories out of plans that do not recall them', async () => {
+            const result = await composeInstructions({ plan: { role: 'readback' }, factMap, input: 'When do the API keys rotate?' }, mu);
+
+            expect(result.indices.memory).toBe(-1);
+            expect(result.thread.some(msg => msg.semantic === 'memory')).toBe(false);
+        });
+    });
+
     describe('all 6 roles', () => {
         const roles = ['capture', 'readback', 'analyze', 'investigate', 'synthesize', 'execute'];
 
@@ -28,6 +28,7 @@ describe('Mu Rules', () => {
             expect(executionPlans[0].data.role).toBe('capture');
             expect(executionPlans[0].data.strategy).toBe('direct');
             expect(executionPlans[0].data.lengthLevel).toBe('brief');
+            expect(executionPlans[0].data.memory).toBe('capture');
         });
 
         it('should route readback intent to readback role', () => {
@@ -47,6 +48,7 @@ describe('Mu Rules', () => {
             expect(executionPlans).toHaveLength(1);
             expect(executionPlans[0].data.role).toBe('readback');
             expect(executionPlans[0].data.strategy).toBe('direct');
+            expect(executionPlans[0].data.memory).toBe('recall');
         });
 
         it('should route analyze intent to analyze role', () => {
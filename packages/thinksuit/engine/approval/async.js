@@ -13,31 +13,15 @@ function generateApprovalId() {
 }
 
 /**
- * Request tool approval asynchronously
- * @param {Object} request - Tool request { tool, args }
- * @param {string} sessionId - Session ID for correlation
- * @param {Object} logger - Logger instance
- * @param {number} timeoutMs - Optional timeout in milliseconds (use -1 to disable timeout)
- * @param {string} parentBoundaryId - Optional parent boundary ID for nesting
- * @returns {Promise<{approved: boolean, approvalId: string}>} - Resolves to approval decision and ID
+ * Register a pending approval and wait for its decision
+ * @param {string} approvalId - Approval ID
+ * @param {Object} pendingInfo - { kind, request, sessionId }
+ * @param {number} timeoutMs - Timeout in milliseconds (use -1 to disable timeout)
+ * @param {*} timeoutDecision - Decision to resolve with when the approval times out
+ * @param {AbortSignal} abortSignal - Optional signal that resolves the approval with timeoutDecision
+ * @returns {Promise<*>} - Resolves to the decision passed to resolveApproval
  */
-export async function requestToolApproval(request, sessionId, logger, timeoutMs = DEFAULT_APPROVAL_TIMEOUT_MS, parentBoundaryId = null) {
-    const approvalId = generateApprovalId();
-
-    // Log event that console will see via session events
-    const logData = {
-        event: EXECUTION_EVENTS.TOOL_APPROVAL_REQUESTED,
-        approvalId,
-        sessionId,
-        data: request
-    };
-
-    if (parentBoundaryId) {
-        logData.parentBoundaryId = parentBoundaryId;
-    }
-
-    logger.info(logData, `Tool approval requested: ${request.tool}`);
-
+async function waitForDecision(approvalId, pendingInfo, timeoutMs, timeoutDecision, abortSignal = null) {
     // Create timeout that we can cancel
     let timeoutId;
 
@@ -45,8 +29,7 @@ export async function requestToolApproval(request, sessionId, logger, timeoutMs
     const approvalPromise = new Promise((resolve) => {
         pendingApprovals.set(approvalId, {
             resolve,
-            request,
-            sessionId,
+            ...pendingInfo,
             requestedAt: Date.now(),
             timeoutId: null // Will be set below
         });
@@ -63,8 +46,8 @@ export async function requestToolApproval(request, sessionId, logger, timeoutMs
             timeoutId = setTimeout(() => {
                 pendingApprovals.delete(approvalId);
                 // Don't log the timeout event to avoid polluting session state
-                // Just silently deny after timeout
-                resolve(false); // Timeout = deny
+                // Just silently resolve with the timeout decision
+                resolve(timeoutDecision);
             }, actualTimeout);
         });
     }
@@ -75,18 +58,88 @@ export async function requestToolApproval(request, sessionId, logger, timeoutMs
         pending.timeoutId = timeoutId;
     }
 
+    // An interrupted turn stops waiting the same way a timeout does
+    const onAbort = () => resolveApproval(approvalId, timeoutDecision);
+    abortSignal?.addEventListener('abort', onAbort, { once: true });
+    if (abortSignal?.aborted) {
+        onAbort();
+    }
+
     // Race between approval and timeout
-    const approved = await Promise.race([approvalPromise, timeoutPromise]);
+    const decision = await Promise.race([approvalPromise, timeoutPromise]);
+    abortSignal?.removeEventListener('abort', onAbort);
+    return decision;
+}
+
+/**
+ * Request tool approval asynchronously
+ * @param {Object} request - Tool request { tool, args }
+ * @param {string} sessionId - Session ID for correlation
+ * @param {Object} logger - Logger instance
+ * @param {number} timeoutMs - Optional timeout in milliseconds (use -1 to disable timeout)
+ * @param {string} parentBoundaryId - Optional parent boundary ID for nesting
+ * @returns {Promise<{approved: boolean, approvalId: string}>} - Resolves to approval decision and ID
+ */
+export async function requestToolApproval(request, sessionId, logger, timeoutMs = DEFAULT_APPROVAL_TIMEOUT_MS, parentBoundaryId = null) {
+    const approvalId = generateApprovalId();
+
+    // Log event that console will see via session events
+    const logData = {
+        event: EXECUTION_EVENTS.TOOL_APPROVAL_REQUESTED,
+        approvalId,
+        sessionId,
+        data: request
+    };
+
+    if (parentBoundaryId) {
+        logData.parentBoundaryId = parentBoundaryId;
+    }
+
+    logger.info(logData, `Tool approval requested: ${request.tool}`);
+
+    // Timeout = deny
+    const approved = await waitForDecision(approvalId, { kind: 'tool', request, sessionId }, timeoutMs, false);
     return { approved, approvalId };
 }
 
+/**
+ * Pause at a plan checkpoint until the user continues, edits the guidance or aborts
+ * @param {Object} request - Checkpoint request { message, step, output }
+ * @param {string} sessionId - Session ID for correlation
+ * @param {Object} logger - Logger instance
+ * @param {number} timeoutMs - Optional timeout in milliseconds (use -1 to disable timeout)
+ * @param {string} parentBoundaryId - Optional parent boundary ID for nesting
+ * @param {AbortSignal} abortSignal - Optional signal that stops waiting when the turn is interrupted
+ * @returns {Promise<{action: string, guidance?: string, approvalId: string}>} - action is continue, edit or abort
+ */
+export async function requestCheckpoint(request, sessionId, logger, timeoutMs = DEFAULT_APPROVAL_TIMEOUT_MS, parentBoundaryId = null, abortSignal = null) {
+    const approvalId = generateApprovalId();
+
+    const logData = {
+        event: EXECUTION_EVENTS.CHECKPOINT_REQUESTED,
+        approvalId,
+        sessionId,
+        data: request
+    };
+
+    if (parentBoundaryId) {
+        logData.parentBoundaryId = parentBoundaryId;
+    }
+
+    logger.info(logData, `Checkpoint requested: ${request.message}`);
+
+    // Timeout or interrupt = abort, so a risky plan never continues unattended
+    const decision = await waitForDecision(approvalId, { kind: 'checkpoint', request, sessionId }, timeoutMs, { action: 'abort' }, abortSignal);
+    return { ...decision, approvalId };
+}
+
 /**
  * Resolve a pending approval
  * @param {string} approvalId - Approval ID to resolve
- * @param {boolean} approved - Approval decision
+ * @param {boolean|Object} decision - true/false for tools, { action, guidance } for checkpoints
  * @returns {boolean} - True if approval was found and resolved
  */
-export function resolveApproval(approvalId, approved) {
+export function resolveApproval(approvalId, decision) {
     const pending = pendingApprovals.get(approvalId);
     if (!pending) {
         return false; // Approval not found or already resolved
@@ -98,7 +151,7 @@ export function resolveApproval(approvalId, approved) {
     }
 
     pendingApprovals.delete(approvalId);
-    pending.resolve(approved);
+    pending.resolve(decision);
     return true;
 }
 
@@ -112,6 +165,7 @@ export function getApprovalInfo(approvalId) {
     if (!pending) return null;
 
     return {
+        kind: pending.kind,
         request: pending.request,
         sessionId: pending.sessionId,
         requestedAt: pending.requestedAt
@@ -129,7 +183,7 @@ export function cleanupOldApprovals(maxAgeMs = DEFAULT_APPROVAL_TIMEOUT_MS) {
     for (const [id, pending] of pendingApprovals.entries()) {
         if (now - pending.requestedAt > maxAge) {
             pendingApprovals.delete(id);
-            pending.resolve(false); // Auto-deny old approvals
+            pending.resolve(pending.kind === 'checkpoint' ? { action: 'abort' } : false); // Auto-deny old approvals
         }
     }
 }
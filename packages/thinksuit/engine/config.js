@@ -29,9 +29,15 @@ function parseCLI(argv) {
       --modules-package  Path to custom modules package directory
       --provider, -p     LLM provider (default: openai)
       --model            Model name (default: gpt-4o-mini)
+      --base-url         Endpoint for the local provider (default: http://localhost:11434/v1)
+      --list-models      List models served by the provider and exit (local provider)
+      --fallback         Comma-separated provider/model fallback chain (e.g. google/gemini-2.5-flash)
       --max-depth        Max recursion depth (default: 5)
       --max-fanout       Max parallel branches (default: 3)
       --max-children     Max child operations (default: 5)
+      --max-cost-usd     Per-turn spend limit in USD (requires pricing in config)
+      --prefer-low-cost  Down-rank plans that need more LLM calls
+      --risk-tolerance   low blocks plans with write-capable tools (default: medium)
       --session-id       Session ID to resume or create
       --preset           Preset name to use
       --frame            Frame name to use
@@ -40,8 +46,15 @@ function parseCLI(argv) {
       --allow-tools      Comma-separated list of tools to allow
       --allow-dir        Directory to allow access to (can be specified multiple times)
       --approval-timeout Tool approval timeout in ms (default: 12 hours, -1 to disable)
+      --checkpoints      continue or abort at plan checkpoints (default: abort)
       --output, -o       Output format: json|text|none (default: text)
       --trace            Write detailed trace files (independent of console output)
+      --no-stream        Disable streaming of LLM output as delta events
+      --cache            Answer repeated LLM requests from ~/.thinksuit/cache
+      --no-cache         Bypass the response cache even if enabled in config
+      --record           Record provider responses and tool results into the session cassette
+      --replay           Session ID whose cassette answers provider and tool calls (offline)
+      --plan-only        Show signals, facts, plan and instructions without executing the plan
       --verbose, -v      Increase log detail level
       --config, -c       Path to config file
       --help             Show help
@@ -50,9 +63,12 @@ function parseCLI(argv) {
     Environment Variables
       OPENAI_API_KEY       OpenAI API key
       ANTHROPIC_API_KEY    Anthropic API key
+      ANTHROPIC_BASE_URL   Anthropic API base URL (default: https://api.anthropic.com)
       GOOGLE_CLOUD_PROJECT Google Cloud project ID (for Vertex AI)
       GOOGLE_CLOUD_LOCATION Google Cloud location (default: us-central1)
       HF_TOKEN             Hugging Face API token (for hugging-face provider)
+      LOCAL_LLM_BASE_URL   Endpoint for the local provider (Ollama, llama.cpp, ...)
+      LOCAL_LLM_API_KEY    API key for the local provider (optional)
 
     Config File
       Default location: ~/.thinksuit.json
@@ -62,6 +78,7 @@ function parseCLI(argv) {
       $ node engine/execute.js "Analyze this claim"
       $ node engine/execute.js --module thinksuit/mu --model gpt-5
       $ node engine/execute.js --config ~/.thinksuit.json
+      $ node engine/execute.js --provider local --model llama3.2 "Summarize this"
 `,
         {
             importMeta: import.meta,
@@ -85,6 +102,18 @@ function parseCLI(argv) {
                     type: 'string'
                     // No default
                 },
+                baseUrl: {
+                    type: 'string'
+                    // No default - local provider falls back to Ollama's endpoint
+                },
+                listModels: {
+                    type: 'boolean',
+                    default: false
+                },
+                fallback: {
+                    type: 'string'
+                    // No default - no fallback chain unless configured
+                },
                 maxDepth: {
                     type: 'number'
                     // No default
@@ -97,6 +126,18 @@ function parseCLI(argv) {
                     type: 'number'
                     // No default
                 },
+                maxCostUsd: {
+                    type: 'number'
+                    // No default - no budget unless configured
+                },
+                preferLowCost: {
+                    type: 'boolean'
+                    // No default - falls back to config file, then defaults
+                },
+                riskTolerance: {
+                    type: 'string'
+                    // No default - falls back to config file, then defaults
+                },
                 sessionId: {
                     type: 'string'
                     // No default - will generate if not provided
@@ -131,10 +172,35 @@ function parseCLI(argv) {
                     type: 'number'
                     // No default - will use DEFAULT_APPROVAL_TIMEOUT_MS
                 },
+                checkpoints: {
+                    type: 'string'
+                    // No default - thinksuit-exec aborts at checkpoints unless this is 'continue'
+                },
                 trace: {
                     type: 'boolean',
                     default: false
                 },
+                stream: {
+                    type: 'boolean',
+                    default: true
+                    // --no-stream disables delta events
+                },
+                cache: {
+                    type: 'boolean'
+                    // No default - off unless enabled by --cache or config
+                },
+                record: {
+                    type: 'boolean',
+                    default: false
+                },
+                replay: {
+                    type: 'string'
+                    // No default - live providers unless a cassette is named
+                },
+                planOnly: {
+                    type: 'boolean',
+                    default: false
+                },
                 verbose: {
                     type: 'boolean',
                     shortFlag: 'v',
@@ -222,6 +288,8 @@ function buildConfig(options = {}) {
             level: 'info'
         },
         trace: false,
+        stream: true,
+        cache: false,
         approvalTimeout: DEFAULT_APPROVAL_TIMEOUT_MS
     };
 
@@ -335,6 +403,10 @@ function buildConfig(options = {}) {
                 ? cli.flags.provider
                 : fileConfig.provider || defaults.provider,
         model: cli.flags.model !== undefined ? cli.flags.model : fileConfig.model || defaults.model,
+        fallbackChain: cli.flags.fallback
+            ? cli.flags.fallback.split(',').map(entry => entry.trim()).filter(Boolean)
+            : fileConfig.fallbackChain,
+        retry: fileConfig.retry || undefined,
         policy: {
             maxDepth:
                 cli.flags.maxDepth !== undefined
@@ -347,14 +419,35 @@ function buildConfig(options = {}) {
             maxChildren:
                 cli.flags.maxChildren !== undefined
                     ? cli.flags.maxChildren
-                    : fileConfig.maxChildren || defaults.policy.maxChildren
+                    : fileConfig.maxChildren || defaults.policy.maxChildren,
+            maxCostUsd:
+                cli.flags.maxCostUsd !== undefined
+                    ? cli.flags.maxCostUsd
+                    : fileConfig.maxCostUsd,
+            selection: {
+                preferLowCost:
+                    cli.flags.preferLowCost !== undefined
+                        ? cli.flags.preferLowCost
+                        : fileConfig.preferLowCost ?? defaults.policy.selection.preferLowCost,
+                riskTolerance:
+                    cli.flags.riskTolerance || fileConfig.riskTolerance || defaults.policy.selection.riskTolerance
+            }
         },
+        pricing: fileConfig.pricing || undefined,
+        context: fileConfig.context || undefined,
+        capabilities: fileConfig.capabilities || undefined,
+        memory: fileConfig.memory || undefined,
         output: outputMode,
         verbose: cli.flags.verbose || fileConfig.verbose || false,
         logging: {
             level: 'info'
         },
         trace: cli.flags.trace || fileConfig.trace || defaults.trace,
+        stream: cli.flags.stream === false ? false : (fileConfig.stream ?? defaults.stream),
+        cache: cli.flags.cache !== undefined ? cli.flags.cache : (fileConfig.cache ?? defaults.cache),
+        record: cli.flags.record || false,
+        replay: cli.flags.replay || undefined,
+        planOnly: cli.flags.planOnly || false,
         sessionId: cli.flags.sessionId || fileConfig.sessionId,
         preset: cli.flags.preset || fileConfig.preset,
         cwd: cli.flags.cwd || fileConfig.cwd, // No default here
@@ -372,7 +465,9 @@ function buildConfig(options = {}) {
             : fileConfig.approvalTimeout !== undefined
                 ? fileConfig.approvalTimeout
                 : defaults.approvalTimeout,
+        checkpoints: cli.flags.checkpoints || fileConfig.checkpoints || undefined,
         input: cli.input[0] || '',
+        listModels: cli.flags.listModels,
         frame: cli.flags.frame || fileConfig.frame,
         help: cli.flags.help,
         version: cli.flags.version,
@@ -390,13 +485,18 @@ function buildConfig(options = {}) {
             location: process.env.GOOGLE_CLOUD_LOCATION || 'global'
         },
         anthropic: {
-            apiKey: process.env.ANTHROPIC_API_KEY
+            apiKey: process.env.ANTHROPIC_API_KEY,
+            baseURL: process.env.ANTHROPIC_BASE_URL
         },
         huggingFace: {
             apiKey: process.env.HF_TOKEN
         },
         onnx: {
             dtype: process.env.ONNX_DTYPE || 'q4'
+        },
+        local: {
+            baseUrl: cli.flags.baseUrl || process.env.LOCAL_LLM_BASE_URL || fileConfig.baseUrl,
+            apiKey: process.env.LOCAL_LLM_API_KEY
         }
     };
 
@@ -411,6 +511,7 @@ function buildConfig(options = {}) {
             anthropic: !!process.env.ANTHROPIC_API_KEY,
             google: !!process.env.GOOGLE_CLOUD_PROJECT,
             huggingFace: !!process.env.HF_TOKEN,
+            local: !!process.env.LOCAL_LLM_BASE_URL,
             debug: !!process.env.DEBUG,
             trace: !!process.env.THINKSUIT_TRACE,
             silent: !!process.env.LOG_SILENT
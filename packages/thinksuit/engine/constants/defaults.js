@@ -28,6 +28,10 @@ export const DEFAULT_ROLE = 'assistant';
 export const DEFAULT_MIN_TOKENS = 50;
 export const DEFAULT_MAX_TOKENS = 4000;
 
+// Streaming - deltas are coalesced before being logged as session events
+export const DEFAULT_STREAM_FLUSH_CHARS = 80;
+export const DEFAULT_STREAM_FLUSH_MS = 100;
+
 // Config
 export const DEFAULT_CONFIG_FILE = '.thinksuit.json';
 
@@ -40,6 +44,32 @@ export const DEFAULT_MODULE = 'thinksuit/mu';
 export const DEFAULT_PROVIDER = 'openai';
 export const DEFAULT_MODEL = 'gpt-5';
 
+// Provider retry policy, keyed by error class (see providers/retry.js)
+// maxAttempts counts the first call; classes not listed are not retried
+export const DEFAULT_RETRY_POLICY = {
+    rate_limit: { maxAttempts: 3, baseDelayMs: 1000, maxDelayMs: 10000 },
+    server: { maxAttempts: 2, baseDelayMs: 500, maxDelayMs: 4000 },
+    network: { maxAttempts: 2, baseDelayMs: 500, maxDelayMs: 4000 }
+};
+
+// Context window management (see sessions/compaction.js)
+// Older turns are summarized once the thread passes threshold x the model's budget
+export const DEFAULT_CONTEXT = {
+    threshold: 0.75,
+    keepTurns: 4,
+    summaryMaxTokens: 1000
+};
+
+// Long-term memory shared across sessions (see sessions/memory.js)
+// limit caps the memories retrieved for one turn
+export const DEFAULT_MEMORY = {
+    enabled: true,
+    limit: 5
+};
+
+// Critique-and-revise rounds of a refine plan that sets no maxIterations
+export const DEFAULT_MAX_ITERATIONS = 3;
+
 // Policy defaults
 export const DEFAULT_POLICY = {
     maxDepth: 5,
@@ -17,7 +17,10 @@ export const SESSION_EVENTS = {
     END: 'session.end',
     RESUME: 'session.resume',
     FORKED: 'session.forked', // Session was forked to create a new branch
-    INTERRUPTED: 'session.interrupted' // User interrupted execution
+    INTERRUPTED: 'session.interrupted', // User interrupted execution
+    ORPHANED: 'session.orphaned', // Turn's process exited mid-turn - marked by a later process
+    COMPACTION: 'session.compaction', // Older turns summarized to fit the model's context budget
+    MEMORY: 'session.memory' // Input stored in long-term memory by a capture plan
 };
 
 // Session status constants (derived from session events)
@@ -34,6 +37,7 @@ export const SESSION_STATUS = {
 export const READY_EVENTS = new Set([
     SESSION_EVENTS.PENDING,
     SESSION_EVENTS.INTERRUPTED,
+    SESSION_EVENTS.ORPHANED,
     SESSION_EVENTS.TURN_COMPLETE
 ]);
 
@@ -103,6 +107,23 @@ export const EXECUTION_EVENTS = {
     PARALLEL_BRANCH_ERROR: 'execution.parallel.branch_error',
     PARALLEL_COMPLETE: 'execution.parallel.complete',
 
+    // Result selection (vote/judge over parallel branches)
+    RESULT_SELECTION_START: 'execution.selection.start',
+    RESULT_SELECTION_COMPLETE: 'execution.selection.complete',
+
+    // Graph execution (steps with dependencies)
+    GRAPH_START: 'execution.graph.start',
+    GRAPH_STEP_START: 'execution.graph.step_start',
+    GRAPH_STEP_COMPLETE: 'execution.graph.step_complete',
+    GRAPH_STEP_ERROR: 'execution.graph.step_error',
+    GRAPH_COMPLETE: 'execution.graph.complete',
+
+    // Refine execution (critique-and-revise loop)
+    REFINE_START: 'execution.refine.start',
+    REFINE_ITERATION_START: 'execution.refine.iteration_start',
+    REFINE_ITERATION_COMPLETE: 'execution.refine.iteration_complete',
+    REFINE_COMPLETE: 'execution.refine.complete',
+
     // Task execution (multi-cycle)
     TASK_START: 'execution.task.start',
     TASK_CYCLE_START: 'execution.task.cycle_start',
@@ -121,6 +142,10 @@ export const EXECUTION_EVENTS = {
     TOOL_ERROR: 'execution.tool.error',
     TOOL_COMPLETE: 'execution.tool.complete',
 
+    // Plan checkpoint events (human review between sequential steps)
+    CHECKPOINT_REQUESTED: 'execution.checkpoint.requested',
+    CHECKPOINT_RESOLVED: 'execution.checkpoint.resolved',
+
     // Interrupt events
     INTERRUPTED: 'execution.interrupted'
 };
@@ -156,11 +181,16 @@ export const PROCESSING_EVENTS = {
     // LLM operations
     LLM_REQUEST: 'processing.llm.request',
     LLM_RESPONSE: 'processing.llm.response',
+    LLM_DELTA: 'processing.llm.delta', // Incremental output while a response streams
     LLM_ERROR: 'processing.llm.error',
+    LLM_CACHE_HIT: 'processing.llm.cache_hit', // Response served from the response cache
+    LLM_REPLAY: 'processing.llm.replay', // Response served from a recorded cassette
 
     // Provider API operations
     PROVIDER_API_REQUEST: 'provider.api.request',
     PROVIDER_API_RESPONSE: 'provider.api.response',
+    PROVIDER_ATTEMPT_START: 'provider.attempt.start',
+    PROVIDER_ATTEMPT_COMPLETE: 'provider.attempt.complete',
 
     // Rules processing
     RULES_START: 'processing.rules.start',
@@ -239,8 +269,11 @@ export const BOUNDARY_TYPES = {
     PIPELINE: 'pipeline',
     EXECUTION: 'execution',
     CYCLE: 'cycle',
+    ITERATION: 'iteration',
+    SELECTION: 'selection',
     STEP: 'step',
     BRANCH: 'branch',
     TOOL: 'tool',
-    LLM_EXCHANGE: 'llm_exchange'
+    LLM_EXCHANGE: 'llm_exchange',
+    PROVIDER_ATTEMPT: 'provider_attempt'
 };
@@ -11,6 +11,8 @@ import { modules as defaultModules } from 'thinksuit-modules';
 import { flushAllSessionStreams } from './transports/session-router.js';
 import { getPreset } from '../presets.js';
 import { getFrame } from '../frames.js';
+import { createProvider } from './providers/index.js';
+import { DEFAULT_MODEL } from './constants/defaults.js';
 
 /**
  * Output message respecting CLI output mode
@@ -29,6 +31,42 @@ function output(mode, message) {
     }
 }
 
+/**
+ * Render a plan-only result as text
+ */
+function formatPlanOnly(result) {
+    const lines = ['Signals:'];
+    for (const signal of result.signals) {
+        lines.push(`  ${signal.dimension}.${signal.signal} (${signal.confidence?.toFixed(2) ?? '--'})`);
+    }
+    if (result.signals.length === 0) lines.push('  (none)');
+
+    const counts = Object.entries(result.facts || {})
+        .filter(([, facts]) => Array.isArray(facts) && facts.length > 0)
+        .map(([type, facts]) => `${type} ${facts.length}`);
+    lines.push('', `Facts: ${counts.join(', ') || '(none)'}`);
+
+    const { plan, instructions } = result;
+    if (plan) {
+        const parts = [plan.strategy, plan.role].filter(Boolean);
+        lines.push('', `Plan: ${plan.name || 'unnamed'}${parts.length > 0 ? ` (${parts.join(', ')})` : ''}`);
+        if (plan.sequence) lines.push(`  Sequence: ${plan.sequence.map(step => step.role).join(' -> ')}`);
+        if (plan.roles) lines.push(`  Roles: ${plan.roles.map(role => role.role || role).join(', ')}`);
+        if (plan.tools?.length > 0) lines.push(`  Tools: ${plan.tools.join(', ')}`);
+        if (plan.rationale) lines.push(`  Rationale: ${plan.rationale}`);
+    }
+
+    if (instructions) {
+        const { metadata = {} } = instructions;
+        lines.push('', `Instructions: role ${metadata.role ?? plan?.role ?? '--'}, maxTokens ${instructions.maxTokens ?? '--'}`);
+        if (metadata.adaptations?.length > 0) lines.push(`  Adaptations: ${metadata.adaptations.join(', ')}`);
+        const system = instructions.thread?.findLast(msg => msg.role === 'system');
+        if (system) lines.push('', system.content);
+    }
+
+    return lines.join('\n');
+}
+
 /**
  * Main entry point - contains all side effects
  */
@@ -53,6 +91,41 @@ async function main() {
         process.exit(0);
     }
 
+    // Local servers decide which models exist - discover them before running
+    if (config.listModels || (config.provider === 'local' && !config.replay)) {
+        const provider = createProvider(config);
+        if (!provider.listModels) {
+            console.error(`Error: Provider "${config.provider}" does not support model listing`);
+            process.exit(1);
+        }
+
+        let models;
+        try {
+            models = await provider.listModels();
+        } catch (error) {
+            console.error(`Error: ${error.message}`);
+            process.exit(1);
+        }
+
+        if (config.listModels) {
+            output(config.output, config.output === 'json' ? models : models.join('\n'));
+            process.exit(0);
+        }
+
+        // Ollama resolves bare names to their :latest tag
+        const served = models.some(id => id === config.model || id === `${config.model}:latest`);
+        if (!served) {
+            // The built-in default is never a local model - use whatever the server has
+            if (config.model === DEFAULT_MODEL && models.length > 0) {
+                config.model = models[0];
+            } else {
+                console.error(`Error: Model "${config.model}" is not served by the local provider`);
+                console.error(`Available models: ${models.join(', ') || '(none)'}`);
+                process.exit(1);
+            }
+        }
+    }
+
     // Get input from stdin if not provided via CLI
     let input = config.input;
     if (!input && process.stdin.isTTY) {
@@ -132,18 +205,29 @@ async function main() {
         provider: config.provider,
         model: config.model,
         providerConfig: config.providerConfig,
+        fallbackChain: config.fallbackChain,
+        retry: config.retry,
         // Use INIT_CWD (where npm was run from) if available, else config.cwd, else process.cwd()
         cwd: config.cwd || process.env.INIT_CWD || process.cwd(),
         allowedDirectories: config.allowedDirectories, // Pass through allowed directories
         mcpServers: config.mcpServers, // Pass through MCP server configurations
         tools: config.tools, // Pass through the tools list if provided
         autoApproveTools: true, // CLI always auto-approves tools
+        checkpoints: config.checkpoints === 'continue' ? 'continue' : 'abort', // Nobody is there to answer checkpoints
         policy: {
             maxDepth: config.policy.maxDepth,
             maxFanout: config.policy.maxFanout,
-            maxChildren: config.policy.maxChildren
+            maxChildren: config.policy.maxChildren,
+            maxCostUsd: config.policy.maxCostUsd,
+            selection: config.policy.selection
         },
+        pricing: config.pricing, // USD per million tokens for cost accounting
         trace: config.trace,
+        stream: config.stream,
+        cache: config.cache,
+        record: config.record,
+        replay: config.replay,
+        planOnly: config.planOnly,
         sessionId: config.sessionId,
         selectedPlan, // Pass resolved selectedPlan
         frame, // Pass resolved frame
@@ -192,7 +276,9 @@ async function main() {
         await flushAllSessionStreams();
 
         // Format and display output based on mode
-        if (config.output === 'json') {
+        if (result.planOnly && config.output !== 'json') {
+            output(config.output, formatPlanOnly(result));
+        } else if (config.output === 'json') {
             // JSON mode: output entire session.response event
             output(config.output, result);
         } else {
@@ -4,6 +4,9 @@
  */
 
 import { PIPELINE_EVENTS, PROCESSING_EVENTS } from '../constants/events.js';
+import { getModelCapabilities } from '../providers/capabilities.js';
+import { DEFAULT_MEMORY } from '../constants/defaults.js';
+import { searchMemories } from '../sessions/memory.js';
 
 /**
  * Create a TurnContext fact
@@ -45,14 +48,33 @@ function flattenConfig(obj, prefix = '') {
     return results;
 }
 
+/**
+ * Search long-term memory for the turn's input
+ * @param {string} userInput
+ * @param {Object} config - Uses config.memory { enabled, limit }
+ * @returns {Promise<Object|null>} MemoryRetrieval fact, or null when nothing is relevant
+ */
+async function createMemoryRetrievalFact(userInput, config) {
+    const options = { ...DEFAULT_MEMORY, ...config.memory };
+    if (options.enabled === false || !userInput?.trim()) return null;
+
+    const memories = await searchMemories(userInput, { limit: options.limit });
+    if (memories.length === 0) return null;
+
+    return {
+        type: 'MemoryRetrieval',
+        data: { query: userInput, memories }
+    };
+}
+
 /**
  * Core fact aggregation logic
- * @param {Object} input - { signals, context }
+ * @param {Object} input - { signals, userInput, context }
  * @param {Object} machineContext - Machine context with config and logger
  * @returns {Object} - { facts: Signal[] }
  */
 export async function aggregateFactsCore(input, machineContext) {
-    const { signals = [], context = {} } = input || {};
+    const { signals = [], userInput = '', context = {} } = input || {};
     const logger = machineContext.execLogger;
     const config = machineContext?.config || {};
     const dimPolicy = context?.config?.policy?.perception?.dimensions || {};
@@ -199,17 +221,23 @@ export async function aggregateFactsCore(input, machineContext) {
     }, 'Checking config for provider capabilities');
     if (config.provider && config.model) {
         try {
-            const { createProvider } = await import(/* @vite-ignore */ '../providers/index.js');
-            const provider = createProvider(config);
-            const capabilities = provider.getCapabilities(config.model);
+            // Registry lookup - declared by the provider, overridden by config.capabilities
+            const capabilities = getModelCapabilities(config);
 
             // Add capability facts
-            if (capabilities.supports) {
-                for (const [feature, supported] of Object.entries(capabilities.supports)) {
+            for (const [feature, supported] of Object.entries(capabilities.supports)) {
+                capabilityFacts.push({
+                    type: 'Capability',
+                    name: `provider.${feature}`,
+                    data: { value: supported }
+                });
+            }
+            for (const limit of ['maxContext', 'maxOutput']) {
+                if (capabilities[limit]) {
                     capabilityFacts.push({
                         type: 'Capability',
-                        name: `provider.${feature}`,
-                        data: { value: supported }
+                        name: `provider.${limit}`,
+                        data: { value: capabilities[limit] }
                     });
                 }
             }
@@ -218,11 +246,20 @@ export async function aggregateFactsCore(input, machineContext) {
         }
     }
 
+    // Add memories from earlier sessions that match the input - an unreadable store costs the recall, not the turn
+    const memoryFacts = [];
+    try {
+        const memoryFact = await createMemoryRetrievalFact(userInput, config);
+        if (memoryFact) memoryFacts.push(memoryFact);
+    } catch (error) {
+        logger.warn({ parentBoundaryId: boundaryId, data: { error: error.message } }, 'Failed to search long-term memory');
+    }
+
     // Add current turn context fact for routing rules
     const turnContextFact = createTurnContextFact(currentTurnIndex);
 
-    // Combine all facts: signals, config, tools, capabilities, and turn context
-    const allFacts = [...facts, ...configFacts, ...toolFacts, ...capabilityFacts, turnContextFact];
+    // Combine all facts: signals, config, tools, capabilities, memories, and turn context
+    const allFacts = [...facts, ...configFacts, ...toolFacts, ...capabilityFacts, ...memoryFacts, turnContextFact];
 
     logger.info(
         {
@@ -240,6 +277,7 @@ export async function aggregateFactsCore(input, machineContext) {
                 filteredCount: filtered.length,
                 deduplicatedCount: facts.length,
                 configFactCount: configFacts.length,
+                memoryCount: memoryFacts[0]?.data.memories.length || 0,
                 totalFactCount: allFacts.length,
                 dimensionsPresent: [...new Set(facts.map((f) => f.dimension).filter(Boolean))],
                 turnsPresent: [...new Set(facts.map((f) => f.turnIndex).filter(Boolean))],
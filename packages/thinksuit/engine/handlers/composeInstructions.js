@@ -73,6 +73,23 @@ function validateInstructionsResult(result) {
     return { valid: errors.length === 0, errors };
 }
 
+/**
+ * Attach stored files to the message carrying the user input
+ * Compositions without the input (later steps and cycles) are left alone.
+ * @param {Array} thread - Composed thread
+ * @param {string} userInput
+ * @param {Array<Object>} attachments - Attachment references (sessions/attachments.js)
+ * @returns {Array}
+ */
+function attachToInput(thread, userInput, attachments) {
+    if (attachments.length === 0 || !Array.isArray(thread)) return thread;
+
+    const index = userInput ? thread.findLastIndex(msg => msg.role === 'user' && msg.semantic === 'input') : -1;
+    if (index === -1) return thread;
+
+    return thread.map((msg, i) => (i === index ? { ...msg, attachments } : msg));
+}
+
 /**
  * Engine wrapper for instruction composition
  * Delegates composition logic to module while providing infrastructure
@@ -86,6 +103,7 @@ export async function composeInstructionsCore(input, machineContext) {
     const sessionId = input.context?.sessionId;
     const frame = input.context?.frame || null;
     const cwd = input.context?.cwd || null;
+    const attachments = input.context?.attachments || [];
     const logger = machineContext.execLogger;
     const module = machineContext?.module;
 
@@ -148,9 +166,10 @@ export async function composeInstructionsCore(input, machineContext) {
         return DEFAULT_INSTRUCTIONS;
     }
 
-    // Engine enriches result with plan metadata
+    // Engine enriches result with plan metadata, and hangs the turn's attachments on the input message
     const result = {
         ...moduleResult,
+        thread: attachToInput(moduleResult.thread, userInput, attachments),
         metadata: {
             ...moduleResult.metadata,
             strategy: plan.strategy,
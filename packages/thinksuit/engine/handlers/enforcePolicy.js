@@ -115,6 +115,30 @@ export async function enforcePolicyCore(input, machineContext) {
         }
     }
 
+    // Check step count for graph execution
+    if (plan.strategy === 'graph' && plan.steps) {
+        const children = plan.steps.length;
+        if (children > maxChildren) {
+            logger.warn(
+                {
+                    traceId,
+
+                    data: {
+                        children,
+                        maxChildren
+                    }
+                },
+                'Max children exceeded'
+            );
+
+            return {
+                approved: false,
+                reason: `Maximum child operations (${maxChildren}) exceeded`,
+                code: 'E_CHILDREN'
+            };
+        }
+    }
+
     // Check for abort signals (future: could check context for abort flag)
     // if (context?.abort) {
     //     return {
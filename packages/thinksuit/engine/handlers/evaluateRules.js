@@ -9,6 +9,7 @@ import { generatePolicyRules } from '../policy/generatePolicyRules.js';
 import { systemEnforcementRules } from '../policy/systemEnforcementRules.js';
 import { systemPlanSelectionRule } from '../policy/systemPlanSelectionRule.js';
 import { systemValidationRules } from '../policy/systemValidationRules.js';
+import { createProvenanceRecorder } from '../utils/ruleProvenance.js';
 
 const MAX_CYCLES = 32; // Blueprint-specified hard cap
 
@@ -24,6 +25,7 @@ function createEmptyFactMap() {
         Adaptation: [],
         TokenMultiplier: [],
         Capability: [],
+        MemoryRetrieval: [],
         SelectedPlan: []
     };
 }
@@ -67,6 +69,10 @@ function querySystemFacts(engine) {
             .query('Capability')
             .execute()
             .map((f) => f.data),
+        MemoryRetrieval: engine
+            .query('MemoryRetrieval')
+            .execute()
+            .map((f) => f.data),
         SelectedPlan: engine
             .query('SelectedPlan')
             .execute()
@@ -162,10 +168,13 @@ export async function evaluateRulesCore(input, machineContext) {
             trace: machineContext.config?.trace === true
         });
 
+        // Records which rules fired and the facts they consumed and produced
+        const recorder = createProvenanceRecorder();
+
         // Add initial facts to the engine
         initialFacts.forEach((fact) => {
             try {
-                engine.addFact(fact);
+                engine.addFact(recorder.stamp(fact));
             } catch (error) {
                 logger.warn(
                     {
@@ -203,27 +212,11 @@ export async function evaluateRulesCore(input, machineContext) {
                     return;
                 }
 
-                // Wrap the rule action to inject provenance
-                const originalAction = rule.action;
+                // Wrap the rule action to inject provenance and record the firing
                 const wrappedRule = {
                     ...rule,
                     salience: rule.salience ?? 0, // Default salience if not provided
-                    action: (facts, engine, bindings) => {
-                        // Monkey-patch engine.addFact to inject/merge provenance
-                        const originalAddFact = engine.addFact.bind(engine);
-                        engine.addFact = (fact) => {
-                            // Merge with existing provenance, auto-injected fields take precedence
-                            fact.provenance = {
-                                ...fact.provenance,  // Keep module-provided fields
-                                source: 'rule',      // Always set source
-                                producer: rule.name || 'unnamed'  // Always set producer
-                            };
-                            originalAddFact(fact);
-                        };
-
-                        // Execute original action with bindings passed through
-                        originalAction(facts, engine, bindings);
-                    }
+                    action: recorder.wrapAction(rule)
                 };
 
                 engine.addRule(wrappedRule);
@@ -402,6 +395,7 @@ export async function evaluateRulesCore(input, machineContext) {
                                     (Array.isArray(factMap[k]) ? factMap[k].length > 0 : true)
                             ),
                             factMap: factMap,
+                            provenance: recorder.build(),
                             loopDetected: true,
                             hasError: true
                         }
@@ -472,6 +466,7 @@ export async function evaluateRulesCore(input, machineContext) {
                                     (Array.isArray(factMap[k]) ? factMap[k].length > 0 : true)
                             ),
                             factMap: factMap,
+                            provenance: recorder.build(),
                             hasError: true
                         }
                     },
@@ -542,6 +537,7 @@ export async function evaluateRulesCore(input, machineContext) {
                             factMap[k] && (Array.isArray(factMap[k]) ? factMap[k].length > 0 : true)
                     ),
                     factMap: factMap, // Include the full factMap for detailed display
+                    provenance: recorder.build(), // Rule firings and plan resolution
                     hasError: false
                 }
             },
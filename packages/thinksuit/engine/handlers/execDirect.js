@@ -4,11 +4,41 @@
  */
 
 import { callLLM } from '../providers/io.js';
-import { DEFAULT_ROLE } from '../constants/defaults.js';
+import { DEFAULT_ROLE, DEFAULT_STREAM_FLUSH_CHARS, DEFAULT_STREAM_FLUSH_MS } from '../constants/defaults.js';
 import { PROCESSING_EVENTS, EXECUTION_EVENTS, EVENT_ROLES, BOUNDARY_TYPES } from '../constants/events.js';
 import { InterruptError } from '../errors/InterruptError.js';
 import { getDefaultRole, getRoleTemperature } from '../utils/module.js';
 
+/**
+ * Coalesce streamed text into chunks so the session log gets a handful of
+ * delta events per response rather than one per token
+ * @param {Function} emit - Called with (text, index) for each flushed chunk
+ * @returns {Object} - { push(delta), flush() }
+ */
+function createDeltaBuffer(emit) {
+    let buffer = '';
+    let index = 0;
+    let lastFlush = Date.now();
+
+    const flush = () => {
+        if (!buffer) return;
+        emit(buffer, index++);
+        buffer = '';
+        lastFlush = Date.now();
+    };
+
+    return {
+        push(delta) {
+            if (!delta?.text) return;
+            buffer += delta.text;
+            if (buffer.length >= DEFAULT_STREAM_FLUSH_CHARS || Date.now() - lastFlush >= DEFAULT_STREAM_FLUSH_MS) {
+                flush();
+            }
+        },
+        flush
+    };
+}
+
 /**
  * Core direct execution logic
  * @param {Object} input - { plan, instructions, thread, context, policy }
@@ -22,6 +52,7 @@ export async function execDirectCore(input, machineContext) {
     const logger = machineContext.execLogger;
     const module = machineContext?.module;
     const abortSignal = machineContext?.abortSignal;
+    const onDelta = machineContext?.onDelta;
     const defaultRoleConfig = module ? getDefaultRole(module) : null;
     const defaultRole = defaultRoleConfig?.name || DEFAULT_ROLE;
 
@@ -31,7 +62,9 @@ export async function execDirectCore(input, machineContext) {
         (config?.provider === 'openai' && config?.providerConfig?.openai?.apiKey) ||
         (config?.provider === 'anthropic' && config?.providerConfig?.anthropic?.apiKey) ||
         (config?.provider === 'hugging-face' && config?.providerConfig?.huggingFace?.apiKey) ||
-        (config?.provider === 'onnx'); // Always valid - runs locally
+        (config?.provider === 'onnx') || // Always valid - runs locally
+        (config?.provider === 'local') || // API key optional - local server
+        (machineContext?.cassette?.mode === 'replay'); // Recorded responses need no provider
 
     if (!hasValidConfig) {
         logger.error({ traceId }, 'IO config not available for LLM execution');
@@ -78,6 +111,8 @@ export async function execDirectCore(input, machineContext) {
         );
     }
 
+    let deltaBuffer = null;
+
     try {
         // Check for interruption before LLM call
         if (abortSignal?.aborted) {
@@ -93,8 +128,8 @@ export async function execDirectCore(input, machineContext) {
 
         const systemInstructions = instructions?.systemInstructions || '';
 
-        // Get temperature from module configuration
-        const temperature = module ? getRoleTemperature(module, plan.role, 0.7) : 0.7;
+        // Plan temperature wins over the module's role temperature
+        const temperature = plan.temperature ?? (module ? getRoleTemperature(module, plan.role, 0.7) : 0.7);
 
         // Call the LLM with config
         const startTime = Date.now();
@@ -148,7 +183,36 @@ export async function execDirectCore(input, machineContext) {
             }
         }
 
-        const llmResponse = await callLLM(machineContext, llmParams, toolSchemas);
+        // Stream output as delta events inside the LLM exchange boundary
+        if (config?.stream !== false) {
+            deltaBuffer = createDeltaBuffer((text, index) => {
+                logger.info(
+                    {
+                        event: PROCESSING_EVENTS.LLM_DELTA,
+                        boundaryType: BOUNDARY_TYPES.LLM_EXCHANGE,
+                        boundaryId: llmBoundaryId,
+                        parentBoundaryId: llmBoundaryId,
+                        traceId,
+                        data: {
+                            role: plan.role,
+                            index,
+                            text
+                        }
+                    },
+                    'LLM delta'
+                );
+            });
+            llmParams.onDelta = (delta) => {
+                deltaBuffer.push(delta);
+                onDelta?.({ ...delta, role: plan.role || defaultRole, boundaryId: llmBoundaryId });
+            };
+        }
+
+        const llmResponse = await callLLM(machineContext, llmParams, toolSchemas, {
+            traceId,
+            parentBoundaryId: llmBoundaryId
+        });
+        deltaBuffer?.flush();
         const duration = Date.now() - startTime;
 
         // Log provider API data if available
@@ -190,7 +254,8 @@ export async function execDirectCore(input, machineContext) {
                     duration,
                     model: llmResponse.model,
                     toolCalls: llmResponse.toolCalls,
-                    finishReason: llmResponse.finishReason
+                    finishReason: llmResponse.finishReason,
+                    ...(llmResponse.cached && { cached: true })
                 }
             },
             'LLM response'
@@ -235,6 +300,9 @@ export async function execDirectCore(input, machineContext) {
 
         return { response };
     } catch (error) {
+        // Keep whatever streamed before the failure
+        deltaBuffer?.flush();
+
         logger.error(
             {
                 traceId,
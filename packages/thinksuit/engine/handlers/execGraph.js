@@ -0,0 +1,380 @@
+/**
+ * execGraph handler - core logic only
+ * Effectful execution plane - orchestrates steps with explicit dependencies
+ */
+
+import { createSpanLogger } from '../logger.js';
+import { runCycle } from '../runCycle.js';
+import { EXECUTION_EVENTS, EVENT_ROLES, BOUNDARY_TYPES } from '../constants/events.js';
+import { DEFAULT_POLICY } from '../constants/defaults.js';
+import { InterruptError, isInterruptError } from '../errors/InterruptError.js';
+import { getGraphErrors } from '../../schemas/validate.js';
+import { isCompositeStep, stepLabel, buildStepPlan, checkSubPlan, requestMessages } from './utils/subPlan.js';
+
+// Default graph framing prompts (fallbacks when module doesn't provide them)
+const DEFAULT_GRAPH_PROMPTS = {
+    dependencyOutput: ({ id, role, output }) =>
+        `Output of step ${id}${role !== id ? ` (${role})` : ''}:\n\n${output}`
+};
+
+/**
+ * Core graph execution logic
+ * Steps run as soon as all steps they depend on have completed, at most
+ * policy.maxFanout at a time. A step whose dependency failed is skipped.
+ * @param {Object} input - { plan, instructions, thread, userInput, context, policy }
+ * @param {Object} machineContext - Machine context with handlers and config
+ * @returns {Object} - { response: Response }
+ */
+export async function execGraphCore(input, machineContext) {
+    const {
+        plan = {},
+        thread = [],
+        userInput = '',
+        context = {},
+        policy = {}
+    } = input;
+
+    const traceId = context.traceId;
+    const logger = machineContext.execLogger;
+    const config = machineContext?.config;
+    const abortSignal = machineContext?.abortSignal;
+    const onDelta = machineContext?.onDelta;
+    const costLedger = machineContext?.costLedger;
+    const cassette = machineContext?.cassette;
+    const maxCostUsd = plan.costBudget?.maxCostUsd;
+
+    // Get the full module from machineContext
+    const module = machineContext?.module || {};
+
+    const steps = plan.steps || [];
+    if (steps.length === 0) {
+        logger.error({ traceId }, 'No steps provided for graph execution');
+        return {
+            response: {
+                output: 'No steps provided for graph execution',
+                usage: { prompt: 0, completion: 0 },
+                model: 'error',
+                error: 'No steps provided'
+            }
+        };
+    }
+
+    const graphErrors = getGraphErrors(plan);
+    if (graphErrors.length > 0) {
+        logger.error({ traceId, data: { errors: graphErrors } }, 'Invalid graph plan');
+        return {
+            response: {
+                output: `Invalid graph plan: ${graphErrors.join('; ')}`,
+                usage: { prompt: 0, completion: 0 },
+                model: 'error',
+                error: 'Invalid graph plan'
+            }
+        };
+    }
+
+    // Get result strategy from plan (default to 'last', like sequential)
+    const resultStrategy = plan.resultStrategy || 'last';
+    const maxFanout = policy.maxFanout ?? DEFAULT_POLICY.maxFanout;
+
+    const executionBoundaryId = `exec-graph-${context.sessionId}-${Date.now()}`;
+
+    logger.info(
+        {
+            event: EXECUTION_EVENTS.GRAPH_START,
+            eventRole: EVENT_ROLES.BOUNDARY_START,
+            boundaryType: BOUNDARY_TYPES.EXECUTION,
+            boundaryId: executionBoundaryId,
+            parentBoundaryId: context.parentBoundaryId || null,
+            traceId,
+            data: {
+                strategy: 'graph',
+                steps: steps.map(step => ({ id: step.id, role: stepLabel(step), dependsOn: step.dependsOn || [] })),
+                depth: context.depth || 0,
+                maxFanout,
+                resultStrategy
+            }
+        },
+        'Starting graph execution'
+    );
+
+    const results = new Map(); // step id -> result
+    let aggregateUsage = { prompt: 0, completion: 0 };
+
+    async function runStep(step) {
+        const role = stepLabel(step);
+        const dependsOn = step.dependsOn || [];
+        const adaptations = step.adaptations || [];
+        const stepTools = step.tools;
+        const branch = `${context.branch || 'root'}.${step.id}`;
+        const stepBoundaryId = `step-${executionBoundaryId}-${step.id}`;
+
+        // Create child logger with span for this graph step
+        const childLogger = createSpanLogger(logger, `exec-${role}`, {
+            role,
+            step: step.id,
+            dependsOn,
+            branch,
+            adaptations,
+            parentBoundaryId: executionBoundaryId
+        });
+
+        childLogger.info(
+            {
+                event: EXECUTION_EVENTS.GRAPH_STEP_START,
+                eventRole: EVENT_ROLES.BOUNDARY_START,
+                boundaryType: BOUNDARY_TYPES.STEP,
+                boundaryId: stepBoundaryId,
+                data: {
+                    id: step.id,
+                    dependsOn
+                }
+            },
+            'Executing graph step'
+        );
+
+        const fail = (error, message = `[Error in ${step.id} step]`) => {
+            childLogger.warn(
+                {
+                    event: EXECUTION_EVENTS.GRAPH_STEP_ERROR,
+                    eventRole: EVENT_ROLES.BOUNDARY_END,
+                    boundaryType: BOUNDARY_TYPES.STEP,
+                    boundaryId: stepBoundaryId,
+                    traceId,
+                    data: { id: step.id, role, error }
+                },
+                'Graph step failed'
+            );
+            return { id: step.id, role, output: message, error: true };
+        };
+
+        try {
+            // Stop starting steps once the turn has spent its cost budget
+            if (costLedger?.isExhausted(maxCostUsd)) {
+                return fail('Cost budget exhausted', `[Skipped ${step.id} step: cost budget exhausted]`);
+            }
+
+            // Dependent steps are composed without input - they see the request
+            // the root steps were composed with, then their dependency outputs
+            const dependencyPrompt = module?.prompts?.['adapt.graph-dependency-output'] || DEFAULT_GRAPH_PROMPTS.dependencyOutput;
+            const dependencyMessages = dependsOn.map((id) => {
+                const dependency = results.get(id);
+                return {
+                    role: 'user',
+                    content: typeof dependencyPrompt === 'function'
+                        ? dependencyPrompt({ id, role: dependency.role, output: dependency.output })
+                        : dependencyPrompt
+                };
+            });
+            const stepThread = dependsOn.length === 0
+                ? thread
+                : [...thread, ...requestMessages(userInput, config?.attachments), ...dependencyMessages];
+
+            const childContext = {
+                ...context,
+                depth: (context.depth || 0) + 1,
+                branch,
+                traceId // Keep same traceId
+            };
+
+            const selectedPlan = buildStepPlan(step, {
+                costBudget: plan.costBudget,
+                rationale: `Graph step ${step.id}: ${role}`
+            });
+
+            // Sub-plans recurse into another sequential/parallel execution
+            if (isCompositeStep(step)) {
+                const decision = await checkSubPlan(selectedPlan, childContext.depth, policy, machineContext);
+                if (!decision.approved) {
+                    return fail(decision.reason, `[Error: Sub-plan rejected: ${decision.reason}]`);
+                }
+            }
+
+            // Only task strategy steps can use tools, and only if tools are specified
+            const toolsForStep = (step.strategy || 'task') === 'task' && stepTools
+                ? stepTools
+                : undefined;
+
+            const childConfig = {
+                ...machineContext.config,
+                tools: toolsForStep,
+                autoApproveTools: machineContext.config.autoApproveTools
+            };
+
+            const startTime = Date.now();
+            const [status, childResult] = await runCycle({
+                logger: childLogger,
+                thread: stepThread,
+                input: dependsOn.length === 0 ? userInput : '', // Root steps see the user input
+                module,
+                depth: childContext.depth,
+                branch: childContext.branch,
+                traceId: childContext.traceId,
+                spanId: null, // Let runCycle generate it
+                parentSpanId: childLogger.bindings().spanId,
+                sessionId: childLogger.bindings().sessionId,
+                parentBoundaryId: stepBoundaryId, // Pass step boundary as parent for nested executions
+                selectedPlan,
+                previousOutput: dependsOn.length > 0 ? results.get(dependsOn.at(-1)).output : null,
+                compositionType: dependsOn.length === 0 ? 'default' : 'accumulation',
+                machineDefinition: machineContext.machineDefinition,
+                handlers: machineContext.handlers,
+                config: childConfig,
+                discoveredTools: machineContext.discoveredTools, // Pass discovered tools to child
+                abortSignal, // Propagate abort signal
+                onDelta, // Forward streamed output
+                costLedger, // Charge step calls to the same turn
+                cassette // Record or replay step calls with the turn
+            });
+            const duration = Date.now() - startTime;
+
+            if (status !== 'SUCCEEDED' || !childResult?.handlerResult?.response) {
+                return fail(`Step execution failed (${status})`);
+            }
+
+            const roleResponse = childResult.handlerResult.response;
+
+            childLogger.info(
+                {
+                    event: EXECUTION_EVENTS.GRAPH_STEP_COMPLETE,
+                    eventRole: EVENT_ROLES.BOUNDARY_END,
+                    boundaryType: BOUNDARY_TYPES.STEP,
+                    boundaryId: stepBoundaryId,
+                    data: {
+                        output: roleResponse.output,
+                        usage: roleResponse.usage,
+                        duration
+                    }
+                },
+                `Graph step ${step.id} completed`
+            );
+
+            return {
+                id: step.id,
+                role,
+                output: roleResponse.output,
+                usage: roleResponse.usage,
+                duration
+            };
+        } catch (error) {
+            if (isInterruptError(error)) {
+                throw error;
+            }
+            return fail(error.message, `[Error: ${error.message}]`);
+        }
+    }
+
+    const pending = [...steps];
+    const running = new Map(); // step id -> promise
+
+    while (pending.length > 0 || running.size > 0) {
+        if (abortSignal?.aborted) {
+            throw new InterruptError('Graph execution interrupted', {
+                stage: 'graph-step',
+                stepsCompleted: results.size,
+                totalSteps: steps.length,
+                gatheredData: [...results.values()],
+                thread
+            });
+        }
+
+        let progressed = false;
+        for (const step of [...pending]) {
+            if (running.size >= maxFanout) break;
+
+            const dependsOn = step.dependsOn || [];
+            if (!dependsOn.every(id => results.has(id))) continue;
+
+            pending.splice(pending.indexOf(step), 1);
+            progressed = true;
+
+            const failed = dependsOn.filter(id => results.get(id).error);
+            if (failed.length > 0) {
+                results.set(step.id, {
+                    id: step.id,
+                    role: stepLabel(step),
+                    output: `[Skipped ${step.id} step: ${failed.join(', ')} failed]`,
+                    error: true
+                });
+                continue;
+            }
+
+            running.set(step.id, runStep(step).then((result) => {
+                results.set(step.id, result);
+                running.delete(step.id);
+            }));
+        }
+
+        if (running.size > 0) {
+            await Promise.race(running.values());
+        } else if (!progressed) {
+            break; // Unreachable for a validated graph
+        }
+    }
+
+    // Results in declaration order
+    const ordered = steps.map(step => results.get(step.id)).filter(Boolean);
+
+    for (const result of ordered) {
+        aggregateUsage.prompt += result.usage?.prompt || 0;
+        aggregateUsage.completion += result.usage?.completion || 0;
+    }
+
+    // Format output based on result strategy
+    let combinedOutput;
+
+    if (resultStrategy === 'last') {
+        // Return only the final step's output
+        combinedOutput = ordered.at(-1)?.output || '';
+    } else if (resultStrategy === 'concat') {
+        // Concatenate all outputs without labels
+        combinedOutput = ordered
+            .filter((r) => !r.error)
+            .map((r) => r.output)
+            .join('\n\n');
+    } else if (resultStrategy === 'formatted' && module?.orchestration?.formatResponse) {
+        // Use module's format function
+        combinedOutput = module.orchestration.formatResponse(
+            ordered.map((r) => ({
+                role: r.role,
+                content: r.output
+            }))
+        );
+    } else {
+        // Default 'label' strategy
+        combinedOutput = ordered.map((r) => `[${r.id}]\n${r.output}`).join('\n\n---\n\n');
+    }
+
+    const successfulSteps = ordered.filter((r) => !r.error).length;
+
+    logger.info(
+        {
+            event: EXECUTION_EVENTS.GRAPH_COMPLETE,
+            eventRole: EVENT_ROLES.BOUNDARY_END,
+            boundaryType: BOUNDARY_TYPES.EXECUTION,
+            boundaryId: executionBoundaryId,
+            parentBoundaryId: context.parentBoundaryId || null,
+            traceId,
+            data: {
+                strategy: 'graph',
+                totalSteps: steps.length,
+                successfulSteps,
+                aggregateUsage
+            }
+        },
+        'Graph execution completed'
+    );
+
+    return {
+        response: {
+            output: combinedOutput,
+            usage: aggregateUsage,
+            model: config?.model || 'gpt-4o-mini',
+            metadata: {
+                strategy: 'graph',
+                steps: steps.length,
+                successfulSteps,
+                depth: context.depth || 0
+            }
+        }
+    };
+}
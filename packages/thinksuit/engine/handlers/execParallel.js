@@ -7,10 +7,163 @@ import { createSpanLogger } from '../logger.js';
 import { runCycle } from '../runCycle.js';
 import { EXECUTION_EVENTS, EVENT_ROLES, BOUNDARY_TYPES } from '../constants/events.js';
 import { InterruptError, isInterruptError } from '../errors/InterruptError.js';
+import { isCompositeStep, stepLabel, buildStepPlan, checkSubPlan, requestMessages } from './utils/subPlan.js';
+import { SELECTION_STRATEGIES, voteOnResults, defaultJudgePrompt, parseJudgeVerdict } from './utils/resultSelection.js';
+
+/**
+ * Pick one branch result by vote, or ask the plan's judge role to pick or merge
+ * Falls back to the vote when there is no judge or its verdict is unusable.
+ * @param {Object} params
+ * @returns {Promise<Object>} { output, usage, selection }
+ */
+async function selectBranchResult({ resultStrategy, plan, candidates, thread, userInput, context, executionBoundaryId, machineContext }) {
+    const logger = machineContext.execLogger;
+    const module = machineContext?.module || {};
+    const costLedger = machineContext?.costLedger;
+    const traceId = context.traceId;
+    const judgeMode = plan.judgeMode || 'pick';
+    const usage = { prompt: 0, completion: 0 };
+    const selectionBoundaryId = `selection-${executionBoundaryId}`;
+
+    logger.info(
+        {
+            event: EXECUTION_EVENTS.RESULT_SELECTION_START,
+            eventRole: EVENT_ROLES.BOUNDARY_START,
+            boundaryType: BOUNDARY_TYPES.SELECTION,
+            boundaryId: selectionBoundaryId,
+            parentBoundaryId: executionBoundaryId,
+            traceId,
+            data: {
+                resultStrategy,
+                candidates: candidates.length,
+                ...(resultStrategy === 'judge' && { judge: plan.judge ? stepLabel(plan.judge) : null, judgeMode })
+            }
+        },
+        `Selecting branch result by ${resultStrategy}`
+    );
+
+    let output = '[All branches failed]';
+    let selection = { resultStrategy, method: 'none', winner: null, scores: [] };
+
+    if (candidates.length > 0) {
+        const vote = voteOnResults(candidates);
+        output = candidates[vote.winner].output;
+        selection = {
+            resultStrategy,
+            method: 'vote',
+            winner: candidates[vote.winner].branch,
+            agreement: vote.agreement,
+            majority: vote.majority,
+            scores: vote.scores
+        };
+
+        if (resultStrategy === 'judge') {
+            let fallback = null;
+
+            if (!plan.judge) {
+                fallback = 'No judge role in plan';
+            } else if (costLedger?.isExhausted(plan.costBudget?.maxCostUsd)) {
+                fallback = 'Cost budget exhausted';
+            } else {
+                const judgeRole = stepLabel(plan.judge);
+                const judgeLogger = createSpanLogger(logger, `exec-${judgeRole}`, {
+                    role: judgeRole,
+                    branch: `${context.branch || 'root'}.judge`,
+                    parentBoundaryId: selectionBoundaryId
+                });
+                const judgePlan = buildStepPlan(plan.judge, {
+                    costBudget: plan.costBudget,
+                    rationale: `Judge ${candidates.length} parallel branches`
+                });
+                const judgePrompt = module?.prompts?.['adapt.parallel-judge'] || defaultJudgePrompt;
+                const promptParams = { candidates, criteria: plan.criteria || [], mode: judgeMode };
+
+                const [status, childResult] = await runCycle({
+                    logger: judgeLogger,
+                    // The judge is composed without input - put the request in the conversation it judges
+                    thread: [
+                        ...thread,
+                        ...requestMessages(userInput, machineContext.config?.attachments),
+                        { role: 'user', content: typeof judgePrompt === 'function' ? judgePrompt(promptParams) : judgePrompt }
+                    ],
+                    module,
+                    depth: (context.depth || 0) + 1,
+                    branch: `${context.branch || 'root'}.judge`,
+                    traceId,
+                    spanId: null, // Let runCycle generate it
+                    parentSpanId: judgeLogger.bindings().spanId,
+                    sessionId: judgeLogger.bindings().sessionId,
+                    parentBoundaryId: selectionBoundaryId, // Nest the judge call under the selection
+                    selectedPlan: judgePlan,
+                    compositionType: 'accumulation',
+                    machineDefinition: machineContext.machineDefinition,
+                    handlers: machineContext.handlers,
+                    config: {
+                        ...machineContext.config,
+                        tools: judgePlan.strategy === 'task' && judgePlan.tools ? judgePlan.tools : undefined,
+                        autoApproveTools: machineContext.config.autoApproveTools
+                    },
+                    discoveredTools: machineContext.discoveredTools,
+                    abortSignal: machineContext?.abortSignal,
+                    onDelta: machineContext?.onDelta,
+                    costLedger,
+                    cassette: machineContext?.cassette
+                });
+
+                const response = status === 'SUCCEEDED' ? childResult?.handlerResult?.response : null;
+                usage.prompt += response?.usage?.prompt || 0;
+                usage.completion += response?.usage?.completion || 0;
+
+                const verdict = response ? parseJudgeVerdict(response.output, candidates.length) : null;
+                if (!response) {
+                    fallback = `Judge ${judgeRole} failed (${status})`;
+                } else if (!verdict) {
+                    fallback = 'Judge verdict could not be parsed';
+                } else {
+                    const merged = judgeMode === 'merge' && verdict.merged !== undefined;
+                    output = merged ? verdict.merged : candidates[verdict.winner].output;
+                    selection = {
+                        resultStrategy,
+                        method: merged ? 'judge-merge' : 'judge',
+                        judge: judgeRole,
+                        winner: candidates[verdict.winner].branch,
+                        rationale: verdict.rationale,
+                        scores: verdict.scores
+                            .filter(entry => candidates[entry.candidate - 1])
+                            .map(({ candidate, ...entry }) => ({
+                                branch: candidates[candidate - 1].branch,
+                                role: candidates[candidate - 1].role,
+                                ...entry
+                            }))
+                    };
+                }
+            }
+
+            if (fallback) {
+                selection.fallback = fallback;
+            }
+        }
+    }
+
+    logger.info(
+        {
+            event: EXECUTION_EVENTS.RESULT_SELECTION_COMPLETE,
+            eventRole: EVENT_ROLES.BOUNDARY_END,
+            boundaryType: BOUNDARY_TYPES.SELECTION,
+            boundaryId: selectionBoundaryId,
+            parentBoundaryId: executionBoundaryId,
+            traceId,
+            data: selection
+        },
+        selection.winner ? `Selected branch ${selection.winner} by ${selection.method}` : 'No branch result to select'
+    );
+
+    return { output, usage, selection };
+}
 
 /**
  * Core parallel execution logic
- * @param {Object} input - { plan, instructions, thread, context, policy }
+ * @param {Object} input - { plan, instructions, thread, userInput, context, policy }
  * @param {Object} machineContext - Machine context with handlers and config
  * @returns {Object} - { response: Response }
  */
@@ -19,6 +172,7 @@ export async function execParallelCore(input, machineContext) {
         plan = {},
         //instructions = {},
         thread = [],
+        userInput = '',
         context = {},
         policy = {}
     } = input;
@@ -27,6 +181,10 @@ export async function execParallelCore(input, machineContext) {
     const logger = machineContext.execLogger;
     const config = machineContext?.config;
     const abortSignal = machineContext?.abortSignal;
+    const onDelta = machineContext?.onDelta;
+    const costLedger = machineContext?.costLedger;
+    const cassette = machineContext?.cassette;
+    const maxCostUsd = plan.costBudget?.maxCostUsd;
 
     // Get the full module from machineContext
     const module = machineContext?.module || {};
@@ -76,13 +234,12 @@ export async function execParallelCore(input, machineContext) {
         });
     }
 
-    // Create promises for parallel execution
-    const rolePromises = roles.map(async (item, index) => {
-        // Support both string and object format
-        const role = typeof item === 'string' ? item : item.role;
+    // Run one branch - settles with its result, rejects only on interruption
+    const runBranch = async (item, index) => {
+        // Support string, object and nested sub-plan format
+        const role = stepLabel(item);
         const adaptations = typeof item === 'object' ? (item.adaptations || []) : [];
         const stepStrategy = typeof item === 'object' ? item.strategy : null;
-        const stepResolution = typeof item === 'object' ? item.resolution : null;
         const stepTools = typeof item === 'object' ? item.tools : null;
 
         const branch = `${context.branch || 'root'}.branch-${index + 1}`;
@@ -128,16 +285,20 @@ export async function execParallelCore(input, machineContext) {
                 context: childContext,
                 policy,
                 // Selected plan - use step's strategy if specified, otherwise 'task'
-                selectedPlan: {
-                    strategy: stepStrategy || 'task',
-                    role,
-                    adaptations,
-                    resolution: stepResolution, // Pass step-level resolution if provided
-                    tools: stepTools, // Use step-specific tools
+                selectedPlan: buildStepPlan(item, {
+                    costBudget: plan.costBudget,
                     rationale: `Parallel branch: ${role}`
-                }
+                })
             };
 
+            // Sub-plans recurse into another sequential/parallel execution
+            if (isCompositeStep(item)) {
+                const decision = await checkSubPlan(childInput.selectedPlan, childContext.depth, policy, machineContext);
+                if (!decision.approved) {
+                    throw new Error(`Sub-plan rejected: ${decision.reason}`);
+                }
+            }
+
             // Determine tools for this branch
             // Only task strategy steps can use tools, and only if tools are specified
             const effectiveStrategy = stepStrategy || 'task';
@@ -162,6 +323,36 @@ export async function execParallelCore(input, machineContext) {
                 });
             }
 
+            // Stop fanning out once the turn has spent its cost budget
+            if (costLedger?.isExhausted(maxCostUsd)) {
+                childLogger.warn(
+                    {
+                        event: EXECUTION_EVENTS.PARALLEL_BRANCH_ERROR,
+                        eventRole: EVENT_ROLES.BOUNDARY_END,
+                        boundaryType: BOUNDARY_TYPES.BRANCH,
+                        boundaryId: branchBoundaryId,
+                        traceId,
+                        data: {
+                            branchIndex: index + 1,
+                            totalBranches: roles.length,
+                            error: 'Cost budget exhausted',
+                            totalCostUsd: costLedger.totalUsd,
+                            maxCostUsd
+                        }
+                    },
+                    'Parallel branch skipped'
+                );
+
+                return {
+                    role,
+                    output: `[Skipped ${role} branch: cost budget exhausted]`,
+                    usage: { prompt: 0, completion: 0 },
+                    duration: 0,
+                    success: false,
+                    error: 'Cost budget exhausted'
+                };
+            }
+
             // Re-invoke state machine for this role using runCycle
             const startTime = Date.now();
             const [status, childResult] = await runCycle({
@@ -181,7 +372,10 @@ export async function execParallelCore(input, machineContext) {
                 handlers: machineContext.handlers,
                 config: childConfig,
                 discoveredTools: machineContext.discoveredTools, // Pass discovered tools to child
-                abortSignal // Propagate abort signal to branch
+                abortSignal, // Propagate abort signal to branch
+                onDelta, // Forward streamed output from branch
+                costLedger, // Charge branch calls to the same turn
+                cassette // Record or replay branch calls with the turn
             });
             const duration = Date.now() - startTime;
 
@@ -272,11 +466,48 @@ export async function execParallelCore(input, machineContext) {
                 error: error.message
             };
         }
-    });
+    };
 
-    // Wait for all parallel executions to complete
+    // How many branches may be in flight at once
+    // Without a budget every branch starts together. With one, the first branch
+    // runs alone to price a branch, then each completion re-checks the ledger
+    // and starts as many more as the remaining budget is expected to cover.
+    const spentBefore = costLedger?.totalUsd || 0;
+    const budgeted = Boolean(costLedger) && maxCostUsd !== undefined && maxCostUsd !== null;
+    const branchAllowance = (completed) => {
+        if (!budgeted || costLedger.isExhausted(maxCostUsd)) return roles.length; // Later branches skip themselves
+        if (completed === 0) return 1;
+
+        const perBranch = (costLedger.totalUsd - spentBefore) / completed;
+        if (perBranch <= 0) return roles.length;
+        return Math.max(1, Math.floor((maxCostUsd - costLedger.totalUsd) / perBranch));
+    };
+
+    // Start branches in gated batches and wait for all of them to settle
     const startTime = Date.now();
-    const results = await Promise.allSettled(rolePromises);
+    const results = new Array(roles.length);
+    const running = new Set();
+    let started = 0;
+    let completed = 0;
+
+    while (started < roles.length || running.size > 0) {
+        while (started < roles.length && running.size < branchAllowance(completed)) {
+            const index = started++;
+            const branch = runBranch(roles[index], index)
+                .then(
+                    (value) => ({ status: 'fulfilled', value }),
+                    (reason) => ({ status: 'rejected', reason })
+                )
+                .then((result) => {
+                    results[index] = result;
+                    running.delete(branch);
+                    completed++;
+                });
+            running.add(branch);
+        }
+
+        await Promise.race(running);
+    }
     const totalDuration = Date.now() - startTime;
 
     // Get result strategy from plan
@@ -296,8 +527,7 @@ export async function execParallelCore(input, machineContext) {
             return roleResult;
         } else {
             // Promise rejected
-            const item = roles[index];
-            const role = typeof item === 'string' ? item : item.role;
+            const role = stepLabel(roles[index]);
 
             return {
                 role,
@@ -309,8 +539,28 @@ export async function execParallelCore(input, machineContext) {
 
     // Format output based on result strategy
     let combinedOutput;
-
-    if (resultStrategy === 'last') {
+    let selection = null;
+
+    if (SELECTION_STRATEGIES.includes(resultStrategy)) {
+        // Pick one branch by agreement or by a judge role
+        const candidates = processedResults
+            .map((r, index) => ({ ...r, branch: index + 1 }))
+            .filter((r) => r.success);
+        const selected = await selectBranchResult({
+            resultStrategy,
+            plan,
+            candidates,
+            thread,
+            userInput,
+            context,
+            executionBoundaryId,
+            machineContext
+        });
+        combinedOutput = selected.output;
+        selection = selected.selection;
+        aggregateUsage.prompt += selected.usage.prompt;
+        aggregateUsage.completion += selected.usage.completion;
+    } else if (resultStrategy === 'last') {
         // Return only the last successful output (unusual for parallel, but allowed)
         const lastSuccess = processedResults.filter((r) => r.success).pop();
         combinedOutput = lastSuccess?.output || '[All branches failed]';
@@ -367,7 +617,8 @@ export async function execParallelCore(input, machineContext) {
                 branches: roles.length,
                 successfulBranches,
                 depth: context.depth || 0,
-                totalDuration
+                totalDuration,
+                ...(selection && { selection })
             }
         }
     };
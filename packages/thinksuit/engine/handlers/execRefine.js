@@ -0,0 +1,314 @@
+/**
+ * execRefine handler - core logic only
+ * Effectful execution plane - critique-and-revise loop between two roles
+ */
+
+import { createSpanLogger } from '../logger.js';
+import { runCycle } from '../runCycle.js';
+import { EXECUTION_EVENTS, EVENT_ROLES, BOUNDARY_TYPES } from '../constants/events.js';
+import { InterruptError, isInterruptError } from '../errors/InterruptError.js';
+import { stepLabel, buildStepPlan, requestMessages } from './utils/subPlan.js';
+import { DEFAULT_MAX_ITERATIONS } from '../constants/defaults.js';
+
+// Default refine framing prompts (fallbacks when module doesn't provide them)
+const DEFAULT_REFINE_PROMPTS = {
+    critique: ({ criteria }) => [
+        'Evaluate the draft above.',
+        ...(criteria.length > 0 ? [`Criteria:\n${criteria.map(c => `- ${c}`).join('\n')}`] : []),
+        'List concrete problems, then end with a final line that is exactly "VERDICT: APPROVED" if the draft needs no further changes, or "VERDICT: REVISE" otherwise.'
+    ].join('\n\n'),
+    revise: ({ critique }) =>
+        `A reviewer critiqued your draft:\n\n${critique}\n\nRevise the draft to address the critique. Reply with the complete revised draft only.`
+};
+
+/**
+ * Read the critic's verdict - the last VERDICT line wins
+ * @param {string} critique - Critic output
+ * @returns {boolean} true when the critic approved the draft
+ */
+export function isApproved(critique = '') {
+    const verdicts = [...critique.matchAll(/^\W*verdict\W*:?\W*(approved|revise)\b/gim)];
+    return verdicts.at(-1)?.[1].toLowerCase() === 'approved';
+}
+
+/**
+ * Core refine execution logic
+ * The producer drafts, the critic evaluates the draft against plan.criteria,
+ * and the producer revises until the critic approves or maxIterations is hit.
+ * @param {Object} input - { plan, instructions, thread, userInput, context, policy }
+ * @param {Object} machineContext - Machine context with handlers and config
+ * @returns {Object} - { response: Response }
+ */
+export async function execRefineCore(input, machineContext) {
+    const {
+        plan = {},
+        thread = [],
+        userInput = '',
+        context = {}
+    } = input;
+
+    const traceId = context.traceId;
+    const logger = machineContext.execLogger;
+    const config = machineContext?.config;
+    const abortSignal = machineContext?.abortSignal;
+    const onDelta = machineContext?.onDelta;
+    const costLedger = machineContext?.costLedger;
+    const cassette = machineContext?.cassette;
+    const maxCostUsd = plan.costBudget?.maxCostUsd;
+
+    // Get the full module from machineContext
+    const module = machineContext?.module || {};
+
+    if (!plan.producer || !plan.critic) {
+        logger.error({ traceId }, 'Refine execution needs a producer and a critic');
+        return {
+            response: {
+                output: 'Refine execution needs a producer and a critic',
+                usage: { prompt: 0, completion: 0 },
+                model: 'error',
+                error: 'Missing producer or critic'
+            }
+        };
+    }
+
+    const producer = stepLabel(plan.producer);
+    const critic = stepLabel(plan.critic);
+    const criteria = plan.criteria || [];
+    const maxIterations = plan.maxIterations ?? DEFAULT_MAX_ITERATIONS;
+
+    const executionBoundaryId = `exec-refine-${context.sessionId}-${Date.now()}`;
+
+    logger.info(
+        {
+            event: EXECUTION_EVENTS.REFINE_START,
+            eventRole: EVENT_ROLES.BOUNDARY_START,
+            boundaryType: BOUNDARY_TYPES.EXECUTION,
+            boundaryId: executionBoundaryId,
+            parentBoundaryId: context.parentBoundaryId || null,
+            traceId,
+            data: {
+                strategy: 'refine',
+                producer,
+                critic,
+                criteria,
+                maxIterations,
+                depth: context.depth || 0
+            }
+        },
+        'Starting refine execution'
+    );
+
+    const aggregateUsage = { prompt: 0, completion: 0 };
+
+    // Run one role through the state machine - execDirect/execTask do the work
+    async function runRole(step, { iteration, iterationBoundaryId, roleThread, roleInput, part }) {
+        const role = stepLabel(step);
+        const branch = `${context.branch || 'root'}.iteration-${iteration}.${part}`;
+        const childLogger = createSpanLogger(logger, `exec-${role}`, {
+            role,
+            iteration,
+            branch,
+            parentBoundaryId: iterationBoundaryId
+        });
+
+        const selectedPlan = buildStepPlan(step, {
+            costBudget: plan.costBudget, // Both roles draw on the same budget
+            rationale: `Refine iteration ${iteration}: ${part} ${role}`
+        });
+
+        // Only task strategy roles can use tools, and only if tools are specified
+        const toolsForRole = selectedPlan.strategy === 'task' && selectedPlan.tools
+            ? selectedPlan.tools
+            : undefined;
+
+        const [status, childResult] = await runCycle({
+            logger: childLogger,
+            thread: roleThread,
+            input: roleInput,
+            module,
+            depth: (context.depth || 0) + 1,
+            branch,
+            traceId,
+            spanId: null, // Let runCycle generate it
+            parentSpanId: childLogger.bindings().spanId,
+            sessionId: childLogger.bindings().sessionId,
+            parentBoundaryId: iterationBoundaryId, // Nest role executions under the iteration
+            selectedPlan,
+            compositionType: roleInput ? 'default' : 'accumulation',
+            machineDefinition: machineContext.machineDefinition,
+            handlers: machineContext.handlers,
+            config: {
+                ...machineContext.config,
+                tools: toolsForRole,
+                autoApproveTools: machineContext.config.autoApproveTools
+            },
+            discoveredTools: machineContext.discoveredTools, // Pass discovered tools to child
+            abortSignal, // Propagate abort signal
+            onDelta, // Forward streamed output
+            costLedger, // Charge role calls to the same turn
+            cassette // Record or replay role calls with the turn
+        });
+
+        const response = status === 'SUCCEEDED' ? childResult?.handlerResult?.response : null;
+        if (!response) {
+            throw new Error(`${part} ${role} failed (${status})`);
+        }
+
+        aggregateUsage.prompt += response.usage?.prompt || 0;
+        aggregateUsage.completion += response.usage?.completion || 0;
+        return response.output;
+    }
+
+    const critiquePrompt = module?.prompts?.['adapt.refine-critique'] || DEFAULT_REFINE_PROMPTS.critique;
+    const revisePrompt = module?.prompts?.['adapt.refine-revise'] || DEFAULT_REFINE_PROMPTS.revise;
+    const render = (prompt, params) => (typeof prompt === 'function' ? prompt(params) : prompt);
+
+    // Revisions and critiques are composed without input - keep the request ahead of the draft
+    const request = requestMessages(userInput, config?.attachments);
+
+    let draft = null;
+    let critique = null;
+    let approved = false;
+    let iterations = 0;
+    let stopReason = 'max_iterations';
+
+    for (let iteration = 1; iteration <= maxIterations; iteration++) {
+        // Check for interruption before each iteration
+        if (abortSignal?.aborted) {
+            throw new InterruptError('Refine execution interrupted', {
+                stage: 'refine-iteration',
+                iteration,
+                iterationsCompleted: iterations,
+                gatheredData: { draft, critique },
+                thread
+            });
+        }
+
+        // Keep the last draft once the turn has spent its cost budget
+        if (draft !== null && costLedger?.isExhausted(maxCostUsd)) {
+            stopReason = 'cost_budget';
+            break;
+        }
+
+        const iterationBoundaryId = `iteration-${executionBoundaryId}-${iteration}`;
+        logger.info(
+            {
+                event: EXECUTION_EVENTS.REFINE_ITERATION_START,
+                eventRole: EVENT_ROLES.BOUNDARY_START,
+                boundaryType: BOUNDARY_TYPES.ITERATION,
+                boundaryId: iterationBoundaryId,
+                parentBoundaryId: executionBoundaryId,
+                traceId,
+                data: { iteration, maxIterations }
+            },
+            `Refine iteration ${iteration}`
+        );
+
+        try {
+            // First iteration drafts from the conversation, later ones revise the last draft
+            draft = await runRole(plan.producer, {
+                iteration,
+                iterationBoundaryId,
+                part: 'producer',
+                roleInput: iteration === 1 ? userInput : '',
+                roleThread: iteration === 1
+                    ? thread
+                    : [
+                        ...thread,
+                        ...request,
+                        { role: 'assistant', content: draft },
+                        { role: 'user', content: render(revisePrompt, { iteration, critique, criteria }) }
+                    ]
+            });
+
+            critique = await runRole(plan.critic, {
+                iteration,
+                iterationBoundaryId,
+                part: 'critic',
+                roleInput: '',
+                roleThread: [
+                    ...thread,
+                    ...request,
+                    { role: 'assistant', content: draft },
+                    { role: 'user', content: render(critiquePrompt, { iteration, criteria }) }
+                ]
+            });
+        } catch (error) {
+            if (isInterruptError(error)) {
+                throw error;
+            }
+
+            logger.warn(
+                {
+                    event: EXECUTION_EVENTS.REFINE_ITERATION_COMPLETE,
+                    eventRole: EVENT_ROLES.BOUNDARY_END,
+                    boundaryType: BOUNDARY_TYPES.ITERATION,
+                    boundaryId: iterationBoundaryId,
+                    parentBoundaryId: executionBoundaryId,
+                    traceId,
+                    data: { iteration, error: error.message }
+                },
+                `Refine iteration ${iteration} failed`
+            );
+            stopReason = 'error';
+            break;
+        }
+
+        iterations = iteration;
+        approved = isApproved(critique);
+
+        logger.info(
+            {
+                event: EXECUTION_EVENTS.REFINE_ITERATION_COMPLETE,
+                eventRole: EVENT_ROLES.BOUNDARY_END,
+                boundaryType: BOUNDARY_TYPES.ITERATION,
+                boundaryId: iterationBoundaryId,
+                parentBoundaryId: executionBoundaryId,
+                traceId,
+                data: { iteration, draft, critique, approved }
+            },
+            `Refine iteration ${iteration} ${approved ? 'approved' : 'needs revision'}`
+        );
+
+        if (approved) {
+            stopReason = 'approved';
+            break;
+        }
+    }
+
+    logger.info(
+        {
+            event: EXECUTION_EVENTS.REFINE_COMPLETE,
+            eventRole: EVENT_ROLES.BOUNDARY_END,
+            boundaryType: BOUNDARY_TYPES.EXECUTION,
+            boundaryId: executionBoundaryId,
+            parentBoundaryId: context.parentBoundaryId || null,
+            traceId,
+            data: {
+                strategy: 'refine',
+                iterations,
+                approved,
+                stopReason,
+                aggregateUsage
+            }
+        },
+        'Refine execution completed'
+    );
+
+    return {
+        response: {
+            output: draft ?? `[Error in ${producer} draft]`,
+            usage: aggregateUsage,
+            model: config?.model || 'gpt-4o-mini',
+            metadata: {
+                strategy: 'refine',
+                producer,
+                critic,
+                iterations,
+                approved,
+                stopReason,
+                depth: context.depth || 0
+            }
+        }
+    };
+}
@@ -7,6 +7,8 @@ import { createSpanLogger } from '../logger.js';
 import { runCycle } from '../runCycle.js';
 import { EXECUTION_EVENTS, EVENT_ROLES, BOUNDARY_TYPES } from '../constants/events.js';
 import { InterruptError } from '../errors/InterruptError.js';
+import { requestCheckpoint } from '../approval/async.js';
+import { isCompositeStep, isCheckpointStep, stepLabel, buildStepPlan, checkSubPlan } from './utils/subPlan.js';
 
 // Default sequential framing prompts (fallbacks when module doesn't provide them)
 const DEFAULT_SEQUENTIAL_PROMPTS = {
@@ -24,11 +26,15 @@ const DEFAULT_SEQUENTIAL_PROMPTS = {
         return message;
     },
     stepEnd: ({ stepNumber, role }) =>
-        `This is the end of step ${stepNumber}: ${role}.`
+        `This is the end of step ${stepNumber}: ${role}.`,
+    checkpointGuidance: ({ guidance }) =>
+        `Before the next step, the user reviewed the work so far and added this guidance:\n\n${guidance}`
 };
 
 /**
  * Core sequential execution logic
+ * Checkpoint steps don't run a role - they pause the turn until the user
+ * continues, adds guidance for the remaining steps, or aborts the plan.
  * @param {Object} input - { plan, instructions, thread, context, policy }
  * @param {Object} machineContext - Machine context with handlers and config
  * @returns {Object} - { response: Response }
@@ -47,6 +53,9 @@ export async function execSequentialCore(input, machineContext) {
     const logger = machineContext.execLogger;
     const config = machineContext?.config;
     const abortSignal = machineContext?.abortSignal;
+    const onDelta = machineContext?.onDelta;
+    const costLedger = machineContext?.costLedger;
+    const cassette = machineContext?.cassette;
 
     // Get the full module from machineContext
     const module = machineContext?.module || {};
@@ -71,6 +80,10 @@ export async function execSequentialCore(input, machineContext) {
     // Get threadAccumulation flag (defaults to true)
     const threadAccumulation = plan.threadAccumulation ?? true;
 
+    // Checkpoints pause between steps but are not steps themselves
+    const roleSteps = sequence.filter(step => !isCheckpointStep(step));
+    const totalSteps = roleSteps.length;
+
     const executionBoundaryId = `exec-sequential-${context.sessionId}-${Date.now()}`;
 
     logger.info(
@@ -95,15 +108,20 @@ export async function execSequentialCore(input, machineContext) {
     const results = [];
     let aggregateUsage = { prompt: 0, completion: 0 };
     let previousOutput = null;
+    let stepNumber = 0;
+    let stoppedAtCheckpoint = null;
+
+    // User guidance from checkpoints, for steps that don't accumulate the thread
+    const guidanceMessages = [];
 
     // Accumulated thread for threadAccumulation mode
     let accumulatedThread = [...thread]; // Start with original thread
 
     // Add sequential plan overview before starting steps
-    const roleNames = sequence.map(step => typeof step === 'string' ? step : step.role);
+    const roleNames = roleSteps.map(stepLabel);
     const planOverviewPrompt = module?.prompts?.['adapt.sequential-plan-overview'] || DEFAULT_SEQUENTIAL_PROMPTS.planOverview;
     const planOverviewContent = typeof planOverviewPrompt === 'function'
-        ? planOverviewPrompt({ stepCount: sequence.length, roleNames })
+        ? planOverviewPrompt({ stepCount: totalSteps, roleNames })
         : planOverviewPrompt;
 
     accumulatedThread.push({
@@ -118,21 +136,84 @@ export async function execSequentialCore(input, machineContext) {
             throw new InterruptError('Sequential execution interrupted', {
                 stage: 'sequential-step',
                 stepIndex: i,
-                stepsCompleted: i,
-                totalSteps: sequence.length,
+                stepsCompleted: stepNumber,
+                totalSteps,
                 gatheredData: results,
                 thread
             });
         }
 
-        // Support both string and object format
+        // Support string, object and nested sub-plan format
         const step = sequence[i];
-        const role = typeof step === 'string' ? step : step.role;
+
+        if (isCheckpointStep(step)) {
+            const lastResult = results.at(-1);
+            const request = {
+                message: step.message || 'Review the work so far before continuing',
+                step: stepNumber,
+                totalSteps,
+                role: lastResult?.role || null,
+                output: lastResult?.output ?? null
+            };
+
+            // Ask the user unless the run says nobody can answer (config.checkpoints)
+            const decision = ['continue', 'abort'].includes(config?.checkpoints)
+                ? { action: config.checkpoints, approvalId: null, auto: true }
+                : await requestCheckpoint(request, context.sessionId || config?.sessionId, logger, config?.approvalTimeout, executionBoundaryId, abortSignal);
+
+            // An interrupt while waiting ends the turn, not just the plan
+            if (abortSignal?.aborted) {
+                throw new InterruptError('Sequential execution interrupted at checkpoint', {
+                    stage: 'sequential-checkpoint',
+                    stepIndex: i,
+                    stepsCompleted: stepNumber,
+                    totalSteps,
+                    gatheredData: results,
+                    thread
+                });
+            }
+
+            logger.info(
+                {
+                    event: EXECUTION_EVENTS.CHECKPOINT_RESOLVED,
+                    approvalId: decision.approvalId,
+                    parentBoundaryId: executionBoundaryId,
+                    traceId,
+                    data: {
+                        message: request.message,
+                        step: stepNumber,
+                        action: decision.action,
+                        ...(decision.guidance && { guidance: decision.guidance }),
+                        ...(decision.auto && { auto: true })
+                    }
+                },
+                `Checkpoint after step ${stepNumber}: ${decision.action}`
+            );
+
+            if (decision.action === 'abort') {
+                stoppedAtCheckpoint = request.message;
+                break;
+            }
+
+            if (decision.action === 'edit' && decision.guidance?.trim()) {
+                const guidancePrompt = module?.prompts?.['adapt.checkpoint-guidance'] || DEFAULT_SEQUENTIAL_PROMPTS.checkpointGuidance;
+                const guidanceMessage = {
+                    role: 'user',
+                    content: typeof guidancePrompt === 'function'
+                        ? guidancePrompt({ guidance: decision.guidance.trim(), stepNumber })
+                        : guidancePrompt
+                };
+                accumulatedThread.push(guidanceMessage);
+                guidanceMessages.push(guidanceMessage);
+            }
+            continue;
+        }
+
+        const role = stepLabel(step);
         const adaptations = typeof step === 'object' ? (step.adaptations || []) : [];
         const stepStrategy = typeof step === 'object' ? step.strategy : null;
-        const stepResolution = typeof step === 'object' ? step.resolution : null;
         const stepTools = typeof step === 'object' ? step.tools : null;
-        const stepNumber = i + 1;
+        stepNumber++;
         const branch = `${context.branch || 'root'}.step-${stepNumber}`;
 
         // Define step boundary ID for this iteration
@@ -142,7 +223,7 @@ export async function execSequentialCore(input, machineContext) {
         const childLogger = createSpanLogger(logger, `exec-${role}`, {
             role,
             step: stepNumber,
-            totalSteps: sequence.length,
+            totalSteps,
             branch,
             adaptations,
             parentBoundaryId: executionBoundaryId
@@ -191,7 +272,7 @@ export async function execSequentialCore(input, machineContext) {
                 stepThread = [...accumulatedThread, stepStartMessage];
             } else {
                 // No threadAccumulation: start with original thread
-                stepThread = [...thread];
+                stepThread = [...thread, ...guidanceMessages];
             }
 
             // Build child input for state machine
@@ -201,16 +282,20 @@ export async function execSequentialCore(input, machineContext) {
                 context: childContext,
                 policy,
                 // Selected plan - use step's strategy if specified, otherwise 'task'
-                selectedPlan: {
-                    strategy: stepStrategy || 'task',
-                    role,
-                    adaptations,
-                    resolution: stepResolution, // Pass step-level resolution if provided
-                    tools: stepTools, // Use step-specific tools
+                selectedPlan: buildStepPlan(step, {
+                    costBudget: plan.costBudget,
                     rationale: `Sequential step ${stepNumber}: ${role}`
-                }
+                })
             };
 
+            // Sub-plans recurse into another sequential/parallel execution
+            if (isCompositeStep(step)) {
+                const decision = await checkSubPlan(childInput.selectedPlan, childContext.depth, policy, machineContext);
+                if (!decision.approved) {
+                    throw new Error(`Sub-plan rejected: ${decision.reason}`);
+                }
+            }
+
             // Determine tools for this step
             // Only task strategy steps can use tools, and only if tools are specified
             const effectiveStrategy = stepStrategy || 'task';
@@ -230,7 +315,7 @@ export async function execSequentialCore(input, machineContext) {
             const [status, childResult] = await runCycle({
                 logger: childLogger,
                 thread: stepThread, // Use the step-specific thread
-                input: i === 0 ? userInput : '', // Pass user input only to first step
+                input: stepNumber === 1 ? userInput : '', // Pass user input only to first step
                 module,
                 depth: childContext.depth,
                 branch: childContext.branch,
@@ -241,12 +326,15 @@ export async function execSequentialCore(input, machineContext) {
                 parentBoundaryId: stepBoundaryId, // Pass step boundary as parent for nested executions
                 selectedPlan: childInput.selectedPlan,
                 previousOutput: childContext.previousOutput,
-                compositionType: i === 0 ? 'default' : 'accumulation', // First step is default, subsequent are accumulation
+                compositionType: stepNumber === 1 ? 'default' : 'accumulation', // First step is default, subsequent are accumulation
                 machineDefinition: machineContext.machineDefinition,
                 handlers: machineContext.handlers,
                 config: childConfig,
                 discoveredTools: machineContext.discoveredTools, // Pass discovered tools to child
-                abortSignal // Propagate abort signal
+                abortSignal, // Propagate abort signal
+                onDelta, // Forward streamed output
+                costLedger, // Charge step calls to the same turn
+                cassette // Record or replay step calls with the turn
             });
             const duration = Date.now() - startTime;
 
@@ -336,7 +424,7 @@ export async function execSequentialCore(input, machineContext) {
                             duration
                         }
                     },
-                    `Step ${stepNumber} of ${sequence.length} completed`
+                    `Step ${stepNumber} of ${totalSteps} completed`
                 );
             } else {
                 // Handle failure but continue sequence
@@ -350,7 +438,7 @@ export async function execSequentialCore(input, machineContext) {
                         data: {
                             role,
                             step: stepNumber,
-                            totalSteps: sequence.length,
+                            totalSteps,
                             status,
                             error: 'Step execution failed'
                         }
@@ -376,7 +464,7 @@ export async function execSequentialCore(input, machineContext) {
                     data: {
                         role,
                         step: stepNumber,
-                        totalSteps: sequence.length,
+                        totalSteps,
                         error: error.message
                     }
                 },
@@ -418,6 +506,10 @@ export async function execSequentialCore(input, machineContext) {
         combinedOutput = results.map((r) => `[${r.role}]\n${r.output}`).join('\n\n---\n\n');
     }
 
+    if (stoppedAtCheckpoint) {
+        combinedOutput = [combinedOutput, `[Plan stopped at checkpoint: ${stoppedAtCheckpoint}]`].filter(Boolean).join('\n\n');
+    }
+
     logger.info(
         {
             event: EXECUTION_EVENTS.SEQUENTIAL_COMPLETE,
@@ -428,8 +520,9 @@ export async function execSequentialCore(input, machineContext) {
             traceId,
             data: {
                 strategy: 'sequential',
-                totalSteps: sequence.length,
+                totalSteps,
                 successfulSteps: results.filter((r) => !r.error).length,
+                ...(stoppedAtCheckpoint && { stoppedAtCheckpoint }),
                 aggregateUsage
             }
         },
@@ -445,7 +538,8 @@ export async function execSequentialCore(input, machineContext) {
                 strategy: 'sequential',
                 sequence,
                 steps: results.length,
-                depth: context.depth || 0
+                depth: context.depth || 0,
+                ...(stoppedAtCheckpoint && { stoppedAtCheckpoint })
             }
         }
     };
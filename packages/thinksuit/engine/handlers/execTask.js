@@ -21,13 +21,15 @@ const DEFAULT_TASK_PROMPTS = {
 
 /**
  * Core task execution logic - enables multi-cycle execution with tools
+ * A plan carrying resumeFrom (the resumeState logged when a top-level task was
+ * interrupted) picks up after the last cycle that task completed.
  * @param {Object} input - { plan, instructions, thread, context, policy }
  * @param {Object} machineContext - Machine context with handlers and config
  * @returns {Object} - { response: Response }
  */
 export async function execTaskCore(input, machineContext) {
     const { plan = {}, instructions = {}, thread = [], userInput = '', context = {}, compositionType = 'default', /*policy = {}*/ } = input;
-    const { module, config, execLogger: logger, abortSignal } = machineContext;
+    const { module, config, execLogger: logger, abortSignal, onDelta, costLedger, cassette } = machineContext;
 
     const traceId = context.traceId;
 
@@ -41,6 +43,7 @@ export async function execTaskCore(input, machineContext) {
 
     const executionBoundaryId = `exec-task-${context.sessionId}-${Date.now()}`;
     const parentBoundaryId = context.parentBoundaryId || null;
+    const { resumeFrom = null, ...taskPlan } = plan;
 
     logger.info(
         {
@@ -57,36 +60,80 @@ export async function execTaskCore(input, machineContext) {
                 resolution,
                 depth: context.depth || 0,
                 threadReceived: thread?.length || 0,
-                compositionType
+                compositionType,
+                ...(resumeFrom && { resumedAfterCycle: resumeFrom.cyclesCompleted })
             }
         },
-        'Starting task execution'
+        resumeFrom ? 'Resuming task execution' : 'Starting task execution'
     );
 
-    let cycleCount = 0;
-    let totalTokens = 0;
-    let totalToolCalls = 0;
-    let taskThread = [...thread]; // Internal working thread with all tool calls/cycles
-    let currentThread = [...(instructions?.thread || [])]; // Framing thread from composition
-    let lastResponse = null;
+    let cycleCount = resumeFrom?.cyclesCompleted || 0;
+    let totalTokens = resumeFrom?.totalTokens || 0;
+    let totalToolCalls = resumeFrom?.totalToolCalls || 0;
+    let taskThread = [...(resumeFrom?.taskThread || thread)]; // Internal working thread with all tool calls/cycles
+    let currentThread = [...(resumeFrom?.currentThread || instructions?.thread || [])]; // Framing thread from composition
+    let lastResponse = resumeFrom?.lastResponse || null;
     let continueTask = true;
     let errorMessage = null;
     let stoppedForSynthesis = false;
+    let costExhausted = false;
+    const maxCostUsd = plan.costBudget?.maxCostUsd; // Set by the maxCostUsd policy constraint
     const startTime = Date.now();
 
+    // Log where an interrupted task stood when its last cycle began - a top-level
+    // task saves enough to resume the turn from that cycle
+    const recordInterrupt = (error, cycleStart) => {
+        const resumable = (context.depth || 0) === 0;
+        logger.info(
+            {
+                event: EXECUTION_EVENTS.TASK_INTERRUPTED,
+                traceId,
+                parentBoundaryId: executionBoundaryId,
+                data: {
+                    stage: error.stage,
+                    cyclesCompleted: cycleStart.cyclesCompleted,
+                    ...(resumable && {
+                        resumeState: {
+                            plan: { ...taskPlan, resolution },
+                            userInput,
+                            ...cycleStart,
+                            currentThread
+                        }
+                    })
+                }
+            },
+            `Task interrupted after ${cycleStart.cyclesCompleted} completed cycles`
+        );
+        error.resumable = resumable;
+        return error;
+    };
+
     while (continueTask && cycleCount < resolution.maxCycles) {
+        // An interrupted cycle is run again from here on resume
+        const cycleStart = {
+            cyclesCompleted: cycleCount,
+            totalTokens,
+            totalToolCalls,
+            taskThread,
+            lastResponse: lastResponse && {
+                output: lastResponse.output,
+                finishReason: lastResponse.finishReason,
+                model: lastResponse.model
+            }
+        };
+
         cycleCount++;
 
         // Check for interruption
         if (abortSignal?.aborted) {
-            throw new InterruptError('Task interrupted by user', {
+            throw recordInterrupt(new InterruptError('Task interrupted by user', {
                 stage: 'task-cycle',
                 cycleCount,
                 tokensUsed: totalTokens,
                 toolCallsExecuted: totalToolCalls,
                 thread: currentThread,
                 gatheredData: lastResponse
-            });
+            }), cycleStart);
         }
 
         // Check time budget
@@ -119,6 +166,22 @@ export async function execTaskCore(input, machineContext) {
             break;
         }
 
+        // Check cost budget - shared with the rest of the turn
+        if (costLedger?.isExhausted(maxCostUsd)) {
+            logger.warn({
+                event: 'execution.task.cost_budget_exhausted',
+                traceId,
+                boundaryType: BOUNDARY_TYPES.EXECUTION,
+                boundaryId: executionBoundaryId,
+                parentBoundaryId,
+                cycleCount,
+                totalCostUsd: costLedger.totalUsd,
+                maxCostUsd
+            }, 'Cost budget exhausted');
+            costExhausted = true;
+            break;
+        }
+
         const cycleLogger = createSpanLogger(logger, `task-cycle-${cycleCount}`, {
             cycle: cycleCount,
             maxCycles: resolution.maxCycles,
@@ -156,6 +219,7 @@ export async function execTaskCore(input, machineContext) {
                     strategy: 'direct',
                     role: plan.role,
                     tools: plan.tools,
+                    temperature: plan.temperature,
                     taskContext: {
                         cycle: cycleCount,
                         maxCycles: resolution.maxCycles,
@@ -171,7 +235,10 @@ export async function execTaskCore(input, machineContext) {
                 handlers: machineContext.handlers,
                 config,
                 discoveredTools: machineContext.discoveredTools,
-                abortSignal  // Pass abort signal to nested cycle
+                abortSignal,  // Pass abort signal to nested cycle
+                onDelta,  // Forward streamed output from nested cycle
+                costLedger,  // Charge nested calls to the same turn
+                cassette  // Record or replay nested calls with the turn
             });
 
             if (status === 'SUCCEEDED' && result?.handlerResult?.response) {
@@ -237,6 +304,11 @@ export async function execTaskCore(input, machineContext) {
                             assistantMessage.content = response.output;
                         }
 
+                        // Keep the tool calls so providers can pair them with tool results
+                        if (response.toolCalls) {
+                            assistantMessage.tool_calls = response.toolCalls;
+                        }
+
                         taskThread = [
                             ...taskThread,
                             assistantMessage
@@ -440,6 +512,7 @@ export async function execTaskCore(input, machineContext) {
                                         taskThread.push({
                                             role: 'tool',
                                             tool_call_id: toolCall.id || toolCall.call_id,
+                                            name: toolCall.function?.name,
                                             content: toolResult.result
                                         });
                                     }
@@ -476,6 +549,9 @@ export async function execTaskCore(input, machineContext) {
                     },
                     'Task cycle completed'
                 );
+            } else if (status === 'interrupted') {
+                // The nested cycle caught the abort - surface it as this task's interrupt
+                throw new InterruptError('Task interrupted by user', { stage: 'task-cycle' });
             } else {
                 // Cycle failed
                 logger.error(
@@ -501,7 +577,7 @@ export async function execTaskCore(input, machineContext) {
                 error.toolCallsExecuted = totalToolCalls;
                 error.gatheredData = lastResponse;
                 error.thread = currentThread;
-                throw error;
+                throw recordInterrupt(error, cycleStart);
             }
 
             logger.error(
@@ -529,7 +605,9 @@ export async function execTaskCore(input, machineContext) {
     // Do synthesis if:
     // - Last response was tool_use with no text output
     // - OR we stopped to preserve synthesis budget
-    const needsSynthesis = (lastResponse?.finishReason === 'tool_use' && !lastResponse?.output) || stoppedForSynthesis;
+    // Never when the cost budget is spent - synthesis is another paid call
+    const needsSynthesis = !costExhausted &&
+        ((lastResponse?.finishReason === 'tool_use' && !lastResponse?.output) || stoppedForSynthesis);
 
     if (needsSynthesis) {
         cycleCount++; // Count as a cycle for accurate reporting
@@ -582,6 +660,7 @@ export async function execTaskCore(input, machineContext) {
                 selectedPlan: {
                     strategy: 'direct',
                     role: plan.role,
+                    temperature: plan.temperature,
                     // No tools - force text synthesis
                     // Ensure minimum 1000 tokens for synthesis
                     maxTokens: Math.max(1000, Math.min(2000, resolution.maxTokens - totalTokens || 2000))
@@ -591,7 +670,10 @@ export async function execTaskCore(input, machineContext) {
                 handlers: machineContext.handlers,
                 config,
                 discoveredTools: machineContext.discoveredTools,
-                abortSignal  // Pass abort signal to nested cycle
+                abortSignal,  // Pass abort signal to nested cycle
+                onDelta,  // Forward streamed output from nested cycle
+                costLedger,  // Charge nested calls to the same turn
+                cassette  // Record or replay nested calls with the turn
             });
 
             if (status === 'SUCCEEDED' && result?.handlerResult?.response) {
@@ -626,7 +708,9 @@ export async function execTaskCore(input, machineContext) {
 
     // Determine final finish reason
     let finalFinishReason = 'complete';
-    if (cycleCount >= resolution.maxCycles) {
+    if (costExhausted) {
+        finalFinishReason = 'max_cost';
+    } else if (cycleCount >= resolution.maxCycles) {
         finalFinishReason = 'max_cycles';
     } else if (totalTokens >= resolution.maxTokens) {
         finalFinishReason = 'max_tokens';
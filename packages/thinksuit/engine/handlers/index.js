@@ -18,6 +18,8 @@ import { composeInstructionsCore } from './composeInstructions.js';
 import { execDirectCore } from './execDirect.js';
 import { execSequentialCore } from './execSequential.js';
 import { execParallelCore } from './execParallel.js';
+import { execGraphCore } from './execGraph.js';
+import { execRefineCore } from './execRefine.js';
 import { execTaskCore } from './execTask.js';
 import { execFallbackCore } from './execFallback.js';
 
@@ -83,6 +85,18 @@ export function initializeHandlers() {
         withBudget(30000, 'execParallel') // 30 second budget
     );
 
+    const execGraph = withMiddleware(
+        execGraphCore,
+        loggingMiddleware({ name: 'execGraph' }),
+        withBudget(60000, 'execGraph') // 60 second budget
+    );
+
+    const execRefine = withMiddleware(
+        execRefineCore,
+        loggingMiddleware({ name: 'execRefine' }),
+        withBudget(60000, 'execRefine') // 60 second budget
+    );
+
     const execTask = withMiddleware(
         execTaskCore,
         loggingMiddleware({ name: 'execTask' }),
@@ -111,6 +125,8 @@ export function initializeHandlers() {
         execDirect,
         execSequential,
         execParallel,
+        execGraph,
+        execRefine,
         execTask,
         execFallback,
         debugState,
@@ -128,6 +144,8 @@ export {
     execDirectCore,
     execSequentialCore,
     execParallelCore,
+    execGraphCore,
+    execRefineCore,
     execTaskCore,
     execFallbackCore
 };
@@ -4,6 +4,7 @@
  */
 
 import { PIPELINE_EVENTS } from '../constants/events.js';
+import { rankPlans } from '../policy/planScoring.js';
 
 /**
  * Core plan selection logic
@@ -64,7 +65,15 @@ export async function selectPlanCore(input, machineContext) {
         ? selectedPlanFacts.at(-1)  // Last plan with tools
         : allSelectedPlanFacts.at(-1); // Last plan overall
 
-    const plan = finalSelectedPlan?.plan || finalSelectedPlan;
+    let plan = finalSelectedPlan?.plan || finalSelectedPlan;
+
+    // Score the candidates against policy preferences (preferLowCost, riskTolerance)
+    let ranking;
+    if (finalSelectedPlan?.candidates?.length > 0) {
+        const ranked = rankPlans(finalSelectedPlan.candidates, finalSelectedPlan.preferences);
+        plan = ranked[0].plan;
+        ranking = ranked.map(({ plan: _plan, ...entry }) => entry);
+    }
 
     logger.info(
         {
@@ -76,7 +85,8 @@ export async function selectPlanCore(input, machineContext) {
             traceId,
             data: {
                 stage: 'plan_selection',
-                selectedPlan: plan
+                selectedPlan: plan,
+                ...(ranking && { ranking })
             }
         },
         'Plan selection completed'
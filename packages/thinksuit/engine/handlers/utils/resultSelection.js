@@ -0,0 +1,110 @@
+// Result strategies that pick one branch (or a judge's merge) instead of combining all of them
+export const SELECTION_STRATEGIES = ['vote', 'judge'];
+
+const round = (value) => Math.round(value * 1000) / 1000;
+
+/**
+ * Normalize an output for agreement checks - case, whitespace and trailing punctuation
+ * @param {string} output
+ * @returns {string}
+ */
+export function normalizeOutput(output = '') {
+    return String(output).toLowerCase().replace(/\s+/g, ' ').replace(/[\s.!?]+$/, '').trim();
+}
+
+function wordSet(output) {
+    return new Set(normalizeOutput(output).split(/[^\p{L}\p{N}]+/u).filter(Boolean));
+}
+
+function similarity(a, b) {
+    if (normalizeOutput(a) === normalizeOutput(b)) return 1;
+    const wordsA = wordSet(a);
+    const wordsB = wordSet(b);
+    const union = new Set([...wordsA, ...wordsB]).size;
+    if (union === 0) return 0;
+    return [...wordsA].filter(word => wordsB.has(word)).length / union;
+}
+
+/**
+ * Pick the branch the others agree with most
+ * Each branch scores its average similarity to the other branches - identical
+ * answers (after normalizeOutput) count fully, others by shared words. The
+ * highest score wins; ties go to the earlier branch.
+ * @param {Array<Object>} results - Successful branch results { role, output, branch? }
+ * @returns {{winner: number, agreement: number, majority: boolean, scores: Array<Object>}}
+ *   winner is an index into results; agreement counts branches identical to the winner
+ */
+export function voteOnResults(results) {
+    const scores = results.map((result, index) => {
+        const others = results.filter((_, i) => i !== index);
+        const score = others.length === 0
+            ? 1
+            : others.reduce((sum, other) => sum + similarity(result.output, other.output), 0) / others.length;
+        return { branch: result.branch ?? index + 1, role: result.role, score: round(score) };
+    });
+
+    const winner = scores.reduce((best, entry, index) => (entry.score > scores[best].score ? index : best), 0);
+    const normalizedWinner = normalizeOutput(results[winner]?.output);
+    const agreement = results.filter(result => normalizeOutput(result.output) === normalizedWinner).length;
+
+    return { winner, agreement, majority: agreement > results.length / 2, scores };
+}
+
+/**
+ * Prompt asking the judge role to score the candidates
+ * @param {Object} params - { candidates: [{ role, output }], criteria, mode: 'pick' | 'merge' }
+ * @returns {string}
+ */
+export function defaultJudgePrompt({ candidates, criteria = [], mode = 'pick' }) {
+    const listed = candidates
+        .map((candidate, index) => `Candidate ${index + 1} (${candidate.role}):\n${candidate.output}`)
+        .join('\n\n---\n\n');
+
+    const shape = mode === 'merge'
+        ? '{"scores": [{"candidate": 1, "score": 7, "reason": "..."}], "winner": 1, "rationale": "...", "merged": "one response combining the strengths of the candidates"}'
+        : '{"scores": [{"candidate": 1, "score": 7, "reason": "..."}], "winner": 1, "rationale": "..."}';
+
+    return [
+        `Judge these ${candidates.length} candidate responses to the conversation above.`,
+        ...(criteria.length > 0 ? [`Criteria:\n${criteria.map(c => `- ${c}`).join('\n')}`] : []),
+        listed,
+        `Score every candidate from 0 to 10 and pick the best. Reply with JSON only:\n${shape}`
+    ].join('\n\n');
+}
+
+/**
+ * Read the judge's JSON verdict
+ * @param {string} output - Judge output, possibly wrapped in a code fence or prose
+ * @param {number} count - Number of candidates
+ * @returns {Object|null} { winner (0-based), scores, rationale, merged? } or null if unusable
+ */
+export function parseJudgeVerdict(output = '', count) {
+    const start = output.indexOf('{');
+    const end = output.lastIndexOf('}');
+    if (start === -1 || end <= start) return null;
+
+    let verdict;
+    try {
+        verdict = JSON.parse(output.slice(start, end + 1));
+    } catch {
+        return null;
+    }
+
+    const winner = Number(verdict.winner) - 1;
+    if (!Number.isInteger(winner) || winner < 0 || winner >= count) return null;
+
+    const scores = (Array.isArray(verdict.scores) ? verdict.scores : [])
+        .filter(entry => Number.isInteger(Number(entry?.candidate)))
+        .map(entry => ({
+            candidate: Number(entry.candidate),
+            score: Number(entry.score),
+            ...(entry.reason && { reason: String(entry.reason) })
+        }));
+
+    return {
+        winner,
+        scores,
+        rationale: typeof verdict.rationale === 'string' ? verdict.rationale : '',
+        ...(typeof verdict.merged === 'string' && verdict.merged.trim() && { merged: verdict.merged })
+    };
+}
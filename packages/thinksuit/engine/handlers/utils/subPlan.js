@@ -0,0 +1,105 @@
+import { enforcePolicyCore } from '../enforcePolicy.js';
+import { validatePlan, formatValidationErrors } from '../../../schemas/validate.js';
+import { DEFAULT_POLICY } from '../../constants/defaults.js';
+
+// Step strategies that carry their own steps and re-enter execSequential/execParallel
+export const COMPOSITE_STRATEGIES = ['sequential', 'parallel'];
+
+/**
+ * Whether a sequence step or parallel branch is a nested sub-plan
+ * @param {string|Object} step
+ * @returns {boolean}
+ */
+export function isCompositeStep(step) {
+    return typeof step === 'object' && step !== null && COMPOSITE_STRATEGIES.includes(step.strategy);
+}
+
+/**
+ * Whether a sequence step is a checkpoint that pauses for the user instead of running a role
+ * @param {string|Object} step
+ * @returns {boolean}
+ */
+export function isCheckpointStep(step) {
+    return typeof step === 'object' && step !== null && step.strategy === 'checkpoint';
+}
+
+/**
+ * Label for a step in results, spans and framing prompts
+ * @param {string|Object} step
+ * @returns {string}
+ */
+export function stepLabel(step) {
+    if (typeof step === 'string') return step;
+    return step.role || step.name || step.strategy;
+}
+
+/**
+ * Build the selectedPlan a child cycle runs for a step
+ * Leaf steps become direct/task plans; sub-plans are passed through whole.
+ * @param {string|Object} step
+ * @param {Object} options - { costBudget, rationale }
+ * @returns {Object} ExecutionPlan
+ */
+export function buildStepPlan(step, { costBudget, rationale }) {
+    if (typeof step === 'string') {
+        return { strategy: 'task', role: step, adaptations: [], resolution: null, tools: null, costBudget, rationale };
+    }
+
+    if (isCompositeStep(step)) {
+        return { ...step, costBudget, rationale };
+    }
+
+    return {
+        strategy: step.strategy || 'task',
+        role: step.role,
+        adaptations: step.adaptations || [],
+        resolution: step.resolution, // Step-level resolution if provided
+        tools: step.tools, // Step-specific tools
+        temperature: step.temperature, // Lets parallel branches of one role sample differently
+        costBudget, // Nested tasks draw on the same budget
+        rationale
+    };
+}
+
+/**
+ * Check a sub-plan against policy limits and the plan schema before recursing
+ * @param {Object} subPlan - From buildStepPlan
+ * @param {number} depth - Depth the sub-plan would run at
+ * @param {Object} policy
+ * @param {Object} machineContext
+ * @returns {Promise<{approved: boolean, reason?: string, code?: string}>}
+ */
+export async function checkSubPlan(subPlan, depth, policy, machineContext) {
+    const decision = await enforcePolicyCore({ depth, plan: subPlan, policy }, machineContext);
+    if (!decision.approved) {
+        return decision;
+    }
+
+    // The deepest sub-plan level must still run below maxDepth
+    const maxDepth = (policy.maxDepth ?? DEFAULT_POLICY.maxDepth) - depth;
+    const validation = validatePlan({ name: stepLabel(subPlan), ...subPlan }, { maxDepth });
+    if (!validation.valid) {
+        return { approved: false, reason: formatValidationErrors(validation), code: 'E_INVALID_PLAN' };
+    }
+
+    return { approved: true };
+}
+
+/**
+ * The turn's input as a thread message, for child cycles composed without it
+ * Handler threads are history only and accumulation composition adds no input,
+ * so steps after the first would otherwise never see what the user asked.
+ * Carries the turn's attachments the way the composed input message does.
+ * @param {string} userInput
+ * @param {Array<Object>} [attachments] - Attachment references (sessions/attachments.js)
+ * @returns {Array<Object>} The input message, or none when there is no input
+ */
+export function requestMessages(userInput, attachments = []) {
+    if (!userInput?.trim()) return [];
+    return [{
+        role: 'user',
+        content: userInput,
+        semantic: 'input',
+        ...(attachments.length > 0 && { attachments })
+    }];
+}
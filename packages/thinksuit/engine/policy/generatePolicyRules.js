@@ -3,6 +3,14 @@
  * Transforms user policy configuration into rules that emit PolicyConstraint and PolicyPreference facts
  */
 
+import { getPlanProfile } from './planScoring.js';
+
+// Largest score a plan can lose for being the most expensive candidate when preferLowCost is set
+const LOW_COST_WEIGHT = 0.5;
+
+// Score lost by tool-using (read-only) plans when riskTolerance is low
+const LOW_TOLERANCE_PENALTIES = { medium: 0.3 };
+
 /**
  * Generate policy rules from configuration
  * @param {Object} policy - User policy configuration
@@ -108,6 +116,39 @@ export function generatePolicyRules(policy) {
         });
     }
 
+    // Max children constraint for graph execution
+    if (policy?.maxChildren !== undefined) {
+        rules.push({
+            name: 'policy:max-graph-steps-constraint',
+            salience: 90,
+            conditions: {
+                all: [
+                    {
+                        type: 'ExecutionPlan',
+                        test: (p) => p.strategy === 'graph' &&
+                                   p.steps &&
+                                   p.steps.length > policy.maxChildren &&
+                                   !p.policyChecked,
+                        var: 'plan'
+                    }
+                ]
+            },
+            action: (facts, engine, { plan }) => {
+                engine.addFact({
+                    type: 'PolicyConstraint',
+                    constraint: 'block_graph',
+                    reason: `Graph steps ${plan.data.steps.length} > max ${policy.maxChildren}`,
+                    targetPlan: plan.data,
+                    confidence: 1.0,
+                    data: {
+                        steps: plan.data.steps.length,
+                        maxChildren: policy.maxChildren
+                    }
+                });
+            }
+        });
+    }
+
     // Max task cycles constraint
     if (policy?.maxTaskCycles !== undefined) {
         rules.push({
@@ -142,6 +183,117 @@ export function generatePolicyRules(policy) {
         });
     }
 
+    // Max cost constraint - budgets the multi-call strategies against the turn's running cost
+    if (policy?.maxCostUsd !== undefined) {
+        rules.push({
+            name: 'policy:max-cost-constraint',
+            salience: 90,
+            conditions: {
+                all: [
+                    {
+                        type: 'Config',
+                        test: (c) => c.name === 'policy.maxCostUsd',
+                        var: 'maxCost'
+                    }
+                ]
+            },
+            action: (facts, engine) => {
+                engine.addFact({
+                    type: 'PolicyConstraint',
+                    constraint: 'limit_cost',
+                    reason: `Turn cost limited to $${policy.maxCostUsd}`,
+                    confidence: 1.0,
+                    data: {
+                        maxCostUsd: policy.maxCostUsd
+                    }
+                });
+            }
+        });
+    }
+
+    // Prefer cheaper plans - down-ranks plans by their estimated LLM calls at selection
+    if (policy?.selection?.preferLowCost) {
+        rules.push({
+            name: 'policy:prefer-low-cost',
+            salience: 90,
+            conditions: {
+                all: [
+                    {
+                        type: 'Config',
+                        test: (c) => c.name === 'policy.selection.preferLowCost',
+                        var: 'preferLowCost'
+                    }
+                ]
+            },
+            action: (facts, engine) => {
+                engine.addFact({
+                    type: 'PolicyPreference',
+                    preference: 'prefer_low_cost',
+                    reason: 'Cheaper plans preferred (policy.selection.preferLowCost)',
+                    weight: LOW_COST_WEIGHT,
+                    confidence: 1.0
+                });
+            }
+        });
+    }
+
+    // Low risk tolerance - block plans with write-capable tools, down-rank other tool use
+    if (policy?.selection?.riskTolerance === 'low') {
+        rules.push({
+            name: 'policy:risk-tolerance-constraint',
+            salience: 90,
+            conditions: {
+                all: [
+                    {
+                        type: 'ExecutionPlan',
+                        test: (p) => getPlanProfile(p).risk === 'high' &&
+                                   !p.policyBlocked,
+                        var: 'plan'
+                    }
+                ]
+            },
+            action: (facts, engine, { plan }) => {
+                const { writeTools } = getPlanProfile(plan.data);
+                engine.addFact({
+                    type: 'PolicyConstraint',
+                    constraint: 'block_risk',
+                    reason: `Plan ${plan.data.name} is high risk${writeTools.length > 0 ? ` (${writeTools.join(', ')})` : ''} and riskTolerance is low`,
+                    targetPlan: plan.data,
+                    confidence: 1.0,
+                    data: {
+                        riskTolerance: 'low',
+                        writeTools
+                    }
+                });
+            }
+        });
+
+        rules.push({
+            name: 'policy:risk-tolerance-preference',
+            salience: 90,
+            conditions: {
+                all: [
+                    {
+                        type: 'Config',
+                        test: (c) => c.name === 'policy.selection.riskTolerance',
+                        var: 'riskTolerance'
+                    }
+                ]
+            },
+            action: (facts, engine) => {
+                engine.addFact({
+                    type: 'PolicyPreference',
+                    preference: 'avoid_risk',
+                    reason: 'Tool-using plans down-ranked (policy.selection.riskTolerance is low)',
+                    confidence: 1.0,
+                    data: {
+                        penalties: LOW_TOLERANCE_PENALTIES
+                    }
+                });
+            }
+        });
+    }
+
     // Tool policy statement - derives ToolPolicyStatement from config.allowedTools
     rules.push({
         name: 'policy:derive-tool-allowlist',
@@ -167,5 +319,54 @@ export function generatePolicyRules(policy) {
         }
     });
 
+    // Model capabilities - plans the configured model cannot execute are adapted or blocked
+    rules.push({
+        name: 'policy:capability-tool-calls',
+        salience: 90,
+        conditions: {
+            all: [
+                {
+                    type: 'Capability',
+                    test: (c) => c.name === 'provider.toolCalls' && c.data?.value === false,
+                    var: 'capability'
+                }
+            ]
+        },
+        action: (facts, engine) => {
+            engine.addFact({
+                type: 'PolicyConstraint',
+                constraint: 'strip_tools',
+                reason: 'Configured model cannot call tools',
+                confidence: 1.0
+            });
+        }
+    });
+
+    rules.push({
+        name: 'policy:capability-requirements',
+        salience: 90,
+        conditions: {
+            all: [
+                {
+                    type: 'Capability',
+                    test: (c) => c.name.startsWith('provider.') && c.data?.value === false,
+                    var: 'capability'
+                }
+            ]
+        },
+        action: (facts, engine, { capability }) => {
+            const feature = capability.data.name.slice('provider.'.length);
+            engine.addFact({
+                type: 'PolicyConstraint',
+                constraint: 'block_capability',
+                reason: `Configured model does not support ${feature}`,
+                confidence: 1.0,
+                data: {
+                    feature
+                }
+            });
+        }
+    });
+
     return rules;
 }
\ No newline at end of file
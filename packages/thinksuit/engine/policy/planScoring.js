@@ -0,0 +1,136 @@
+/**
+ * Plan cost/risk profiles and scored plan selection
+ *
+ * A plan may declare `estimatedCalls` and `risk` ('low' | 'medium' | 'high');
+ * otherwise both are derived from its strategy and tools. Policy rules turn
+ * policy.selection settings into PolicyPreference facts (down-ranking) or
+ * PolicyConstraint facts (blocking); rankPlans applies the preferences on top
+ * of the module's plan precedence.
+ */
+
+import { DEFAULT_MAX_ITERATIONS } from '../constants/defaults.js';
+
+export const RISK_LEVELS = ['low', 'medium', 'high'];
+
+// Matches tool names that modify files or run commands (write_file, edit_file, move_file, ...)
+const WRITE_TOOL_PATTERN = /(^|_)(write|edit|create|move|delete|remove|rename|exec|execute|run)(_|$)/;
+
+// Cycle cap execTask applies when a task plan sets none
+const DEFAULT_TASK_CYCLES = 3;
+
+/**
+ * Tools of a plan that can change state outside the conversation
+ * @param {Array<string>} tools
+ * @returns {Array<string>}
+ */
+export function getWriteTools(tools = []) {
+    return tools.filter(tool => WRITE_TOOL_PATTERN.test(tool));
+}
+
+// One call per leaf step; nested sub-plans count their own steps, checkpoints none
+function countStepCalls(steps = []) {
+    const calls = steps.reduce((sum, step) =>
+        sum + (typeof step === 'object' && ['sequential', 'parallel'].includes(step.strategy)
+            ? getPlanProfile(step).estimatedCalls
+            : step?.strategy === 'checkpoint' ? 0 : 1), 0);
+    return calls || 1;
+}
+
+/**
+ * Estimate what a plan costs and risks
+ * @param {Object} plan - ExecutionPlan
+ * @returns {{estimatedCalls: number, writeTools: Array<string>, risk: string}}
+ */
+export function getPlanProfile(plan) {
+    const writeTools = getWriteTools(plan.tools);
+
+    let estimatedCalls = plan.estimatedCalls;
+    if (estimatedCalls === undefined) {
+        switch (plan.strategy) {
+            case 'task':
+                estimatedCalls = plan.resolution?.maxCycles ?? DEFAULT_TASK_CYCLES;
+                break;
+            case 'sequential':
+                estimatedCalls = countStepCalls(plan.sequence);
+                break;
+            case 'parallel':
+                // A judge scores the branches with one more call
+                estimatedCalls = countStepCalls(plan.roles) + (plan.resultStrategy === 'judge' && plan.judge ? 1 : 0);
+                break;
+            case 'graph':
+                estimatedCalls = countStepCalls(plan.steps);
+                break;
+            case 'refine':
+                // Worst case: a draft and a critique per iteration
+                estimatedCalls = 2 * (plan.maxIterations ?? DEFAULT_MAX_ITERATIONS);
+                break;
+            default:
+                estimatedCalls = 1;
+        }
+    }
+
+    const derivedRisk = writeTools.length > 0 ? 'high' : plan.tools?.length > 0 ? 'medium' : 'low';
+    const risk = RISK_LEVELS.includes(plan.risk) ? plan.risk : derivedRisk;
+
+    return { estimatedCalls, writeTools, risk };
+}
+
+/**
+ * Score candidate plans and order them best first
+ * Precedence sets the base score (1 for the first name, falling towards 0);
+ * PolicyPreference facts subtract penalties. Ties keep the existing
+ * preference for plans with tools, then the candidates' order.
+ * @param {Array<Object>} candidates - [{ plan, precedenceRank, precedenceLength }]
+ * @param {Array<Object>} preferences - PolicyPreference facts
+ * @returns {Array<Object>} [{ plan, name, strategy, score, precedenceRank, estimatedCalls, risk, penalties }]
+ */
+export function rankPlans(candidates, preferences = []) {
+    const profiled = candidates.map(({ plan, precedenceRank = null, precedenceLength = 0 }, index) => ({
+        plan,
+        index,
+        precedenceRank,
+        base: precedenceRank === null ? 0 : 1 - precedenceRank / Math.max(precedenceLength, 1),
+        ...getPlanProfile(plan)
+    }));
+
+    const calls = profiled.map(p => p.estimatedCalls);
+    const minCalls = Math.min(...calls);
+    const callRange = Math.max(...calls) - minCalls;
+
+    const ranked = profiled.map((entry) => {
+        const penalties = [];
+
+        for (const { preference, weight = 0, data = {} } of preferences) {
+            let penalty = 0;
+            if (preference === 'prefer_low_cost' && callRange > 0) {
+                penalty = weight * (entry.estimatedCalls - minCalls) / callRange;
+            } else if (preference === 'avoid_risk') {
+                penalty = data.penalties?.[entry.risk] || 0;
+            }
+            if (penalty > 0) {
+                penalties.push({ preference, penalty: Math.round(penalty * 1000) / 1000 });
+            }
+        }
+
+        const score = entry.base - penalties.reduce((sum, p) => sum + p.penalty, 0);
+        return {
+            plan: entry.plan,
+            name: entry.plan.name,
+            strategy: entry.plan.strategy,
+            score: Math.round(score * 1000) / 1000,
+            precedenceRank: entry.precedenceRank,
+            estimatedCalls: entry.estimatedCalls,
+            risk: entry.risk,
+            penalties,
+            index: entry.index
+        };
+    });
+
+    ranked.sort((a, b) =>
+        b.score - a.score ||
+        Number(Boolean(b.plan.hasTools)) - Number(Boolean(a.plan.hasTools)) ||
+        a.index - b.index
+    );
+
+    return ranked.map(({ index: _index, ...entry }) => entry);
+}
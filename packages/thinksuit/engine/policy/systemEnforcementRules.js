@@ -4,6 +4,42 @@
  * These run after policy rules to enforce the constraints they emit
  */
 
+import { getPlanProfile } from './planScoring.js';
+
+// Step lists and single steps that can carry their own tools, by strategy
+const STEP_LISTS = ['sequence', 'roles', 'steps'];
+const STEP_KEYS = ['producer', 'critic', 'judge'];
+
+const isStep = step => step !== null && typeof step === 'object';
+
+// Steps of a plan or sub-plan - sub-plans nest further steps of their own
+function planSteps(plan) {
+    return [
+        ...STEP_LISTS.flatMap(list => (Array.isArray(plan[list]) ? plan[list] : [])),
+        ...STEP_KEYS.map(key => plan[key])
+    ].filter(isStep);
+}
+
+function planUsesTools(plan) {
+    return plan.tools?.length > 0 || planSteps(plan).some(planUsesTools);
+}
+
+const withoutTools = ({ tools: _tools, ...rest }) => rest;
+
+function stripPlanTools(plan) {
+    const stripped = withoutTools(plan);
+    for (const list of STEP_LISTS) {
+        if (Array.isArray(stripped[list])) {
+            stripped[list] = stripped[list].map(step => (isStep(step) ? stripPlanTools(step) : step));
+        }
+    }
+    for (const key of STEP_KEYS) {
+        if (isStep(stripped[key])) {
+            stripped[key] = stripPlanTools(stripped[key]);
+        }
+    }
+    return stripped;
+}
 
 /**
  * System enforcement rules that react to PolicyConstraint and PolicyPreference facts
@@ -109,6 +145,73 @@ export const systemEnforcementRules = [
         }
     },
 
+    // Block graph plans that exceed step limits
+    {
+        name: 'system:enforce-graph-steps-constraint',
+        salience: 100,
+        conditions: {
+            all: [
+                {
+                    type: 'PolicyConstraint',
+                    test: (c) => c.constraint === 'block_graph',
+                    var: 'constraint'
+                },
+                {
+                    type: 'ExecutionPlan',
+                    test: (p) => p.strategy === 'graph' &&
+                               !p.policyBlocked,
+                    var: 'plan'
+                }
+            ]
+        },
+        action: (facts, engine, { constraint, plan }) => {
+            // Check if this plan violates the constraint
+            if (plan.data.steps?.length > constraint.data.data?.maxChildren) {
+                engine.addFact({
+                    type: 'ExecutionPlan',
+                    ...plan.data,
+                    confidence: 0,
+                    policyBlocked: true,
+                    originalConfidence: plan.data.confidence,
+                    blockReason: constraint.data.reason
+                });
+            }
+        }
+    },
+
+    // Block high-risk plans when risk tolerance is low
+    {
+        name: 'system:enforce-risk-constraint',
+        salience: 100,
+        conditions: {
+            all: [
+                {
+                    type: 'PolicyConstraint',
+                    test: (c) => c.constraint === 'block_risk',
+                    var: 'constraint'
+                },
+                {
+                    type: 'ExecutionPlan',
+                    test: (p) => !p.policyBlocked,
+                    var: 'plan'
+                }
+            ]
+        },
+        action: (facts, engine, { constraint, plan }) => {
+            // Check if this plan violates the constraint
+            if (getPlanProfile(plan.data).risk === 'high') {
+                engine.addFact({
+                    type: 'ExecutionPlan',
+                    ...plan.data,
+                    confidence: 0,
+                    policyBlocked: true,
+                    originalConfidence: plan.data.confidence,
+                    blockReason: constraint.data.reason
+                });
+            }
+        }
+    },
+
     // Cap task cycles to policy limit (modify rather than block)
     {
         name: 'system:enforce-task-cycles-constraint',
@@ -149,6 +252,111 @@ export const systemEnforcementRules = [
         }
     },
 
+    // Attach the cost budget to multi-call plans so execution can stop once it is spent
+    {
+        name: 'system:enforce-cost-constraint',
+        salience: 100,
+        conditions: {
+            all: [
+                {
+                    type: 'PolicyConstraint',
+                    test: (c) => c.constraint === 'limit_cost',
+                    var: 'constraint'
+                },
+                {
+                    type: 'ExecutionPlan',
+                    test: (p) => ['task', 'parallel', 'sequential', 'graph', 'refine'].includes(p.strategy) &&
+                               !p.costBudget &&
+                               !p.policyBlocked,
+                    var: 'plan'
+                }
+            ]
+        },
+        action: (facts, engine, { constraint, plan }) => {
+            // Budget is a parameter, not a block - keep the original confidence
+            engine.addFact({
+                type: 'ExecutionPlan',
+                ...plan.data,
+                costBudget: {
+                    maxCostUsd: constraint.data.data.maxCostUsd
+                },
+                confidence: plan.data.confidence
+            });
+        }
+    },
+
+    // Strip tools from plans when the model cannot call them (adapt rather than block)
+    {
+        name: 'system:enforce-tool-calls-constraint',
+        salience: 100,
+        conditions: {
+            all: [
+                {
+                    type: 'PolicyConstraint',
+                    test: (c) => c.constraint === 'strip_tools',
+                    var: 'constraint'
+                },
+                {
+                    type: 'ExecutionPlan',
+                    test: (p) => planUsesTools(p) &&
+                               !p.policyBlocked,
+                    var: 'plan'
+                }
+            ]
+        },
+        action: (facts, engine, { constraint, plan }) => {
+            // Block the original so only the adapted copy is selectable
+            engine.addFact({
+                type: 'ExecutionPlan',
+                ...plan.data,
+                confidence: 0,
+                policyBlocked: true,
+                originalConfidence: plan.data.confidence,
+                blockReason: constraint.data.reason
+            });
+            engine.addFact({
+                type: 'ExecutionPlan',
+                ...stripPlanTools(plan.data),
+                policyAdjusted: true,
+                adjustmentReason: 'Removed tools - configured model cannot call them',
+                confidence: plan.data.confidence
+            });
+        }
+    },
+
+    // Block plans that require a feature the model lacks
+    {
+        name: 'system:enforce-capability-constraint',
+        salience: 100,
+        conditions: {
+            all: [
+                {
+                    type: 'PolicyConstraint',
+                    test: (c) => c.constraint === 'block_capability',
+                    var: 'constraint'
+                },
+                {
+                    type: 'ExecutionPlan',
+                    test: (p) => Array.isArray(p.requires) &&
+                               !p.policyBlocked,
+                    var: 'plan'
+                }
+            ]
+        },
+        action: (facts, engine, { constraint, plan }) => {
+            if (plan.data.requires.includes(constraint.data.data?.feature)) {
+                engine.addFact({
+                    type: 'ExecutionPlan',
+                    ...plan.data,
+                    confidence: 0,
+                    policyBlocked: true,
+                    originalConfidence: plan.data.confidence,
+                    blockReason: constraint.data.reason
+                });
+            }
+        }
+    },
+
     // This rule is problematic - we can't check for absence of facts in rules engine
     // The fallback should be handled in selectPlan handler instead
     // Removing this rule as it cannot work with the rules engine constraints
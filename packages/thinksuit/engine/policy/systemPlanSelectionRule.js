@@ -5,6 +5,21 @@
 
 import { collectAll } from 'the-rules-engine/lib/aggregators.js';
 
+import { rankPlans } from './planScoring.js';
+
+// Identity of a plan ignoring the cost budget stamped on by enforcement
+// (and the provenance, which names the enforcing rule on the copy)
+const planKey = ({ costBudget: _costBudget, provenance: _provenance, ...plan }) => JSON.stringify(plan);
+
+// Identity of a plan ignoring everything enforcement changes when it blocks a copy
+const blockKey = ({
+    confidence: _confidence,
+    policyBlocked: _policyBlocked,
+    originalConfidence: _originalConfidence,
+    blockReason: _blockReason,
+    ...plan
+}) => planKey(plan);
+
 export const systemPlanSelectionRule = {
     name: 'system:select-execution-plan',
     conditions: {
@@ -18,17 +33,28 @@ export const systemPlanSelectionRule = {
                 type: 'ExecutionPlan',
                 accumulate: collectAll(),
                 var: 'allPlans'
+            },
+            {
+                type: 'PolicyPreference',
+                accumulate: collectAll(),
+                var: 'preferenceFacts'
             }
         ]
     },
-    action: (facts, engine, { allPlans, precedenceFacts }) => {
+    action: (facts, engine, { allPlans, precedenceFacts, preferenceFacts = [] }) => {
         const [ precedenceFact ] = precedenceFacts;
         const precedence = precedenceFact?.data?.precedence || [];
 
-        // Filter out policy-blocked plans
-        const availablePlans = allPlans
+        // Enforcement blocks a plan by adding a zero-confidence copy - drop the original too
+        const blockedKeys = new Set(allPlans.filter(f => f.data?.policyBlocked).map(f => blockKey(f.data)));
+        const unblockedPlans = allPlans
             .filter(f => !f.data?.policyBlocked)
-            .map(f => f.data);
+            .map(f => f.data)
+            .filter(p => !blockedKeys.has(blockKey(p)));
+
+        // Cost enforcement adds a budgeted copy of a plan - drop the unbudgeted original
+        const budgetedKeys = new Set(unblockedPlans.filter(p => p.costBudget).map(planKey));
+        const availablePlans = unblockedPlans.filter(p => p.costBudget || !budgetedKeys.has(planKey(p)));
 
         if (availablePlans.length === 0) {
             // No plans available - emit a minimal fallback
@@ -43,32 +69,22 @@ export const systemPlanSelectionRule = {
             return;
         }
 
-        // Use precedence to select the highest priority plan
-        if (precedence.length > 0) {
-            for (const planName of precedence) {
-                // Find all plans matching this name
-                const matchingPlans = availablePlans.filter(p =>
-                    p.name === planName ||
-                    p.id === planName
-                );
-
-                if (matchingPlans.length > 0) {
-                    // Prefer version with tools if multiple plans with same name
-                    const selectedPlan = matchingPlans.find(p => p.hasTools) || matchingPlans[0];
-                    engine.addFact({
-                        type: 'SelectedPlan',
-                        plan: selectedPlan
-                    });
-                    return;
-                }
-            }
-        }
+        // Rank by precedence alone; selectPlan re-ranks with the policy preferences
+        const candidates = availablePlans.map((plan) => {
+            const rank = precedence.findIndex(name => plan.name === name || plan.id === name);
+            return {
+                plan,
+                precedenceRank: rank === -1 ? null : rank,
+                precedenceLength: precedence.length
+            };
+        });
+        const [ best ] = rankPlans(candidates);
 
-        // No precedence matched - prefer plans with tools, then pick the first available
-        const selectedPlan = availablePlans.find(p => p.hasTools) || availablePlans[0];
         engine.addFact({
             type: 'SelectedPlan',
-            plan: selectedPlan
+            plan: best.plan,
+            candidates,
+            preferences: preferenceFacts.map(f => f.data)
         });
     }
 };
@@ -0,0 +1,404 @@
+import { PROCESSING_EVENTS } from '../constants/events.js';
+
+const DEFAULT_BASE_URL = 'https://api.anthropic.com';
+const API_VERSION = '2023-06-01';
+
+// Structured output is a forced call to this tool - its input is the response
+const STRUCTURED_RESPONSE_TOOL = 'structured_response';
+
+// Tool input must be an object - other response schemas are wrapped in this property
+const STRUCTURED_RESPONSE_FIELD = 'value';
+
+const isWrappedSchema = (schema) => schema?.type !== 'object';
+
+// Model metadata for capabilities
+const MODEL_METADATA = {
+    'claude-opus-4-1': { maxContext: 200000, maxOutput: 32000, supports: { toolCalls: true, temperature: true, jsonMode: true, vision: true } },
+    'claude-opus-4-0': { maxContext: 200000, maxOutput: 32000, supports: { toolCalls: true, temperature: true, jsonMode: true, vision: true } },
+    'claude-sonnet-4-5': { maxContext: 200000, maxOutput: 64000, supports: { toolCalls: true, temperature: true, jsonMode: true, vision: true } },
+    'claude-sonnet-4-0': { maxContext: 200000, maxOutput: 64000, supports: { toolCalls: true, temperature: true, jsonMode: true, vision: true } },
+    'claude-haiku-4-5': { maxContext: 200000, maxOutput: 64000, supports: { toolCalls: true, temperature: true, jsonMode: true, vision: true } },
+    'claude-3-7-sonnet-latest': { maxContext: 200000, maxOutput: 64000, supports: { toolCalls: true, temperature: true, jsonMode: true, vision: true } },
+    'claude-3-5-haiku-latest': { maxContext: 200000, maxOutput: 8192, supports: { toolCalls: true, temperature: true, jsonMode: true, vision: true } }
+};
+
+// Map Messages API stop reasons to ThinkSuit canonical values
+const FINISH_REASON_MAP = {
+    end_turn: 'end_turn',
+    stop_sequence: 'end_turn',
+    max_tokens: 'max_tokens',
+    tool_use: 'tool_use',
+    pause_turn: 'continue',
+    refusal: 'safety'
+};
+
+// Tool arguments travel as JSON strings in ThinkSuit but as objects in the Messages API
+const parseArguments = (args) => {
+    if (!args) return {};
+    if (typeof args !== 'string') return args;
+    try {
+        return JSON.parse(args);
+    } catch {
+        return { args };
+    }
+};
+
+const toText = (value) => (typeof value === 'string' ? value : JSON.stringify(value));
+
+// Attachment content parts (sessions/attachments.js) as Messages API blocks
+const toContentBlock = (part) => {
+    if (part.type === 'image' && part.data) {
+        return { type: 'image', source: { type: 'base64', media_type: part.mediaType, data: part.data } };
+    }
+    if (part.type === 'file' && part.data) {
+        return { type: 'document', title: part.name, source: { type: 'base64', media_type: part.mediaType, data: part.data } };
+    }
+    return part;
+};
+
+// Transforms ThinkSuit thread into Messages API messages
+// Consecutive blocks for the same role are merged - the API requires alternating turns
+const transformThread = (thread) => {
+    const messages = [];
+
+    const append = (role, blocks) => {
+        if (blocks.length === 0) return;
+        const last = messages[messages.length - 1];
+        if (last && last.role === role) {
+            last.content.push(...blocks);
+        } else {
+            messages.push({ role, content: blocks });
+        }
+    };
+
+    for (const msg of thread) {
+        // Responses API items (present when a session started on the openai provider)
+        if (msg.type === 'function_call') {
+            append('assistant', [{
+                type: 'tool_use',
+                id: msg.call_id || msg.id,
+                name: msg.name,
+                input: parseArguments(msg.arguments)
+            }]);
+            continue;
+        }
+        if (msg.type === 'function_call_output') {
+            append('user', [{ type: 'tool_result', tool_use_id: msg.call_id, content: toText(msg.output) }]);
+            continue;
+        }
+        if (msg.type === 'message') {
+            const text = (msg.content || [])
+                .filter(c => c.type === 'output_text' && c.text)
+                .map(c => c.text)
+                .join('');
+            append(msg.role || 'assistant', text ? [{ type: 'text', text }] : []);
+            continue;
+        }
+        if (msg.type) {
+            // Reasoning and other provider-specific items have no Messages API equivalent
+            continue;
+        }
+
+        if (msg.role === 'tool') {
+            append('user', [{ type: 'tool_result', tool_use_id: msg.tool_call_id, content: toText(msg.content) }]);
+            continue;
+        }
+
+        const blocks = [];
+        if (Array.isArray(msg.content)) {
+            blocks.push(...msg.content.map(toContentBlock));
+        } else if (msg.content) {
+            blocks.push({ type: 'text', text: msg.content });
+        }
+
+        if (msg.role === 'assistant' && msg.tool_calls) {
+            for (const call of msg.tool_calls) {
+                blocks.push({
+                    type: 'tool_use',
+                    id: call.id,
+                    name: call.function.name,
+                    input: parseArguments(call.function.arguments)
+                });
+            }
+        }
+
+        append(msg.role === 'assistant' ? 'assistant' : 'user', blocks);
+    }
+
+    return messages;
+};
+
+// Transforms request for Messages API
+const transformRequest = (params) => {
+    const request = {
+        model: params.model,
+        max_tokens: params.maxTokens,
+        messages: transformThread(params.thread)
+    };
+
+    if (params.systemInstructions) {
+        request.system = params.systemInstructions;
+    }
+
+    // Get model capabilities
+    const modelInfo = MODEL_METADATA[params.model] || { supports: { temperature: true, toolCalls: true } };
+
+    // Add optional parameters based on model support
+    if (params.temperature !== undefined && modelInfo.supports.temperature !== false) {
+        request.temperature = params.temperature;
+    }
+    if (params.stop !== undefined) {
+        request.stop_sequences = Array.isArray(params.stop) ? params.stop : [params.stop];
+    }
+
+    // Transform tools to Messages API format if provided
+    if (params.tools !== undefined && modelInfo.supports.toolCalls !== false) {
+        request.tools = params.tools.map(toolName => {
+            const schema = params.toolSchemas?.[toolName];
+            return {
+                name: toolName,
+                description: schema?.description || `Execute ${toolName}`,
+                input_schema: schema?.inputSchema || {
+                    type: 'object',
+                    properties: {
+                        args: { type: 'string', description: 'Arguments for the tool' }
+                    }
+                }
+            };
+        });
+    }
+
+    // Structured output - the schema becomes the input schema of the only tool offered
+    if (params.responseSchema) {
+        request.tools = [{
+            name: STRUCTURED_RESPONSE_TOOL,
+            description: `Respond with the ${params.schemaName || 'response'} as structured data`,
+            input_schema: isWrappedSchema(params.responseSchema)
+                ? { type: 'object', properties: { [STRUCTURED_RESPONSE_FIELD]: params.responseSchema }, required: [STRUCTURED_RESPONSE_FIELD] }
+                : params.responseSchema
+        }];
+        request.tool_choice = { type: 'tool', name: STRUCTURED_RESPONSE_TOOL };
+    }
+
+    return request;
+};
+
+// Uniform response transform for Messages API
+const transformResponse = (apiResponse, params) => {
+    if (apiResponse.type !== 'message' || !Array.isArray(apiResponse.content)) {
+        console.error('Invalid Messages API response:', apiResponse);
+        return {
+            output: '',
+            usage: { prompt: 0, completion: 0 },
+            model: apiResponse.model || 'unknown',
+            finishReason: 'unknown',
+            toolCalls: undefined
+        };
+    }
+
+    const structured = apiResponse.content
+        .find(block => block.type === 'tool_use' && block.name === STRUCTURED_RESPONSE_TOOL);
+
+    const structuredInput = structured?.input ?? {};
+
+    const textContent = structured
+        ? JSON.stringify(isWrappedSchema(params.responseSchema) ? structuredInput[STRUCTURED_RESPONSE_FIELD] ?? null : structuredInput)
+        : apiResponse.content
+            .filter(block => block.type === 'text')
+            .map(block => block.text)
+            .join('');
+
+    const toolCalls = apiResponse.content
+        .filter(block => block.type === 'tool_use' && block !== structured)
+        .map(block => ({
+            id: block.id,
+            type: 'function',
+            function: {
+                name: block.name,
+                arguments: JSON.stringify(block.input || {})
+            }
+        }));
+
+    // Cached prompt tokens are reported separately from input_tokens
+    const usage = apiResponse.usage || {};
+    const promptTokens = (usage.input_tokens || 0)
+        + (usage.cache_creation_input_tokens || 0)
+        + (usage.cache_read_input_tokens || 0);
+
+    return {
+        output: textContent,
+        usage: {
+            prompt: promptTokens,
+            completion: usage.output_tokens || 0
+        },
+        model: apiResponse.model,
+        // The forced structured response call is the answer, not a tool call to run
+        finishReason: structured && apiResponse.stop_reason === 'tool_use'
+            ? 'end_turn'
+            : FINISH_REASON_MAP[apiResponse.stop_reason] || apiResponse.stop_reason || 'unknown',
+        toolCalls: toolCalls.length > 0 ? toolCalls : undefined
+    };
+};
+
+// Turn a non-2xx response into an Error carrying the HTTP status
+const toApiError = async (response) => {
+    let message = response.statusText;
+    try {
+        const body = await response.json();
+        message = body?.error?.message || message;
+    } catch {
+        // Body was not JSON - keep the status text
+    }
+    const error = new Error(`Anthropic API error (${response.status}): ${message}`);
+    error.status = response.status;
+    return error;
+};
+
+// Parse a server-sent event stream into { event, data } objects
+async function* readEvents(body) {
+    const decoder = new TextDecoder();
+    let buffer = '';
+
+    for await (const chunk of body) {
+        buffer += decoder.decode(chunk, { stream: true });
+
+        let separator;
+        while ((separator = buffer.indexOf('\n\n')) !== -1) {
+            const raw = buffer.slice(0, separator);
+            buffer = buffer.slice(separator + 2);
+
+            let event = 'message';
+            const data = [];
+            for (const line of raw.split('\n')) {
+                if (line.startsWith('event:')) event = line.slice(6).trim();
+                else if (line.startsWith('data:')) data.push(line.slice(5).trim());
+            }
+            if (data.length > 0) {
+                yield { event, data: JSON.parse(data.join('\n')) };
+            }
+        }
+    }
+}
+
+// Consume a streamed Messages API call, forwarding text deltas as they arrive.
+// Content blocks are reassembled into the message a non-streamed call returns.
+const readStream = async (body, onDelta) => {
+    let message = null;
+    const partialJson = {};
+
+    for await (const { event, data } of readEvents(body)) {
+        if (event === 'message_start') {
+            message = { ...data.message, content: [] };
+        } else if (event === 'content_block_start') {
+            message.content[data.index] = { ...data.content_block };
+            if (data.content_block.type === 'tool_use') {
+                partialJson[data.index] = '';
+            }
+        } else if (event === 'content_block_delta') {
+            const block = message.content[data.index];
+            if (data.delta.type === 'text_delta') {
+                block.text = (block.text || '') + data.delta.text;
+                onDelta({ type: 'text', text: data.delta.text });
+            } else if (data.delta.type === 'input_json_delta') {
+                partialJson[data.index] += data.delta.partial_json;
+            }
+        } else if (event === 'content_block_stop') {
+            if (partialJson[data.index] !== undefined) {
+                message.content[data.index].input = parseArguments(partialJson[data.index]);
+            }
+        } else if (event === 'message_delta') {
+            message.stop_reason = data.delta?.stop_reason ?? message.stop_reason;
+            message.usage = { ...message.usage, ...data.usage };
+        } else if (event === 'error') {
+            throw new Error(`Anthropic stream error: ${data.error?.message || 'unknown error'}`);
+        }
+    }
+
+    if (!message) {
+        throw new Error('Stream ended without a message');
+    }
+    return message;
+};
+
+/**
+ * Declared capabilities of a Claude model - known models or defaults for unknown ones
+ */
+export const getAnthropicCapabilities = (model) => (
+    MODEL_METADATA[model] || {
+        maxContext: 200000,
+        maxOutput: 8192,
+        supports: { toolCalls: true, temperature: true, jsonMode: true, vision: true }
+    }
+);
+
+// Main provider factory function
+export const createAnthropicProvider = (config) => {
+    const { apiKey, baseURL = DEFAULT_BASE_URL } = config || {};
+    const endpoint = `${baseURL.replace(/\/+$/, '')}/v1/messages`;
+
+    return {
+        async callLLM(machineContext, params) {
+            const { execLogger, abortSignal } = machineContext;
+
+            // The forced structured response tool is the only one a structured call can offer
+            if (params.responseSchema && params.tools?.length > 0) {
+                execLogger.warn({
+                    data: { model: params.model, tools: params.tools }
+                }, 'Anthropic structured output cannot call tools - calling it without them');
+            }
+
+            // Transform params to API request format
+            const apiRequest = transformRequest(params);
+            if (params.onDelta) {
+                apiRequest.stream = true;
+            }
+
+            // Log request
+            execLogger.info({
+                event: PROCESSING_EVENTS.PROVIDER_API_REQUEST,
+                msg: 'Anthropic API request',
+                data: apiRequest
+            });
+
+            const response = await fetch(endpoint, {
+                method: 'POST',
+                headers: {
+                    'content-type': 'application/json',
+                    'x-api-key': apiKey,
+                    'anthropic-version': API_VERSION
+                },
+                body: JSON.stringify(apiRequest),
+                signal: abortSignal || undefined
+            });
+
+            if (!response.ok) {
+                throw await toApiError(response);
+            }
+
+            const apiResponse = params.onDelta
+                ? await readStream(response.body, params.onDelta)
+                : await response.json();
+
+            // Log response
+            execLogger.info({
+                event: PROCESSING_EVENTS.PROVIDER_API_RESPONSE,
+                msg: 'Anthropic API response',
+                data: apiResponse
+            });
+
+            // Transform response to uniform format
+            const transformed = transformResponse(apiResponse, params);
+            return {
+                ...transformed,
+                original: {
+                    request: apiRequest,
+                    response: apiResponse
+                }
+            };
+        },
+
+        getCapabilities(model) {
+            return getAnthropicCapabilities(model);
+        }
+    };
+};
@@ -0,0 +1,71 @@
+/**
+ * Content-addressed LLM response cache
+ *
+ * Entries live under ~/.thinksuit/cache (THINKSUIT_CACHE_DIR), one JSON file
+ * per normalized request. Caching is best effort: unreadable entries count as
+ * misses and failed writes are ignored, so the cache can never fail a call.
+ */
+
+import { createHash } from 'node:crypto';
+import { readFile, writeFile } from 'node:fs/promises';
+
+import { ensureDirectoryExistsAsync, getCacheFilePath } from '../utils/paths.js';
+
+/**
+ * Serialize with sorted object keys so equal requests hash equally
+ * regardless of how their objects were built
+ */
+function stableStringify(value) {
+    if (Array.isArray(value)) {
+        return `[${value.map(stableStringify).join(',')}]`;
+    }
+    if (value && typeof value === 'object') {
+        const entries = Object.keys(value)
+            .filter(key => value[key] !== undefined)
+            .sort()
+            .map(key => `${JSON.stringify(key)}:${stableStringify(value[key])}`);
+        return `{${entries.join(',')}}`;
+    }
+    return JSON.stringify(value ?? null);
+}
+
+/**
+ * Hash a normalized request into a cache key
+ * @param {Object} request - { provider, model, systemInstructions, thread, temperature, maxTokens, toolSchemas }
+ *   thread and systemInstructions as returned by cleanThreadForProvider
+ * @returns {string} Hex sha256
+ */
+export function getCacheKey(request) {
+    return createHash('sha256').update(stableStringify(request)).digest('hex');
+}
+
+/**
+ * Read a cached response
+ * @param {string} key - Cache key
+ * @returns {Promise<Object|null>} { response, cachedAt } or null on a miss
+ */
+export async function readCachedResponse(key) {
+    try {
+        const entry = JSON.parse(await readFile(getCacheFilePath(key), 'utf-8'));
+        return entry?.response ? entry : null;
+    } catch {
+        return null;
+    }
+}
+
+/**
+ * Store a response
+ * @param {string} key - Cache key
+ * @param {Object} response - Uniform provider response
+ * @returns {Promise<boolean>} Whether the entry was written
+ */
+export async function writeCachedResponse(key, response) {
+    try {
+        const filePath = getCacheFilePath(key);
+        await ensureDirectoryExistsAsync(filePath);
+        await writeFile(filePath, JSON.stringify({ key, cachedAt: new Date().toISOString(), response }));
+        return true;
+    } catch {
+        return false;
+    }
+}
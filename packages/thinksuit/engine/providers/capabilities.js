@@ -0,0 +1,69 @@
+/**
+ * Model capability registry
+ *
+ * What a provider/model can do: context window, max output, and support for
+ * tool calling, JSON mode, vision, temperature and streaming. Each provider
+ * declares its known models (and defaults for unknown ones); config.capabilities
+ * overrides any of it by "provider/model":
+ *   { "local/llama3.2": { "maxContext": 131072, "supports": { "toolCalls": false } } }
+ *
+ * callLLM adapts requests to the answering model, and policy rules adapt or
+ * block plans the configured model cannot execute (via Capability facts).
+ */
+
+import { getOpenAICapabilities } from './openai.js';
+import { getAnthropicCapabilities } from './anthropic.js';
+import { getGoogleCapabilities } from './google.js';
+import { getHuggingFaceCapabilities } from './hugging-face.js';
+import { getONNXCapabilities } from './onnx.js';
+import { getLocalCapabilities } from './local.js';
+
+// What each provider declares for a model - read without creating a client or needing credentials
+const DECLARED_CAPABILITIES = {
+    'openai': getOpenAICapabilities,
+    'anthropic': getAnthropicCapabilities,
+    'google': getGoogleCapabilities,
+    'hugging-face': getHuggingFaceCapabilities,
+    'onnx': getONNXCapabilities,
+    'local': getLocalCapabilities
+};
+
+export const CAPABILITY_FEATURES = ['toolCalls', 'jsonMode', 'vision', 'temperature', 'streaming'];
+
+// Assumed when neither the provider nor config says otherwise
+const DEFAULT_SUPPORTS = {
+    toolCalls: false,
+    jsonMode: false,
+    vision: false,
+    temperature: true,
+    streaming: true
+};
+
+/**
+ * Resolve what a model can do
+ * @param {Object} config - Needs `capabilities` overrides when configured
+ * @param {string} [provider=config.provider]
+ * @param {string} [model=config.model]
+ * @param {Object} [declared] - What the provider declares, when a provider instance is at hand
+ * @returns {{maxContext: number|null, maxOutput: number|null, supports: Object}}
+ */
+export function getModelCapabilities(config, provider = config.provider, model = config.model,
+    declared = DECLARED_CAPABILITIES[provider]?.(model) || {}) {
+    const override = config.capabilities?.[`${provider}/${model}`] || {};
+
+    return {
+        maxContext: override.maxContext ?? declared.maxContext ?? null,
+        maxOutput: override.maxOutput ?? declared.maxOutput ?? null,
+        supports: { ...DEFAULT_SUPPORTS, ...declared.supports, ...override.supports }
+    };
+}
+
+/**
+ * Features a plan or request needs that a model lacks
+ * @param {Object} capabilities - From getModelCapabilities
+ * @param {Array<string>} required - Feature names (see CAPABILITY_FEATURES)
+ * @returns {Array<string>}
+ */
+export function findMissingCapabilities(capabilities, required = []) {
+    return required.filter(feature => !capabilities.supports[feature]);
+}
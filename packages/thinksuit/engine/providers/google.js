@@ -7,37 +7,37 @@ const MODEL_METADATA = {
     'gemini-3-pro-preview': {
         maxContext: 1048576,
         maxOutput: 65536,
-        supports: { toolCalls: true, temperature: true }
+        supports: { toolCalls: true, temperature: true, jsonMode: true, vision: true }
     },
     'gemini-2.5-pro': {
         maxContext: 1048576,
         maxOutput: 65536,
-        supports: { toolCalls: true, temperature: true }
+        supports: { toolCalls: true, temperature: true, jsonMode: true, vision: true }
     },
     'gemini-2.5-flash': {
         maxContext: 1048576,
         maxOutput: 65536,
-        supports: { toolCalls: true, temperature: true }
+        supports: { toolCalls: true, temperature: true, jsonMode: true, vision: true }
     },
     'gemini-2.0-flash': {
         maxContext: 1048576,
         maxOutput: 8192,
-        supports: { toolCalls: true, temperature: true }
+        supports: { toolCalls: true, temperature: true, jsonMode: true, vision: true }
     },
     'gemini-2.0-flash-lite': {
         maxContext: 1048576,
         maxOutput: 8192,
-        supports: { toolCalls: true, temperature: true }
+        supports: { toolCalls: true, temperature: true, jsonMode: true, vision: true }
     },
     'gemini-1.5-pro': {
         maxContext: 2097152,
         maxOutput: 8192,
-        supports: { toolCalls: true, temperature: true }
+        supports: { toolCalls: true, temperature: true, jsonMode: true, vision: true }
     },
     'gemini-1.5-flash': {
         maxContext: 1048576,
         maxOutput: 8192,
-        supports: { toolCalls: true, temperature: true }
+        supports: { toolCalls: true, temperature: true, jsonMode: true, vision: true }
     }
 };
 
@@ -60,6 +60,11 @@ const FINISH_REASON_MAP = {
     NO_IMAGE: 'no_image'
 };
 
+// Attachment content parts (sessions/attachments.js) as Google GenAI parts
+const toPart = (part) => (part.type === 'image' || part.type === 'file'
+    ? { inlineData: { mimeType: part.mediaType, data: part.data } }
+    : { text: part.text ?? '' });
+
 // Transform ThinkSuit thread to Google GenAI contents array
 const transformRequest = (params) => {
     const { systemInstructions, thread, model, maxTokens, temperature, stop, tools, toolSchemas } = params;
@@ -76,7 +81,7 @@ const transformRequest = (params) => {
         if (msg.role === 'user') {
             contents.push({
                 role: 'user',
-                parts: [{ text: msg.content }]
+                parts: Array.isArray(msg.content) ? msg.content.map(toPart) : [{ text: msg.content }]
             });
         } else if (msg.role === 'assistant') {
             // Handle assistant messages with tool calls
@@ -142,8 +147,9 @@ const transformRequest = (params) => {
     }
 
     // Add structured output schema if provided
-    if (params.responseFormat) {
-        config.responseSchema = params.responseFormat.schema;
+    // responseJsonSchema takes full JSON Schema (responseSchema only an OpenAPI subset)
+    if (params.responseSchema) {
+        config.responseJsonSchema = params.responseSchema;
         config.responseMimeType = 'application/json';
     }
 
@@ -268,6 +274,59 @@ const transformResponse = (apiResponse) => {
     };
 };
 
+// Consume a streamed generateContent call, forwarding text deltas as they arrive.
+// Parts from every chunk are collected into a single candidate so the result
+// has the same shape as a non-streamed response.
+const streamContent = async (ai, apiRequest, onDelta, abortSignal) => {
+    const stream = await ai.models.generateContentStream(apiRequest);
+
+    const parts = [];
+    let candidate = null;
+    let usageMetadata;
+    let modelVersion;
+
+    for await (const chunk of stream) {
+        if (abortSignal?.aborted) {
+            throw new Error('Request aborted');
+        }
+
+        usageMetadata = chunk.usageMetadata || usageMetadata;
+        modelVersion = chunk.modelVersion || modelVersion;
+
+        const chunkCandidate = chunk.candidates?.[0];
+        if (!chunkCandidate) continue;
+        candidate = chunkCandidate;
+
+        for (const part of chunkCandidate.content?.parts || []) {
+            if (part.text) {
+                onDelta({ type: 'text', text: part.text });
+            }
+            parts.push(part);
+        }
+    }
+
+    // Keep the last candidate untouched when nothing streamed (safety blocks etc.)
+    // so transformResponse can still surface its finish message
+    const content = parts.length > 0 ? { role: 'model', parts } : candidate?.content;
+
+    return {
+        candidates: candidate ? [{ ...candidate, content }] : [],
+        usageMetadata,
+        modelVersion
+    };
+};
+
+/**
+ * Declared capabilities of a Gemini model - known models or defaults for unknown ones
+ */
+export const getGoogleCapabilities = (model) => (
+    MODEL_METADATA[model] || {
+        maxContext: 32000,
+        maxOutput: 8192,
+        supports: { toolCalls: true, temperature: true, jsonMode: false, vision: false }
+    }
+);
+
 // Main provider factory function
 export const createGoogleProvider = (config) => {
     const { projectId, location = 'global' } = config;
@@ -280,7 +339,8 @@ export const createGoogleProvider = (config) => {
     const ai = new GoogleGenAI({
         vertexai: true,
         project: projectId,
-        location: location
+        location: location,
+        httpOptions: { retryOptions: { attempts: 1 } } // retry.js is the only retry policy, so every attempt is logged
     });
 
     return {
@@ -301,7 +361,9 @@ export const createGoogleProvider = (config) => {
                 // Call Google GenAI with abort signal support
                 let apiResponse;
 
-                if (abortSignal) {
+                if (params.onDelta) {
+                    apiResponse = await streamContent(ai, apiRequest, params.onDelta, abortSignal);
+                } else if (abortSignal) {
                     // Wrap the call to handle interruption
                     const callPromise = ai.models.generateContent(apiRequest);
 
@@ -340,14 +402,7 @@ export const createGoogleProvider = (config) => {
         },
 
         getCapabilities(model) {
-            // Return known capabilities or defaults for unknown models
-            return (
-                MODEL_METADATA[model] || {
-                    maxContext: 32000,
-                    maxOutput: 8192,
-                    supports: { toolCalls: true, temperature: true }
-                }
-            );
+            return getGoogleCapabilities(model);
         }
     };
 };
@@ -1,14 +1,19 @@
-import { createOpenAIChatCompletionsProvider } from './openai-chat-completions.js';
+import { createOpenAIChatCompletionsProvider, DEFAULT_CHAT_MODEL_METADATA } from './openai-chat-completions.js';
 
 // Model metadata for capabilities
 const MODEL_METADATA = {
     'moonshotai/Kimi-K2-Thinking:novita': {
         maxContext: 128000,
         maxOutput: 4096,
-        supports: { toolCalls: true, temperature: true }
+        supports: { toolCalls: true, temperature: true, jsonMode: false, vision: false }
     }
 };
 
+/**
+ * Declared capabilities of a model on the HuggingFace Router
+ */
+export const getHuggingFaceCapabilities = (model) => MODEL_METADATA[model] || DEFAULT_CHAT_MODEL_METADATA;
+
 /**
  * HuggingFace Router provider - uses HuggingFace's router to access various models
  */
@@ -1,7 +1,9 @@
 import { createOpenAIProvider } from './openai.js';
+import { createAnthropicProvider } from './anthropic.js';
 import { createGoogleProvider } from './google.js';
 import { createHuggingFaceProvider } from './hugging-face.js';
 import { createONNXProvider } from './onnx.js';
+import { createLocalProvider } from './local.js';
 
 /**
  * Provider registry - maps provider names to their factory functions and metadata
@@ -13,6 +15,12 @@ const PROVIDER_REGISTRY = {
         requiresConfig: (config) => !!config?.apiKey,
         description: 'OpenAI API (GPT models)'
     },
+    'anthropic': {
+        factory: createAnthropicProvider,
+        configKey: 'anthropic',
+        requiresConfig: (config) => !!config?.apiKey,
+        description: 'Anthropic Messages API (Claude models)'
+    },
     'google': {
         factory: createGoogleProvider,
         configKey: 'google',
@@ -30,6 +38,12 @@ const PROVIDER_REGISTRY = {
         configKey: 'onnx',
         requiresConfig: () => true,
         description: 'Local ONNX models via Transformers.js'
+    },
+    'local': {
+        factory: createLocalProvider,
+        configKey: 'local',
+        requiresConfig: () => true, // Falls back to the default Ollama endpoint
+        description: 'Local OpenAI-compatible server (Ollama, llama.cpp)'
     }
 };
 
@@ -1,12 +1,17 @@
-import { createProvider } from './index.js';
+import { BOUNDARY_TYPES, EVENT_ROLES, PROCESSING_EVENTS } from '../constants/events.js';
+import { getCacheKey, readCachedResponse, writeCachedResponse } from './cache.js';
+import { createProvider, listConfiguredProviders } from './index.js';
+import { getModelCapabilities } from './capabilities.js';
+import { resolveAttachments } from '../sessions/attachments.js';
+import {
+    buildCorrectionThread,
+    DEFAULT_SCHEMA_NAME,
+    parseStructuredOutput,
+    STRUCTURED_OUTPUT_RETRIES,
+    withSchemaInstructions
+} from './structured.js';
+import { backoff, classifyProviderError, getRetryDelay, parseFallbackChain, resolveRetryPolicy } from './retry.js';
 
-/**
- * Call an LLM with the given configuration and parameters
- * @param {Object} machineContext - Machine context containing config and execLogger
- * @param {Object} params - LLM call parameters (messages, maxTokens, etc.)
- * @param {Object} toolSchemas - Optional tool schemas for function calling
- * @returns {Promise<Object>} - LLM response
- */
 /**
  * Clean thread for provider consumption
  * - Extract system message (last/most recent system role)
@@ -44,8 +49,11 @@ function cleanThreadForProvider(thread) {
 
         const { semantic, ...cleanMsg } = msg; // Remove semantic property
 
+        // Tool results are never merged - each one answers a distinct tool call - nor are messages with attachments
+        const mergeable = typeof cleanMsg.content === 'string' && cleanMsg.role !== 'tool' && !cleanMsg.attachments?.length;
+
         // If same role as previous, accumulate
-        if (cleanMsg.role === lastRole && typeof cleanMsg.content === 'string') {
+        if (cleanMsg.role === lastRole && mergeable) {
             accumulatedContent.push(cleanMsg.content);
         } else {
             // Flush accumulated content if any
@@ -58,14 +66,14 @@ function cleanThreadForProvider(thread) {
             }
 
             // Start new message
-            if (typeof cleanMsg.content === 'string') {
+            if (mergeable) {
                 cleaned.push(cleanMsg);
                 accumulatedContent = [cleanMsg.content];
                 lastRole = cleanMsg.role;
             } else {
-                // Non-string content (tool messages, etc.) - don't merge
+                // Non-string content and tool messages - don't merge, either way
                 cleaned.push(cleanMsg);
-                lastRole = cleanMsg.role;
+                lastRole = null;
                 accumulatedContent = [];
             }
         }
@@ -83,34 +91,276 @@ function cleanThreadForProvider(thread) {
     return { systemInstructions, thread: cleaned };
 }
 
-export async function callLLM(machineContext, params, toolSchemas) {
-    try {
-        const { config } = machineContext;
-        const provider = createProvider(config);
+/**
+ * Make one call against one provider, adapting params to its capabilities
+ */
+async function callProvider(machineContext, config, entry, baseParams) {
+    const provider = createProvider({ ...config, provider: entry.provider });
+    const capabilities = getModelCapabilities(config, entry.provider, entry.model, provider.getCapabilities(entry.model));
+
+    // Clamp maxTokens to the model's limit, and read in attachments the way this model can take them
+    const clampedParams = {
+        ...baseParams,
+        thread: await resolveAttachments(baseParams.thread, capabilities.supports.vision),
+        model: entry.model,
+        maxTokens: capabilities.maxOutput ? Math.min(baseParams.maxTokens, capabilities.maxOutput) : baseParams.maxTokens
+    };
+
+    // Models that cannot stream fall back to a single buffered response
+    if (clampedParams.onDelta && !capabilities.supports.streaming) {
+        delete clampedParams.onDelta;
+    }
+
+    if (clampedParams.temperature !== undefined && !capabilities.supports.temperature) {
+        delete clampedParams.temperature;
+    }
+
+    // A model without function calling answers from the conversation alone
+    if (clampedParams.tools?.length > 0 && !capabilities.supports.toolCalls) {
+        machineContext.execLogger?.warn({
+            data: { provider: entry.provider, model: entry.model, tools: clampedParams.tools }
+        }, `${entry.provider}/${entry.model} cannot call tools - calling it without them`);
+        delete clampedParams.tools;
+        delete clampedParams.toolSchemas;
+    }
+
+    if (!clampedParams.responseSchema) {
+        return provider.callLLM(machineContext, clampedParams);
+    }
+
+    return callStructured(machineContext, provider, clampedParams, capabilities.supports.jsonMode);
+}
+
+/**
+ * Call a provider for output matching params.responseSchema
+ * Native JSON modes get the schema; other models are told it in their instructions.
+ * Invalid output is corrected up to STRUCTURED_OUTPUT_RETRIES times before the call fails.
+ * @returns {Promise<Object>} - Provider response with `parsed`, usage summed over the corrections
+ */
+async function callStructured(machineContext, provider, params, nativeJsonMode) {
+    const schema = params.responseSchema;
+    const structuredParams = nativeJsonMode
+        ? { ...params, schemaName: params.schemaName || DEFAULT_SCHEMA_NAME }
+        : { ...params, systemInstructions: withSchemaInstructions(params.systemInstructions, schema) };
+    if (!nativeJsonMode) delete structuredParams.responseSchema;
+
+    // Partial JSON is of no use to a stream reader, and corrections would repeat it
+    delete structuredParams.onDelta;
+
+    const usage = { prompt: 0, completion: 0 };
+    let thread = params.thread;
+    for (let attempt = 0; ; attempt++) {
+        const response = await provider.callLLM(machineContext, { ...structuredParams, thread });
+        usage.prompt += response.usage?.prompt || 0;
+        usage.completion += response.usage?.completion || 0;
+
+        const result = parseStructuredOutput(response.output, schema);
+        if (result.valid) {
+            return { ...response, usage, parsed: result.value };
+        }
+
+        if (attempt === STRUCTURED_OUTPUT_RETRIES) {
+            throw new Error(`Structured output did not match the schema: ${result.errors.join('; ')}`);
+        }
+
+        machineContext.execLogger?.warn({
+            data: { attempt: attempt + 1, errors: result.errors }
+        }, 'Structured output did not match the schema - asking for a correction');
+        thread = buildCorrectionThread(thread, response.output, result.errors);
+    }
+}
+
+/**
+ * Call the configured provider, retrying transient failures and then
+ * routing to each provider in config.fallbackChain in turn.
+ * Every attempt is logged as its own provider_attempt boundary.
+ * @returns {Promise<Object>} - { response, entry } where entry is the provider/model that answered
+ */
+async function callProviderChain(machineContext, params, options) {
+    const { config, execLogger: logger, abortSignal } = machineContext;
+    const chain = [{ provider: config.provider, model: params.model }, ...parseFallbackChain(config.fallbackChain)];
+    const retryPolicy = resolveRetryPolicy(config.retry);
+    const configured = chain.length > 1 ? listConfiguredProviders(config) : {};
+
+    // Once output has streamed to the caller a retry would repeat it
+    let streamed = false;
+    const chainParams = { ...params };
+    if (params.onDelta) {
+        chainParams.onDelta = (delta) => {
+            streamed = true;
+            params.onDelta(delta);
+        };
+    }
+
+    let lastError;
+    let totalAttempts = 0;
+    for (const [chainIndex, entry] of chain.entries()) {
+        for (let attempt = 1; ; attempt++) {
+            totalAttempts++;
+            const boundaryId = `attempt-${options.parentBoundaryId || 'llm'}-${totalAttempts}`;
+            const startTime = Date.now();
+            const attemptData = { provider: entry.provider, model: entry.model, attempt, chainIndex };
+
+            logger?.info({
+                event: PROCESSING_EVENTS.PROVIDER_ATTEMPT_START,
+                eventRole: EVENT_ROLES.BOUNDARY_START,
+                boundaryType: BOUNDARY_TYPES.PROVIDER_ATTEMPT,
+                boundaryId,
+                parentBoundaryId: options.parentBoundaryId,
+                traceId: options.traceId,
+                data: attemptData
+            }, `Provider attempt - ${entry.provider}/${entry.model}`);
+
+            const logComplete = (data) => logger?.info({
+                event: PROCESSING_EVENTS.PROVIDER_ATTEMPT_COMPLETE,
+                eventRole: EVENT_ROLES.BOUNDARY_END,
+                boundaryType: BOUNDARY_TYPES.PROVIDER_ATTEMPT,
+                boundaryId,
+                parentBoundaryId: options.parentBoundaryId,
+                traceId: options.traceId,
+                data: { ...attemptData, duration: Date.now() - startTime, ...data }
+            }, data.success ? 'Provider attempt succeeded' : 'Provider attempt failed');
+
+            try {
+                if (chainIndex > 0 && !configured[entry.provider]) {
+                    throw new Error(`Provider ${entry.provider} is not configured`);
+                }
 
-        // Get provider capabilities
-        const capabilities = provider.getCapabilities(params.model);
+                const response = await callProvider(machineContext, config, entry, chainParams);
+                logComplete({ success: true });
+                return { response, entry };
+            } catch (error) {
+                const errorClass = classifyProviderError(error);
+                const interrupted = abortSignal?.aborted || error.name === 'AbortError';
+                const delayMs = interrupted || streamed ? null : getRetryDelay(retryPolicy, errorClass, attempt, error);
+
+                logComplete({ success: false, errorClass, error: error.message, retryInMs: delayMs });
+
+                // Interruptions and partially streamed responses end the chain here
+                if (interrupted || streamed) throw error;
+
+                lastError = error;
+                if (delayMs === null) break;
+                await backoff(delayMs, abortSignal);
+            }
+        }
+    }
+
+    if (chain.length > 1) {
+        const route = chain.map(entry => entry.provider).join(' → ');
+        throw new Error(`All providers failed (${route}): ${lastError.message}`, { cause: lastError });
+    }
+    throw lastError;
+}
+
+/**
+ * Stream a stored response back as a single delta so streaming callers still see output
+ */
+function emitStoredOutput(onDelta, response) {
+    if (onDelta && typeof response.output === 'string' && response.output) {
+        onDelta({ type: 'text', text: response.output });
+    }
+}
+
+/**
+ * Answer a request from the response cache or the provider chain
+ */
+async function respond(machineContext, request, baseParams, options) {
+    const { config, execLogger: logger } = machineContext;
+    const cacheKey = config.cache ? getCacheKey(request) : null;
+
+    if (cacheKey) {
+        const cached = await readCachedResponse(cacheKey);
+        if (cached) {
+            logger?.info({
+                event: PROCESSING_EVENTS.LLM_CACHE_HIT,
+                parentBoundaryId: options.parentBoundaryId,
+                traceId: options.traceId,
+                data: { key: cacheKey, provider: request.provider, model: request.model, cachedAt: cached.cachedAt }
+            }, 'LLM cache hit');
+
+            emitStoredOutput(baseParams.onDelta, cached.response);
+            return { ...cached.response, cached: true };
+        }
+    }
+
+    const { response, entry } = await callProviderChain(machineContext, baseParams, options);
+
+    // Charge the call to the turn's running cost total
+    machineContext.costLedger?.record(entry.provider, entry.model, response.usage);
+
+    // Only the primary provider's answers are cached - the key names it
+    if (cacheKey && entry.provider === request.provider && entry.model === request.model) {
+        await writeCachedResponse(cacheKey, response);
+    }
+
+    return response;
+}
+
+/**
+ * Call an LLM with the given configuration and parameters
+ * With config.cache set, identical requests are answered from the response cache.
+ * A replay cassette answers instead of any provider; a recording cassette captures each outcome.
+ * @param {Object} machineContext - Machine context containing config and execLogger
+ * @param {Object} params - LLM call parameters (messages, maxTokens, etc.)
+ * @param {Function} [params.onDelta] - Stream callback, receives { type: 'text', text } as output arrives.
+ *   The resolved response is the same whether or not the call streamed.
+ * @param {Object} [params.responseSchema] - JSON schema the output must match; the response then
+ *   carries the validated value as `parsed` (see structured.js)
+ * @param {string} [params.schemaName] - Name for the schema where a provider's structured output API needs one
+ * @param {Object} toolSchemas - Optional tool schemas for function calling
+ * @param {Object} [options] - { traceId, parentBoundaryId } to nest attempt events under the caller's boundary
+ * @returns {Promise<Object>} - LLM response
+ */
+export async function callLLM(machineContext, params, toolSchemas, options = {}) {
+    try {
+        const { config, execLogger: logger, cassette } = machineContext;
 
         // Clean thread before passing to provider - extracts system instructions
         const { systemInstructions, thread: cleanedThread } = params.thread
             ? cleanThreadForProvider(params.thread)
             : { systemInstructions: null, thread: [] };
 
-        // Clamp maxTokens to provider's limit
-        const clampedParams = {
-            ...params,
+        const baseParams = { ...params, systemInstructions, thread: cleanedThread };
+
+        // Pass tool schemas if available
+        if (toolSchemas) {
+            baseParams.toolSchemas = toolSchemas;
+        }
+
+        // Normalized request - keys both the response cache and cassette recordings
+        const request = {
+            provider: config.provider,
+            model: params.model,
             systemInstructions,
             thread: cleanedThread,
-            maxTokens: Math.min(params.maxTokens, capabilities.maxOutput)
+            temperature: params.temperature,
+            maxTokens: params.maxTokens,
+            toolSchemas,
+            responseSchema: params.responseSchema
         };
 
-        // Pass tool schemas if available
-        if (toolSchemas) {
-            clampedParams.toolSchemas = toolSchemas;
+        if (cassette?.mode === 'replay') {
+            const { response, mismatch } = cassette.replayLLM(request);
+            logger?.info({
+                event: PROCESSING_EVENTS.LLM_REPLAY,
+                parentBoundaryId: options.parentBoundaryId,
+                traceId: options.traceId,
+                data: { provider: request.provider, model: request.model, mismatch }
+            }, mismatch ? 'LLM replay (request changed since recording)' : 'LLM replay');
+
+            emitStoredOutput(params.onDelta, response);
+            return { ...response, replayed: true };
         }
 
-        // Call provider with machineContext
-        return await provider.callLLM(machineContext, clampedParams);
+        try {
+            const response = await respond(machineContext, request, baseParams, options);
+            if (cassette?.mode === 'record') cassette.recordLLM(request, { response });
+            return response;
+        } catch (error) {
+            if (cassette?.mode === 'record') cassette.recordLLM(request, { error: error.message });
+            throw error;
+        }
     } catch (error) {
         // Wrap all provider errors with E_PROVIDER code
         const providerError = new Error(`E_PROVIDER: ${error.message}`);
@@ -0,0 +1,58 @@
+import { createOpenAIChatCompletionsProvider } from './openai-chat-completions.js';
+
+// Ollama's OpenAI-compatible endpoint; llama.cpp's server listens on :8080/v1
+export const DEFAULT_LOCAL_BASE_URL = 'http://localhost:11434/v1';
+
+// Local servers host arbitrary models, so capabilities can't be looked up by name.
+// Assume a modest context window and tool support - most current instruct models have both.
+// Override per model with config.capabilities["local/<model>"].
+const DEFAULT_MODEL_METADATA = {
+    maxContext: 8192,
+    maxOutput: 4096,
+    supports: { toolCalls: true, temperature: true, jsonMode: false, vision: false }
+};
+
+/**
+ * Declared capabilities of a model on a local server - the same for every model
+ */
+export const getLocalCapabilities = () => DEFAULT_MODEL_METADATA;
+
+/**
+ * List models served by an OpenAI-compatible endpoint
+ * @param {Object} config - { baseUrl, apiKey }
+ * @returns {Promise<string[]>} Model IDs reported by GET /models
+ */
+export const listLocalModels = async (config) => {
+    const baseUrl = (config?.baseUrl || DEFAULT_LOCAL_BASE_URL).replace(/\/+$/, '');
+
+    const headers = {};
+    if (config?.apiKey) {
+        headers.authorization = `Bearer ${config.apiKey}`;
+    }
+
+    const response = await fetch(`${baseUrl}/models`, { headers });
+    if (!response.ok) {
+        throw new Error(`E_PROVIDER: Model listing failed at ${baseUrl}/models (${response.status})`);
+    }
+
+    const body = await response.json();
+    return (body.data || []).map(model => model.id);
+};
+
+/**
+ * Local server provider - any OpenAI-compatible endpoint (Ollama, llama.cpp, vLLM, LM Studio)
+ * API key is optional; most local servers ignore it
+ */
+export const createLocalProvider = (config) => {
+    const provider = createOpenAIChatCompletionsProvider({
+        apiKey: config?.apiKey,
+        baseURL: config?.baseUrl || DEFAULT_LOCAL_BASE_URL,
+        defaultModelMetadata: DEFAULT_MODEL_METADATA,
+        providerName: 'Local server'
+    });
+
+    return {
+        ...provider,
+        listModels: () => listLocalModels(config)
+    };
+};
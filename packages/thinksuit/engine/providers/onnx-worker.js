@@ -2,7 +2,7 @@
  * Worker process for Granite provider
  * Runs ONNX model in isolated process to contain crashes
  */
-import { AutoModelForCausalLM, AutoTokenizer, env } from '@huggingface/transformers';
+import { AutoModelForCausalLM, AutoTokenizer, TextStreamer, env } from '@huggingface/transformers';
 
 env.cacheDir = './.cache/transformers';
 
@@ -75,6 +75,15 @@ process.on('message', async (request) => {
             genParams.temperature = params.temperature;
         }
 
+        // Stream decoded text back to the parent as it is generated
+        if (params.stream) {
+            genParams.streamer = new TextStreamer(tokenizer, {
+                skip_prompt: true,
+                skip_special_tokens: true,
+                callback_function: (text) => process.send({ id, delta: text })
+            });
+        }
+
         const startTime = Date.now();
         const outputs = await model.generate(genParams);
         const generationTime = Date.now() - startTime;
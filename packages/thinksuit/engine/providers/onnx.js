@@ -15,23 +15,34 @@ const MODEL_METADATA = {
     'ibm-granite/granite-4.0-h-1b': {
         maxContext: 128000,
         maxOutput: 2048,
-        supports: { toolCalls: true, temperature: true },
+        supports: { toolCalls: true, temperature: true, jsonMode: false, vision: false },
         onnxModelId: 'onnx-community/granite-4.0-1b-ONNX-web'
     },
     'ibm-granite/granite-4.0-h-350m': {
         maxContext: 128000,
         maxOutput: 2048,
-        supports: { toolCalls: true, temperature: true },
+        supports: { toolCalls: true, temperature: true, jsonMode: false, vision: false },
         onnxModelId: 'onnx-community/granite-4.0-h-350m-ONNX'
     },
     'Qwen/Qwen2.5-0.5B-Instruct': {
         maxContext: 32768,
         maxOutput: 2048,
-        supports: { toolCalls: true, temperature: true },
+        supports: { toolCalls: true, temperature: true, jsonMode: false, vision: false },
         onnxModelId: 'onnx-community/Qwen2.5-0.5B-Instruct-ONNX'
     }
 };
 
+/**
+ * Declared capabilities of an ONNX model - known models or defaults for unknown ones
+ */
+export const getONNXCapabilities = (model) => (
+    MODEL_METADATA[model] || {
+        maxContext: 4096,
+        maxOutput: 2048,
+        supports: { toolCalls: false, temperature: true, jsonMode: false, vision: false }
+    }
+);
+
 /**
  * ONNX provider - runs models locally using Transformers.js with ONNX Runtime
  */
@@ -41,6 +52,7 @@ export const createONNXProvider = (config) => {
     return {
         async callLLM(machineContext, params) {
             const { execLogger, abortSignal } = machineContext;
+            const { onDelta, ...workerParams } = params;
 
             // Check abort before starting
             if (abortSignal?.aborted) {
@@ -90,8 +102,11 @@ export const createONNXProvider = (config) => {
                             id: requestId,
                             modelId: modelInfo.onnxModelId,
                             dtype,
-                            params
+                            params: { ...workerParams, stream: !!onDelta }
                         });
+                    } else if (msg.id === requestId && msg.delta !== undefined) {
+                        // Streamed text from the worker's TextStreamer
+                        onDelta?.({ type: 'text', text: msg.delta });
                     } else if (msg.id === requestId) {
                         responded = true;
                         if (msg.success) {
@@ -142,11 +157,7 @@ export const createONNXProvider = (config) => {
         },
 
         getCapabilities(model) {
-            return MODEL_METADATA[model] || {
-                maxContext: 4096,
-                maxOutput: 2048,
-                supports: { toolCalls: false, temperature: true }
-            };
+            return getONNXCapabilities(model);
         }
     };
 };
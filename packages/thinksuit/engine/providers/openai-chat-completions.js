@@ -6,6 +6,13 @@ import { PROCESSING_EVENTS } from '../constants/events.js';
  * Works with any service that implements the OpenAI chat completions API
  */
 
+// Attachment content parts (sessions/attachments.js) as chat completions content parts
+const toContentPart = (part) => {
+    if (part.type === 'image') return { type: 'image_url', image_url: { url: `data:${part.mediaType};base64,${part.data}` } };
+    if (part.type === 'file') return { type: 'file', file: { filename: part.name, file_data: `data:${part.mediaType};base64,${part.data}` } };
+    return part; // Text parts share the format
+};
+
 // Transforms request for OpenAI-compatible chat completions API
 const transformRequest = (params) => {
     // Start with system instructions as first message (if provided)
@@ -43,6 +50,10 @@ const transformRequest = (params) => {
                 return cleanMsg;
             }
 
+            if (msg.role === 'user' && Array.isArray(msg.content)) {
+                return { ...msg, content: msg.content.map(toContentPart) };
+            }
+
             // Regular messages pass through as-is
             return msg;
         });
@@ -67,13 +78,13 @@ const transformRequest = (params) => {
     }
 
     // Add response format for structured output
-    if (params.responseFormat?.schema) {
+    if (params.responseSchema) {
         request.response_format = {
             type: 'json_schema',
             json_schema: {
-                name: params.responseFormat.name || 'response',
-                schema: params.responseFormat.schema,
-                strict: params.responseFormat.strict !== false
+                name: params.schemaName || 'response',
+                schema: params.responseSchema,
+                strict: true
             }
         };
     }
@@ -169,20 +180,97 @@ const transformResponse = (apiResponse) => {
     };
 };
 
+// Consume a streamed chat completion, forwarding text deltas as they arrive.
+// Chunks are folded back into a regular chat.completion object so the
+// streamed and non-streamed paths share transformResponse.
+const streamChatCompletion = async (client, apiRequest, options, onDelta) => {
+    const stream = await client.chat.completions.create(
+        { ...apiRequest, stream: true, stream_options: { include_usage: true } },
+        options
+    );
+
+    const message = { role: 'assistant', content: '' };
+    const toolCalls = [];
+    let id;
+    let model;
+    let usage;
+    let finishReason = null;
+
+    for await (const chunk of stream) {
+        id = id || chunk.id;
+        model = chunk.model || model;
+        if (chunk.usage) {
+            usage = chunk.usage;
+        }
+
+        const choice = chunk.choices?.[0];
+        if (!choice) continue;
+
+        const delta = choice.delta || {};
+        if (delta.content) {
+            message.content += delta.content;
+            onDelta({ type: 'text', text: delta.content });
+        }
+
+        // Tool call fragments are keyed by index and arrive piecemeal
+        for (const fragment of delta.tool_calls || []) {
+            const call = toolCalls[fragment.index] || (toolCalls[fragment.index] = {
+                id: fragment.id,
+                type: 'function',
+                function: { name: '', arguments: '' }
+            });
+            if (fragment.id) call.id = fragment.id;
+            if (fragment.function?.name) call.function.name += fragment.function.name;
+            if (fragment.function?.arguments) call.function.arguments += fragment.function.arguments;
+        }
+
+        if (choice.finish_reason) {
+            finishReason = choice.finish_reason;
+        }
+    }
+
+    if (toolCalls.length > 0) {
+        message.tool_calls = toolCalls.filter(Boolean);
+    }
+
+    return {
+        id,
+        object: 'chat.completion',
+        model,
+        choices: [{ index: 0, message, finish_reason: finishReason }],
+        usage
+    };
+};
+
+// Capabilities assumed for models an endpoint's provider does not list
+export const DEFAULT_CHAT_MODEL_METADATA = {
+    maxContext: 4096,
+    maxOutput: 2048,
+    supports: { toolCalls: false, temperature: true, jsonMode: false, vision: false }
+};
+
 /**
  * Create a provider that uses the OpenAI Chat Completions API format
  * @param {Object} config - Provider configuration
  * @param {string} config.apiKey - API key (optional for local providers)
  * @param {string} config.baseURL - Base URL for the API endpoint
  * @param {Object} config.modelMetadata - Model capabilities metadata
+ * @param {Object} config.defaultModelMetadata - Capabilities assumed for models missing from modelMetadata
  * @param {string} config.providerName - Name for logging
  */
 export const createOpenAIChatCompletionsProvider = (config) => {
-    const { apiKey, baseURL, modelMetadata = {}, providerName = 'OpenAI Chat Completions' } = config || {};
+    const {
+        apiKey,
+        baseURL,
+        modelMetadata = {},
+        defaultModelMetadata = DEFAULT_CHAT_MODEL_METADATA,
+        providerName = 'OpenAI Chat Completions'
+    } = config || {};
 
     const client = new OpenAI({
         baseURL: baseURL || 'http://localhost:8000/v1',
-        apiKey: apiKey || 'not-needed' // Some local providers don't require API keys
+        apiKey: apiKey || 'not-needed', // Some local providers don't require API keys
+        maxRetries: 0 // retry.js is the only retry policy, so every attempt is logged
     });
 
     return {
@@ -192,7 +280,7 @@ export const createOpenAIChatCompletionsProvider = (config) => {
             // Pass model metadata through to transformRequest
             const paramsWithMetadata = {
                 ...params,
-                modelMetadata: modelMetadata[params.model]
+                modelMetadata: modelMetadata[params.model] || defaultModelMetadata
             };
 
             // Transform params to API request format
@@ -210,7 +298,9 @@ export const createOpenAIChatCompletionsProvider = (config) => {
             if (abortSignal) {
                 options.signal = abortSignal;
             }
-            const apiResponse = await client.chat.completions.create(apiRequest, options);
+            const apiResponse = params.onDelta
+                ? await streamChatCompletion(client, apiRequest, options, params.onDelta)
+                : await client.chat.completions.create(apiRequest, options);
 
             // Log response
             execLogger.info({
@@ -229,13 +319,7 @@ export const createOpenAIChatCompletionsProvider = (config) => {
 
         getCapabilities(model) {
             // Return known capabilities or defaults for unknown models
-            return (
-                modelMetadata[model] || {
-                    maxContext: 4096,
-                    maxOutput: 2048,
-                    supports: { toolCalls: false, temperature: true }
-                }
-            );
+            return modelMetadata[model] || defaultModelMetadata;
         }
     };
 };
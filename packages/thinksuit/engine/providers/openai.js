@@ -4,14 +4,22 @@ import { PROCESSING_EVENTS } from '../constants/events.js';
 
 // Model metadata for capabilities
 const MODEL_METADATA = {
-    'gpt-4': { maxContext: 128000, maxOutput: 4096, supports: { toolCalls: true, temperature: true } },
-    'gpt-4-turbo': { maxContext: 128000, maxOutput: 4096, supports: { toolCalls: true, temperature: true } },
-    'gpt-4o': { maxContext: 128000, maxOutput: 16384, supports: { toolCalls: true, temperature: true } },
-    'gpt-4o-mini': { maxContext: 128000, maxOutput: 16384, supports: { toolCalls: true, temperature: true } },
-    'o1-preview': { maxContext: 128000, maxOutput: 32768, supports: { toolCalls: false, temperature: false } },
-    'o1-mini': { maxContext: 128000, maxOutput: 65536, supports: { toolCalls: false, temperature: false } },
-    'gpt-5': { maxContext: 128000, maxOutput: 16384, supports: { toolCalls: true, temperature: false } },
-    'gpt-5-codex': { maxContext: 200000, maxOutput: 100000, supports: { toolCalls: true, temperature: false } }
+    'gpt-4': { maxContext: 128000, maxOutput: 4096, supports: { toolCalls: true, temperature: true, jsonMode: false, vision: false } },
+    'gpt-4-turbo': { maxContext: 128000, maxOutput: 4096, supports: { toolCalls: true, temperature: true, jsonMode: true, vision: true } },
+    'gpt-4o': { maxContext: 128000, maxOutput: 16384, supports: { toolCalls: true, temperature: true, jsonMode: true, vision: true } },
+    'gpt-4o-mini': { maxContext: 128000, maxOutput: 16384, supports: { toolCalls: true, temperature: true, jsonMode: true, vision: true } },
+    'o1-preview': { maxContext: 128000, maxOutput: 32768, supports: { toolCalls: false, temperature: false, jsonMode: false, vision: false } },
+    'o1-mini': { maxContext: 128000, maxOutput: 65536, supports: { toolCalls: false, temperature: false, jsonMode: false, vision: false } },
+    'gpt-5': { maxContext: 128000, maxOutput: 16384, supports: { toolCalls: true, temperature: false, jsonMode: true, vision: true } },
+    'gpt-5-codex': { maxContext: 200000, maxOutput: 100000, supports: { toolCalls: true, temperature: false, jsonMode: true, vision: true } }
+};
+
+// Attachment content parts (sessions/attachments.js) as Responses API input parts
+const toInputPart = (part) => {
+    if (part.type === 'text') return { type: 'input_text', text: part.text };
+    if (part.type === 'image') return { type: 'input_image', image_url: `data:${part.mediaType};base64,${part.data}` };
+    if (part.type === 'file') return { type: 'input_file', filename: part.name, file_data: `data:${part.mediaType};base64,${part.data}` };
+    return part;
 };
 
 // Transforms request for Responses API
@@ -55,6 +63,9 @@ const transformRequest = (params) => {
                 const { tool_calls, ...cleanMsg } = msg;
                 return cleanMsg;
             }
+            if (msg.role === 'user' && Array.isArray(msg.content)) {
+                return { ...msg, content: msg.content.map(toInputPart) };
+            }
             // Regular messages pass through as-is
             return msg;
         });
@@ -80,13 +91,13 @@ const transformRequest = (params) => {
 
     // Add text generation parameters for Responses API
     // Controls output format and verbosity
-    if (params.responseFormat) {
+    if (params.responseSchema) {
         // Use structured output if schema provided
         request.text = {
             format: {
                 type: 'json_schema',
-                name: params.responseFormat.name || 'response',
-                schema: params.responseFormat.schema,
+                name: params.schemaName || 'response',
+                schema: params.responseSchema,
                 strict: true
             },
             verbosity: 'medium'
@@ -203,10 +214,47 @@ const transformResponse = (apiResponse) => {
     };
 };
 
+// Consume a streamed Responses API call, forwarding text deltas as they arrive.
+// The terminal event carries the same response object a non-streamed call returns.
+const streamResponse = async (client, apiRequest, options, onDelta) => {
+    const stream = await client.responses.create({ ...apiRequest, stream: true }, options);
+
+    let finalResponse = null;
+    for await (const event of stream) {
+        if (event.type === 'response.output_text.delta') {
+            onDelta({ type: 'text', text: event.delta });
+        } else if (event.type === 'response.completed' || event.type === 'response.incomplete') {
+            finalResponse = event.response;
+        } else if (event.type === 'response.failed') {
+            throw new Error(event.response?.error?.message || 'Response failed');
+        } else if (event.type === 'error') {
+            throw new Error(event.message || 'Stream error');
+        }
+    }
+
+    if (!finalResponse) {
+        throw new Error('Stream ended without a final response');
+    }
+    return finalResponse;
+};
+
+/**
+ * Declared capabilities of an OpenAI model - known models or defaults for unknown ones
+ * Needs no credentials, so the capability registry can read it without a client.
+ */
+export const getOpenAICapabilities = (model) => (
+    MODEL_METADATA[model] || {
+        maxContext: 4096,
+        maxOutput: 2048,
+        supports: { toolCalls: false, temperature: true, jsonMode: false, vision: false }
+    }
+);
+
 // Main provider factory function
 export const createOpenAIProvider = (config) => {
     const { apiKey } = config || {};
-    const client = new OpenAI({ apiKey });
+    // SDK retries off - retry.js is the only retry policy, so every attempt is logged
+    const client = new OpenAI({ apiKey, maxRetries: 0 });
 
     return {
         async callLLM(machineContext, params) {
@@ -228,7 +276,9 @@ export const createOpenAIProvider = (config) => {
                 // OpenAI SDK supports AbortSignal in request options
                 options.signal = abortSignal;
             }
-            const apiResponse = await client.responses.create(apiRequest, options);
+            const apiResponse = params.onDelta
+                ? await streamResponse(client, apiRequest, options, params.onDelta)
+                : await client.responses.create(apiRequest, options);
 
             execLogger.info({
                 event: PROCESSING_EVENTS.PROVIDER_API_RESPONSE,
@@ -248,14 +298,7 @@ export const createOpenAIProvider = (config) => {
         },
 
         getCapabilities(model) {
-            // Return known capabilities or defaults for unknown models
-            return (
-                MODEL_METADATA[model] || {
-                    maxContext: 4096,
-                    maxOutput: 2048,
-                    supports: { toolCalls: false, temperature: true }
-                }
-            );
+            return getOpenAICapabilities(model);
         }
     };
 };
@@ -0,0 +1,128 @@
+/**
+ * Retry and fallback policy for provider calls
+ *
+ * Errors are sorted into classes so each can carry its own retry policy:
+ *   rate_limit - HTTP 429
+ *   server     - HTTP 5xx (and 408)
+ *   network    - connection resets, refusals and timeouts
+ *   fatal      - everything else; never retried, routed straight to the next provider
+ */
+
+import { setTimeout as sleep } from 'node:timers/promises';
+
+import { DEFAULT_RETRY_POLICY } from '../constants/defaults.js';
+
+const NETWORK_ERROR_CODES = new Set([
+    'ECONNRESET',
+    'ECONNREFUSED',
+    'ECONNABORTED',
+    'ETIMEDOUT',
+    'EPIPE',
+    'EAI_AGAIN',
+    'ENOTFOUND',
+    'UND_ERR_SOCKET',
+    'UND_ERR_CONNECT_TIMEOUT'
+]);
+
+const NETWORK_ERROR_NAMES = new Set(['APIConnectionError', 'APIConnectionTimeoutError']);
+
+/**
+ * Read the HTTP status carried by an SDK or fetch error, if any
+ * @param {Error} error
+ * @returns {number|undefined}
+ */
+function getStatus(error) {
+    const status = error?.status ?? error?.statusCode ?? error?.response?.status;
+    return typeof status === 'number' ? status : undefined;
+}
+
+/**
+ * Sort a provider error into a retry class
+ * @param {Error} error - Error thrown by a provider
+ * @returns {'rate_limit'|'server'|'network'|'fatal'}
+ */
+export function classifyProviderError(error) {
+    const status = getStatus(error);
+    if (status === 429) return 'rate_limit';
+    if (status === 408 || (status >= 500 && status < 600)) return 'server';
+
+    const code = error?.code ?? error?.cause?.code;
+    if (NETWORK_ERROR_CODES.has(code) || NETWORK_ERROR_NAMES.has(error?.name)) return 'network';
+    // fetch() reports every connection failure as a bare TypeError
+    if (error?.name === 'TypeError' && error.message === 'fetch failed') return 'network';
+
+    return 'fatal';
+}
+
+/**
+ * Merge configured per-class overrides onto the defaults
+ * @param {Object} [retry] - e.g. { rate_limit: { maxAttempts: 5 } }
+ * @returns {Object} Policy keyed by error class
+ */
+export function resolveRetryPolicy(retry = {}) {
+    const policy = {};
+    for (const errorClass of new Set([...Object.keys(DEFAULT_RETRY_POLICY), ...Object.keys(retry || {})])) {
+        policy[errorClass] = { ...DEFAULT_RETRY_POLICY[errorClass], ...retry?.[errorClass] };
+    }
+    return policy;
+}
+
+/**
+ * Parse a provider-supplied Retry-After header into milliseconds
+ * @param {Error} error
+ * @returns {number|undefined}
+ */
+function getRetryAfterMs(error) {
+    const headers = error?.headers ?? error?.response?.headers;
+    const value = typeof headers?.get === 'function' ? headers.get('retry-after') : headers?.['retry-after'];
+    const seconds = Number(value);
+    return value !== undefined && value !== null && Number.isFinite(seconds) ? seconds * 1000 : undefined;
+}
+
+/**
+ * Delay before the next attempt, or null when the error should not be retried
+ * Exponential from baseDelayMs, capped at maxDelayMs; a Retry-After hint wins
+ * when it is within the cap
+ * @param {Object} policy - Resolved retry policy
+ * @param {string} errorClass - Class from classifyProviderError
+ * @param {number} attempt - 1-based number of the attempt that just failed
+ * @param {Error} [error] - The failure, checked for a Retry-After hint
+ * @returns {number|null}
+ */
+export function getRetryDelay(policy, errorClass, attempt, error) {
+    const rule = policy[errorClass];
+    if (!rule || attempt >= (rule.maxAttempts ?? 1)) return null;
+
+    const maxDelayMs = rule.maxDelayMs ?? Infinity;
+    const retryAfterMs = getRetryAfterMs(error);
+    if (retryAfterMs !== undefined && retryAfterMs <= maxDelayMs) return retryAfterMs;
+
+    return Math.min((rule.baseDelayMs ?? 0) * 2 ** (attempt - 1), maxDelayMs);
+}
+
+/**
+ * Wait out a backoff delay, giving up early if the turn is interrupted
+ * @param {number} ms
+ * @param {AbortSignal} [abortSignal]
+ */
+export async function backoff(ms, abortSignal) {
+    if (ms <= 0) return;
+    await sleep(ms, undefined, { signal: abortSignal });
+}
+
+/**
+ * Parse fallback chain entries of the form "provider/model"
+ * The model may itself contain slashes (e.g. onnx/onnx-community/granite-4.0-micro-ONNX-web)
+ * @param {Array<string|Object>} [chain]
+ * @returns {Array<{provider: string, model: string}>}
+ */
+export function parseFallbackChain(chain = []) {
+    return (chain || []).map((entry) => {
+        if (typeof entry === 'object' && entry !== null) return entry;
+        const separator = entry.indexOf('/');
+        if (separator <= 0 || separator === entry.length - 1) {
+            throw new Error(`Invalid fallback chain entry "${entry}" - expected "provider/model"`);
+        }
+        return { provider: entry.slice(0, separator), model: entry.slice(separator + 1) };
+    });
+}
@@ -0,0 +1,78 @@
+/**
+ * Structured output - schema-validated JSON responses from any provider
+ *
+ * Models with a native JSON mode (supports.jsonMode in the capability registry)
+ * receive the schema through their provider's structured output API. Others are
+ * asked for JSON matching the schema in their system instructions. Either way the
+ * output is parsed and validated; an invalid answer goes back to the model with
+ * the validation errors for another try.
+ */
+
+import { Validator } from 'jsonschema';
+
+const validator = new Validator();
+
+// Corrections sent back to the model before giving up on a provider
+export const STRUCTURED_OUTPUT_RETRIES = 2;
+
+// Name given to the schema where a provider API needs one
+export const DEFAULT_SCHEMA_NAME = 'response';
+
+/**
+ * Ask a model without a JSON mode for output matching the schema
+ * @param {string|null} systemInstructions
+ * @param {Object} schema - JSON schema
+ * @returns {string}
+ */
+export function withSchemaInstructions(systemInstructions, schema) {
+    const instructions = 'Respond with a single JSON value that matches this JSON schema. ' +
+        'Reply with the JSON only - no explanation and no markdown code fences.\n\n' +
+        JSON.stringify(schema, null, 2);
+
+    return systemInstructions ? `${systemInstructions}\n\n${instructions}` : instructions;
+}
+
+/**
+ * Parse model output and validate it against the schema
+ * Tolerates a markdown code fence around the JSON.
+ * @param {string} output
+ * @param {Object} schema - JSON schema
+ * @returns {{valid: true, value: *}|{valid: false, errors: Array<string>}}
+ */
+export function parseStructuredOutput(output, schema) {
+    const text = (typeof output === 'string' ? output : '').trim();
+    const fenced = text.match(/^```(?:json)?\s*\n?([\s\S]*?)\n?```$/);
+
+    let value;
+    try {
+        value = JSON.parse(fenced ? fenced[1] : text);
+    } catch (error) {
+        return { valid: false, errors: [`not valid JSON (${error.message})`] };
+    }
+
+    const result = validator.validate(value, schema);
+    if (!result.valid) {
+        return { valid: false, errors: result.errors.map(err => err.stack) };
+    }
+
+    return { valid: true, value };
+}
+
+/**
+ * Thread that shows the model its invalid answer and what was wrong with it
+ * @param {Array<Object>} thread - Cleaned thread the answer was given to
+ * @param {string} output - The invalid answer
+ * @param {Array<string>} errors - From parseStructuredOutput
+ * @returns {Array<Object>}
+ */
+export function buildCorrectionThread(thread, output, errors) {
+    return [
+        ...thread,
+        { role: 'assistant', content: output || '(empty response)' },
+        {
+            role: 'user',
+            content: `That response does not match the required JSON schema:\n- ${errors.join('\n- ')}\n\n` +
+                'Reply again with only the corrected JSON.'
+        }
+    ];
+}
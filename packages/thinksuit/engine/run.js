@@ -32,29 +32,54 @@ import {
     loadMachineDefinition,
     withMcpLifecycle,
     executeOnce,
-    formatFinalResult
+    formatFinalResult,
+    formatPlanOnlyResult
 } from './run/internals.js';
+import { createCostLedger } from './utils/cost.js';
+import { recordTurnCost } from './sessions/index.js';
+import { createCassette, loadCassette, saveCassette } from './sessions/cassette.js';
+import { openStateCheckpoint } from './sessions/durable.js';
+import { saveAttachments } from './sessions/attachments.js';
+import { compactThread, applyCompaction } from './sessions/compaction.js';
+import { addMemory } from './sessions/memory.js';
 
 /**
  * Run ThinkSuit with explicit configuration
  *
  * @param {Object} config - Configuration object
  * @param {string} config.input - User input text
+ * @param {Array<string|Object>} [config.attachments] - Files sent with the input: paths, or { name, data, mediaType } with base64 data
  * @param {string} [config.module='thinksuit/mu'] - Module to load
  * @param {Object} config.modules - Modules object (required - loaded at entry point)
  * @param {string} [config.modulesPackage] - Not used by run() - loaded at entry points
  * @param {string} [config.provider='openai'] - LLM provider
  * @param {string} [config.model='gpt-4o-mini'] - Model name
  * @param {string} config.apiKey - API key for the provider
+ * @param {Array<string>} [config.fallbackChain] - "provider/model" entries tried in order when the provider fails
+ * @param {Object} [config.retry] - Retry policy per error class, e.g. { rate_limit: { maxAttempts: 5 } }
  * @param {Object} [config.policy] - Execution policy
  * @param {number} [config.policy.maxDepth=5] - Maximum recursion depth
+ * @param {number} [config.policy.maxCostUsd] - Stop task cycles and parallel fan-out once the turn costs this much
+ * @param {Object} [config.pricing] - USD per million tokens keyed by "provider/model", e.g. { 'openai/gpt-5': { prompt: 1.25, completion: 10 } }
+ * @param {Object} [config.context] - Context window management: { budgets: { 'provider/model': tokens }, threshold, keepTurns, enabled }
+ * @param {Object} [config.capabilities] - Model capability overrides keyed by "provider/model", e.g. { 'local/llama3.2': { maxContext: 131072, supports: { toolCalls: false } } }
  * @param {Object} [config.logging] - Logging configuration
  * @param {string} [config.logging.level='info'] - Log level
  * @param {boolean} [config.trace=false] - Enable tracing
+ * @param {boolean} [config.cache=false] - Answer repeated LLM requests from ~/.thinksuit/cache
+ * @param {boolean} [config.record=false] - Capture provider responses and tool results into the session cassette
+ * @param {string} [config.replay] - Session ID whose cassette answers provider and tool calls, offline
  * @param {string} [config.sessionId] - Session ID to use or resume
  * @param {Object} [config.logger] - Optional pre-configured logger instance
  * @param {Object|null} [config.frame] - Optional frame context { text: string }
- * @returns {Promise<Object>} Execution result
+ * @param {boolean} [config.stream=true] - Stream LLM output as processing.llm.delta events
+ * @param {Function} [config.onDelta] - Optional callback receiving streamed output as it arrives
+ * @param {boolean} [config.planOnly=false] - Dry run: return signals, facts, plan and instructions without executing
+ * @param {string} [config.checkpoints='ask'] - 'continue' or 'abort' resolves plan checkpoints without asking the user
+ * @param {Object} [config._compaction] - Latest session.compaction data (set by schedule())
+ * @param {Object} [config._resumeState] - Interrupted task being resumed (set by schedule() for config.resume)
+ * @param {Object} [config._orphanedCheckpoint] - Checkpoint of an orphaned turn to re-drive (set by schedule() for config.resume)
+ * @returns {Promise<Object>} Execution result (see formatPlanOnlyResult for plan-only turns)
  */
 export async function run(config) {
     // Normalize and validate configuration
@@ -63,27 +88,54 @@ export async function run(config) {
     // Build logger with session and trace context
     const logger = buildLogger(finalConfig, config.logger);
 
+    // Copies stored beside the session replace what the caller passed - a resumed turn already has them.
+    // One that cannot be stored fails the turn once it is logged, rather than rejecting before anything is.
+    let attachmentError = null;
+    try {
+        finalConfig.attachments = await saveAttachments(finalConfig.sessionId, finalConfig.attachments);
+    } catch (error) {
+        attachmentError = error;
+        finalConfig.attachments = [];
+    }
+
     // Extract abort signal if provided
     const abortSignal = config._abortSignal || null;
 
+    // Interrupted task or orphaned turn this turn continues, if any
+    const resumeState = config._resumeState || null;
+    const orphanedCheckpoint = config._orphanedCheckpoint || null;
+    const redriveFrom = orphanedCheckpoint?.lastState || null;
+
+    // Optional live consumer of streamed LLM output
+    const onDelta = config.onDelta || null;
+
+    // Every LLM call in this turn is charged here
+    const costLedger = createCostLedger(finalConfig.pricing);
+
     // Use provided thread or load it
     let thread;
     let historicalSignals = [];
+    let compaction = null;
     if (config._thread) {
         // Thread was already loaded by schedule()
         thread = config._thread;
         historicalSignals = config._historicalSignals || [];
+        compaction = config._compaction || null;
     } else {
         // Load thread and historical signals (for direct calls, though this shouldn't happen)
-        const { loadSessionThread, loadSessionSignals } = await import('./transports/session-router.js');
+        const { loadSessionThread, loadSessionSignals, loadSessionCompaction } = await import('./transports/session-router.js');
         thread = await loadSessionThread(finalConfig.sessionId);
         historicalSignals = await loadSessionSignals(finalConfig.sessionId);
+        compaction = await loadSessionCompaction(finalConfig.sessionId);
     }
 
     // Thread is history only - input passed separately
     // Calculate current turn index (previous turns + 1)
     const currentTurnIndex = thread.filter(msg => msg.role === 'user').length + 1;
 
+    // Record or replay provider and tool traffic for this turn
+    const cassette = await openCassette(finalConfig, currentTurnIndex);
+
     // Generate boundary IDs
     const sessionBoundaryId = `session-${finalConfig.sessionId}`;
     const turnBoundaryId = `turn-${finalConfig.sessionId}-${Date.now()}`;
@@ -95,29 +147,94 @@ export async function run(config) {
             eventRole: EVENT_ROLES.BOUNDARY_START,
             boundaryType: BOUNDARY_TYPES.TURN,
             boundaryId: turnBoundaryId,
-            parentBoundaryId: sessionBoundaryId
+            parentBoundaryId: sessionBoundaryId,
+            ...(finalConfig.planOnly && { data: { planOnly: true } }),
+            ...((resumeState || orphanedCheckpoint) && { data: { resumed: true } })
         },
         'Turn started'
     );
 
-    // Log the user input (now a regular event, not a boundary)
-    logger.info(
-        {
-            event: SESSION_EVENTS.INPUT,
-            parentBoundaryId: turnBoundaryId,
-            data: {
-                input: finalConfig.input
-            }
-        },
-        'User input received'
-    );
+    if (resumeState) {
+        // The input is already in the thread - mark the turn as answering it again
+        logger.info(
+            {
+                event: SESSION_EVENTS.RESUME,
+                parentBoundaryId: turnBoundaryId,
+                data: {
+                    input: finalConfig.input,
+                    cyclesCompleted: resumeState.cyclesCompleted
+                }
+            },
+            `Resuming interrupted task after cycle ${resumeState.cyclesCompleted}`
+        );
+    } else if (orphanedCheckpoint) {
+        logger.info(
+            {
+                event: SESSION_EVENTS.RESUME,
+                parentBoundaryId: turnBoundaryId,
+                data: {
+                    input: finalConfig.input,
+                    ...(finalConfig.attachments.length > 0 && { attachments: finalConfig.attachments }),
+                    orphanedTurn: orphanedCheckpoint.turnIndex,
+                    fromState: redriveFrom?.next || null
+                }
+            },
+            redriveFrom
+                ? `Re-driving orphaned turn from ${redriveFrom.next}`
+                : 'Re-running orphaned turn from the start'
+        );
+    } else {
+        // Log the user input (now a regular event, not a boundary)
+        logger.info(
+            {
+                event: SESSION_EVENTS.INPUT,
+                parentBoundaryId: turnBoundaryId,
+                data: {
+                    input: finalConfig.input,
+                    ...(finalConfig.attachments.length > 0 && { attachments: finalConfig.attachments }),
+                    ...(finalConfig.planOnly && { planOnly: true }) // Kept out of the conversation thread
+                }
+            },
+            'User input received'
+        );
+    }
+
+    if (attachmentError) {
+        logger.error({ data: { error: attachmentError.message } }, 'Failed to store attachments');
+        return formatFinalResult('FAILED', { name: attachmentError.message }, finalConfig.sessionId, logger, turnBoundaryId, sessionBoundaryId);
+    }
 
     // Select module and load machine definition
     const module = selectModule(finalConfig.modules, finalConfig.module, finalConfig);
     const machineDefinition = await loadMachineDefinition();
 
-    // Initialize MCP servers and discover tools
-    const { discoveredTools, cleanup } = await withMcpLifecycle(module, finalConfig, logger);
+    // Checkpoint each completed state so a turn outlives a crashed process
+    const stateCheckpoint = finalConfig.planOnly
+        ? null
+        : await openStateCheckpoint({
+            sessionId: finalConfig.sessionId,
+            turnIndex: currentTurnIndex,
+            input: finalConfig.input,
+            attachments: finalConfig.attachments,
+            machineDefinition
+        });
+
+    // Summarize older turns if the thread no longer fits the model's context budget - a dry run only reuses summaries
+    const contextThread = finalConfig.planOnly
+        ? applyCompaction(thread, compaction)
+        : await compactThread({
+            thread,
+            input: finalConfig.input,
+            compaction,
+            machineContext: { config: finalConfig, execLogger: logger, abortSignal, costLedger, cassette },
+            parentBoundaryId: turnBoundaryId
+        });
+
+    // Initialize MCP servers and discover tools - a replayed turn uses the recorded tools instead
+    const { discoveredTools: liveTools, cleanup } = cassette?.mode === 'replay'
+        ? { discoveredTools: cassette.replayTools() }
+        : await withMcpLifecycle(module, finalConfig, logger);
+    const discoveredTools = cassette?.mode === 'record' ? cassette.recordTools(liveTools) : liveTools;
 
     try {
         // Execute the ThinkSuit cycle with abort signal and historical signals
@@ -127,17 +244,36 @@ export async function run(config) {
             module,
             machineDefinition,
             discoveredTools,
-            thread,
+            thread: contextThread,
             input: finalConfig.input,
             abortSignal,
+            onDelta,
+            costLedger,
+            cassette,
             turnBoundaryId,
             historicalSignals,
-            currentTurnIndex
+            currentTurnIndex,
+            stateCheckpoint,
+            redriveFrom
         });
 
-        // Format and return the final result
-        return formatFinalResult(status, result, finalConfig.sessionId, logger, turnBoundaryId, sessionBoundaryId);
+        if (finalConfig.planOnly) {
+            return formatPlanOnlyResult(status, result, finalConfig.sessionId, logger, turnBoundaryId, sessionBoundaryId);
+        }
+
+        const cost = await recordCost(finalConfig.sessionId, currentTurnIndex, costLedger, logger);
+        await captureMemory(finalConfig, status, result, currentTurnIndex, logger, turnBoundaryId);
+
+        // Format and return the final result - the turn is complete, so its checkpoint goes
+        const finalResult = formatFinalResult(status, result, finalConfig.sessionId, logger, turnBoundaryId, sessionBoundaryId, cost);
+        await stateCheckpoint.clear();
+        return finalResult;
     } finally {
+        // Keep what was recorded even if the turn failed part way
+        if (cassette?.mode === 'record') {
+            await recordCassette(finalConfig.sessionId, cassette, logger);
+        }
+
         // Ensure MCP servers are cleaned up
         if (cleanup) {
             await cleanup();
@@ -145,6 +281,82 @@ export async function run(config) {
     }
 }
 
+/**
+ * Create the turn's cassette when recording or replaying
+ * @returns {Promise<Object|null>} Cassette, or null for a live turn
+ */
+async function openCassette(config, turnIndex) {
+    if (config.replay) {
+        const recording = await loadCassette(config.replay);
+        if (!recording) {
+            throw new Error(`No cassette recorded for session ${config.replay} - run it with record enabled first`);
+        }
+        return createCassette({ mode: 'replay', turnIndex, recording });
+    }
+    if (config.record) {
+        return createCassette({ mode: 'record', turnIndex });
+    }
+    return null;
+}
+
+/**
+ * Append the turn's recordings to the session cassette
+ * A failed write loses the recording, not the turn
+ */
+async function recordCassette(sessionId, cassette, logger) {
+    try {
+        await saveCassette(sessionId, cassette);
+    } catch (error) {
+        logger.warn({ data: { error: error.message } }, 'Failed to save session cassette');
+    }
+}
+
+/**
+ * Store the input of a completed capture turn in long-term memory
+ * Only the turn's top-level plan decides; a failed write loses the memory, not the turn
+ */
+async function captureMemory(config, status, result, turnIndex, logger, turnBoundaryId) {
+    const response = result?.handlerResult?.response;
+    if (status !== 'SUCCEEDED' || result?.planResult?.plan?.memory !== 'capture') return;
+    if (config.memory.enabled === false || !response?.output || response.error) return;
+
+    try {
+        const memory = await addMemory({ content: config.input, sessionId: config.sessionId, turnIndex });
+        logger.info(
+            {
+                event: SESSION_EVENTS.MEMORY,
+                parentBoundaryId: turnBoundaryId,
+                data: { id: memory.id, tags: memory.tags }
+            },
+            'Input stored in long-term memory'
+        );
+    } catch (error) {
+        logger.warn({ data: { error: error.message } }, 'Failed to store long-term memory');
+    }
+}
+
+/**
+ * Roll the turn's spend into session metadata
+ * A metadata write failure costs us the running total, not the turn
+ * @returns {Promise<Object>} { turnUsd, sessionUsd, unpriced }
+ */
+async function recordCost(sessionId, turnIndex, costLedger, logger) {
+    const turnCost = costLedger.summary();
+    let sessionUsd = null;
+
+    try {
+        ({ totalUsd: sessionUsd } = await recordTurnCost(sessionId, turnIndex, turnCost));
+    } catch (error) {
+        logger.warn({ data: { error: error.message } }, 'Failed to record session cost');
+    }
+
+    return {
+        turnUsd: turnCost.totalUsd,
+        sessionUsd,
+        unpriced: turnCost.unpriced
+    };
+}
+
 /**
  * Load module from modules object
  * @param {string} modulePath - Module identifier (e.g., 'thinksuit/mu')
@@ -21,7 +21,9 @@ import {
     DEFAULT_PROVIDER,
     DEFAULT_MODEL,
     DEFAULT_POLICY,
-    DEFAULT_LOGGING
+    DEFAULT_LOGGING,
+    DEFAULT_CONTEXT,
+    DEFAULT_MEMORY
 } from '../constants/defaults.js';
 
 const __dirname = dirname(fileURLToPath(import.meta.url));
@@ -52,15 +54,23 @@ export function normalizeConfig(config) {
 
     const finalConfig = {
         input: config.input || '',
+        attachments: config.attachments || [], // Files sent with the input (sessions/attachments.js)
         module: config.module || DEFAULT_MODULE,
         modules: config.modules, // Required: modules object (loaded at entry point)
         provider: config.provider || DEFAULT_PROVIDER,
         model: config.model || DEFAULT_MODEL,
         providerConfig: config.providerConfig,
+        fallbackChain: config.fallbackChain || [], // "provider/model" entries tried after the primary
+        retry: config.retry, // Per-error-class overrides of DEFAULT_RETRY_POLICY
+        pricing: config.pricing || {}, // USD per million tokens, keyed by "provider/model"
+        context: { ...DEFAULT_CONTEXT, ...config.context }, // Context budget and compaction (sessions/compaction.js)
+        capabilities: config.capabilities || {}, // Model capability overrides keyed by "provider/model"
+        memory: { ...DEFAULT_MEMORY, ...config.memory }, // Long-term memory retrieval (sessions/memory.js)
         policy: {
             maxDepth: config.policy?.maxDepth ?? DEFAULT_POLICY.maxDepth,
             maxFanout: config.policy?.maxFanout ?? DEFAULT_POLICY.maxFanout,
             maxChildren: config.policy?.maxChildren ?? DEFAULT_POLICY.maxChildren,
+            maxCostUsd: config.policy?.maxCostUsd, // No budget unless configured
             perception: {
                 profile: config.policy?.perception?.profile || DEFAULT_POLICY.perception.profile,
                 budgetMs: config.policy?.perception?.budgetMs ?? DEFAULT_POLICY.perception.budgetMs,
@@ -85,6 +95,12 @@ export function normalizeConfig(config) {
         mcpServers: config.mcpServers,
         tools: config.tools,
         autoApproveTools: config.autoApproveTools,
+        checkpoints: config.checkpoints || 'ask', // 'continue' or 'abort' resolves plan checkpoints without asking
+        stream: config.stream ?? true, // Stream LLM output as delta events
+        cache: config.cache ?? false, // Answer repeated LLM requests from the response cache
+        record: config.record ?? false, // Capture provider and tool traffic into the session cassette
+        replay: config.replay || null, // Session ID whose cassette answers provider and tool calls
+        planOnly: config.planOnly ?? false, // Stop after composing instructions - nothing is executed
         debug: config.debug || false
     };
 
@@ -93,16 +109,17 @@ export function normalizeConfig(config) {
         throw new Error('Input is required');
     }
 
-    // Validate provider-specific authentication
-    if (finalConfig.provider === 'google') {
+    // Validate provider-specific authentication - replayed and plan-only turns never reach the provider
+    const needsProvider = !finalConfig.replay && !finalConfig.planOnly;
+    if (needsProvider && finalConfig.provider === 'google') {
         if (!finalConfig.providerConfig?.google?.projectId) {
             throw new Error('Google Cloud project ID is required for Google provider (set GOOGLE_CLOUD_PROJECT)');
         }
-    } else if (finalConfig.provider === 'openai') {
+    } else if (needsProvider && finalConfig.provider === 'openai') {
         if (!finalConfig.providerConfig?.openai?.apiKey) {
             throw new Error('OpenAI API key is required (set OPENAI_API_KEY)');
         }
-    } else if (finalConfig.provider === 'anthropic') {
+    } else if (needsProvider && finalConfig.provider === 'anthropic') {
         if (!finalConfig.providerConfig?.anthropic?.apiKey) {
             throw new Error('Anthropic API key is required (set ANTHROPIC_API_KEY)');
         }
@@ -325,7 +342,7 @@ export async function withMcpLifecycle(module, config, logger) {
  * @param {Object} params - Execution parameters
  * @returns {Promise<Array>} [status, result] tuple
  */
-export async function executeOnce({ finalConfig, logger, module, machineDefinition, discoveredTools, thread, input, abortSignal, turnBoundaryId, historicalSignals, currentTurnIndex }) {
+export async function executeOnce({ finalConfig, logger, module, machineDefinition, discoveredTools, thread, input, abortSignal, onDelta, costLedger, cassette, turnBoundaryId, historicalSignals, currentTurnIndex, stateCheckpoint, redriveFrom }) {
     const handlers = initializeHandlers();
 
     try {
@@ -342,11 +359,17 @@ export async function executeOnce({ finalConfig, logger, module, machineDefiniti
             config: finalConfig,
             discoveredTools,
             abortSignal,
+            onDelta, // Streamed LLM output callback
+            costLedger, // Turn cost accounting
+            cassette, // Record/replay cassette, if any
             historicalSignals, // Pass historical signals to runCycle
             currentTurnIndex, // Pass current turn index to runCycle
             selectedPlan: finalConfig.selectedPlan, // Pass selected plan to runCycle
             frame: finalConfig.frame, // Pass frame to runCycle
-            compositionType: 'default' // Default composition from run.js
+            compositionType: 'default', // Default composition from run.js
+            planOnly: finalConfig.planOnly, // Stop before the execution handlers
+            stateCheckpoint, // Checkpoint each completed state of the turn
+            redriveFrom // Continue an orphaned turn from its checkpoint
         });
     } catch (error) {
         logger.error(
@@ -370,9 +393,10 @@ export async function executeOnce({ finalConfig, logger, module, machineDefiniti
  * @param {Object} logger - Logger instance
  * @param {string} turnBoundaryId - Turn boundary ID
  * @param {string} sessionBoundaryId - Session boundary ID
+ * @param {Object} [cost] - { turnUsd, sessionUsd } spend for this turn and the session so far
  * @returns {Object} Formatted final result
  */
-export function formatFinalResult(status, result, sessionId, logger, turnBoundaryId, sessionBoundaryId) {
+export function formatFinalResult(status, result, sessionId, logger, turnBoundaryId, sessionBoundaryId, cost) {
     let finalResult;
 
     if (status === 'FAILED') {
@@ -389,6 +413,7 @@ export function formatFinalResult(status, result, sessionId, logger, turnBoundar
             response: result?.message || 'Task interrupted by user',
             sessionId,
             interrupted: true,
+            resumable: result?.resumable === true,
             partialData: result?.partialData || null
         };
     } else {
@@ -402,6 +427,10 @@ export function formatFinalResult(status, result, sessionId, logger, turnBoundar
         };
     }
 
+    if (cost) {
+        finalResult.cost = cost;
+    }
+
     // Log the response (now a regular event, not a boundary)
     logger.info(
         {
@@ -410,7 +439,9 @@ export function formatFinalResult(status, result, sessionId, logger, turnBoundar
             data: {
                 response: finalResult.response,
                 usage: finalResult.usage,
-                success: finalResult.success
+                cost: finalResult.cost,
+                success: finalResult.success,
+                ...(finalResult.interrupted && { interrupted: true }) // Dropped from the thread if the turn is resumed
             }
         },
         'Assistant response generated'
@@ -430,3 +461,51 @@ export function formatFinalResult(status, result, sessionId, logger, turnBoundar
 
     return finalResult;
 }
+
+/**
+ * Format the result of a plan-only turn
+ * Nothing was executed, so there is no response event - the turn is marked
+ * planOnly and left out of the conversation thread.
+ * @param {string} status - Execution status (SUCCEEDED/FAILED)
+ * @param {Object} result - Machine state at PlanOnly
+ * @param {string} sessionId - Session ID
+ * @param {Object} logger - Logger instance
+ * @param {string} turnBoundaryId - Turn boundary ID
+ * @param {string} sessionBoundaryId - Session boundary ID
+ * @returns {Object} { success, planOnly, sessionId, signals, facts, plan, instructions, error? }
+ */
+export function formatPlanOnlyResult(status, result, sessionId, logger, turnBoundaryId, sessionBoundaryId) {
+    const finalResult = {
+        success: status === 'SUCCEEDED' && !!result?.planResult?.plan,
+        planOnly: true,
+        sessionId,
+        signals: result?.signalsResult?.facts || [],
+        facts: result?.evaluateRulesResult?.factMap || null,
+        plan: result?.planResult?.plan || null,
+        instructions: result?.instructions || null
+    };
+
+    if (status === 'FAILED') {
+        finalResult.error = result?.name || 'Unknown error';
+    } else if (status === 'interrupted') {
+        finalResult.interrupted = true;
+    }
+
+    logger.info(
+        {
+            event: SESSION_EVENTS.TURN_COMPLETE,
+            eventRole: EVENT_ROLES.BOUNDARY_END,
+            boundaryType: BOUNDARY_TYPES.TURN,
+            boundaryId: turnBoundaryId,
+            parentBoundaryId: sessionBoundaryId,
+            data: {
+                planOnly: true,
+                plan: finalResult.plan,
+                success: finalResult.success
+            }
+        },
+        'Plan-only turn completed'
+    );
+
+    return finalResult;
+}
@@ -28,6 +28,12 @@ import { InterruptError, isInterruptError } from './errors/InterruptError.js';
  * @param {Object} params.handlers - Handler functions
  * @param {Object} params.config - Provider config, policy, etc.
  * @param {AbortSignal} params.abortSignal - AbortSignal for interruption support
+ * @param {Function} params.onDelta - Optional callback for streamed LLM output
+ * @param {Object} params.costLedger - Running cost total for the turn (see utils/cost.js)
+ * @param {Object} params.cassette - Record/replay cassette for the turn (see sessions/cassette.js)
+ * @param {boolean} params.planOnly - Stop after ComposeInstructions, before any execution handler
+ * @param {Object} params.stateCheckpoint - Records machine data as each state completes (see sessions/durable.js)
+ * @param {Object} params.redriveFrom - { next, data } from a checkpoint - start at next with data instead of StartAt
  * @returns {Promise<Array>} [status, result] from state machine execution
  */
 export async function runCycle({
@@ -52,8 +58,14 @@ export async function runCycle({
     selectedPlan = null,
     previousOutput = null,
     abortSignal = null,  // AbortSignal for interruption
+    onDelta = null,  // Streamed LLM output callback
+    costLedger = null,  // Turn cost accounting shared with nested cycles
+    cassette = null,  // Record/replay cassette shared with nested cycles
     frame = null,  // Frame context { text: string } | null
     compositionType = 'default',  // Composition type: 'default', 'continuation', 'accumulation'
+    planOnly = false,  // Dry run: decide the plan but do not execute it
+    stateCheckpoint = null,  // Turn checkpoint - top-level cycle only
+    redriveFrom = null,  // Re-drive an orphaned turn from its last completed state
 
     // System dependencies
     machineDefinition,
@@ -92,7 +104,15 @@ export async function runCycle({
         machineDefinition,
         execLogger,
         abortSignal,  // Pass AbortSignal to handlers via context
+        onDelta,  // Streamed output callback for execution handlers
+        costLedger,  // Every LLM call is charged here
+        cassette,  // Records or replays every LLM call
         log: (ctx, event, label, ...args) => {
+            // StateExited carries the machine data the next state receives
+            if (stateCheckpoint && label === 'StateExited') {
+                stateCheckpoint.record(ctx.stateKey, args[0]);
+            }
+
             try {
                 // Pass execLogger in context for logStateEvent to use
                 const contextWithLogger = { ...ctx, execLogger };
@@ -107,7 +127,7 @@ export async function runCycle({
     const orchestrationBoundaryId = `orchestration-${sessionId}-${branch}-${Date.now()}`;
 
     // Build input for state machine
-    const machineInput = {
+    const freshInput = {
         thread,
         userInput: input || '',
         compositionType,
@@ -121,13 +141,32 @@ export async function runCycle({
             historicalSignals: historicalSignals || [], // Pass historical signals through context
             currentTurnIndex: currentTurnIndex || 1, // Pass current turn index through context
             frame: frame || null, // Pass frame through context
-            cwd: config.cwd || null // Pass working directory for prompt context if configured
+            cwd: config.cwd || null, // Pass working directory for prompt context if configured
+            attachments: config.attachments || [] // Stored files sent with the turn's input
         },
         policy: config.policy || {},
         // Include selected plan if provided
-        ...(selectedPlan && { selectedPlan })
+        ...(selectedPlan && { selectedPlan }),
+        // Presence routes the machine to PlanOnly after ComposeInstructions
+        ...(planOnly && { planOnly: true })
     };
 
+    // A re-driven turn continues from checkpointed data under this cycle's ids
+    const machineInput = redriveFrom
+        ? {
+            ...redriveFrom.data,
+            context: {
+                ...redriveFrom.data.context,
+                traceId: finalTraceId,
+                sessionId,
+                parentBoundaryId: orchestrationBoundaryId
+            }
+        }
+        : freshInput;
+    const definition = redriveFrom
+        ? { ...machineDefinition, StartAt: redriveFrom.next }
+        : machineDefinition;
+
     // Log execution start
     execLogger.info(
         {
@@ -140,7 +179,8 @@ export async function runCycle({
                 depth,
                 branch,
                 hasSelectedPlan: !!selectedPlan,
-                ...(selectedPlan && { selectedPlan })
+                ...(selectedPlan && { selectedPlan }),
+                ...(redriveFrom && { redriveFrom: redriveFrom.next })
             }
         },
         'Starting execution cycle'
@@ -161,7 +201,7 @@ export async function runCycle({
         }
 
         // Execute machine - Trajectory will pass the signal to handlers
-        [status, result] = await executeMachine(machineDefinition, machineContext, machineInput);
+        [status, result] = await executeMachine(definition, machineContext, machineInput);
         const duration = Date.now() - startTime;
 
         // Check if result is an interrupt
@@ -215,7 +255,8 @@ export async function runCycle({
             result = {
                 interrupted: true,
                 message: 'Task interrupted by user',
-                partialData: error.gatheredData || null
+                partialData: error.gatheredData || null,
+                ...(error.resumable && { resumable: true }) // A task saved its progress for resume
             };
         } else {
             // Re-throw non-interrupt errors
@@ -1,6 +1,8 @@
 import { generateId } from './utils/id.js';
-import { acquireSession, loadSessionThread, loadSessionSignals } from './transports/session-router.js';
-import { forkSession } from './sessions/index.js';
+import { acquireSession, loadSessionThread, loadSessionSignals, loadSessionCompaction } from './transports/session-router.js';
+import { forkSession, getSession } from './sessions/index.js';
+import { findResumeState, findOrphanedTurn } from './sessions/resumeState.js';
+import { markOrphanedTurn, loadStateCheckpoint } from './sessions/durable.js';
 import { createInterruptController } from './errors/InterruptError.js';
 
 /**
@@ -8,8 +10,10 @@ import { createInterruptController } from './errors/InterruptError.js';
  * Combines session preparation and execution scheduling
  *
  * @param {Object} config - Configuration object (same as run() config)
- * @param {string} config.input - User input text
+ * @param {string} config.input - User input text (taken from the interrupted turn when resuming)
  * @param {string} [config.sessionId] - Optional session ID to resume
+ * @param {boolean} [config.resume=false] - Re-drive the session's orphaned turn from its last completed state,
+ *   or continue its interrupted task from its last completed cycle
  * @param {string} [config.sourceSessionId] - Optional session ID to fork from
  * @param {number} [config.forkFromIndex] - Event index to fork from (requires sourceSessionId)
  * @param {string} [config.module='thinksuit/mu'] - Module to load
@@ -23,6 +27,11 @@ import { createInterruptController } from './errors/InterruptError.js';
  * @param {boolean} [config.trace=false] - Enable tracing
  * @param {Object} [config.logger] - Optional pre-configured logger instance
  * @param {Object|null} [config.frame] - Optional frame context { text: string }
+ * @param {boolean} [config.stream=true] - Stream LLM output as processing.llm.delta events
+ * @param {Function} [config.onDelta] - Optional callback receiving streamed output as it arrives
+ * @param {boolean} [config.record=false] - Capture provider responses and tool results into the session cassette
+ * @param {string} [config.replay] - Session ID whose cassette answers provider and tool calls, offline
+ * @param {boolean} [config.planOnly=false] - Dry run: stop once the plan and instructions are decided
  * @returns {Promise<{sessionId: string, scheduled: boolean, isNew: boolean, isForked: boolean, execution: Promise, interrupt: Function, reason?: string}>}
  */
 export async function schedule(config) {
@@ -52,8 +61,39 @@ export async function schedule(config) {
         sessionId = generateId();
     }
 
+    // A resumed turn re-drives an orphaned turn's checkpoint or re-runs an interrupted task plan
+    let resumeState = null;
+    let orphanedCheckpoint = null;
+    if (config.resume) {
+        if (sessionId) {
+            await markOrphanedTurn(sessionId);
+        }
+        const stored = sessionId && await getSession(sessionId);
+        if (findOrphanedTurn(stored?.entries)) {
+            orphanedCheckpoint = await loadStateCheckpoint(sessionId);
+        }
+        resumeState = orphanedCheckpoint ? null : findResumeState(stored?.entries);
+        if (!resumeState && !orphanedCheckpoint) {
+            const reason = 'Nothing to resume - no interrupted task or orphaned turn';
+            return {
+                sessionId,
+                scheduled: false,
+                isNew: false,
+                isForked,
+                reason,
+                execution: Promise.reject(new Error(reason)),
+                interrupt: () => {}
+            };
+        }
+    }
+
     // Try to acquire the session (handles atomic status check)
-    const { success, reason } = await acquireSession(sessionId);
+    let { success, reason } = await acquireSession(sessionId);
+
+    // Busy because its last turn's process died - mark the turn and take the session
+    if (!success && await markOrphanedTurn(sessionId)) {
+        ({ success, reason } = await acquireSession(sessionId));
+    }
 
     if (!success) {
         // Can't proceed with this session
@@ -71,6 +111,7 @@ export async function schedule(config) {
     // Load thread and historical signals (will be empty arrays if new session)
     const thread = await loadSessionThread(sessionId);
     const historicalSignals = await loadSessionSignals(sessionId);
+    const compaction = await loadSessionCompaction(sessionId);
 
     // Determine if new or resuming based on thread content
     const isNew = !isForked && thread.length === 0;
@@ -81,9 +122,20 @@ export async function schedule(config) {
     // Create execution promise with abort signal
     const execution = run({
         ...config,
+        ...(resumeState && {
+            input: resumeState.userInput,
+            selectedPlan: { ...resumeState.plan, strategy: 'task', resumeFrom: resumeState },
+            _resumeState: resumeState // Logged as session.resume in place of the input
+        }),
+        ...(orphanedCheckpoint && {
+            input: orphanedCheckpoint.input,
+            attachments: orphanedCheckpoint.attachments || [],
+            _orphanedCheckpoint: orphanedCheckpoint // Re-driven from its last completed state
+        }),
         sessionId,
         _thread: thread, // Internal flag to avoid re-loading thread
         _historicalSignals: historicalSignals, // Pass historical signals to run
+        _compaction: compaction, // Summary of older turns, if the session was compacted
         _abortSignal: interruptController.signal // Pass abort signal to run
     });
 
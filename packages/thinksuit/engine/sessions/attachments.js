@@ -0,0 +1,212 @@
+/**
+ * Input attachments - images, PDFs and text files sent with a user turn
+ *
+ * run() copies each attachment into a directory beside the session stream
+ * (<sessionId>.attachments/) and logs references to the copies with the
+ * session.input event, so later turns, reloads and forks send the same files.
+ * In the thread the references ride on the user message as `attachments`;
+ * callLLM reads them in just before a provider call. Text files become text,
+ * images and PDFs become multimodal content parts for models with vision and
+ * a short note for models without. Files of other types (Makefile, main.go)
+ * are sent as plain text when their content is text.
+ */
+
+import { readFile, writeFile } from 'node:fs/promises';
+import { closeSync, existsSync, openSync, readSync, statSync } from 'node:fs';
+import { basename, extname, isAbsolute, resolve } from 'node:path';
+
+import { generateId } from '../utils/id.js';
+import { ensureDirectoryExistsAsync, getAttachmentFilePath } from '../utils/paths.js';
+
+// Largest file a turn can carry - providers reject inline data well before this
+export const MAX_ATTACHMENT_BYTES = 20 * 1024 * 1024;
+
+const MEDIA_TYPES = {
+    '.png': 'image/png',
+    '.jpg': 'image/jpeg',
+    '.jpeg': 'image/jpeg',
+    '.gif': 'image/gif',
+    '.webp': 'image/webp',
+    '.pdf': 'application/pdf',
+    '.txt': 'text/plain',
+    '.md': 'text/markdown',
+    '.csv': 'text/csv',
+    '.json': 'application/json',
+    '.yaml': 'text/yaml',
+    '.yml': 'text/yaml',
+    '.xml': 'application/xml',
+    '.html': 'text/html',
+    '.css': 'text/css',
+    '.js': 'text/javascript',
+    '.mjs': 'text/javascript',
+    '.ts': 'text/plain',
+    '.py': 'text/plain',
+    '.sh': 'text/plain',
+    '.log': 'text/plain'
+};
+
+// Leading bytes checked for a NUL to tell text from binary, as git does
+const SNIFF_BYTES = 8000;
+
+const looksLikeText = bytes => !bytes.subarray(0, SNIFF_BYTES).includes(0);
+
+function isTextFile(path) {
+    const fd = openSync(path, 'r');
+    try {
+        const sample = Buffer.alloc(SNIFF_BYTES);
+        return looksLikeText(sample.subarray(0, readSync(fd, sample, 0, SNIFF_BYTES, 0)));
+    } finally {
+        closeSync(fd);
+    }
+}
+
+/**
+ * How an attachment reaches a model
+ * @param {string} mediaType
+ * @returns {'image'|'pdf'|'text'|null} null when attachments of this type are not supported
+ */
+export function getAttachmentKind(mediaType = '') {
+    if (/^image\/(png|jpeg|gif|webp)$/.test(mediaType)) return 'image';
+    if (mediaType === 'application/pdf') return 'pdf';
+    if (mediaType.startsWith('text/') || mediaType === 'application/json' || mediaType === 'application/xml') return 'text';
+    return null;
+}
+
+// Media type the attachment is stored as - unknown types go as plain text when they read as text
+function resolveMediaType(name, mediaType, bytes) {
+    return [mediaType, MEDIA_TYPES[extname(name).toLowerCase()]].find(type => getAttachmentKind(type))
+        || (looksLikeText(bytes) ? 'text/plain' : null);
+}
+
+function attachmentError(name, mediaType, bytes) {
+    if (bytes.length > MAX_ATTACHMENT_BYTES) {
+        return `Attachment ${name} is larger than ${MAX_ATTACHMENT_BYTES / 1024 / 1024} MB`;
+    }
+    if (!mediaType) {
+        return `Unsupported attachment type: ${name}`;
+    }
+    return null;
+}
+
+/**
+ * Check an uploaded attachment before a turn is scheduled with it
+ * @param {Object} attachment - { name, data, mediaType } with base64 data
+ * @returns {string|null} Why saveAttachments would reject it, or null
+ */
+export function validateAttachment({ name, data = '', mediaType }) {
+    const bytes = Buffer.from(data, 'base64');
+    return attachmentError(name, resolveMediaType(name, mediaType, bytes), bytes);
+}
+
+/**
+ * Copy a turn's attachments into the session
+ * @param {string} sessionId
+ * @param {Array<string|Object>} attachments - File paths, { path }, or { name, data, mediaType } with base64 data.
+ *   References already stored for the session (with an id) are kept as they are.
+ * @returns {Promise<Array<Object>>} References { id, name, mediaType, size, path }
+ */
+export async function saveAttachments(sessionId, attachments = []) {
+    const saved = [];
+
+    for (const attachment of attachments) {
+        if (attachment?.id && attachment.path) {
+            saved.push(attachment);
+            continue;
+        }
+
+        const source = typeof attachment === 'string' ? { path: attachment } : attachment;
+        const name = source.name || basename(source.path || '');
+        const bytes = source.path ? await readFile(resolve(source.path)) : Buffer.from(source.data || '', 'base64');
+        const mediaType = resolveMediaType(name, source.mediaType, bytes);
+        const error = attachmentError(name, mediaType, bytes);
+        if (error) {
+            throw new Error(error);
+        }
+
+        const id = generateId();
+        const path = getAttachmentFilePath(sessionId, `${id}-${name.replace(/[^\w.-]/g, '_')}`);
+        await ensureDirectoryExistsAsync(path);
+        await writeFile(path, bytes);
+
+        saved.push({ id, name, mediaType, size: bytes.length, path });
+    }
+
+    return saved;
+}
+
+/**
+ * Find `@path` mentions of existing files in typed input
+ * The mentions stay in the text so the model knows which file is which;
+ * ones that do not name a file (e.g. "@alice") or name a binary file of an
+ * unsupported type are ignored.
+ * @param {string} input
+ * @param {string} [cwd=process.cwd()] - Resolves relative paths
+ * @returns {Array<string>} Absolute file paths, each once
+ */
+export function findAttachmentMentions(input, cwd = process.cwd()) {
+    const paths = [];
+
+    for (const [, target] of input.matchAll(/(?:^|\s)@(\S+)/g)) {
+        const path = isAbsolute(target) ? target : resolve(cwd, target);
+        if (paths.includes(path) || !existsSync(path) || !statSync(path).isFile()) continue;
+
+        if (MEDIA_TYPES[extname(path).toLowerCase()] || isTextFile(path)) {
+            paths.push(path);
+        }
+    }
+
+    return paths;
+}
+
+async function toContentPart(attachment, vision) {
+    const kind = getAttachmentKind(attachment.mediaType);
+
+    let bytes;
+    try {
+        bytes = await readFile(attachment.path);
+    } catch {
+        return { type: 'text', text: `[Attachment ${attachment.name} is no longer available]` };
+    }
+
+    if (kind === 'text') {
+        return { type: 'text', text: `<file name="${attachment.name}">\n${bytes.toString('utf-8')}\n</file>` };
+    }
+    if (!vision) {
+        return { type: 'text', text: `[Attached ${kind === 'pdf' ? 'PDF' : 'image'} ${attachment.name} - this model cannot read it]` };
+    }
+
+    return {
+        type: kind === 'pdf' ? 'file' : 'image',
+        name: attachment.name,
+        mediaType: attachment.mediaType,
+        data: bytes.toString('base64')
+    };
+}
+
+/**
+ * Replace attachment references in a thread with content parts
+ * A message left with only text parts gets plain string content, so providers
+ * without multimodal input never see part arrays.
+ * @param {Array<Object>} thread - Cleaned thread
+ * @param {boolean} vision - Whether the model takes images and PDFs
+ * @returns {Promise<Array<Object>>} Thread with content parts { type: 'text'|'image'|'file', ... }
+ */
+export async function resolveAttachments(thread, vision) {
+    if (!thread.some(msg => msg.attachments?.length)) return thread;
+
+    return Promise.all(thread.map(async (msg) => {
+        if (!msg.attachments?.length) return msg;
+
+        const parts = typeof msg.content === 'string' && msg.content ? [{ type: 'text', text: msg.content }] : [];
+        for (const attachment of msg.attachments) {
+            parts.push(await toContentPart(attachment, vision));
+        }
+
+        const resolved = { ...msg };
+        delete resolved.attachments;
+        resolved.content = parts.every(part => part.type === 'text')
+            ? parts.map(part => part.text).join('\n\n')
+            : parts;
+        return resolved;
+    }));
+}
@@ -0,0 +1,173 @@
+/**
+ * Session cassettes - record and replay provider and tool traffic
+ *
+ * In record mode every LLM response and MCP tool result of a turn is captured
+ * and appended to <sessionId>.cassette.json next to the session JSONL.
+ * In replay mode those recordings answer the same calls, so a turn can be
+ * re-executed offline and its session log diffed against the original.
+ *
+ * Replay matches a request by content key first (same normalized request),
+ * then falls back to the next unused recording of the same kind so a turn
+ * whose prompts drifted still runs; those answers are flagged as mismatches.
+ */
+
+import { readFile, writeFile } from 'node:fs/promises';
+
+import { getCacheKey } from '../providers/cache.js';
+import { exists } from '../utils/fs.js';
+import { ensureDirectoryExistsAsync, getCassetteFilePath } from '../utils/paths.js';
+
+const CASSETTE_VERSION = 1;
+
+/**
+ * Load a session's cassette
+ * @param {string} sessionId
+ * @returns {Promise<Object|null>} { version, sessionId, tools, entries } or null if none was recorded
+ */
+export async function loadCassette(sessionId) {
+    const filePath = getCassetteFilePath(sessionId);
+    if (!(await exists(filePath))) return null;
+    return JSON.parse(await readFile(filePath, 'utf-8'));
+}
+
+/**
+ * Append a recording cassette's entries to the session's cassette file
+ * @param {string} sessionId
+ * @param {Object} cassette - Cassette created in record mode
+ * @returns {Promise<number>} Number of entries in the file
+ */
+export async function saveCassette(sessionId, cassette) {
+    const existing = await loadCassette(sessionId);
+    const filePath = getCassetteFilePath(sessionId);
+
+    const merged = {
+        version: CASSETTE_VERSION,
+        sessionId,
+        tools: { ...existing?.tools, ...cassette.tools },
+        entries: [...(existing?.entries || []), ...cassette.entries]
+    };
+
+    await ensureDirectoryExistsAsync(filePath);
+    await writeFile(filePath, JSON.stringify(merged, null, 2));
+    return merged.entries.length;
+}
+
+/**
+ * Create a cassette for one turn
+ * @param {Object} options
+ * @param {'record'|'replay'} options.mode
+ * @param {number} options.turnIndex - Turn being recorded or replayed
+ * @param {Object} [options.recording] - Loaded cassette to replay from
+ * @returns {Object} Cassette
+ */
+export function createCassette({ mode, turnIndex, recording = null }) {
+    const entries = [];
+    let tools = {};
+
+    // Prefer the recordings of the turn being replayed; older cassettes may hold any turn
+    const source = recording?.entries || [];
+    const turnEntries = source.filter(entry => entry.turnIndex === turnIndex);
+    const pending = (turnEntries.length > 0 ? turnEntries : source).map(entry => ({ ...entry, used: false }));
+
+    const take = (kind, request) => {
+        const key = getCacheKey(request);
+        let match = pending.find(entry => !entry.used && entry.kind === kind && entry.key === key);
+        const mismatch = !match;
+        if (!match) {
+            match = pending.find(entry => !entry.used && entry.kind === kind);
+        }
+        if (!match) {
+            throw new Error(`E_REPLAY: No recorded ${kind} response left for turn ${turnIndex}`);
+        }
+        match.used = true;
+        return { entry: match, mismatch };
+    };
+
+    const record = (kind, request, outcome) => {
+        entries.push({ kind, turnIndex, key: getCacheKey(request), request, ...outcome });
+    };
+
+    return {
+        mode,
+        entries,
+
+        get tools() {
+            return tools;
+        },
+
+        /**
+         * Capture one LLM exchange (record mode)
+         * @param {Object} request - Normalized request, as used for the response cache key
+         * @param {Object} outcome - { response } or { error }
+         */
+        recordLLM(request, outcome) {
+            record('llm', request, outcome);
+        },
+
+        /**
+         * Answer an LLM request from the recording (replay mode)
+         * Recorded failures are thrown again
+         * @returns {Object} { response, mismatch }
+         */
+        replayLLM(request) {
+            const { entry, mismatch } = take('llm', request);
+            if (entry.error) {
+                throw new Error(entry.error);
+            }
+            return { response: entry.response, mismatch };
+        },
+
+        /**
+         * Wrap discovered MCP tools so their calls are captured (record mode)
+         * @param {Object} discoveredTools - Tool metadata from discovery
+         * @returns {Object} Tools with recording clients
+         */
+        recordTools(discoveredTools = {}) {
+            const wrapped = {};
+            for (const [name, tool] of Object.entries(discoveredTools)) {
+                const { client, ...metadata } = tool;
+                tools[name] = metadata;
+                wrapped[name] = {
+                    ...tool,
+                    client: {
+                        callTool: async (request) => {
+                            try {
+                                const result = await client.callTool(request);
+                                record('tool', request, { result });
+                                return result;
+                            } catch (error) {
+                                record('tool', request, { error: error.message });
+                                throw error;
+                            }
+                        }
+                    }
+                };
+            }
+            return wrapped;
+        },
+
+        /**
+         * Rebuild the recorded tool set with clients that answer from the recording (replay mode)
+         * @returns {Object} Tools in discovery format
+         */
+        replayTools() {
+            tools = recording?.tools || {};
+            const replayed = {};
+            for (const [name, metadata] of Object.entries(tools)) {
+                replayed[name] = {
+                    ...metadata,
+                    client: {
+                        callTool: async (request) => {
+                            const { entry } = take('tool', request);
+                            if (entry.error) {
+                                throw new Error(entry.error);
+                            }
+                            return entry.result;
+                        }
+                    }
+                };
+            }
+            return replayed;
+        }
+    };
+}
@@ -0,0 +1,175 @@
+/**
+ * Context window management - keeps a long session's thread within the model's budget
+ *
+ * Before each turn the thread is estimated against the model's context budget.
+ * Past the threshold, turns older than the most recent keepTurns are summarized
+ * by an LLM call and replaced by that summary. The summary is logged as a
+ * session.compaction event covering the first `messages` messages of the thread
+ * loadSessionThread rebuilds, so later turns, reloads and forks reuse it rather
+ * than summarizing again.
+ */
+
+import { SESSION_EVENTS } from '../constants/events.js';
+import { DEFAULT_CONTEXT } from '../constants/defaults.js';
+import { getModelCapabilities } from '../providers/capabilities.js';
+import { callLLM } from '../providers/io.js';
+
+// Rough ratio for English text across current tokenizers
+const CHARS_PER_TOKEN = 4;
+
+// Role labels, separators and other framing around each message
+const MESSAGE_OVERHEAD_TOKENS = 4;
+
+const SUMMARY_PREFIX = 'Summary of the earlier conversation:';
+
+/**
+ * Estimate the tokens in a piece of message content
+ * @param {string|Array|Object} content
+ * @returns {number}
+ */
+export function estimateTokens(content) {
+    if (content === null || content === undefined) return 0;
+    const text = typeof content === 'string' ? content : JSON.stringify(content);
+    return Math.ceil(text.length / CHARS_PER_TOKEN);
+}
+
+/**
+ * Estimate the tokens a thread takes up in a request
+ * @param {Array<Object>} thread
+ * @returns {number}
+ */
+export function estimateThreadTokens(thread = []) {
+    // Provider items such as tool calls carry their payload outside content
+    return thread.reduce((total, msg) => total + MESSAGE_OVERHEAD_TOKENS + estimateTokens(msg.content ?? msg), 0);
+}
+
+/**
+ * Context budget for the configured provider and model
+ * config.context.budgets["provider/model"] wins over the model's context window (providers/capabilities.js).
+ * @param {Object} config
+ * @returns {number|null} Tokens, or null when the model's window is unknown
+ */
+export function resolveContextBudget(config) {
+    const configured = config.context?.budgets?.[`${config.provider}/${config.model}`];
+    if (configured) return configured;
+
+    return getModelCapabilities(config).maxContext;
+}
+
+/**
+ * Replace the messages a compaction covers with its summary
+ * @param {Array<Object>} thread - Thread as loadSessionThread rebuilds it
+ * @param {Object|null} compaction - session.compaction data { summary, messages }
+ * @returns {Array<Object>}
+ */
+export function applyCompaction(thread, compaction) {
+    if (!compaction?.summary || !compaction.messages) return thread;
+    return [
+        { role: 'user', content: `${SUMMARY_PREFIX}\n\n${compaction.summary}`, semantic: 'summary' },
+        ...thread.slice(compaction.messages)
+    ];
+}
+
+/**
+ * Index where the most recent keepTurns turns begin
+ * @param {Array<Object>} thread
+ * @param {number} keepTurns
+ * @returns {number} 0 when the thread has no more turns than that
+ */
+export function findRecentTurnsStart(thread, keepTurns) {
+    if (keepTurns === 0) return thread.length;
+
+    let turns = 0;
+    for (let i = thread.length - 1; i >= 0; i--) {
+        if (thread[i].role === 'user' && ++turns === keepTurns) return i;
+    }
+    return 0;
+}
+
+function buildSummaryThread(messages) {
+    const transcript = messages
+        .map(msg => `${msg.role === 'assistant' ? 'Assistant' : 'User'}: ${
+            typeof msg.content === 'string' ? msg.content : JSON.stringify(msg.content)
+        }`)
+        .join('\n\n');
+
+    return [
+        {
+            role: 'system',
+            content: 'You compress conversations. Summarize the conversation below so it can stand in for it in ' +
+                'later turns: keep facts, decisions, names, numbers, open questions and anything the user asked ' +
+                'to be remembered. Leave out pleasantries. If it begins with an earlier summary, fold that in. ' +
+                'Reply with the summary only.'
+        },
+        { role: 'user', content: transcript }
+    ];
+}
+
+/**
+ * Fit a turn's thread to the model's context budget
+ * Applies the session's latest compaction, then summarizes older turns if the
+ * thread plus input still passes the threshold. A failed summary leaves the
+ * thread as it was - the turn goes ahead and the provider has the final say.
+ * @param {Object} params
+ * @param {Array<Object>} params.thread - Thread as loadSessionThread rebuilds it
+ * @param {string} params.input - This turn's input
+ * @param {Object|null} params.compaction - Latest session.compaction data
+ * @param {Object} params.machineContext - { config, execLogger, abortSignal, costLedger, cassette }
+ * @param {string} params.parentBoundaryId - Turn boundary the compaction belongs to
+ * @returns {Promise<Array<Object>>} Thread to run the turn with
+ */
+export async function compactThread({ thread, input, compaction, machineContext, parentBoundaryId }) {
+    const { config, execLogger: logger } = machineContext;
+    const options = { ...DEFAULT_CONTEXT, ...config.context };
+    const current = applyCompaction(thread, compaction);
+
+    const budget = resolveContextBudget(config);
+    if (options.enabled === false || !budget) return current;
+
+    const tokens = estimateThreadTokens(current) + estimateTokens(input);
+    const limit = Math.floor(budget * options.threshold);
+    if (tokens <= limit) return current;
+
+    // The earlier summary is folded into the new one with the turns it does not cover
+    const covered = current === thread ? 0 : compaction.messages;
+    const split = findRecentTurnsStart(thread, options.keepTurns);
+    if (split <= covered) return current;
+
+    const toSummarize = covered ? [current[0], ...thread.slice(covered, split)] : thread.slice(0, split);
+
+    let summary;
+    try {
+        const response = await callLLM(machineContext, {
+            model: config.model,
+            thread: buildSummaryThread(toSummarize),
+            maxTokens: options.summaryMaxTokens,
+            temperature: 0
+        }, undefined, { parentBoundaryId });
+        summary = response.output?.trim();
+    } catch (error) {
+        logger?.warn({
+            parentBoundaryId,
+            data: { error: error.message, tokens, budget }
+        }, 'Context compaction failed - continuing without a new summary');
+        return current;
+    }
+    if (!summary) return current;
+
+    const next = {
+        summary,
+        messages: split,
+        turns: thread.slice(0, split).filter(msg => msg.role === 'user').length,
+        budget,
+        tokensBefore: tokens
+    };
+    const compacted = applyCompaction(thread, next);
+    next.tokensAfter = estimateThreadTokens(compacted) + estimateTokens(input);
+
+    logger?.info({
+        event: SESSION_EVENTS.COMPACTION,
+        parentBoundaryId,
+        data: next
+    }, `Compacted ${next.turns} earlier turns (${tokens} → ${next.tokensAfter} estimated tokens)`);
+
+    return compacted;
+}
@@ -0,0 +1,206 @@
+/**
+ * Session diff - compare the outcomes of two sessions turn by turn
+ *
+ * Turns are aligned by position, so a fork and its source line up on the
+ * turns they share and differ from the fork point on. Each turn is reduced
+ * to what the pipeline decided - signals, fired rules, selected plan,
+ * composed instructions - and what it answered.
+ */
+
+import { SESSION_EVENTS, PIPELINE_EVENTS } from '../constants/events.js';
+import { getSession } from './index.js';
+
+// Plan fields that describe the decision rather than its bookkeeping
+const PLAN_FIELDS = ['name', 'strategy', 'role', 'sequence', 'roles', 'tools', 'maxCycles', 'resultStrategy'];
+
+// Instruction fields worth comparing across runs
+const INSTRUCTION_FIELDS = ['role', 'maxTokens', 'lengthLevel', 'adaptations', 'tools', 'systemInstructions'];
+
+const signalKey = (signal) => `${signal.dimension}.${signal.signal}`;
+
+/**
+ * Rule outcomes when the turn ran without a rules trace: the facts the rules produced
+ */
+function factKeys(factMap = {}) {
+    return [
+        ...(factMap.ExecutionPlan || []).map(fact => `ExecutionPlan:${fact.name}`),
+        ...(factMap.RoleSelection || []).map(fact => `RoleSelection:${fact.role}`),
+        ...(factMap.Adaptation || []).map(fact => `Adaptation:${fact.name}`),
+        ...(factMap.Derived || []).map(fact => `Derived:${fact.name}`)
+    ];
+}
+
+function pick(source, fields) {
+    if (!source) return null;
+    const picked = {};
+    for (const field of fields) {
+        if (source[field] !== undefined) picked[field] = source[field];
+    }
+    return picked;
+}
+
+function summarizeInstructions(data) {
+    const systemMessage = data.instructions?.thread?.findLast(msg => msg.role === 'system');
+    return pick({
+        role: data.role,
+        maxTokens: data.maxTokens,
+        lengthLevel: data.lengthLevel,
+        adaptations: data.adaptations,
+        tools: data.toolsAvailable,
+        systemInstructions: systemMessage?.content
+    }, INSTRUCTION_FIELDS);
+}
+
+/**
+ * Reduce a session's entries to one summary per turn
+ * Only the first pipeline pass of a turn counts - nested cycles reuse its decisions.
+ * Plan-only dry runs are skipped so turns line up with the conversation.
+ * @param {Array} entries - Raw session events
+ * @returns {Array<Object>} [{ index, input, signals, rules, plan, instructions, response }]
+ */
+export function summarizeTurns(entries) {
+    const turns = [];
+    let turn = null;
+
+    for (const entry of entries) {
+        const data = entry.data || {};
+
+        switch (entry.event) {
+            case SESSION_EVENTS.TURN_START:
+                if (data.planOnly) {
+                    turn = null;
+                    break;
+                }
+                turn = {
+                    index: turns.length + 1,
+                    input: null,
+                    signals: null,
+                    rules: null,
+                    plan: null,
+                    instructions: null,
+                    response: null
+                };
+                turns.push(turn);
+                break;
+            case SESSION_EVENTS.INPUT:
+                if (turn && data.planOnly) {
+                    turns.pop();
+                    turn = null;
+                }
+                if (turn) turn.input = data.input ?? null;
+                break;
+            case PIPELINE_EVENTS.SIGNAL_DETECTION_COMPLETE:
+                if (turn && !turn.signals) turn.signals = (data.signals || []).map(signalKey);
+                break;
+            case PIPELINE_EVENTS.RULE_EXECUTION_TRACE:
+                // A trace names the rules that fired - prefer it over fact outcomes
+                if (turn && turn.rules?.source !== 'trace') {
+                    turn.rules = { source: 'trace', items: (data.executionTrace || []).map(rule => rule.ruleName) };
+                }
+                break;
+            case PIPELINE_EVENTS.RULE_EVALUATION_COMPLETE:
+                // Recorded provenance also names the fired rules; older sessions only have facts
+                if (turn && !turn.rules) {
+                    turn.rules = data.provenance
+                        ? { source: 'provenance', items: data.provenance.firings.map(firing => firing.rule) }
+                        : { source: 'facts', items: factKeys(data.factMap) };
+                }
+                break;
+            case PIPELINE_EVENTS.PLAN_SELECTION_COMPLETE:
+                if (turn && !turn.plan) turn.plan = pick(data.selectedPlan, PLAN_FIELDS);
+                break;
+            case PIPELINE_EVENTS.INSTRUCTION_COMPOSITION_COMPLETE:
+                if (turn && !turn.instructions) turn.instructions = summarizeInstructions(data);
+                break;
+            case SESSION_EVENTS.RESPONSE:
+                if (turn) turn.response = data.response ?? null;
+                break;
+        }
+    }
+
+    return turns;
+}
+
+const same = (a, b) => JSON.stringify(a) === JSON.stringify(b);
+
+/**
+ * Compare two lists as sets
+ */
+function diffList(a, b) {
+    const left = new Set(a || []);
+    const right = new Set(b || []);
+    return {
+        same: same([...left].sort(), [...right].sort()),
+        added: [...right].filter(item => !left.has(item)),
+        removed: [...left].filter(item => !right.has(item))
+    };
+}
+
+/**
+ * Compare two objects field by field
+ */
+function diffFields(a, b) {
+    const fields = [...new Set([...Object.keys(a || {}), ...Object.keys(b || {})])];
+    const changed = fields.filter(field => !same(a?.[field], b?.[field]));
+    return { same: changed.length === 0, changed, a, b };
+}
+
+/**
+ * Compare one aligned pair of turns
+ * @param {Object|null} a - Turn summary from the first session
+ * @param {Object|null} b - Turn summary from the second session
+ * @returns {Object} Per-aspect differences and an overall same flag
+ */
+export function diffTurn(a, b) {
+    const rulesSource = a?.rules?.source === b?.rules?.source ? a?.rules?.source : 'mixed';
+    const diff = {
+        index: (a || b).index,
+        input: { same: same(a?.input, b?.input), a: a?.input ?? null, b: b?.input ?? null },
+        signals: diffList(a?.signals, b?.signals),
+        rules: { source: rulesSource || null, ...diffList(a?.rules?.items, b?.rules?.items) },
+        plan: diffFields(a?.plan, b?.plan),
+        instructions: diffFields(a?.instructions, b?.instructions),
+        response: { same: same(a?.response, b?.response), a: a?.response ?? null, b: b?.response ?? null }
+    };
+    diff.same = Boolean(a && b) && ['input', 'signals', 'rules', 'plan', 'instructions', 'response']
+        .every(aspect => diff[aspect].same);
+    return diff;
+}
+
+/**
+ * Diff two sessions' raw entries
+ * @param {Array} entriesA
+ * @param {Array} entriesB
+ * @returns {Object} { identical, firstDifference, turns }
+ */
+export function diffSessionEntries(entriesA, entriesB) {
+    const turnsA = summarizeTurns(entriesA);
+    const turnsB = summarizeTurns(entriesB);
+    const turns = [];
+
+    for (let i = 0; i < Math.max(turnsA.length, turnsB.length); i++) {
+        turns.push(diffTurn(turnsA[i] || null, turnsB[i] || null));
+    }
+
+    const firstDifference = turns.find(turn => !turn.same)?.index ?? null;
+    return { identical: firstDifference === null, firstDifference, turns };
+}
+
+/**
+ * Compare two sessions (or a fork and its source) turn by turn
+ * @param {string} sessionIdA
+ * @param {string} sessionIdB
+ * @returns {Promise<Object|null>} { a, b, identical, firstDifference, turns } or null if either session is missing
+ */
+export async function diffSessions(sessionIdA, sessionIdB) {
+    const [sessionA, sessionB] = await Promise.all([getSession(sessionIdA), getSession(sessionIdB)]);
+    if (!sessionA || !sessionB) {
+        return null;
+    }
+
+    return {
+        a: sessionIdA,
+        b: sessionIdB,
+        ...diffSessionEntries(sessionA.entries, sessionB.entries)
+    };
+}
@@ -0,0 +1,201 @@
+/**
+ * Durable turns - per-state checkpoints that survive a crashed process
+ *
+ * While a turn runs, the machine data leaving each top-level state of
+ * machine.json is written to ~/.thinksuit/checkpoints/<sessionId>.json along
+ * with the pid of the process running it. A finished turn removes its file.
+ * A file whose process has gone away while its session is still busy is an
+ * orphaned turn: marking it appends session.orphaned (the session becomes
+ * ready again) and keeps the checkpoint so the turn can be re-driven from the
+ * state after the last one that completed.
+ */
+
+import { readFile, writeFile, rename, unlink, readdir } from 'node:fs/promises';
+import { hostname } from 'node:os';
+
+import { SESSION_EVENTS, SESSION_STATUS } from '../constants/events.js';
+import { getSessionStatus, appendSessionEvent } from '../transports/session-router.js';
+import { generateId } from '../utils/id.js';
+import { ensureDirectoryExistsAsync, getStateCheckpointFilePath, CHECKPOINTS_BASE } from '../utils/paths.js';
+
+const CHECKPOINT_VERSION = 1;
+
+// Tells this process apart from an earlier one that had the same pid
+const PROCESS_TOKEN = generateId();
+
+// Machine data is plain JSON apart from anything a handler attached by reference
+const toJson = (key, value) => (typeof value === 'function' ? undefined : value);
+
+async function writeCheckpoint(checkpoint) {
+    const filePath = getStateCheckpointFilePath(checkpoint.sessionId);
+    await ensureDirectoryExistsAsync(filePath);
+
+    // Write then rename so a crash mid-write never leaves half a checkpoint
+    const tempPath = `${filePath}.${process.pid}.tmp`;
+    await writeFile(tempPath, JSON.stringify(checkpoint, toJson));
+    await rename(tempPath, filePath);
+}
+
+/**
+ * Start checkpointing a turn
+ * @param {Object} options
+ * @param {string} options.sessionId
+ * @param {number} options.turnIndex
+ * @param {string} options.input - User input the turn answers
+ * @param {Array<Object>} [options.attachments] - Stored attachments sent with the input
+ * @param {Object} options.machineDefinition - Used to find the state after each completed one
+ * @returns {Promise<Object>} { record(stateKey, data), flush(), clear() }
+ */
+export async function openStateCheckpoint({ sessionId, turnIndex, input, attachments = [], machineDefinition }) {
+    const checkpoint = {
+        version: CHECKPOINT_VERSION,
+        sessionId,
+        turnIndex,
+        input,
+        ...(attachments.length > 0 && { attachments }),
+        pid: process.pid,
+        hostname: hostname(),
+        processToken: PROCESS_TOKEN,
+        startedAt: new Date().toISOString(),
+        updatedAt: new Date().toISOString(),
+        completedStates: [],
+        lastState: null
+    };
+
+    await writeCheckpoint(checkpoint);
+
+    // Writes run one at a time in the order the states completed
+    let pending = Promise.resolve();
+    let closed = false;
+
+    return {
+        /**
+         * Record the machine data a state handed on
+         * Choice and terminal states have no single next state and are not recorded.
+         * @param {string} stateKey
+         * @param {Object} data - Machine data as the state exited
+         */
+        record(stateKey, data) {
+            const next = machineDefinition.States?.[stateKey]?.Next;
+            if (closed || !next || !data) return;
+
+            checkpoint.completedStates.push(stateKey);
+            checkpoint.lastState = {
+                name: stateKey,
+                next,
+                data: { ...data, module: undefined } // The re-driving process brings its own module
+            };
+            checkpoint.updatedAt = new Date().toISOString();
+
+            const snapshot = JSON.stringify(checkpoint, toJson);
+            pending = pending
+                .then(() => writeCheckpoint(JSON.parse(snapshot)))
+                .catch(() => {}); // A missed checkpoint costs re-drive precision, not the turn
+        },
+
+        /** Wait for recorded states to reach disk */
+        flush() {
+            return pending;
+        },
+
+        /** The turn finished - nothing left to recover */
+        async clear() {
+            closed = true;
+            await pending;
+            await unlink(getStateCheckpointFilePath(sessionId)).catch(() => {});
+        }
+    };
+}
+
+/**
+ * Load a session's turn checkpoint
+ * @param {string} sessionId
+ * @returns {Promise<Object|null>}
+ */
+export async function loadStateCheckpoint(sessionId) {
+    try {
+        return JSON.parse(await readFile(getStateCheckpointFilePath(sessionId), 'utf-8'));
+    } catch {
+        return null;
+    }
+}
+
+/**
+ * Whether the process that wrote a checkpoint may still be running its turn
+ * Processes on another host cannot be checked and are assumed alive.
+ * @param {Object} checkpoint
+ * @returns {boolean}
+ */
+export function isCheckpointOwnerAlive(checkpoint) {
+    if (checkpoint.hostname !== hostname()) return true;
+    if (checkpoint.pid === process.pid) return checkpoint.processToken === PROCESS_TOKEN;
+
+    try {
+        process.kill(checkpoint.pid, 0);
+        return true;
+    } catch (error) {
+        return error.code === 'EPERM'; // Exists, owned by someone else
+    }
+}
+
+/**
+ * Mark a session's turn as orphaned if its process died mid-turn
+ * Appends session.orphaned, which makes the session ready again, and keeps the
+ * checkpoint for re-driving. Checkpoints left behind by finished turns are removed.
+ * @param {string} sessionId
+ * @returns {Promise<Object|null>} The orphaned checkpoint, or null if the session has none
+ */
+export async function markOrphanedTurn(sessionId) {
+    const checkpoint = await loadStateCheckpoint(sessionId);
+    if (!checkpoint || checkpoint.orphanedAt || isCheckpointOwnerAlive(checkpoint)) {
+        return null;
+    }
+
+    if (await getSessionStatus(sessionId) !== SESSION_STATUS.BUSY) {
+        // The turn completed but its process died before cleaning up
+        await unlink(getStateCheckpointFilePath(sessionId)).catch(() => {});
+        return null;
+    }
+
+    checkpoint.orphanedAt = new Date().toISOString();
+    await writeCheckpoint(checkpoint);
+
+    await appendSessionEvent(sessionId, {
+        level: 40,
+        event: SESSION_EVENTS.ORPHANED,
+        sessionId,
+        data: {
+            turnIndex: checkpoint.turnIndex,
+            input: checkpoint.input,
+            pid: checkpoint.pid,
+            lastState: checkpoint.lastState?.name || null,
+            nextState: checkpoint.lastState?.next || null,
+            completedStates: checkpoint.completedStates,
+            updatedAt: checkpoint.updatedAt
+        },
+        msg: `Turn ${checkpoint.turnIndex} orphaned: process ${checkpoint.pid} exited mid-turn`
+    });
+
+    return checkpoint;
+}
+
+/**
+ * Mark every orphaned turn - call once when a process starts
+ * @returns {Promise<Array<Object>>} Checkpoints of the turns that were marked
+ */
+export async function recoverOrphanedTurns() {
+    let files;
+    try {
+        files = await readdir(CHECKPOINTS_BASE);
+    } catch {
+        return [];
+    }
+
+    const orphaned = [];
+    for (const file of files.filter(name => name.endsWith('.json'))) {
+        const sessionId = file.slice(0, -'.json'.length);
+        const checkpoint = await markOrphanedTurn(sessionId);
+        if (checkpoint) orphaned.push(checkpoint);
+    }
+    return orphaned;
+}
@@ -0,0 +1,108 @@
+/**
+ * Plan selection explanations - why a turn ran the plan it did
+ *
+ * Reads the provenance graph logged in a turn's rule_evaluation boundary and
+ * the ranking logged in its plan_selection boundary. Only the first pipeline
+ * pass of a turn counts - nested cycles reuse its decisions.
+ */
+
+import { SESSION_EVENTS, PIPELINE_EVENTS } from '../constants/events.js';
+
+/**
+ * Collect the selection decisions of a session's turns
+ * @param {Array} entries - Raw session events
+ * @param {Object} [options]
+ * @param {number} [options.turn] - 1-based turn index (default: last turn)
+ * @returns {Object|null} { index, input, provenance, selectedPlan, ranking } or null if there is no such turn
+ */
+export function explainTurn(entries, { turn } = {}) {
+    const turns = [];
+    let current = null;
+
+    for (const entry of entries) {
+        const data = entry.data || {};
+
+        switch (entry.event) {
+            case SESSION_EVENTS.TURN_START:
+                // Plan-only dry runs are not turns of the conversation
+                if (data.planOnly) {
+                    current = null;
+                    break;
+                }
+                current = { index: turns.length + 1, input: null, provenance: null, selectedPlan: null, ranking: null };
+                turns.push(current);
+                break;
+            case SESSION_EVENTS.INPUT:
+                if (current && data.planOnly) {
+                    turns.pop();
+                    current = null;
+                }
+                if (current && current.input === null) current.input = data.input ?? null;
+                break;
+            case PIPELINE_EVENTS.RULE_EVALUATION_COMPLETE:
+                if (current && !current.provenance) current.provenance = data.provenance || null;
+                break;
+            case PIPELINE_EVENTS.PLAN_SELECTION_COMPLETE:
+                if (current && !current.selectedPlan) {
+                    current.selectedPlan = data.selectedPlan || null;
+                    current.ranking = data.ranking || null;
+                }
+                break;
+        }
+    }
+
+    return (turn === undefined ? turns.at(-1) : turns[turn - 1]) || null;
+}
+
+const factName = (fact) => (fact ? `${fact.type}${fact.label ? `:${fact.label}` : ''}` : 'unknown');
+
+/**
+ * Render an explanation as plain text lines
+ * @param {Object} explanation - From explainTurn
+ * @returns {Array<string>}
+ */
+export function formatExplanation(explanation) {
+    const { index, input, provenance, selectedPlan, ranking } = explanation;
+    const lines = [`Turn ${index}${input ? `: ${JSON.stringify(input.length > 80 ? `${input.slice(0, 77)}...` : input)}` : ''}`];
+
+    if (selectedPlan) {
+        const parts = [selectedPlan.strategy, selectedPlan.role].filter(Boolean);
+        lines.push(`Selected plan: ${selectedPlan.name || 'unnamed'}${parts.length > 0 ? ` (${parts.join(', ')})` : ''}`);
+    }
+
+    if (!provenance) {
+        lines.push('No rule provenance was recorded for this turn');
+        return lines;
+    }
+
+    const facts = new Map(provenance.facts.map(fact => [fact.id, fact]));
+
+    lines.push('', 'Rules fired:');
+    for (const firing of provenance.firings) {
+        const consumed = firing.consumed.map(id => factName(facts.get(id))).join(', ') || '-';
+        const produced = firing.produced.map(id => factName(facts.get(id))).join(', ') || 'nothing';
+        lines.push(`  ${firing.seq}. ${firing.rule} [${firing.salience}]: ${consumed} -> ${produced}`);
+    }
+
+    const { precedence, plans, selected } = provenance.planResolution;
+    lines.push('', `Plan resolution${precedence.length > 0 ? ` (precedence: ${precedence.join(' > ')})` : ''}:`);
+    for (const plan of plans) {
+        const status = plan.blocked
+            ? `blocked by ${plan.producer}${plan.blockReason ? ` - ${plan.blockReason}` : ''}`
+            : `from ${plan.producer}${plan.precedenceRank !== null ? `, precedence ${plan.precedenceRank + 1}` : ''}`;
+        lines.push(`  ${plan.name || plan.strategy}: ${status}`);
+    }
+    if (selected) {
+        lines.push(`  -> ${selected.name} chosen by ${selected.producer}`);
+    }
+
+    if (ranking?.length > 0) {
+        lines.push('', 'Ranking:');
+        for (const entry of ranking) {
+            const penalties = entry.penalties.map(p => `${p.preference} -${p.penalty}`).join(', ');
+            lines.push(`  ${entry.name || entry.strategy}: ${entry.score}${penalties ? ` (${penalties})` : ''}`);
+        }
+    }
+
+    return lines;
+}
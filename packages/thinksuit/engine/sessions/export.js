@@ -0,0 +1,207 @@
+/**
+ * Session export - render a conversation for sharing outside ThinkSuit
+ *
+ * The session tree is reduced to one record per turn (input, response and,
+ * with details, the plan choice, pipeline stages and tool calls), which is
+ * then rendered as Markdown, a standalone HTML page, or plain messages[] JSON.
+ */
+
+import { SESSION_EVENTS, BOUNDARY_TYPES } from '../constants/events.js';
+import { buildSessionTree } from './tree.js';
+import { getSession } from './index.js';
+
+export const EXPORT_FORMATS = {
+    markdown: { extension: 'md', mimeType: 'text/markdown' },
+    html: { extension: 'html', mimeType: 'text/html' },
+    json: { extension: 'json', mimeType: 'application/json' }
+};
+
+function findTurns(node, turns = []) {
+    for (const child of node.children || []) {
+        if (child.boundaryType === BOUNDARY_TYPES.TURN) {
+            turns.push(child);
+        } else if (child.children) {
+            findTurns(child, turns);
+        }
+    }
+    return turns;
+}
+
+// Plan-only dry runs decide a plan but never answer - they are not part of the conversation
+function isPlanOnlyTurn(node) {
+    return Boolean(node.metadata?.planOnly)
+        || (node.children || []).some(child => child.eventType === SESSION_EVENTS.INPUT && child.data?.planOnly);
+}
+
+function walk(node, visit) {
+    for (const child of node.children || []) {
+        visit(child);
+        walk(child, visit);
+    }
+}
+
+function toolStatus(completion) {
+    if (!completion) return 'incomplete';
+    if (completion.denied) return 'denied';
+    if (completion.error) return 'failed';
+    return 'ok';
+}
+
+/**
+ * Reduce a session's events to exportable turns
+ * @param {Array} entries - Raw session events
+ * @param {Object} [options]
+ * @param {boolean} [options.details=false] - Include plan choice, pipeline stages and tool calls
+ * @returns {Array<Object>} [{ index, time, input, response, plan?, pipeline?, tools? }]
+ */
+export function buildExportTurns(entries, { details = false } = {}) {
+    return findTurns(buildSessionTree(entries)).filter(node => !isPlanOnlyTurn(node)).map((node, i) => {
+        const turn = { index: i + 1, time: node.startTime, input: null, response: null };
+        if (details) {
+            Object.assign(turn, { plan: null, pipeline: [], tools: [] });
+        }
+
+        walk(node, (child) => {
+            if (child.type === 'event') {
+                if (child.eventType === SESSION_EVENTS.INPUT) turn.input ??= child.data.input;
+                if (child.eventType === SESSION_EVENTS.RESPONSE) turn.response = child.data.response;
+                return;
+            }
+            if (!details) return;
+
+            const { metadata } = child;
+            if (child.boundaryType === BOUNDARY_TYPES.PIPELINE && metadata.stage) {
+                const durationMs = child.endTime ? new Date(child.endTime) - new Date(child.startTime) : null;
+                turn.pipeline.push({ stage: metadata.stage, durationMs });
+                if (metadata.stage === 'plan_selection' && !turn.plan) {
+                    turn.plan = metadata.completion?.selectedPlan || null;
+                }
+            } else if (child.boundaryType === BOUNDARY_TYPES.TOOL) {
+                turn.tools.push({ tool: metadata.tool, args: metadata.args, status: toolStatus(metadata.completion) });
+            }
+        });
+
+        return turn;
+    });
+}
+
+function describePlan(plan) {
+    const parts = [plan.strategy, plan.role].filter(Boolean);
+    return `${plan.name || 'unnamed'}${parts.length > 0 ? ` (${parts.join(', ')})` : ''}`;
+}
+
+function detailLines(turn) {
+    const lines = [];
+    if (turn.plan) lines.push(`Plan: ${describePlan(turn.plan)}`);
+    if (turn.pipeline?.length > 0) {
+        lines.push(`Pipeline: ${turn.pipeline.map(p => (p.durationMs !== null ? `${p.stage} ${p.durationMs}ms` : p.stage)).join(' → ')}`);
+    }
+    for (const call of turn.tools || []) {
+        lines.push(`Tool: ${call.tool}(${JSON.stringify(call.args ?? {})}) - ${call.status}`);
+    }
+    return lines;
+}
+
+function renderMarkdown(sessionId, turns) {
+    const parts = [`# Session ${sessionId}`, ''];
+    for (const turn of turns) {
+        parts.push(`## Turn ${turn.index}`, '');
+        if (turn.input !== null) parts.push('**User**', '', turn.input, '');
+        const lines = detailLines(turn);
+        if (lines.length > 0) parts.push(...lines.map(line => `> ${line}`), '');
+        if (turn.response !== null) parts.push('**Assistant**', '', turn.response, '');
+    }
+    return parts.join('\n');
+}
+
+const escapeHtml = (text) => String(text)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+
+const HTML_STYLE = `body { font-family: system-ui, sans-serif; max-width: 48rem; margin: 2rem auto; padding: 0 1rem; color: #1f2937; }
+h1 { font-size: 1.25rem; } h2 { font-size: 1rem; color: #4f46e5; margin-top: 2rem; }
+.message { white-space: pre-wrap; padding: 0.75rem 1rem; border-radius: 0.5rem; margin: 0.5rem 0; }
+.user { background: #eef2ff; } .assistant { background: #f9fafb; border: 1px solid #e5e7eb; }
+.role { font-size: 0.75rem; font-weight: 600; text-transform: uppercase; color: #6b7280; }
+.details { font-family: ui-monospace, monospace; font-size: 0.75rem; color: #6b7280; margin: 0.5rem 0; padding-left: 1rem; }`;
+
+function renderHtml(sessionId, turns) {
+    const body = turns.map((turn) => {
+        const parts = [`<h2>Turn ${turn.index}</h2>`];
+        if (turn.input !== null) {
+            parts.push(`<div class="role">User</div><div class="message user">${escapeHtml(turn.input)}</div>`);
+        }
+        const lines = detailLines(turn);
+        if (lines.length > 0) {
+            parts.push(`<ul class="details">${lines.map(line => `<li>${escapeHtml(line)}</li>`).join('')}</ul>`);
+        }
+        if (turn.response !== null) {
+            parts.push(`<div class="role">Assistant</div><div class="message assistant">${escapeHtml(turn.response)}</div>`);
+        }
+        return parts.join('\n');
+    });
+
+    return `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="utf-8">
+<title>Session ${escapeHtml(sessionId)}</title>
+<style>
+${HTML_STYLE}
+</style>
+</head>
+<body>
+<h1>Session ${escapeHtml(sessionId)}</h1>
+${body.join('\n')}
+</body>
+</html>
+`;
+}
+
+function renderMessages(turns) {
+    const messages = [];
+    for (const turn of turns) {
+        if (turn.input !== null) messages.push({ role: 'user', content: turn.input });
+        if (turn.response !== null) messages.push({ role: 'assistant', content: turn.response });
+    }
+    return JSON.stringify(messages, null, 2);
+}
+
+/**
+ * Render session events in an export format
+ * @param {string} sessionId
+ * @param {Array} entries - Raw session events
+ * @param {Object} [options]
+ * @param {'markdown'|'html'|'json'} [options.format='markdown']
+ * @param {boolean} [options.details=false] - Include plan choice, pipeline stages and tool calls (ignored for json)
+ * @returns {{content: string, filename: string, mimeType: string}}
+ */
+export function renderSessionExport(sessionId, entries, { format = 'markdown', details = false } = {}) {
+    const target = EXPORT_FORMATS[format];
+    if (!target) {
+        throw new Error(`Unknown export format: ${format} (expected ${Object.keys(EXPORT_FORMATS).join(', ')})`);
+    }
+
+    const turns = buildExportTurns(entries, { details: details && format !== 'json' });
+    const content = format === 'json'
+        ? renderMessages(turns)
+        : format === 'html' ? renderHtml(sessionId, turns) : renderMarkdown(sessionId, turns);
+
+    return { content, filename: `${sessionId}.${target.extension}`, mimeType: target.mimeType };
+}
+
+/**
+ * Export a stored session
+ * @param {string} sessionId
+ * @param {Object} [options] - See renderSessionExport
+ * @returns {Promise<{content: string, filename: string, mimeType: string}|null>} null if the session does not exist
+ */
+export async function exportSession(sessionId, options = {}) {
+    const session = await getSession(sessionId);
+    if (!session) {
+        return null;
+    }
+    return renderSessionExport(sessionId, session.entries, options);
+}
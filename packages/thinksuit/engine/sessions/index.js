@@ -367,6 +367,26 @@ function deepMerge(target, source) {
     return result;
 }
 
+/**
+ * Record a turn's LLM spend and roll it into the session's running total
+ * Re-recording a turn replaces its previous entry
+ * @param {string} sessionId
+ * @param {number} turnIndex - 1-based turn index
+ * @param {Object} turnCost - { totalUsd, calls, unpriced } from a cost ledger
+ * @returns {Promise<{totalUsd: number, turns: Object}>} Updated session cost
+ */
+export async function recordTurnCost(sessionId, turnIndex, turnCost) {
+    const existing = await readSessionMetadata(sessionId);
+    const turns = { ...existing.cost?.turns, [turnIndex]: turnCost };
+    const totalUsd = Math.round(
+        Object.values(turns).reduce((sum, turn) => sum + (turn.totalUsd || 0), 0) * 1e8
+    ) / 1e8;
+
+    await updateSessionMetadata(sessionId, { cost: { totalUsd, turns } });
+
+    return { totalUsd, turns };
+}
+
 /**
  * Fork a session at a specific point
  * Creates a new session with all events up to the fork point
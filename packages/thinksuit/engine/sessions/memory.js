@@ -0,0 +1,197 @@
+/**
+ * Long-term memory - items captured in one session and recalled in another
+ *
+ * Plans with `memory: 'capture'` store the turn's input once the turn
+ * completes, with the session and turn it came from and any #tags it
+ * carries. Before rules run, aggregateFacts searches the store with the
+ * turn's input and adds a MemoryRetrieval fact when something matches;
+ * plans with `memory: 'recall'` hand those memories to the model. The store
+ * is one JSON file in ~/.thinksuit/memory shared by every session, and by
+ * every process - updates hold a lockfile beside it so the CLI and console
+ * never drop each other's changes.
+ */
+
+import { open, readFile, writeFile, rename, stat, unlink } from 'node:fs/promises';
+import { setTimeout as sleep } from 'node:timers/promises';
+import PQueue from 'p-queue';
+
+import { DEFAULT_MEMORY } from '../constants/defaults.js';
+import { generateId } from '../utils/id.js';
+import { ensureDirectoryExistsAsync, getMemoryFilePath } from '../utils/paths.js';
+
+const STORE_VERSION = 1;
+
+// Words too common to say whether a memory is relevant
+const STOP_WORDS = new Set([
+    'an', 'as', 'at', 'be', 'by', 'do', 'if', 'in', 'is', 'it', 'no', 'so', 'to', 'up', 'us',
+    'about', 'again', 'also', 'and', 'are', 'but', 'can', 'did', 'does', 'for', 'from', 'had', 'has', 'have',
+    'how', 'into', 'its', 'just', 'like', 'me', 'my', 'not', 'of', 'on', 'or', 'our', 'please', 'recall',
+    'remember', 'said', 'save', 'show', 'that', 'the', 'their', 'them', 'then', 'there', 'this', 'told',
+    'was', 'we', 'were', 'what', 'when', 'where', 'which', 'who', 'why', 'will', 'with', 'you', 'your'
+]);
+
+// Read-modify-write one at a time - concurrent updates would drop each other's changes
+const storeQueue = new PQueue({ concurrency: 1 });
+
+const LOCK_RETRY_MS = 25;
+const LOCK_TIMEOUT_MS = 10000;
+// A lock this old was left behind by a process that died holding it
+const LOCK_STALE_MS = 30000;
+
+async function readStore() {
+    try {
+        const store = JSON.parse(await readFile(getMemoryFilePath(), 'utf-8'));
+        return Array.isArray(store.memories) ? store.memories : [];
+    } catch (error) {
+        if (error.code === 'ENOENT') return [];
+        throw error;
+    }
+}
+
+async function writeStore(memories) {
+    const filePath = getMemoryFilePath();
+    await ensureDirectoryExistsAsync(filePath);
+
+    // Write then rename so a crash mid-write never leaves half a store
+    const tempPath = `${filePath}.${process.pid}.tmp`;
+    await writeFile(tempPath, JSON.stringify({ version: STORE_VERSION, memories }, null, 2));
+    await rename(tempPath, filePath);
+}
+
+/**
+ * Run a store update while holding the lockfile other processes check
+ * @param {Function} update - Async read-modify-write of the store
+ */
+async function withStoreLock(update) {
+    const lockPath = `${getMemoryFilePath()}.lock`;
+    await ensureDirectoryExistsAsync(lockPath);
+    const deadline = Date.now() + LOCK_TIMEOUT_MS;
+
+    for (;;) {
+        try {
+            await (await open(lockPath, 'wx')).close();
+            break;
+        } catch (error) {
+            if (error.code !== 'EEXIST') throw error;
+
+            const lockedAt = await stat(lockPath).then(({ mtimeMs }) => mtimeMs, () => Date.now());
+            if (Date.now() - lockedAt > LOCK_STALE_MS) {
+                await unlink(lockPath).catch(() => {});
+                continue;
+            }
+            if (Date.now() > deadline) {
+                throw new Error(`Memory store is locked by another process: ${lockPath}`);
+            }
+            await sleep(LOCK_RETRY_MS);
+        }
+    }
+
+    try {
+        return await update();
+    } finally {
+        await unlink(lockPath).catch(() => {});
+    }
+}
+
+const newestFirst = (a, b) => b.createdAt.localeCompare(a.createdAt);
+
+/**
+ * Pull #tags out of captured text
+ * @param {string} text
+ * @returns {Array<string>} Lowercase tags without the #, each once
+ */
+export function extractTags(text = '') {
+    const tags = [...text.matchAll(/(?:^|\s)#([\w-]+)/g)].map(([, tag]) => tag.toLowerCase());
+    return [...new Set(tags)];
+}
+
+function toTerms(text = '') {
+    const words = text.toLowerCase().match(/[\p{L}\p{N}]+/gu) || [];
+    return [...new Set(words.filter(word => word.length > 1 && !STOP_WORDS.has(word)))];
+}
+
+/**
+ * Store a memory
+ * @param {Object} item
+ * @param {string} item.content - Text to remember
+ * @param {Array<string>} [item.tags] - Added to the #tags found in the content
+ * @param {string} [item.sessionId] - Session the memory was captured in
+ * @param {number} [item.turnIndex] - Turn the memory was captured in
+ * @returns {Promise<Object>} The stored memory { id, content, tags, sessionId, turnIndex, createdAt }
+ */
+export async function addMemory({ content, tags = [], sessionId = null, turnIndex = null }) {
+    if (!content?.trim()) {
+        throw new Error('Memory content is required');
+    }
+
+    const memory = {
+        id: generateId(),
+        content: content.trim(),
+        tags: [...new Set([...tags.map(tag => tag.toLowerCase()), ...extractTags(content)])],
+        sessionId,
+        turnIndex,
+        createdAt: new Date().toISOString()
+    };
+
+    return storeQueue.add(() => withStoreLock(async () => {
+        await writeStore([...await readStore(), memory]);
+        return memory;
+    }));
+}
+
+/**
+ * List stored memories, newest first
+ * @param {Object} [options]
+ * @param {string} [options.tag] - Only memories with this tag
+ * @param {string} [options.sessionId] - Only memories captured in this session
+ * @returns {Promise<Array<Object>>}
+ */
+export async function listMemories({ tag, sessionId } = {}) {
+    const memories = await readStore();
+    return memories
+        .filter(memory => !tag || memory.tags.includes(tag.toLowerCase()))
+        .filter(memory => !sessionId || memory.sessionId === sessionId)
+        .sort(newestFirst);
+}
+
+/**
+ * Find the memories most relevant to a piece of text
+ * A memory scores one point for each query word in its content and two for
+ * each that matches one of its tags; ties go to the newest.
+ * @param {string} query - Usually the turn's input
+ * @param {Object} [options]
+ * @param {number} [options.limit=5] - Most memories returned
+ * @returns {Promise<Array<Object>>} Matching memories with their score, best first
+ */
+export async function searchMemories(query, { limit = DEFAULT_MEMORY.limit } = {}) {
+    const terms = toTerms(query);
+    if (terms.length === 0) return [];
+
+    const memories = await readStore();
+    return memories
+        .map((memory) => {
+            const words = new Set(toTerms(memory.content));
+            const score = terms.reduce((total, term) =>
+                total + (memory.tags.includes(term) ? 2 : 0) + (words.has(term) ? 1 : 0), 0);
+            return { ...memory, score };
+        })
+        .filter(memory => memory.score > 0)
+        .sort((a, b) => b.score - a.score || newestFirst(a, b))
+        .slice(0, limit);
+}
+
+/**
+ * Delete a memory
+ * @param {string} id
+ * @returns {Promise<boolean>} false when no memory has this id
+ */
+export async function deleteMemory(id) {
+    return storeQueue.add(() => withStoreLock(async () => {
+        const memories = await readStore();
+        const remaining = memories.filter(memory => memory.id !== id);
+        if (remaining.length === memories.length) return false;
+
+        await writeStore(remaining);
+        return true;
+    }));
+}
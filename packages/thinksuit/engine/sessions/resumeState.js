@@ -0,0 +1,46 @@
+/**
+ * Find the unfinished turn a session can resume - an interrupted task or a
+ * turn whose process exited mid-turn
+ * Shared logic between frontend and backend
+ */
+
+import { SESSION_EVENTS, EXECUTION_EVENTS } from '../constants/events.js';
+
+/**
+ * Resume state saved when the last turn's task was interrupted
+ * Only the most recent turn can be resumed - any later turn gives it up.
+ * @param {Array} entries - Array of session event entries
+ * @returns {Object|null} - resumeState from execution.task.interrupted, or null
+ */
+export function findResumeState(entries) {
+    let resumeState = null;
+
+    for (const entry of entries || []) {
+        if (entry?.event === SESSION_EVENTS.TURN_START) {
+            resumeState = null;
+        } else if (entry?.event === EXECUTION_EVENTS.TASK_INTERRUPTED && entry.data?.resumeState) {
+            resumeState = entry.data.resumeState;
+        }
+    }
+
+    return resumeState;
+}
+
+/**
+ * Orphaned turn the session was left with, if no turn has started since
+ * @param {Array} entries - Array of session event entries
+ * @returns {Object|null} - Data of the session.orphaned event, or null
+ */
+export function findOrphanedTurn(entries) {
+    let orphaned = null;
+
+    for (const entry of entries || []) {
+        if (entry?.event === SESSION_EVENTS.TURN_START) {
+            orphaned = null;
+        } else if (entry?.event === SESSION_EVENTS.ORPHANED) {
+            orphaned = entry.data || {};
+        }
+    }
+
+    return orphaned;
+}
@@ -0,0 +1,249 @@
+/**
+ * Session search - full-text and structured queries across all sessions
+ *
+ * Each session is folded into a small search document (inputs, responses,
+ * roles, plans, tools, errors). The index remembers how many bytes of each
+ * session file it has read, so a refresh only parses what the session
+ * router appended since - or the whole file again if it shrank (rewritten).
+ * The session router refreshes a session as each turn completes, and every
+ * search refreshes the sessions it covers first. The index is persisted
+ * beside session metadata and shared by every process.
+ */
+
+import { open, readFile, writeFile, rename } from 'node:fs/promises';
+import PQueue from 'p-queue';
+
+import { SESSION_EVENTS, PIPELINE_EVENTS, EXECUTION_EVENTS } from '../constants/events.js';
+import { getSessionFilePath, getSearchIndexPath, ensureDirectoryExistsAsync } from '../utils/paths.js';
+import { generateId } from '../utils/id.js';
+import { listSessions } from './index.js';
+
+const INDEX_VERSION = 2; // 2: plan-only dry runs are left out
+const NEWLINE = 0x0a;
+
+// One refresh at a time - concurrent refreshes would fold the same bytes twice
+const indexQueue = new PQueue({ concurrency: 1 });
+let index = null;
+
+function createDocument() {
+    return { offset: 0, planOnly: false, inputs: [], responses: [], roles: [], plans: [], tools: [], errors: [] };
+}
+
+const addUnique = (list, value) => {
+    if (value && !list.includes(value)) list.push(value);
+};
+
+const roleOf = (item) => (typeof item === 'string' ? item : item?.role);
+
+/**
+ * Fold one session event into a search document
+ * Events of plan-only dry runs are skipped - they are not part of the conversation.
+ * @param {Object} doc - Search document, mutated
+ * @param {Object} entry - Session event
+ */
+export function indexEntry(doc, entry) {
+    const data = entry.data || {};
+
+    // The document remembers whether it is inside a dry run, as refreshes can stop mid-turn
+    if (entry.event === SESSION_EVENTS.TURN_START) {
+        doc.planOnly = Boolean(data.planOnly);
+    } else if (entry.event === SESSION_EVENTS.INPUT && data.planOnly) {
+        doc.planOnly = true;
+    }
+    if (doc.planOnly) {
+        if (entry.event === SESSION_EVENTS.TURN_COMPLETE) doc.planOnly = false;
+        return;
+    }
+
+    switch (entry.event) {
+        case SESSION_EVENTS.INPUT:
+            if (data.input) doc.inputs.push(data.input);
+            break;
+        case SESSION_EVENTS.RESPONSE:
+            if (data.response) doc.responses.push(data.response);
+            break;
+        case PIPELINE_EVENTS.PLAN_SELECTION_COMPLETE: {
+            const plan = data.selectedPlan || {};
+            addUnique(doc.plans, plan.name);
+            addUnique(doc.roles, plan.role);
+            for (const item of [...(plan.sequence || []), ...(plan.roles || [])]) {
+                addUnique(doc.roles, roleOf(item));
+            }
+            break;
+        }
+        case PIPELINE_EVENTS.INSTRUCTION_COMPOSITION_COMPLETE:
+            addUnique(doc.roles, data.role);
+            break;
+        case EXECUTION_EVENTS.TOOL_START:
+            addUnique(doc.tools, data.tool);
+            break;
+    }
+
+    if (entry.level >= 50) {
+        const error = data.error || entry.err?.message || entry.msg || entry.event;
+        doc.errors.push(typeof error === 'string' ? error : JSON.stringify(error));
+    }
+}
+
+async function loadIndex() {
+    try {
+        const loaded = JSON.parse(await readFile(getSearchIndexPath(), 'utf-8'));
+        if (loaded?.version === INDEX_VERSION && loaded.sessions) return loaded;
+    } catch {
+        // Missing or unreadable index - rebuild from scratch
+    }
+    return { version: INDEX_VERSION, sessions: {} };
+}
+
+/**
+ * Bring one session's document up to date with its file
+ * @returns {Promise<boolean>} Whether anything was read
+ */
+async function refreshDocument(sessionId) {
+    let handle;
+    try {
+        handle = await open(getSessionFilePath(sessionId), 'r');
+    } catch {
+        return false;
+    }
+
+    try {
+        const { size } = await handle.stat();
+        let doc = index.sessions[sessionId];
+        if (!doc || size < doc.offset) {
+            doc = index.sessions[sessionId] = createDocument();
+        }
+        if (size === doc.offset) return false;
+
+        const buffer = Buffer.alloc(size - doc.offset);
+        await handle.read(buffer, 0, buffer.length, doc.offset);
+
+        // Leave a partially written last line for the next refresh
+        const end = buffer.lastIndexOf(NEWLINE) + 1;
+        if (end === 0) return false;
+
+        for (const line of buffer.subarray(0, end).toString('utf-8').split('\n')) {
+            if (!line.trim()) continue;
+            try {
+                indexEntry(doc, JSON.parse(line));
+            } catch {
+                // Skip malformed lines
+            }
+        }
+        doc.offset += end;
+        return true;
+    } finally {
+        await handle.close();
+    }
+}
+
+/**
+ * Index sessions appended to or created since the last refresh
+ * @param {Array<string>} sessionIds - Sessions to refresh
+ * @param {Object} [options]
+ * @param {boolean} [options.prune=false] - sessionIds lists every session; drop documents of deleted ones
+ * @returns {Promise<Object>} Map of sessionId -> search document
+ */
+export function updateSearchIndex(sessionIds, { prune = false } = {}) {
+    return indexQueue.add(async () => {
+        index ??= await loadIndex();
+
+        let changed = false;
+        for (const sessionId of sessionIds) {
+            if (await refreshDocument(sessionId)) changed = true;
+        }
+
+        if (prune) {
+            const listed = new Set(sessionIds);
+            for (const sessionId of Object.keys(index.sessions)) {
+                if (!listed.has(sessionId)) {
+                    delete index.sessions[sessionId];
+                    changed = true;
+                }
+            }
+        }
+
+        if (changed) {
+            const indexPath = getSearchIndexPath();
+            await ensureDirectoryExistsAsync(indexPath);
+
+            // Write then rename so a crash or another process never reads half an index.
+            // The session router's worker thread shares the pid, hence the id.
+            const tempPath = `${indexPath}.${process.pid}-${generateId()}.tmp`;
+            await writeFile(tempPath, JSON.stringify(index));
+            await rename(tempPath, indexPath);
+        }
+        return index.sessions;
+    });
+}
+
+/**
+ * Short excerpt around the first occurrence of a term
+ */
+function excerpt(text, term, radius = 60) {
+    const at = text.toLowerCase().indexOf(term);
+    const start = Math.max(0, at - radius);
+    const end = Math.min(text.length, at + term.length + radius);
+    return `${start > 0 ? '…' : ''}${text.slice(start, end)}${end < text.length ? '…' : ''}`;
+}
+
+const includesValue = (list, value) => list.some(item => item.toLowerCase() === value.toLowerCase());
+
+/**
+ * Search sessions by content and by what the pipeline did
+ * Every given criterion must match; text matches when all of its words
+ * appear in the session's inputs, responses or errors
+ * @param {Object} query
+ * @param {string} [query.text] - Words to find
+ * @param {string} [query.role] - Role that handled a turn
+ * @param {string} [query.plan] - Selected plan name
+ * @param {string} [query.tool] - Tool that was called
+ * @param {string} [query.status] - Session status (SESSION_STATUS value)
+ * @param {string} [query.from] - ISO date string for range start
+ * @param {string} [query.to] - ISO date string for range end
+ * @param {number} [query.limit] - Maximum number of results
+ * @returns {Promise<Array<Object>>} [{ id, status, turns, firstInput, roles, plans, tools, errorCount, snippet }], newest first
+ */
+export async function searchSessions(query = {}) {
+    const { text, role, plan, tool, status, from, to, limit } = query;
+
+    const sessions = await listSessions({ fromTime: from, toTime: to, sortOrder: 'desc' });
+    const documents = await updateSearchIndex(sessions.map(session => session.id), { prune: !from && !to });
+
+    const terms = (text || '').toLowerCase().split(/\s+/).filter(Boolean);
+    const results = [];
+
+    for (const session of sessions) {
+        const doc = documents[session.id];
+        if (!doc) continue;
+        if (status && session.status !== status) continue;
+        if (role && !includesValue(doc.roles, role)) continue;
+        if (plan && !includesValue(doc.plans, plan)) continue;
+        if (tool && !includesValue(doc.tools, tool)) continue;
+
+        let snippet = null;
+        if (terms.length > 0) {
+            const texts = [...doc.inputs, ...doc.responses, ...doc.errors];
+            const haystack = texts.join('\n').toLowerCase();
+            if (!terms.every(term => haystack.includes(term))) continue;
+            const hit = texts.find(item => item.toLowerCase().includes(terms[0]));
+            snippet = excerpt(hit, terms[0]);
+        }
+
+        results.push({
+            id: session.id,
+            status: session.status,
+            turns: doc.inputs.length,
+            firstInput: doc.inputs[0] || null,
+            roles: doc.roles,
+            plans: doc.plans,
+            tools: doc.tools,
+            errorCount: doc.errors.length,
+            snippet
+        });
+
+        if (limit && results.length >= limit) break;
+    }
+
+    return results;
+}
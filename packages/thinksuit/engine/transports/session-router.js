@@ -55,6 +55,15 @@ export async function touchSessionFile(sessionId) {
     }
 }
 
+// User message for a logged input, with the stored attachments it carried
+function userMessage({ input, attachments }) {
+    return {
+        role: 'user',
+        content: input,
+        ...(attachments?.length > 0 && { attachments })
+    };
+}
+
 /**
  * Load thread history from a session file
  * Reconstructs the conversation thread from user_input and assistant_response events
@@ -66,6 +75,7 @@ export async function loadSessionThread(sessionId) {
         const content = await readFile(filePath, 'utf-8');
         const lines = content.trim().split('\n');
         const thread = [];
+        let interruptedResponse = null;
 
         for (const line of lines) {
             if (!line.trim()) continue;
@@ -73,17 +83,24 @@ export async function loadSessionThread(sessionId) {
             try {
                 const entry = JSON.parse(line);
 
-                // Extract user inputs and assistant responses
-                if (entry.event === SESSION_EVENTS.INPUT && entry.data?.input) {
-                    thread.push({
-                        role: 'user',
-                        content: entry.data.input
-                    });
+                // Extract user inputs and assistant responses - plan-only turns have no response
+                if (entry.event === SESSION_EVENTS.INPUT && entry.data?.input && !entry.data.planOnly) {
+                    thread.push(userMessage(entry.data));
                 } else if (entry.event === SESSION_EVENTS.RESPONSE && entry.data?.response) {
                     thread.push({
                         role: 'assistant',
                         content: entry.data.response
                     });
+                    interruptedResponse = entry.data.interrupted ? thread.at(-1) : null;
+                } else if (entry.event === SESSION_EVENTS.ORPHANED && thread.at(-1)?.role === 'user') {
+                    // The orphaned turn never answered - leave its input out unless it is re-driven
+                    thread.pop();
+                } else if (entry.event === SESSION_EVENTS.RESUME && entry.data?.orphanedTurn !== undefined) {
+                    thread.push(userMessage(entry.data));
+                } else if (entry.event === SESSION_EVENTS.RESUME && interruptedResponse === thread.at(-1)) {
+                    // A resumed turn answers the interrupted turn's input in its place
+                    thread.pop();
+                    interruptedResponse = null;
                 }
             } catch {
                 // Skip malformed lines
@@ -128,10 +145,11 @@ export async function loadSessionSignals(sessionId) {
 
                 // Track turn boundaries to number turns
                 if (entry.event === SESSION_EVENTS.TURN_START) {
-                    inTurn = true;
+                    // Plan-only turns are not part of the conversation
+                    inTurn = !entry.data?.planOnly;
                 } else if (entry.event === SESSION_EVENTS.INPUT) {
                     // Increment turn counter on each user input
-                    currentTurn++;
+                    if (!entry.data?.planOnly) currentTurn++;
                 } else if (entry.event === 'pipeline.signal_detection.complete' && inTurn) {
                     // Extract signals from this turn
                     const signals = entry.data?.signals || [];
@@ -162,6 +180,42 @@ export async function loadSessionSignals(sessionId) {
     }
 }
 
+/**
+ * Load the latest context compaction from a session file
+ * Its summary stands in for the first `messages` messages of loadSessionThread's thread.
+ *
+ * @param {string} sessionId - The session ID
+ * @returns {Promise<Object|null>} session.compaction data, or null if the session was never compacted
+ */
+export async function loadSessionCompaction(sessionId) {
+    const filePath = getSessionFilePath(sessionId);
+
+    try {
+        const content = await readFile(filePath, 'utf-8');
+        let compaction = null;
+
+        for (const line of content.trim().split('\n')) {
+            if (!line.includes(SESSION_EVENTS.COMPACTION)) continue;
+
+            try {
+                const entry = JSON.parse(line);
+                if (entry.event === SESSION_EVENTS.COMPACTION && entry.data?.summary) {
+                    compaction = entry.data;
+                }
+            } catch {
+                // Skip malformed lines - loadSessionThread reports them
+            }
+        }
+
+        return compaction;
+    } catch (error) {
+        if (error.code !== 'ENOENT') {
+            stderr.write(`[SESSION] Error loading session compaction ${sessionId}: ${error.message}\n`);
+        }
+        return null;
+    }
+}
+
 /**
  * Get the status of a session
  * Derives status by analyzing the session events
@@ -284,6 +338,18 @@ function getStream(sessionId) {
     return stream;
 }
 
+/**
+ * Fold what a session appended into the search index
+ * Failures are left for the next search, which refreshes the session anyway.
+ */
+function indexSession(sessionId) {
+    import('../sessions/search.js')
+        .then(({ updateSearchIndex }) => updateSearchIndex([sessionId]))
+        .catch((error) => {
+            stderr.write(`[SESSION] Error indexing session ${sessionId}: ${error.message}\n`);
+        });
+}
+
 /**
  * Main transport function
  */
@@ -303,9 +369,10 @@ export default async function (_opts) {
                 const stream = getStream(sessionId);
 
                 if (stream) {
-                    // Write the log line as JSONL
+                    // Write the log line as JSONL - a finished turn is indexed once it is on disk
                     const line = JSON.stringify(obj) + '\n';
-                    const toDrain = !stream.write(line);
+                    const onWritten = obj.event === SESSION_EVENTS.TURN_COMPLETE ? () => indexSession(sessionId) : undefined;
+                    const toDrain = !stream.write(line, onWritten);
 
                     // Handle backpressure
                     if (toDrain) {
@@ -0,0 +1,81 @@
+/**
+ * Cost accounting for LLM usage
+ *
+ * Pricing is supplied by config as a table keyed by "provider/model", with
+ * USD rates per million tokens:
+ *   { "openai/gpt-5": { "prompt": 1.25, "completion": 10 } }
+ */
+
+const TOKENS_PER_UNIT = 1_000_000;
+
+// Keep running totals free of floating point dust
+const roundUsd = (value) => Math.round(value * 1e8) / 1e8;
+
+/**
+ * Look up the rates for a provider/model pair
+ * @param {Object} pricing - Pricing table from config
+ * @param {string} provider - Provider name (e.g., 'openai')
+ * @param {string} model - Model name as requested (e.g., 'gpt-5')
+ * @returns {Object|null} { prompt, completion } rates or null if unpriced
+ */
+export function findPrice(pricing, provider, model) {
+    return pricing?.[`${provider}/${model}`] || null;
+}
+
+/**
+ * Calculate the USD cost of a single call
+ * @param {Object} price - { prompt, completion } USD per million tokens
+ * @param {Object} usage - { prompt, completion } token counts
+ * @returns {number} Cost in USD
+ */
+export function calculateCost(price, usage) {
+    if (!price || !usage) return 0;
+    const promptCost = (usage.prompt || 0) * (price.prompt || 0);
+    const completionCost = (usage.completion || 0) * (price.completion || 0);
+    return roundUsd((promptCost + completionCost) / TOKENS_PER_UNIT);
+}
+
+/**
+ * Create a running cost total for one turn
+ * Shared by every handler in the turn so nested cycles draw on the same budget
+ * @param {Object} pricing - Pricing table from config
+ * @returns {Object} Ledger with record(), isExhausted() and summary()
+ */
+export function createCostLedger(pricing = {}) {
+    let totalUsd = 0;
+    let calls = 0;
+    const unpriced = new Set();
+
+    return {
+        /**
+         * Record the usage of one LLM call
+         * @returns {number} Cost of the call in USD
+         */
+        record(provider, model, usage) {
+            const price = findPrice(pricing, provider, model);
+            if (!price) {
+                unpriced.add(`${provider}/${model}`);
+            }
+            const cost = calculateCost(price, usage);
+            totalUsd = roundUsd(totalUsd + cost);
+            calls++;
+            return cost;
+        },
+
+        get totalUsd() {
+            return totalUsd;
+        },
+
+        /**
+         * Whether spending has reached a budget
+         * @param {number} [maxCostUsd] - Budget in USD; no budget never exhausts
+         */
+        isExhausted(maxCostUsd) {
+            return maxCostUsd !== undefined && maxCostUsd !== null && totalUsd >= maxCostUsd;
+        },
+
+        summary() {
+            return { totalUsd, calls, unpriced: [...unpriced] };
+        }
+    };
+}
@@ -9,6 +9,10 @@ const SESSION_METADATA_BASE =
     process.env.THINKSUIT_SESSION_METADATA_DIR ||
     join(homedir(), '.thinksuit', 'sessions', 'metadata');
 const TRACES_BASE = process.env.THINKSUIT_TRACE_DIR || join(homedir(), '.thinksuit', 'traces');
+const CACHE_BASE = process.env.THINKSUIT_CACHE_DIR || join(homedir(), '.thinksuit', 'cache');
+const CHECKPOINTS_BASE =
+    process.env.THINKSUIT_CHECKPOINT_DIR || join(homedir(), '.thinksuit', 'checkpoints');
+const MEMORY_BASE = process.env.THINKSUIT_MEMORY_DIR || join(homedir(), '.thinksuit', 'memory');
 
 /**
  * Extract date components from new format ID
@@ -33,6 +37,29 @@ export function getSessionFilePath(sessionId) {
     return join(SESSIONS_BASE, year, month, day, hour, `${sessionId}.jsonl`);
 }
 
+/**
+ * Build partitioned path for a session's record/replay cassette
+ * Lives beside the session JSONL but is not itself a session stream
+ * @param {string} sessionId
+ * @returns {string} Full path to cassette file
+ */
+export function getCassetteFilePath(sessionId) {
+    const { year, month, day, hour } = extractDateParts(sessionId);
+    return join(SESSIONS_BASE, year, month, day, hour, `${sessionId}.cassette.json`);
+}
+
+/**
+ * Build partitioned path for a file attached to a session's input
+ * Attachments sit in a directory beside the session JSONL
+ * @param {string} sessionId
+ * @param {string} fileName - Stored file name (unique within the session)
+ * @returns {string} Full path to the stored attachment
+ */
+export function getAttachmentFilePath(sessionId, fileName) {
+    const { year, month, day, hour } = extractDateParts(sessionId);
+    return join(SESSIONS_BASE, year, month, day, hour, `${sessionId}.attachments`, fileName);
+}
+
 /**
  * Build partitioned path for a metadata file
  * @param {string} sessionId
@@ -43,6 +70,15 @@ export function getMetadataFilePath(sessionId) {
     return join(SESSION_METADATA_BASE, year, month, day, hour, `${sessionId}.json`);
 }
 
+/**
+ * Path of the session search index
+ * Kept with session metadata so listSessions never mistakes it for a stream
+ * @returns {string} Full path to index file
+ */
+export function getSearchIndexPath() {
+    return join(SESSION_METADATA_BASE, 'search-index.json');
+}
+
 /**
  * Build partitioned path for a trace file
  * @param {string} traceId
@@ -71,4 +107,31 @@ export async function ensureDirectoryExistsAsync(filePath) {
     await mkdir(dir, { recursive: true });
 }
 
-export { SESSIONS_BASE, SESSION_METADATA_BASE, TRACES_BASE };
+/**
+ * Build sharded path for a response cache entry
+ * @param {string} key - Hex content hash
+ * @returns {string} Full path to cache file
+ */
+export function getCacheFilePath(key) {
+    return join(CACHE_BASE, key.slice(0, 2), `${key}.json`);
+}
+
+/**
+ * Path of a session's in-flight turn checkpoint
+ * Flat so a restarted process can list every turn that was running
+ * @param {string} sessionId
+ * @returns {string} Full path to checkpoint file
+ */
+export function getStateCheckpointFilePath(sessionId) {
+    return join(CHECKPOINTS_BASE, `${sessionId}.json`);
+}
+
+/**
+ * Path of the long-term memory store shared by all sessions
+ * @returns {string} Full path to memory file
+ */
+export function getMemoryFilePath() {
+    return join(MEMORY_BASE, 'memories.json');
+}
+
+export { SESSIONS_BASE, SESSION_METADATA_BASE, TRACES_BASE, CACHE_BASE, CHECKPOINTS_BASE, MEMORY_BASE };
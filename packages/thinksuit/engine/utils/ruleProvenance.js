@@ -0,0 +1,166 @@
+/**
+ * Rule provenance - which rules fired, which facts they consumed and produced
+ *
+ * Every fact handed to the rules engine is stamped with a provenance.factId;
+ * every rule action is wrapped to record a firing. Facts are the nodes of the
+ * resulting graph and firings connect the facts a rule consumed to the facts
+ * it produced. The plan resolution records how PlanPrecedence settled the
+ * competing ExecutionPlan facts.
+ */
+
+/**
+ * Short human label for a fact
+ * @param {Object} fact
+ * @returns {string|null}
+ */
+export function describeFact(fact) {
+    switch (fact.type) {
+        case 'Signal':
+            return `${fact.dimension}.${fact.signal}`;
+        case 'ExecutionPlan':
+            return fact.name || fact.strategy || null;
+        case 'SelectedPlan':
+            return fact.plan?.name || fact.plan?.strategy || null;
+        case 'PlanPrecedence':
+            return (fact.precedence || []).join(' > ');
+        case 'PolicyConstraint':
+            return fact.constraint;
+        case 'PolicyPreference':
+            return fact.preference;
+        case 'RoleSelection':
+            return fact.role;
+        default:
+            return fact.name || fact.key || null;
+    }
+}
+
+// Binding values are a fact or, for accumulated conditions, an array of facts
+function boundFactIds(bindings = {}) {
+    const ids = new Set();
+    for (const value of Object.values(bindings)) {
+        for (const fact of [].concat(value ?? [])) {
+            const factId = fact?.data?.provenance?.factId;
+            if (factId) ids.add(factId);
+        }
+    }
+    return [...ids];
+}
+
+/**
+ * Record rule firings for one evaluation
+ * @returns {{stamp: Function, wrapAction: Function, build: Function}}
+ */
+export function createProvenanceRecorder() {
+    const facts = [];
+    const firings = [];
+    const plans = [];
+    let precedence = [];
+    let selected = null;
+
+    /**
+     * Copy a fact with a provenance.factId and add it to the graph
+     * @param {Object} fact
+     * @param {string} [producer] - Rule adding the fact; omitted for initial facts
+     * @returns {Object} The stamped copy to hand to the engine
+     */
+    function stamp(fact, producer) {
+        const factId = `f${facts.length + 1}`;
+        const stamped = {
+            ...fact,
+            provenance: {
+                ...fact.provenance, // Keep module-provided fields
+                ...(producer && { source: 'rule', producer }),
+                factId
+            }
+        };
+
+        facts.push({
+            id: factId,
+            type: fact.type,
+            label: describeFact(fact),
+            producer: producer || fact.provenance?.producer || 'input'
+        });
+
+        if (fact.type === 'ExecutionPlan') {
+            plans.push(stamped);
+        } else if (fact.type === 'PlanPrecedence') {
+            precedence = fact.precedence || [];
+        } else if (fact.type === 'SelectedPlan') {
+            selected = stamped;
+        }
+
+        return stamped;
+    }
+
+    /**
+     * Wrap a rule action so the facts it adds are stamped and the firing recorded
+     * @param {Object} rule
+     * @returns {Function}
+     */
+    function wrapAction(rule) {
+        const ruleName = rule.name || 'unnamed';
+
+        return (ruleFacts, engine, bindings) => {
+            const produced = [];
+            const originalAddFact = engine.addFact;
+            engine.addFact = (fact) => {
+                const stamped = stamp(fact, ruleName);
+                produced.push(stamped.provenance.factId);
+                return originalAddFact.call(engine, stamped);
+            };
+
+            try {
+                rule.action(ruleFacts, engine, bindings);
+            } finally {
+                // Restore so the next firing is not attributed to this rule
+                engine.addFact = originalAddFact;
+                firings.push({
+                    seq: firings.length + 1,
+                    rule: ruleName,
+                    salience: rule.salience ?? 0,
+                    consumed: boundFactIds(bindings),
+                    produced
+                });
+            }
+        };
+    }
+
+    /**
+     * The provenance graph recorded so far
+     * Initial facts no rule consumed (most Config facts) are left out
+     * @returns {{facts: Array, firings: Array, planResolution: Object}}
+     */
+    function build() {
+        const referenced = new Set(firings.flatMap(firing => [...firing.consumed, ...firing.produced]));
+
+        return {
+            facts: facts.filter(fact => referenced.has(fact.id)),
+            firings,
+            planResolution: {
+                precedence,
+                plans: plans.map((plan) => {
+                    const rank = precedence.findIndex(name => plan.name === name || plan.id === name);
+                    return {
+                        factId: plan.provenance.factId,
+                        name: plan.name || null,
+                        strategy: plan.strategy,
+                        producer: plan.provenance.producer,
+                        confidence: plan.confidence,
+                        precedenceRank: rank === -1 ? null : rank,
+                        blocked: Boolean(plan.policyBlocked),
+                        ...(plan.blockReason && { blockReason: plan.blockReason })
+                    };
+                }),
+                selected: selected
+                    ? {
+                        factId: selected.provenance.factId,
+                        name: describeFact(selected),
+                        producer: selected.provenance.producer
+                    }
+                    : null
+            }
+        };
+    }
+
+    return { stamp, wrapAction, build };
+}
@@ -22,6 +22,8 @@ export default [
                 __dirname: 'readonly',
                 __filename: 'readonly',
                 URL: 'readonly',
+                fetch: 'readonly',
+                TextDecoder: 'readonly',
                 setTimeout: 'readonly',
                 clearTimeout: 'readonly',
                 describe: 'readonly',
@@ -11,6 +11,13 @@ export {
     readSessionLinesFrom,
     deleteSession
 } from './engine/sessions/index.js';
+export { diffSessions } from './engine/sessions/diff.js';
+export { searchSessions } from './engine/sessions/search.js';
+export { exportSession, renderSessionExport } from './engine/sessions/export.js';
+export { explainTurn, formatExplanation } from './engine/sessions/explain.js';
+export { findResumeState, findOrphanedTurn } from './engine/sessions/resumeState.js';
+export { recoverOrphanedTurns, markOrphanedTurn, loadStateCheckpoint } from './engine/sessions/durable.js';
+export { addMemory, listMemories, searchMemories, deleteMemory } from './engine/sessions/memory.js';
 export { getSessionStatus } from './engine/transports/session-router.js';
 export { createSessionSubscriber, subscribeToSession } from './engine/subscribe.js';
 export { getTrace } from './engine/traces.js';
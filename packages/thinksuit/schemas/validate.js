@@ -56,28 +56,121 @@ export function validateFacts(facts) {
     };
 }
 
+/**
+ * Nesting depth of a plan - 1 for a flat plan, +1 for each level of
+ * sequential/parallel sub-plans inside its steps
+ * @param {Object} plan - Plan or sub-plan
+ * @returns {number}
+ */
+export function getPlanDepth(plan) {
+    const steps = plan?.strategy === 'sequential' ? plan.sequence
+        : plan?.strategy === 'parallel' ? plan.roles
+            : plan?.strategy === 'graph' ? plan.steps
+                : null;
+
+    if (!Array.isArray(steps)) {
+        return 1;
+    }
+
+    const nested = steps
+        .filter((step) => typeof step === 'object' && step !== null)
+        .map((step) => (step.strategy === 'sequential' || step.strategy === 'parallel' ? getPlanDepth(step) : 0));
+
+    return 1 + Math.max(0, ...nested);
+}
+
+/**
+ * Structural problems of a graph plan the schema cannot express:
+ * duplicate step ids, dependencies on unknown steps and dependency cycles
+ * @param {Object} plan - Plan with strategy 'graph'
+ * @returns {Array<string>} Error messages (empty when the graph is sound)
+ */
+export function getGraphErrors(plan) {
+    const steps = plan?.steps || [];
+    const errors = [];
+    const byId = new Map();
+
+    for (const step of steps) {
+        if (byId.has(step.id)) {
+            errors.push(`duplicate step id "${step.id}"`);
+        }
+        byId.set(step.id, step);
+    }
+
+    for (const step of steps) {
+        for (const dependency of step.dependsOn || []) {
+            if (!byId.has(dependency)) {
+                errors.push(`step "${step.id}" depends on unknown step "${dependency}"`);
+            }
+        }
+    }
+
+    // Depth-first search for a back edge
+    const state = new Map(); // id -> 'visiting' | 'done'
+    const visit = (id, path) => {
+        if (state.get(id) === 'done' || !byId.has(id)) return null;
+        if (state.get(id) === 'visiting') return [...path.slice(path.indexOf(id)), id];
+
+        state.set(id, 'visiting');
+        for (const dependency of byId.get(id).dependsOn || []) {
+            const cycle = visit(dependency, [...path, id]);
+            if (cycle) return cycle;
+        }
+        state.set(id, 'done');
+        return null;
+    };
+
+    for (const id of byId.keys()) {
+        const cycle = visit(id, []);
+        if (cycle) {
+            errors.push(`dependency cycle ${cycle.join(' -> ')}`);
+            break;
+        }
+    }
+
+    return errors;
+}
+
 /**
  * Validates a plan against the plan.v1 schema
  * @param {Object} plan - Plan object to validate
+ * @param {Object} [options]
+ * @param {number} [options.maxDepth] - Reject plans whose sub-plans nest deeper than this
  * @returns {Object} Validation result with { valid: boolean, errors?: Array }
  */
-export function validatePlan(plan) {
+export function validatePlan(plan, { maxDepth } = {}) {
     const result = validator.validate(plan, planSchema);
 
-    if (result.valid) {
+    const errors = result.errors.map((err) => ({
+        message: err.message,
+        property: err.property,
+        stack: err.stack,
+        schema: err.schema,
+        instance: err.instance
+    }));
+
+    if (result.valid && plan.strategy === 'graph') {
+        for (const message of getGraphErrors(plan)) {
+            errors.push({ message, property: 'instance.steps', stack: `instance.steps ${message}` });
+        }
+    }
+
+    if (maxDepth !== undefined && result.valid) {
+        const depth = getPlanDepth(plan);
+        if (depth > maxDepth) {
+            errors.push({
+                message: `nests ${depth} levels of sub-plans, more than the maximum of ${maxDepth}`,
+                property: 'instance',
+                stack: `instance nests ${depth} levels of sub-plans, more than the maximum of ${maxDepth}`
+            });
+        }
+    }
+
+    if (errors.length === 0) {
         return { valid: true };
     }
 
-    return {
-        valid: false,
-        errors: result.errors.map((err) => ({
-            message: err.message,
-            property: err.property,
-            stack: err.stack,
-            schema: err.schema,
-            instance: err.instance
-        }))
-    };
+    return { valid: false, errors };
 }
 
 /**
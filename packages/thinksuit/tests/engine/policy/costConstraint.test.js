@@ -0,0 +1,52 @@
+import { describe, it, expect, vi } from 'vitest';
+
+import { generatePolicyRules } from '../../../engine/policy/generatePolicyRules.js';
+import { systemEnforcementRules } from '../../../engine/policy/systemEnforcementRules.js';
+
+// Facts as the rules engine hands them to actions
+const fact = (data) => ({ data });
+
+describe('maxCostUsd policy', () => {
+    it('should not add a cost rule without a budget', () => {
+        const names = generatePolicyRules({ maxDepth: 5 }).map(r => r.name);
+
+        expect(names).not.toContain('policy:max-cost-constraint');
+    });
+
+    it('should emit a limit_cost PolicyConstraint from config', () => {
+        const rule = generatePolicyRules({ maxCostUsd: 0.25 }).find(r => r.name === 'policy:max-cost-constraint');
+        const engine = { addFact: vi.fn() };
+
+        expect(rule.conditions.all[0].test({ name: 'policy.maxCostUsd' })).toBe(true);
+        rule.action([], engine, { maxCost: fact({ value: 0.25 }) });
+
+        expect(engine.addFact).toHaveBeenCalledWith(expect.objectContaining({
+            type: 'PolicyConstraint',
+            constraint: 'limit_cost',
+            data: { maxCostUsd: 0.25 }
+        }));
+    });
+
+    it('should attach the budget to multi-call plans only', () => {
+        const rule = systemEnforcementRules.find(r => r.name === 'system:enforce-cost-constraint');
+        const [, planCondition] = rule.conditions.all;
+
+        expect(planCondition.test({ strategy: 'task' })).toBe(true);
+        expect(planCondition.test({ strategy: 'parallel' })).toBe(true);
+        expect(planCondition.test({ strategy: 'direct' })).toBe(false);
+        expect(planCondition.test({ strategy: 'task', costBudget: { maxCostUsd: 1 } })).toBe(false);
+
+        const engine = { addFact: vi.fn() };
+        const plan = { type: 'ExecutionPlan', name: 'explore', strategy: 'task', confidence: 0.8 };
+        rule.action([], engine, {
+            constraint: fact({ constraint: 'limit_cost', data: { maxCostUsd: 0.25 } }),
+            plan: fact(plan)
+        });
+
+        expect(engine.addFact).toHaveBeenCalledWith({
+            ...plan,
+            costBudget: { maxCostUsd: 0.25 },
+            confidence: 0.8
+        });
+    });
+});
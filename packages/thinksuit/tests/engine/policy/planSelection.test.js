@@ -0,0 +1,130 @@
+import { describe, it, expect, vi } from 'vitest';
+
+import { getPlanProfile, rankPlans } from '../../../engine/policy/planScoring.js';
+import { generatePolicyRules } from '../../../engine/policy/generatePolicyRules.js';
+import { systemEnforcementRules } from '../../../engine/policy/systemEnforcementRules.js';
+import { selectPlanCore } from '../../../engine/handlers/selectPlan.js';
+
+// Facts as the rules engine hands them to actions
+const fact = (data) => ({ data });
+
+const direct = { name: 'direct-assistant', strategy: 'direct', role: 'assistant' };
+const investigate = { name: 'investigate', strategy: 'task', tools: ['read_file', 'list_directory'], hasTools: true, resolution: { maxCycles: 4 } };
+const execute = { name: 'execute', strategy: 'task', tools: ['read_file', 'write_file'], hasTools: true };
+const analyze = { name: 'analyze', strategy: 'sequential', sequence: [{ role: 'analyzer' }, { role: 'synthesizer' }] };
+
+const candidates = (plans, precedence) => plans.map(plan => ({
+    plan,
+    precedenceRank: precedence.includes(plan.name) ? precedence.indexOf(plan.name) : null,
+    precedenceLength: precedence.length
+}));
+
+describe('plan selection scoring', () => {
+    it('should estimate calls and risk from strategy and tools', () => {
+        expect(getPlanProfile(direct)).toEqual({ estimatedCalls: 1, writeTools: [], risk: 'low' });
+        expect(getPlanProfile(investigate)).toMatchObject({ estimatedCalls: 4, risk: 'medium' });
+        expect(getPlanProfile(execute)).toEqual({ estimatedCalls: 3, writeTools: ['write_file'], risk: 'high' });
+        expect(getPlanProfile(analyze).estimatedCalls).toBe(2);
+        expect(getPlanProfile({ strategy: 'sequential', sequence: [{ strategy: 'parallel', roles: ['a', 'b', 'c'] }, 'd'] }).estimatedCalls).toBe(4);
+        expect(getPlanProfile({ ...execute, estimatedCalls: 1, risk: 'low' })).toMatchObject({ estimatedCalls: 1, risk: 'low' });
+    });
+
+    it('should rank by precedence and apply preference penalties', () => {
+        const plans = candidates([direct, analyze, investigate], ['investigate', 'analyze', 'direct-assistant']);
+
+        expect(rankPlans(plans).map(r => r.name)).toEqual(['investigate', 'analyze', 'direct-assistant']);
+
+        const lowCost = rankPlans(plans, [{ preference: 'prefer_low_cost', weight: 0.6 }]);
+        expect(lowCost.map(r => r.name)).toEqual(['analyze', 'investigate', 'direct-assistant']);
+        expect(lowCost[1]).toMatchObject({ score: 0.4, penalties: [{ preference: 'prefer_low_cost', penalty: 0.6 }] });
+
+        const cautious = rankPlans(plans, [{ preference: 'avoid_risk', data: { penalties: { medium: 0.5 } } }]);
+        expect(cautious[0].name).toBe('analyze');
+    });
+
+    it('should only add selection rules for non-default settings', () => {
+        const names = (selection) => generatePolicyRules({ selection }).map(r => r.name);
+
+        expect(names({ preferLowCost: false, riskTolerance: 'medium' })).toEqual([
+            'policy:derive-tool-allowlist',
+            'policy:capability-tool-calls',
+            'policy:capability-requirements'
+        ]);
+        expect(names({ preferLowCost: true, riskTolerance: 'low' })).toEqual(expect.arrayContaining([
+            'policy:prefer-low-cost',
+            'policy:risk-tolerance-constraint',
+            'policy:risk-tolerance-preference'
+        ]));
+    });
+
+    it('should block write-capable plans when risk tolerance is low', () => {
+        const [policyRule] = generatePolicyRules({ selection: { riskTolerance: 'low' } });
+        const [planCondition] = policyRule.conditions.all;
+        expect(planCondition.test(execute)).toBe(true);
+        expect(planCondition.test(investigate)).toBe(false);
+
+        const engine = { addFact: vi.fn() };
+        policyRule.action([], engine, { plan: fact(execute) });
+        const constraint = engine.addFact.mock.calls[0][0];
+        expect(constraint).toMatchObject({ constraint: 'block_risk', data: { writeTools: ['write_file'] } });
+
+        const enforce = systemEnforcementRules.find(r => r.name === 'system:enforce-risk-constraint');
+        enforce.action([], engine, { constraint: fact(constraint), plan: fact({ ...investigate, confidence: 0.8 }) });
+        enforce.action([], engine, { constraint: fact(constraint), plan: fact({ ...execute, confidence: 0.9 }) });
+
+        expect(engine.addFact).toHaveBeenCalledTimes(2);
+        expect(engine.addFact).toHaveBeenLastCalledWith(expect.objectContaining({
+            name: 'execute',
+            confidence: 0,
+            policyBlocked: true,
+            originalConfidence: 0.9
+        }));
+    });
+
+    it('should block graph plans with more steps than maxChildren', () => {
+        const policyRule = generatePolicyRules({ maxChildren: 2 }).find(r => r.name === 'policy:max-graph-steps-constraint');
+        const [planCondition] = policyRule.conditions.all;
+        const steps = ['a', 'b', 'c'].map(id => ({ id, role: 'analyzer' }));
+        const graph = { name: 'investigate-graph', strategy: 'graph', steps, confidence: 0.8 };
+
+        expect(planCondition.test(graph)).toBe(true);
+        expect(planCondition.test({ ...graph, steps: steps.slice(0, 2) })).toBe(false);
+
+        const engine = { addFact: vi.fn() };
+        policyRule.action([], engine, { plan: fact(graph) });
+        const constraint = engine.addFact.mock.calls[0][0];
+        expect(constraint).toMatchObject({ constraint: 'block_graph', data: { steps: 3, maxChildren: 2 } });
+
+        const enforce = systemEnforcementRules.find(r => r.name === 'system:enforce-graph-steps-constraint');
+        const blocked = { addFact: vi.fn() };
+        enforce.action([], blocked, { constraint: fact(constraint), plan: fact({ ...graph, steps: steps.slice(0, 2) }) });
+        enforce.action([], blocked, { constraint: fact(constraint), plan: fact(graph) });
+
+        expect(blocked.addFact).toHaveBeenCalledTimes(1);
+        expect(blocked.addFact).toHaveBeenCalledWith(expect.objectContaining({
+            name: 'investigate-graph',
+            confidence: 0,
+            policyBlocked: true,
+            originalConfidence: 0.8,
+            blockReason: 'Graph steps 3 > max 2'
+        }));
+    });
+
+    it('should select the top-ranked candidate and log the ranking', async () => {
+        const execLogger = { info: vi.fn(), warn: vi.fn() };
+        const factMap = {
+            SelectedPlan: [{
+                plan: investigate,
+                candidates: candidates([investigate, analyze], ['investigate', 'analyze']),
+                preferences: [{ preference: 'prefer_low_cost', weight: 0.6 }]
+            }]
+        };
+
+        const { plan } = await selectPlanCore({ factMap, context: { sessionId: 's1' } }, { execLogger });
+
+        expect(plan).toBe(analyze);
+        const { data } = execLogger.info.mock.calls.at(-1)[0];
+        expect(data.ranking.map(r => [r.name, r.score])).toEqual([['analyze', 0.5], ['investigate', 0.4]]);
+        expect(data.ranking[0]).not.toHaveProperty('plan');
+    });
+});
@@ -0,0 +1,431 @@
+import { describe, it, expect, vi, beforeAll, afterAll, beforeEach } from 'vitest';
+import { createServer } from 'node:http';
+
+import { createAnthropicProvider } from '../../../engine/providers/anthropic.js';
+import { createProvider } from '../../../engine/providers/index.js';
+
+/**
+ * Local stand-in for the Messages API. Each test sets `reply` to control what
+ * comes back and inspects `requests` to see what the provider sent.
+ */
+function startStandIn() {
+    const state = { requests: [], reply: null };
+
+    const server = createServer((req, res) => {
+        let body = '';
+        req.on('data', (chunk) => (body += chunk));
+        req.on('end', () => {
+            state.requests.push({
+                method: req.method,
+                url: req.url,
+                headers: req.headers,
+                body: JSON.parse(body)
+            });
+
+            const { status = 200, json, events } = state.reply;
+            if (events) {
+                res.writeHead(status, { 'content-type': 'text/event-stream' });
+                for (const [event, data] of events) {
+                    res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+                }
+                res.end();
+            } else {
+                res.writeHead(status, { 'content-type': 'application/json' });
+                res.end(JSON.stringify(json));
+            }
+        });
+    });
+
+    return new Promise((resolve) => {
+        server.listen(0, '127.0.0.1', () => {
+            const { port } = server.address();
+            resolve({ server, state, baseURL: `http://127.0.0.1:${port}` });
+        });
+    });
+}
+
+describe('Provider Abstraction', () => {
+    describe('Anthropic Provider', () => {
+        let standIn;
+        let provider;
+        let mockMachineContext;
+
+        beforeAll(async () => {
+            standIn = await startStandIn();
+        });
+
+        afterAll(() => new Promise((resolve) => standIn.server.close(resolve)));
+
+        beforeEach(() => {
+            standIn.state.requests = [];
+            provider = createAnthropicProvider({ apiKey: 'sk-ant-test', baseURL: standIn.baseURL });
+            mockMachineContext = {
+                config: { provider: 'anthropic' },
+                execLogger: {
+                    debug: vi.fn(),
+                    info: vi.fn(),
+                    warn: vi.fn(),
+                    error: vi.fn()
+                }
+            };
+        });
+
+        describe('callLLM interface', () => {
+            it('should send a Messages API request and normalize the response', async () => {
+                standIn.state.reply = {
+                    json: {
+                        id: 'msg_1',
+                        type: 'message',
+                        role: 'assistant',
+                        model: 'claude-sonnet-4-5-20250929',
+                        content: [{ type: 'text', text: 'Hello from Claude' }],
+                        stop_reason: 'end_turn',
+                        usage: { input_tokens: 20, output_tokens: 5 }
+                    }
+                };
+
+                const result = await provider.callLLM(mockMachineContext, {
+                    model: 'claude-sonnet-4-5',
+                    systemInstructions: 'You are a helpful assistant',
+                    thread: [{ role: 'user', content: 'Hello' }],
+                    maxTokens: 500,
+                    temperature: 0.3
+                });
+
+                const [request] = standIn.state.requests;
+                expect(request.method).toBe('POST');
+                expect(request.url).toBe('/v1/messages');
+                expect(request.headers['x-api-key']).toBe('sk-ant-test');
+                expect(request.headers['anthropic-version']).toBe('2023-06-01');
+                expect(request.body).toEqual({
+                    model: 'claude-sonnet-4-5',
+                    max_tokens: 500,
+                    system: 'You are a helpful assistant',
+                    temperature: 0.3,
+                    messages: [{ role: 'user', content: [{ type: 'text', text: 'Hello' }] }]
+                });
+
+                expect(result).toMatchObject({
+                    output: 'Hello from Claude',
+                    usage: { prompt: 20, completion: 5 },
+                    model: 'claude-sonnet-4-5-20250929',
+                    finishReason: 'end_turn',
+                    toolCalls: undefined
+                });
+                expect(result.original.request).toEqual(request.body);
+            });
+
+            it('should map tool schemas, tool calls and tool results', async () => {
+                standIn.state.reply = {
+                    json: {
+                        type: 'message',
+                        role: 'assistant',
+                        model: 'claude-sonnet-4-5',
+                        content: [
+                            { type: 'text', text: 'Reading both files.' },
+                            { type: 'tool_use', id: 'toolu_2', name: 'read_file', input: { path: 'b.txt' } }
+                        ],
+                        stop_reason: 'tool_use',
+                        usage: { input_tokens: 80, output_tokens: 12, cache_read_input_tokens: 40 }
+                    }
+                };
+
+                const result = await provider.callLLM(mockMachineContext, {
+                    model: 'claude-sonnet-4-5',
+                    thread: [
+                        { role: 'user', content: 'Compare a.txt and c.txt' },
+                        {
+                            role: 'assistant',
+                            content: 'Reading files.',
+                            tool_calls: [
+                                { id: 'toolu_1', type: 'function', function: { name: 'read_file', arguments: '{"path":"a.txt"}' } },
+                                { id: 'toolu_0', type: 'function', function: { name: 'read_file', arguments: '{"path":"c.txt"}' } }
+                            ]
+                        },
+                        { role: 'tool', tool_call_id: 'toolu_1', content: 'contents of a' },
+                        { role: 'tool', tool_call_id: 'toolu_0', content: 'contents of c' }
+                    ],
+                    maxTokens: 500,
+                    tools: ['read_file', 'list_directory'],
+                    toolSchemas: {
+                        read_file: {
+                            description: 'Read a file',
+                            inputSchema: { type: 'object', properties: { path: { type: 'string' } }, required: ['path'] }
+                        }
+                    }
+                });
+
+                const { body } = standIn.state.requests[0];
+                expect(body.tools).toEqual([
+                    {
+                        name: 'read_file',
+                        description: 'Read a file',
+                        input_schema: { type: 'object', properties: { path: { type: 'string' } }, required: ['path'] }
+                    },
+                    {
+                        name: 'list_directory',
+                        description: 'Execute list_directory',
+                        input_schema: {
+                            type: 'object',
+                            properties: { args: { type: 'string', description: 'Arguments for the tool' } }
+                        }
+                    }
+                ]);
+                expect(body.messages).toEqual([
+                    { role: 'user', content: [{ type: 'text', text: 'Compare a.txt and c.txt' }] },
+                    {
+                        role: 'assistant',
+                        content: [
+                            { type: 'text', text: 'Reading files.' },
+                            { type: 'tool_use', id: 'toolu_1', name: 'read_file', input: { path: 'a.txt' } },
+                            { type: 'tool_use', id: 'toolu_0', name: 'read_file', input: { path: 'c.txt' } }
+                        ]
+                    },
+                    {
+                        role: 'user',
+                        content: [
+                            { type: 'tool_result', tool_use_id: 'toolu_1', content: 'contents of a' },
+                            { type: 'tool_result', tool_use_id: 'toolu_0', content: 'contents of c' }
+                        ]
+                    }
+                ]);
+
+                expect(result.output).toBe('Reading both files.');
+                expect(result.finishReason).toBe('tool_use');
+                expect(result.usage).toEqual({ prompt: 120, completion: 12 });
+                expect(result.toolCalls).toEqual([
+                    {
+                        id: 'toolu_2',
+                        type: 'function',
+                        function: { name: 'read_file', arguments: '{"path":"b.txt"}' }
+                    }
+                ]);
+            });
+
+            it('should translate Responses API items left in the thread', async () => {
+                standIn.state.reply = {
+                    json: {
+                        type: 'message',
+                        model: 'claude-sonnet-4-5',
+                        content: [{ type: 'text', text: 'Done' }],
+                        stop_reason: 'end_turn',
+                        usage: { input_tokens: 1, output_tokens: 1 }
+                    }
+                };
+
+                await provider.callLLM(mockMachineContext, {
+                    model: 'claude-sonnet-4-5',
+                    thread: [
+                        { role: 'user', content: 'List files' },
+                        { type: 'reasoning', summary: [] },
+                        { type: 'function_call', call_id: 'call_9', name: 'list_directory', arguments: '{"path":"."}' },
+                        { type: 'function_call_output', call_id: 'call_9', output: 'a.txt' }
+                    ],
+                    maxTokens: 100
+                });
+
+                expect(standIn.state.requests[0].body.messages).toEqual([
+                    { role: 'user', content: [{ type: 'text', text: 'List files' }] },
+                    {
+                        role: 'assistant',
+                        content: [{ type: 'tool_use', id: 'call_9', name: 'list_directory', input: { path: '.' } }]
+                    },
+                    {
+                        role: 'user',
+                        content: [{ type: 'tool_result', tool_use_id: 'call_9', content: 'a.txt' }]
+                    }
+                ]);
+            });
+
+            it('should surface API errors with their HTTP status', async () => {
+                standIn.state.reply = {
+                    status: 429,
+                    json: { type: 'error', error: { type: 'rate_limit_error', message: 'Rate limited' } }
+                };
+
+                const error = await provider
+                    .callLLM(mockMachineContext, {
+                        model: 'claude-sonnet-4-5',
+                        thread: [{ role: 'user', content: 'Hello' }],
+                        maxTokens: 100
+                    })
+                    .catch((e) => e);
+
+                expect(error.message).toBe('Anthropic API error (429): Rate limited');
+                expect(error.status).toBe(429);
+            });
+
+            it('should force a structured response tool for a response schema', async () => {
+                const schema = { type: 'object', properties: { confirmed: { type: 'boolean' } }, required: ['confirmed'] };
+                standIn.state.reply = {
+                    json: {
+                        type: 'message',
+                        model: 'claude-sonnet-4-5',
+                        content: [{ type: 'tool_use', id: 'toolu_1', name: 'structured_response', input: { confirmed: true } }],
+                        stop_reason: 'tool_use',
+                        usage: { input_tokens: 20, output_tokens: 8 }
+                    }
+                };
+
+                const response = await provider.callLLM(mockMachineContext, {
+                    model: 'claude-sonnet-4-5',
+                    thread: [{ role: 'user', content: 'Save this' }],
+                    maxTokens: 100,
+                    responseSchema: schema,
+                    schemaName: 'capture_validation'
+                });
+
+                const [{ body }] = standIn.state.requests;
+                expect(body.tools).toEqual([{
+                    name: 'structured_response',
+                    description: 'Respond with the capture_validation as structured data',
+                    input_schema: schema
+                }]);
+                expect(body.tool_choice).toEqual({ type: 'tool', name: 'structured_response' });
+                expect(response.output).toBe('{"confirmed":true}');
+                expect(response.toolCalls).toBeUndefined();
+                expect(response.finishReason).toBe('end_turn');
+            });
+
+            it('should wrap non-object response schemas and drop caller tools with a warning', async () => {
+                const schema = { type: 'array', items: { type: 'string' } };
+                standIn.state.reply = {
+                    json: {
+                        type: 'message',
+                        model: 'claude-sonnet-4-5',
+                        content: [{ type: 'tool_use', id: 'toolu_1', name: 'structured_response', input: { value: ['a', 'b'] } }],
+                        stop_reason: 'tool_use',
+                        usage: { input_tokens: 20, output_tokens: 8 }
+                    }
+                };
+
+                const response = await provider.callLLM(mockMachineContext, {
+                    model: 'claude-sonnet-4-5',
+                    thread: [{ role: 'user', content: 'List the tags' }],
+                    maxTokens: 100,
+                    tools: ['search'],
+                    responseSchema: schema
+                });
+
+                const [{ body }] = standIn.state.requests;
+                expect(body.tools).toHaveLength(1);
+                expect(body.tools[0].input_schema).toEqual({
+                    type: 'object',
+                    properties: { value: schema },
+                    required: ['value']
+                });
+                expect(response.output).toBe('["a","b"]');
+                expect(mockMachineContext.execLogger.warn).toHaveBeenCalledWith(
+                    { data: { model: 'claude-sonnet-4-5', tools: ['search'] } },
+                    'Anthropic structured output cannot call tools - calling it without them'
+                );
+            });
+
+            it('should send attachment parts as image and document blocks', async () => {
+                standIn.state.reply = {
+                    json: {
+                        type: 'message',
+                        model: 'claude-sonnet-4-5',
+                        content: [{ type: 'text', text: 'A chart and a report' }],
+                        stop_reason: 'end_turn',
+                        usage: { input_tokens: 900, output_tokens: 6 }
+                    }
+                };
+
+                await provider.callLLM(mockMachineContext, {
+                    model: 'claude-sonnet-4-5',
+                    thread: [{
+                        role: 'user',
+                        content: [
+                            { type: 'text', text: 'What are these?' },
+                            { type: 'image', name: 'chart.png', mediaType: 'image/png', data: 'iVBORw0K' },
+                            { type: 'file', name: 'report.pdf', mediaType: 'application/pdf', data: 'JVBERi0x' }
+                        ]
+                    }],
+                    maxTokens: 100
+                });
+
+                const [{ body }] = standIn.state.requests;
+                expect(body.messages).toEqual([{
+                    role: 'user',
+                    content: [
+                        { type: 'text', text: 'What are these?' },
+                        { type: 'image', source: { type: 'base64', media_type: 'image/png', data: 'iVBORw0K' } },
+                        { type: 'document', title: 'report.pdf', source: { type: 'base64', media_type: 'application/pdf', data: 'JVBERi0x' } }
+                    ]
+                }]);
+            });
+        });
+
+        describe('streaming', () => {
+            it('should forward text deltas and reassemble the message', async () => {
+                standIn.state.reply = {
+                    events: [
+                        ['message_start', {
+                            type: 'message_start',
+                            message: {
+                                type: 'message',
+                                role: 'assistant',
+                                model: 'claude-haiku-4-5',
+                                content: [],
+                                stop_reason: null,
+                                usage: { input_tokens: 30, output_tokens: 1 }
+                            }
+                        }],
+                        ['content_block_start', { index: 0, content_block: { type: 'text', text: '' } }],
+                        ['content_block_delta', { index: 0, delta: { type: 'text_delta', text: 'Checking ' } }],
+                        ['content_block_delta', { index: 0, delta: { type: 'text_delta', text: 'now.' } }],
+                        ['content_block_stop', { index: 0 }],
+                        ['content_block_start', { index: 1, content_block: { type: 'tool_use', id: 'toolu_5', name: 'read_file', input: {} } }],
+                        ['content_block_delta', { index: 1, delta: { type: 'input_json_delta', partial_json: '{"path":' } }],
+                        ['content_block_delta', { index: 1, delta: { type: 'input_json_delta', partial_json: '"x.md"}' } }],
+                        ['content_block_stop', { index: 1 }],
+                        ['message_delta', { delta: { stop_reason: 'tool_use' }, usage: { output_tokens: 18 } }],
+                        ['message_stop', {}]
+                    ]
+                };
+
+                const onDelta = vi.fn();
+                const result = await provider.callLLM(mockMachineContext, {
+                    model: 'claude-haiku-4-5',
+                    thread: [{ role: 'user', content: 'Read x.md' }],
+                    maxTokens: 100,
+                    tools: ['read_file'],
+                    onDelta
+                });
+
+                expect(standIn.state.requests[0].body.stream).toBe(true);
+                expect(onDelta.mock.calls.map(([delta]) => delta.text)).toEqual(['Checking ', 'now.']);
+                expect(result.output).toBe('Checking now.');
+                expect(result.usage).toEqual({ prompt: 30, completion: 18 });
+                expect(result.finishReason).toBe('tool_use');
+                expect(result.toolCalls).toEqual([
+                    { id: 'toolu_5', type: 'function', function: { name: 'read_file', arguments: '{"path":"x.md"}' } }
+                ]);
+            });
+        });
+
+        describe('getCapabilities', () => {
+            it('should return known and default capabilities', () => {
+                expect(provider.getCapabilities('claude-sonnet-4-5')).toEqual({
+                    maxContext: 200000,
+                    maxOutput: 64000,
+                    supports: { toolCalls: true, temperature: true, jsonMode: true, vision: true }
+                });
+                expect(provider.getCapabilities('claude-unknown').maxOutput).toBe(8192);
+            });
+        });
+    });
+
+    describe('Provider Factory', () => {
+        it('should create the anthropic provider from the registry', () => {
+            const provider = createProvider({
+                provider: 'anthropic',
+                providerConfig: { anthropic: { apiKey: 'sk-ant-test' } }
+            });
+
+            expect(provider).toHaveProperty('callLLM');
+            expect(provider).toHaveProperty('getCapabilities');
+        });
+    });
+});
@@ -0,0 +1,77 @@
+import { describe, it, expect, vi, beforeEach, afterEach } from 'vitest';
+import { mkdtemp, rm } from 'node:fs/promises';
+import { tmpdir } from 'node:os';
+import { join } from 'node:path';
+
+describe('LLM response cache', () => {
+    let cacheDir;
+
+    beforeEach(async () => {
+        vi.resetModules();
+        cacheDir = await mkdtemp(join(tmpdir(), 'thinksuit-cache-'));
+        process.env.THINKSUIT_CACHE_DIR = cacheDir;
+    });
+
+    afterEach(async () => {
+        delete process.env.THINKSUIT_CACHE_DIR;
+        await rm(cacheDir, { recursive: true, force: true });
+    });
+
+    it('should key requests independent of property order', async () => {
+        const { getCacheKey } = await import('../../../engine/providers/cache.js');
+        const thread = [{ role: 'user', content: 'Hi' }];
+
+        expect(getCacheKey({ provider: 'openai', model: 'gpt-5', thread, temperature: 0.7 }))
+            .toBe(getCacheKey({ temperature: 0.7, thread, model: 'gpt-5', provider: 'openai' }));
+        expect(getCacheKey({ provider: 'openai', model: 'gpt-5', thread, temperature: 0.7 }))
+            .not.toBe(getCacheKey({ provider: 'openai', model: 'gpt-5', thread, temperature: 0.2 }));
+    });
+
+    it('should round-trip responses and miss on unknown keys', async () => {
+        const { readCachedResponse, writeCachedResponse } = await import('../../../engine/providers/cache.js');
+        const response = { output: 'Hello', usage: { prompt: 3, completion: 1 }, model: 'gpt-5', finishReason: 'end_turn' };
+
+        expect(await writeCachedResponse('ab12', response)).toBe(true);
+        expect(await readCachedResponse('ab12')).toMatchObject({ key: 'ab12', response });
+        expect(await readCachedResponse('cd34')).toBeNull();
+    });
+
+    it('should answer a repeated request without calling the provider', async () => {
+        const mockProvider = {
+            callLLM: vi.fn().mockResolvedValue({
+                output: 'Response',
+                usage: { prompt: 10, completion: 5 },
+                model: 'gpt-5',
+                finishReason: 'end_turn',
+                original: {}
+            }),
+            getCapabilities: vi.fn().mockReturnValue({ maxContext: 8192, maxOutput: 1000, supports: {} })
+        };
+        vi.doMock('../../../engine/providers/index.js', () => ({
+            createProvider: vi.fn().mockReturnValue(mockProvider)
+        }));
+
+        const { callLLM } = await import('../../../engine/providers/io.js');
+        const execLogger = { info: vi.fn() };
+        const costLedger = { record: vi.fn() };
+        const machineContext = { config: { provider: 'openai', cache: true }, execLogger, costLedger };
+        const params = { model: 'gpt-5', thread: [{ role: 'user', content: 'Test' }], maxTokens: 100, temperature: 0.7 };
+
+        await callLLM(machineContext, params);
+        const onDelta = vi.fn();
+        const cached = await callLLM(machineContext, { ...params, onDelta }, undefined, { parentBoundaryId: 'llm-2' });
+
+        expect(mockProvider.callLLM).toHaveBeenCalledTimes(1);
+        expect(costLedger.record).toHaveBeenCalledTimes(1);
+        expect(cached).toMatchObject({ output: 'Response', cached: true });
+        expect(onDelta).toHaveBeenCalledWith({ type: 'text', text: 'Response' });
+        expect(execLogger.info).toHaveBeenCalledWith(
+            expect.objectContaining({ event: 'processing.llm.cache_hit', parentBoundaryId: 'llm-2' }),
+            'LLM cache hit'
+        );
+
+        // Without cache the provider is called again
+        await callLLM({ ...machineContext, config: { provider: 'openai' } }, params);
+        expect(mockProvider.callLLM).toHaveBeenCalledTimes(2);
+    });
+});
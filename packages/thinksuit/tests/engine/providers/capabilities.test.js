@@ -0,0 +1,183 @@
+import { describe, it, expect, vi, beforeEach } from 'vitest';
+
+import { getModelCapabilities, findMissingCapabilities } from '../../../engine/providers/capabilities.js';
+import { generatePolicyRules } from '../../../engine/policy/generatePolicyRules.js';
+import { systemEnforcementRules } from '../../../engine/policy/systemEnforcementRules.js';
+
+// Facts as the rules engine hands them to actions
+const fact = (data) => ({ data });
+
+describe('Model capability registry', () => {
+    it('should read what the provider declares without credentials', () => {
+        expect(getModelCapabilities({ provider: 'anthropic', model: 'claude-sonnet-4-5' })).toEqual({
+            maxContext: 200000,
+            maxOutput: 64000,
+            supports: { toolCalls: true, jsonMode: true, vision: true, temperature: true, streaming: true }
+        });
+        expect(getModelCapabilities({ provider: 'openai', model: 'o1-mini' }).supports.temperature).toBe(false);
+    });
+
+    it('should merge config overrides keyed by provider/model', () => {
+        const config = {
+            provider: 'local',
+            model: 'llama3.2',
+            capabilities: {
+                'local/llama3.2': { maxContext: 131072, supports: { toolCalls: false } },
+                'local/other': { maxContext: 1 }
+            }
+        };
+
+        const capabilities = getModelCapabilities(config);
+        expect(capabilities.maxContext).toBe(131072);
+        expect(capabilities.maxOutput).toBe(4096);
+        expect(capabilities.supports).toMatchObject({ toolCalls: false, vision: false, streaming: true });
+    });
+
+    it('should fall back to conservative defaults for unknown providers', () => {
+        expect(getModelCapabilities({ provider: 'custom', model: 'x' })).toEqual({
+            maxContext: null,
+            maxOutput: null,
+            supports: { toolCalls: false, jsonMode: false, vision: false, temperature: true, streaming: true }
+        });
+    });
+
+    it('should list required features a model lacks', () => {
+        const capabilities = getModelCapabilities({ provider: 'local', model: 'llama3.2' });
+
+        expect(findMissingCapabilities(capabilities, ['streaming', 'vision', 'jsonMode'])).toEqual(['vision', 'jsonMode']);
+        expect(findMissingCapabilities(capabilities)).toEqual([]);
+    });
+});
+
+describe('Capability policy', () => {
+    it('should strip tools from plans when the model cannot call them', () => {
+        const policyRule = generatePolicyRules({}).find(r => r.name === 'policy:capability-tool-calls');
+        expect(policyRule.conditions.all[0].test({ name: 'provider.toolCalls', data: { value: false } })).toBe(true);
+        expect(policyRule.conditions.all[0].test({ name: 'provider.toolCalls', data: { value: true } })).toBe(false);
+
+        const rule = systemEnforcementRules.find(r => r.name === 'system:enforce-tool-calls-constraint');
+        const [, planCondition] = rule.conditions.all;
+        expect(planCondition.test({ strategy: 'task', tools: ['read_file'] })).toBe(true);
+        expect(planCondition.test({ strategy: 'sequential', sequence: ['analyzer', { role: 'planner', tools: ['search'] }] })).toBe(true);
+        expect(planCondition.test({ strategy: 'direct', role: 'assistant' })).toBe(false);
+
+        const engine = { addFact: vi.fn() };
+        const plan = {
+            type: 'ExecutionPlan',
+            name: 'review',
+            strategy: 'sequential',
+            sequence: ['analyzer', { role: 'planner', tools: ['search'] }],
+            tools: ['read_file'],
+            confidence: 0.8
+        };
+        rule.action([], engine, {
+            constraint: fact({ constraint: 'strip_tools', reason: 'Configured model cannot call tools' }),
+            plan: fact(plan)
+        });
+
+        expect(engine.addFact).toHaveBeenCalledWith(expect.objectContaining({
+            name: 'review',
+            confidence: 0,
+            policyBlocked: true,
+            blockReason: 'Configured model cannot call tools'
+        }));
+        expect(engine.addFact).toHaveBeenCalledWith({
+            type: 'ExecutionPlan',
+            name: 'review',
+            strategy: 'sequential',
+            sequence: ['analyzer', { role: 'planner' }],
+            policyAdjusted: true,
+            adjustmentReason: 'Removed tools - configured model cannot call them',
+            confidence: 0.8
+        });
+    });
+
+    it('should strip tools from nested sub-plans', () => {
+        const rule = systemEnforcementRules.find(r => r.name === 'system:enforce-tool-calls-constraint');
+        const [, planCondition] = rule.conditions.all;
+        const nested = {
+            strategy: 'sequential',
+            sequence: [
+                'analyzer',
+                { strategy: 'parallel', roles: ['critic', { role: 'researcher', tools: ['search'] }] },
+                { strategy: 'refine', producer: { role: 'writer', tools: ['read_file'] }, critic: 'critic' }
+            ]
+        };
+        expect(planCondition.test(nested)).toBe(true);
+        expect(planCondition.test({ strategy: 'sequential', sequence: ['analyzer', { strategy: 'parallel', roles: ['critic'] }] })).toBe(false);
+
+        const engine = { addFact: vi.fn() };
+        rule.action([], engine, {
+            constraint: fact({ constraint: 'strip_tools', reason: 'Configured model cannot call tools' }),
+            plan: fact({ type: 'ExecutionPlan', name: 'nested', confidence: 0.8, ...nested })
+        });
+
+        expect(engine.addFact).toHaveBeenCalledWith(expect.objectContaining({
+            name: 'nested',
+            policyAdjusted: true,
+            sequence: [
+                'analyzer',
+                { strategy: 'parallel', roles: ['critic', { role: 'researcher' }] },
+                { strategy: 'refine', producer: { role: 'writer' }, critic: 'critic' }
+            ]
+        }));
+    });
+
+    it('should block plans that require a missing feature', () => {
+        const policyRule = generatePolicyRules({}).find(r => r.name === 'policy:capability-requirements');
+        const engine = { addFact: vi.fn() };
+        policyRule.action([], engine, { capability: fact({ name: 'provider.vision', value: false }) });
+
+        const constraint = engine.addFact.mock.calls[0][0];
+        expect(constraint).toMatchObject({ type: 'PolicyConstraint', constraint: 'block_capability', data: { feature: 'vision' } });
+
+        const rule = systemEnforcementRules.find(r => r.name === 'system:enforce-capability-constraint');
+        const blocked = { addFact: vi.fn() };
+        rule.action([], blocked, { constraint: fact(constraint), plan: fact({ name: 'describe-image', requires: ['vision'], confidence: 0.9 }) });
+        rule.action([], blocked, { constraint: fact(constraint), plan: fact({ name: 'summarize', requires: ['jsonMode'], confidence: 0.9 }) });
+
+        expect(blocked.addFact).toHaveBeenCalledTimes(1);
+        expect(blocked.addFact).toHaveBeenCalledWith(expect.objectContaining({
+            name: 'describe-image',
+            policyBlocked: true,
+            blockReason: 'Configured model does not support vision'
+        }));
+    });
+});
+
+describe('callLLM capability adaptation', () => {
+    beforeEach(() => {
+        vi.resetModules();
+        vi.clearAllMocks();
+    });
+
+    it('should adapt a request to what the answering model supports', async () => {
+        const provider = {
+            callLLM: vi.fn().mockResolvedValue({ output: 'ok', usage: {}, model: 'llama3.2' }),
+            getCapabilities: vi.fn().mockReturnValue({ maxContext: 8192, maxOutput: 2048, supports: { toolCalls: false } })
+        };
+        vi.doMock('../../../engine/providers/index.js', () => ({
+            createProvider: vi.fn(() => provider),
+            listConfiguredProviders: vi.fn(() => ({ local: true }))
+        }));
+        const { callLLM } = await import('../../../engine/providers/io.js');
+        const execLogger = { info: vi.fn(), warn: vi.fn() };
+
+        await callLLM({
+            config: { provider: 'local', capabilities: { 'local/llama3.2': { maxOutput: 500 } } },
+            execLogger
+        }, {
+            model: 'llama3.2',
+            thread: [{ role: 'user', content: 'Test' }],
+            maxTokens: 4000,
+            tools: ['read_file'],
+            toolSchemas: [{ name: 'read_file' }]
+        });
+
+        const params = provider.callLLM.mock.calls[0][1];
+        expect(params.maxTokens).toBe(500);
+        expect(params.tools).toBeUndefined();
+        expect(params.toolSchemas).toBeUndefined();
+        expect(execLogger.warn).toHaveBeenCalled();
+    });
+});
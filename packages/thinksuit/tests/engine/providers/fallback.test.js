@@ -0,0 +1,163 @@
+import { describe, it, expect, vi, beforeEach } from 'vitest';
+
+import { classifyProviderError, getRetryDelay, parseFallbackChain, resolveRetryPolicy } from '../../../engine/providers/retry.js';
+
+const httpError = (status, message = `HTTP ${status}`) => Object.assign(new Error(message), { status });
+
+const okResponse = (model) => ({
+    output: `Answer from ${model}`,
+    usage: { prompt: 10, completion: 5 },
+    model,
+    finishReason: 'end_turn'
+});
+
+// Providers keyed by name, each failing with the queued errors before answering
+function mockProviders(failures) {
+    const providers = {};
+    for (const [name, errors] of Object.entries(failures)) {
+        const callLLM = vi.fn();
+        for (const error of errors) callLLM.mockRejectedValueOnce(error);
+        callLLM.mockImplementation(async (_ctx, params) => okResponse(params.model));
+        providers[name] = {
+            callLLM,
+            getCapabilities: vi.fn().mockReturnValue({ maxContext: 8192, maxOutput: 1000, supports: {} })
+        };
+    }
+
+    vi.doMock('../../../engine/providers/index.js', () => ({
+        createProvider: vi.fn((config) => providers[config.provider]),
+        listConfiguredProviders: vi.fn(() => Object.fromEntries(Object.keys(providers).map(name => [name, true])))
+    }));
+
+    return providers;
+}
+
+const noDelay = { rate_limit: { baseDelayMs: 0 }, server: { baseDelayMs: 0 }, network: { baseDelayMs: 0 } };
+
+describe('Provider retry policy', () => {
+    it('should classify errors by status and connection failure', () => {
+        expect(classifyProviderError(httpError(429))).toBe('rate_limit');
+        expect(classifyProviderError(httpError(503))).toBe('server');
+        expect(classifyProviderError(Object.assign(new Error('reset'), { code: 'ECONNRESET' }))).toBe('network');
+        expect(classifyProviderError(Object.assign(new TypeError('fetch failed'), { cause: { code: 'ECONNREFUSED' } }))).toBe('network');
+        expect(classifyProviderError(httpError(400))).toBe('fatal');
+        expect(classifyProviderError(new Error('bad request'))).toBe('fatal');
+    });
+
+    it('should back off exponentially up to the cap', () => {
+        const policy = resolveRetryPolicy({ rate_limit: { maxAttempts: 5, baseDelayMs: 100, maxDelayMs: 300 } });
+
+        expect(getRetryDelay(policy, 'rate_limit', 1)).toBe(100);
+        expect(getRetryDelay(policy, 'rate_limit', 2)).toBe(200);
+        expect(getRetryDelay(policy, 'rate_limit', 3)).toBe(300);
+        expect(getRetryDelay(policy, 'rate_limit', 5)).toBeNull();
+        expect(getRetryDelay(policy, 'fatal', 1)).toBeNull();
+        // Defaults survive a partial override
+        expect(policy.server.maxAttempts).toBe(2);
+    });
+
+    it('should honour Retry-After within the cap', () => {
+        const policy = resolveRetryPolicy({ rate_limit: { baseDelayMs: 100, maxDelayMs: 5000 } });
+        const error = Object.assign(httpError(429), { headers: { 'retry-after': '2' } });
+
+        expect(getRetryDelay(policy, 'rate_limit', 1, error)).toBe(2000);
+    });
+
+    it('should split chain entries at the first slash', () => {
+        expect(parseFallbackChain(['google/gemini-2.5-flash', 'onnx/onnx-community/granite-4.0-micro-ONNX-web'])).toEqual([
+            { provider: 'google', model: 'gemini-2.5-flash' },
+            { provider: 'onnx', model: 'onnx-community/granite-4.0-micro-ONNX-web' }
+        ]);
+        expect(() => parseFallbackChain(['gemini'])).toThrow('Invalid fallback chain entry');
+    });
+});
+
+describe('callLLM fallback chain', () => {
+    beforeEach(() => {
+        vi.resetModules();
+        vi.clearAllMocks();
+    });
+
+    const params = { model: 'gpt-5', thread: [{ role: 'user', content: 'Test' }], maxTokens: 100 };
+
+    it('should retry a rate limited call on the same provider', async () => {
+        const providers = mockProviders({ openai: [httpError(429)] });
+        const { callLLM } = await import('../../../engine/providers/io.js');
+        const execLogger = { info: vi.fn() };
+
+        const response = await callLLM({ config: { provider: 'openai', retry: noDelay }, execLogger }, params, undefined, {
+            traceId: 'trace-1',
+            parentBoundaryId: 'llm-1'
+        });
+
+        expect(response.output).toBe('Answer from gpt-5');
+        expect(providers.openai.callLLM).toHaveBeenCalledTimes(2);
+
+        const attempts = execLogger.info.mock.calls
+            .map(([entry]) => entry)
+            .filter(entry => entry.event === 'provider.attempt.complete');
+        expect(attempts.map(entry => entry.data)).toEqual([
+            expect.objectContaining({ provider: 'openai', attempt: 1, success: false, errorClass: 'rate_limit', retryInMs: 0 }),
+            expect.objectContaining({ provider: 'openai', attempt: 2, success: true })
+        ]);
+        expect(attempts[0]).toMatchObject({ boundaryType: 'provider_attempt', parentBoundaryId: 'llm-1', traceId: 'trace-1' });
+    });
+
+    it('should route to the next provider once retries are spent', async () => {
+        const providers = mockProviders({ openai: [httpError(503), httpError(503)], google: [] });
+        const { callLLM } = await import('../../../engine/providers/io.js');
+        const costLedger = { record: vi.fn() };
+
+        const response = await callLLM({
+            config: { provider: 'openai', fallbackChain: ['google/gemini-2.5-flash'], retry: noDelay },
+            execLogger: { info: vi.fn() },
+            costLedger
+        }, params);
+
+        expect(providers.openai.callLLM).toHaveBeenCalledTimes(2);
+        expect(providers.google.callLLM.mock.calls[0][1]).toMatchObject({ model: 'gemini-2.5-flash' });
+        expect(response.output).toBe('Answer from gemini-2.5-flash');
+        // Charged to the provider that answered
+        expect(costLedger.record).toHaveBeenCalledWith('google', 'gemini-2.5-flash', { prompt: 10, completion: 5 });
+    });
+
+    it('should not retry fatal errors', async () => {
+        const providers = mockProviders({ openai: [httpError(400, 'Invalid model')], google: [] });
+        const { callLLM } = await import('../../../engine/providers/io.js');
+
+        await callLLM({
+            config: { provider: 'openai', fallbackChain: ['google/gemini-2.5-flash'], retry: noDelay },
+            execLogger: { info: vi.fn() }
+        }, params);
+
+        expect(providers.openai.callLLM).toHaveBeenCalledTimes(1);
+        expect(providers.google.callLLM).toHaveBeenCalledTimes(1);
+    });
+
+    it('should report the whole chain when every provider fails', async () => {
+        mockProviders({ openai: [httpError(400)], google: [httpError(401, 'Bad key')] });
+        const { callLLM } = await import('../../../engine/providers/io.js');
+
+        await expect(callLLM({
+            config: { provider: 'openai', fallbackChain: ['google/gemini-2.5-flash'], retry: noDelay },
+            execLogger: { info: vi.fn() }
+        }, params)).rejects.toThrow('E_PROVIDER: All providers failed (openai → google): Bad key');
+    });
+
+    it('should not retry once output has streamed', async () => {
+        const providers = mockProviders({ openai: [], google: [] });
+        providers.openai.callLLM.mockReset().mockImplementation(async (_ctx, callParams) => {
+            callParams.onDelta({ type: 'text', text: 'Partial' });
+            throw httpError(503);
+        });
+        const { callLLM } = await import('../../../engine/providers/io.js');
+
+        await expect(callLLM({
+            config: { provider: 'openai', fallbackChain: ['google/gemini-2.5-flash'], retry: noDelay },
+            execLogger: { info: vi.fn() }
+        }, { ...params, onDelta: vi.fn() })).rejects.toThrow('E_PROVIDER: HTTP 503');
+
+        expect(providers.openai.callLLM).toHaveBeenCalledTimes(1);
+        expect(providers.google.callLLM).not.toHaveBeenCalled();
+    });
+});
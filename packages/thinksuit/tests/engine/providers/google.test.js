@@ -350,6 +350,50 @@ describe('Provider Abstraction', () => {
             });
         });
 
+        describe('streaming', () => {
+            it('should forward text parts and merge chunks into one candidate', async () => {
+                async function* chunks() {
+                    yield {
+                        candidates: [{ content: { role: 'model', parts: [{ text: 'Streaming ' }] } }]
+                    };
+                    yield {
+                        candidates: [{ content: { role: 'model', parts: [{ text: 'works' }] }, finishReason: 'STOP' }],
+                        usageMetadata: { promptTokenCount: 20, candidatesTokenCount: 4 },
+                        modelVersion: 'gemini-2.5-flash-001'
+                    };
+                }
+
+                const mockGenerateContentStream = vi.fn().mockResolvedValue(chunks());
+
+                vi.doMock('@google/genai', () => ({
+                    GoogleGenAI: class GoogleGenAI {
+                        models = {
+                            generateContent: mockGenerateContent,
+                            generateContentStream: mockGenerateContentStream
+                        };
+                    }
+                }));
+
+                const { createGoogleProvider } = await import('../../../engine/providers/google.js');
+                const provider = createGoogleProvider({ projectId: 'test-project' });
+
+                const onDelta = vi.fn();
+                const result = await provider.callLLM(mockMachineContext, {
+                    model: 'gemini-2.5-flash',
+                    thread: [{ role: 'user', content: 'Hello' }],
+                    maxTokens: 100,
+                    onDelta
+                });
+
+                expect(mockGenerateContent).not.toHaveBeenCalled();
+                expect(onDelta.mock.calls.map(([delta]) => delta.text)).toEqual(['Streaming ', 'works']);
+                expect(result.output).toBe('Streaming works');
+                expect(result.usage).toEqual({ prompt: 20, completion: 4 });
+                expect(result.model).toBe('gemini-2.5-flash-001');
+                expect(result.finishReason).toBe('end_turn');
+            });
+        });
+
         describe('getCapabilities', () => {
             it('should return correct capabilities for known models', async () => {
                 vi.doMock('@google/genai', () => ({
@@ -367,19 +411,19 @@ describe('Provider Abstraction', () => {
                 expect(provider.getCapabilities('gemini-2.5-pro')).toEqual({
                     maxContext: 1048576,
                     maxOutput: 65536,
-                    supports: { toolCalls: true, temperature: true }
+                    supports: { toolCalls: true, temperature: true, jsonMode: true, vision: true }
                 });
 
                 expect(provider.getCapabilities('gemini-2.0-flash')).toEqual({
                     maxContext: 1048576,
                     maxOutput: 8192,
-                    supports: { toolCalls: true, temperature: true }
+                    supports: { toolCalls: true, temperature: true, jsonMode: true, vision: true }
                 });
 
                 expect(provider.getCapabilities('gemini-1.5-pro')).toEqual({
                     maxContext: 2097152,
                     maxOutput: 8192,
-                    supports: { toolCalls: true, temperature: true }
+                    supports: { toolCalls: true, temperature: true, jsonMode: true, vision: true }
                 });
             });
 
@@ -399,7 +443,7 @@ describe('Provider Abstraction', () => {
                 expect(provider.getCapabilities('unknown-model')).toEqual({
                     maxContext: 32000,
                     maxOutput: 8192,
-                    supports: { toolCalls: true, temperature: true }
+                    supports: { toolCalls: true, temperature: true, jsonMode: false, vision: false }
                 });
             });
         });
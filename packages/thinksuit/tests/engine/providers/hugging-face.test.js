@@ -421,6 +421,131 @@ describe('Provider Abstraction', () => {
                 const callArgs = mockClient.chat.completions.create.mock.calls[0];
                 expect(callArgs[1]).toEqual({ signal: abortController.signal });
             });
+
+            it('should send unlisted models requests that match their reported capabilities', async () => {
+                mockClient = {
+                    chat: {
+                        completions: {
+                            create: vi.fn().mockResolvedValue({
+                                id: 'chatcmpl-222',
+                                object: 'chat.completion',
+                                created: 1677652288,
+                                model: 'acme/unlisted-model',
+                                choices: [{ index: 0, message: { role: 'assistant', content: 'Response' }, finish_reason: 'stop' }],
+                                usage: { prompt_tokens: 10, completion_tokens: 5, total_tokens: 15 }
+                            })
+                        }
+                    }
+                };
+
+                vi.doMock('openai', () => ({
+                    default: class OpenAI {
+                        constructor() {
+                            return mockClient;
+                        }
+                    }
+                }));
+
+                const { createHuggingFaceProvider } = await import(
+                    '../../../engine/providers/hugging-face.js'
+                );
+                const provider = createHuggingFaceProvider({ apiKey: 'hf_test_token' });
+                expect(provider.getCapabilities('acme/unlisted-model').supports.toolCalls).toBe(false);
+
+                await provider.callLLM(mockMachineContext, {
+                    model: 'acme/unlisted-model',
+                    thread: [{ role: 'user', content: 'Test' }],
+                    maxTokens: 100,
+                    tools: ['search']
+                });
+
+                const [request] = mockClient.chat.completions.create.mock.calls[0];
+                expect(request.tools).toBeUndefined();
+            });
+        });
+
+        describe('streaming', () => {
+            it('should assemble streamed content and tool call fragments', async () => {
+                async function* chunks() {
+                    yield {
+                        id: 'chatcmpl-1',
+                        model: 'moonshotai/Kimi-K2-Thinking:novita',
+                        choices: [{ index: 0, delta: { role: 'assistant', content: 'Let me ' } }]
+                    };
+                    yield {
+                        id: 'chatcmpl-1',
+                        choices: [{ index: 0, delta: { content: 'check.' } }]
+                    };
+                    yield {
+                        id: 'chatcmpl-1',
+                        choices: [{
+                            index: 0,
+                            delta: {
+                                tool_calls: [{ index: 0, id: 'call_1', function: { name: 'read_file', arguments: '{"pa' } }]
+                            }
+                        }]
+                    };
+                    yield {
+                        id: 'chatcmpl-1',
+                        choices: [{
+                            index: 0,
+                            delta: { tool_calls: [{ index: 0, function: { arguments: 'th":"a.txt"}' } }] },
+                            finish_reason: 'tool_calls'
+                        }]
+                    };
+                    yield {
+                        id: 'chatcmpl-1',
+                        choices: [],
+                        usage: { prompt_tokens: 40, completion_tokens: 9 }
+                    };
+                }
+
+                mockClient = {
+                    chat: {
+                        completions: {
+                            create: vi.fn().mockResolvedValue(chunks())
+                        }
+                    }
+                };
+
+                vi.doMock('openai', () => ({
+                    default: class OpenAI {
+                        constructor() {
+                            return mockClient;
+                        }
+                    }
+                }));
+
+                const { createHuggingFaceProvider } = await import(
+                    '../../../engine/providers/hugging-face.js'
+                );
+                const provider = createHuggingFaceProvider({ apiKey: 'hf_test_token' });
+
+                const onDelta = vi.fn();
+                const result = await provider.callLLM(mockMachineContext, {
+                    model: 'moonshotai/Kimi-K2-Thinking:novita',
+                    thread: [{ role: 'user', content: 'Read a.txt' }],
+                    maxTokens: 100,
+                    tools: ['read_file'],
+                    onDelta
+                });
+
+                const request = mockClient.chat.completions.create.mock.calls[0][0];
+                expect(request.stream).toBe(true);
+                expect(request.stream_options).toEqual({ include_usage: true });
+
+                expect(onDelta).toHaveBeenCalledTimes(2);
+                expect(result.output).toBe('Let me check.');
+                expect(result.usage).toEqual({ prompt: 40, completion: 9 });
+                expect(result.finishReason).toBe('tool_use');
+                expect(result.toolCalls).toEqual([
+                    {
+                        id: 'call_1',
+                        type: 'function',
+                        function: { name: 'read_file', arguments: '{"path":"a.txt"}' }
+                    }
+                ]);
+            });
         });
 
         describe('getCapabilities', () => {
@@ -445,7 +570,9 @@ describe('Provider Abstraction', () => {
                     maxOutput: 4096,
                     supports: {
                         toolCalls: true,
-                        temperature: true
+                        temperature: true,
+                        jsonMode: false,
+                        vision: false
                     }
                 });
             });
@@ -471,7 +598,9 @@ describe('Provider Abstraction', () => {
                     maxOutput: 2048,
                     supports: {
                         toolCalls: false,
-                        temperature: true
+                        temperature: true,
+                        jsonMode: false,
+                        vision: false
                     }
                 });
             });
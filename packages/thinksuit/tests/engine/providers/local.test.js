@@ -0,0 +1,144 @@
+import { describe, it, expect, vi, beforeAll, afterAll, beforeEach } from 'vitest';
+import { createServer } from 'node:http';
+
+import { createLocalProvider, listLocalModels } from '../../../engine/providers/local.js';
+import { createProvider, listConfiguredProviders } from '../../../engine/providers/index.js';
+
+/**
+ * Local stand-in for an Ollama-style OpenAI-compatible server. Serves a fixed
+ * model list and answers chat completions with whatever `reply` holds.
+ */
+function startStandIn() {
+    const state = { requests: [], reply: null, models: ['llama3.2:latest', 'qwen2.5:7b'] };
+
+    const server = createServer((req, res) => {
+        let body = '';
+        req.on('data', (chunk) => (body += chunk));
+        req.on('end', () => {
+            state.requests.push({
+                method: req.method,
+                url: req.url,
+                headers: req.headers,
+                body: body ? JSON.parse(body) : undefined
+            });
+
+            if (req.url === '/v1/models') {
+                res.writeHead(200, { 'content-type': 'application/json' });
+                res.end(JSON.stringify({
+                    object: 'list',
+                    data: state.models.map(id => ({ id, object: 'model', owned_by: 'library' }))
+                }));
+            } else if (req.url === '/v1/chat/completions') {
+                res.writeHead(200, { 'content-type': 'application/json' });
+                res.end(JSON.stringify(state.reply));
+            } else {
+                res.writeHead(404);
+                res.end();
+            }
+        });
+    });
+
+    return new Promise((resolve) => {
+        server.listen(0, '127.0.0.1', () => {
+            const { port } = server.address();
+            resolve({ server, state, baseUrl: `http://127.0.0.1:${port}/v1` });
+        });
+    });
+}
+
+describe('Provider Abstraction', () => {
+    describe('Local Provider', () => {
+        let standIn;
+        let mockMachineContext;
+
+        beforeAll(async () => {
+            standIn = await startStandIn();
+        });
+
+        afterAll(() => new Promise((resolve) => standIn.server.close(resolve)));
+
+        beforeEach(() => {
+            standIn.state.requests = [];
+            mockMachineContext = {
+                config: { provider: 'local' },
+                execLogger: {
+                    debug: vi.fn(),
+                    info: vi.fn(),
+                    warn: vi.fn(),
+                    error: vi.fn()
+                }
+            };
+        });
+
+        it('should call chat completions without an API key', async () => {
+            standIn.state.reply = {
+                id: 'chatcmpl-1',
+                object: 'chat.completion',
+                model: 'llama3.2',
+                choices: [{
+                    index: 0,
+                    message: { role: 'assistant', content: 'Hello from Ollama' },
+                    finish_reason: 'stop'
+                }],
+                usage: { prompt_tokens: 12, completion_tokens: 4 }
+            };
+
+            const provider = createLocalProvider({ baseUrl: standIn.baseUrl });
+            const result = await provider.callLLM(mockMachineContext, {
+                model: 'llama3.2',
+                systemInstructions: 'Be brief',
+                thread: [{ role: 'user', content: 'Hello' }],
+                maxTokens: 100
+            });
+
+            const [request] = standIn.state.requests;
+            expect(request.url).toBe('/v1/chat/completions');
+            expect(request.body.model).toBe('llama3.2');
+            expect(request.body.messages).toEqual([
+                { role: 'system', content: 'Be brief' },
+                { role: 'user', content: 'Hello' }
+            ]);
+
+            expect(result).toMatchObject({
+                output: 'Hello from Ollama',
+                usage: { prompt: 12, completion: 4 },
+                model: 'llama3.2',
+                finishReason: 'end_turn'
+            });
+        });
+
+        it('should list the models the server offers', async () => {
+            const provider = createLocalProvider({ baseUrl: standIn.baseUrl, apiKey: 'local-key' });
+
+            await expect(provider.listModels()).resolves.toEqual(['llama3.2:latest', 'qwen2.5:7b']);
+
+            const [request] = standIn.state.requests;
+            expect(request.method).toBe('GET');
+            expect(request.headers.authorization).toBe('Bearer local-key');
+        });
+
+        it('should report a failed model listing', async () => {
+            await expect(listLocalModels({ baseUrl: `${standIn.baseUrl}/missing` }))
+                .rejects.toThrow('E_PROVIDER: Model listing failed');
+        });
+
+        it('should assume default capabilities for any model', () => {
+            const provider = createLocalProvider({});
+
+            expect(provider.getCapabilities('mistral-nemo')).toEqual({
+                maxContext: 8192,
+                maxOutput: 4096,
+                supports: { toolCalls: true, temperature: true, jsonMode: false, vision: false }
+            });
+        });
+    });
+
+    describe('Provider Factory', () => {
+        it('should create the local provider without credentials', () => {
+            const config = { provider: 'local', providerConfig: { local: {} } };
+
+            expect(createProvider(config)).toHaveProperty('listModels');
+            expect(listConfiguredProviders(config).local).toBe(true);
+        });
+    });
+});
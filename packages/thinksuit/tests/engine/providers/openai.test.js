@@ -57,6 +57,7 @@ describe('Provider Abstraction', () => {
                     default: class OpenAI {
                         constructor(config) {
                             expect(config.apiKey).toBe('test-key');
+                            expect(config.maxRetries).toBe(0); // retry.js owns retries
                             return mockClient;
                         }
                     }
@@ -290,6 +291,104 @@ describe('Provider Abstraction', () => {
             });
         });
 
+        describe('streaming', () => {
+            it('should forward text deltas and return the completed response', async () => {
+                const completed = {
+                    object: 'response',
+                    status: 'completed',
+                    output: [
+                        {
+                            type: 'message',
+                            content: [{ type: 'output_text', text: 'Hello world' }]
+                        }
+                    ],
+                    usage: { input_tokens: 12, output_tokens: 3 },
+                    model: 'gpt-4o-mini'
+                };
+
+                async function* events() {
+                    yield { type: 'response.created', response: { ...completed, status: 'in_progress' } };
+                    yield { type: 'response.output_text.delta', delta: 'Hello' };
+                    yield { type: 'response.output_text.delta', delta: ' world' };
+                    yield { type: 'response.completed', response: completed };
+                }
+
+                mockClient = {
+                    responses: {
+                        create: vi.fn().mockResolvedValue(events())
+                    }
+                };
+
+                vi.doMock('openai', () => ({
+                    default: class OpenAI {
+                        constructor() {
+                            return mockClient;
+                        }
+                    }
+                }));
+
+                const { createOpenAIProvider } = await import(
+                    '../../../engine/providers/openai.js'
+                );
+                const provider = createOpenAIProvider({ apiKey: 'test-key' });
+
+                const onDelta = vi.fn();
+                const result = await provider.callLLM(mockMachineContext, {
+                    model: 'gpt-4o-mini',
+                    thread: [{ role: 'user', content: 'Say hello' }],
+                    maxTokens: 100,
+                    onDelta
+                });
+
+                expect(mockClient.responses.create).toHaveBeenCalledWith(
+                    expect.objectContaining({ stream: true }),
+                    expect.any(Object)
+                );
+                expect(onDelta.mock.calls.map(([delta]) => delta)).toEqual([
+                    { type: 'text', text: 'Hello' },
+                    { type: 'text', text: ' world' }
+                ]);
+                expect(result.output).toBe('Hello world');
+                expect(result.usage).toEqual({ prompt: 12, completion: 3 });
+                expect(result.finishReason).toBe('end_turn');
+            });
+
+            it('should reject when the stream reports a failure', async () => {
+                async function* events() {
+                    yield { type: 'response.output_text.delta', delta: 'Partial' };
+                    yield { type: 'response.failed', response: { error: { message: 'server_error' } } };
+                }
+
+                mockClient = {
+                    responses: {
+                        create: vi.fn().mockResolvedValue(events())
+                    }
+                };
+
+                vi.doMock('openai', () => ({
+                    default: class OpenAI {
+                        constructor() {
+                            return mockClient;
+                        }
+                    }
+                }));
+
+                const { createOpenAIProvider } = await import(
+                    '../../../engine/providers/openai.js'
+                );
+                const provider = createOpenAIProvider({ apiKey: 'test-key' });
+
+                await expect(
+                    provider.callLLM(mockMachineContext, {
+                        model: 'gpt-4o-mini',
+                        thread: [{ role: 'user', content: 'Say hello' }],
+                        maxTokens: 100,
+                        onDelta: vi.fn()
+                    })
+                ).rejects.toThrow('server_error');
+            });
+        });
+
         describe('getCapabilities', () => {
             it('should return correct capabilities for known models', async () => {
                 vi.doMock('openai', () => ({
@@ -304,25 +403,25 @@ describe('Provider Abstraction', () => {
                 expect(provider.getCapabilities('gpt-4')).toEqual({
                     maxContext: 128000,
                     maxOutput: 4096,
-                    supports: { toolCalls: true, temperature: true }
+                    supports: { toolCalls: true, temperature: true, jsonMode: false, vision: false }
                 });
 
                 expect(provider.getCapabilities('gpt-4o')).toEqual({
                     maxContext: 128000,
                     maxOutput: 16384,
-                    supports: { toolCalls: true, temperature: true }
+                    supports: { toolCalls: true, temperature: true, jsonMode: true, vision: true }
                 });
 
                 expect(provider.getCapabilities('o1-preview')).toEqual({
                     maxContext: 128000,
                     maxOutput: 32768,
-                    supports: { toolCalls: false, temperature: false }
+                    supports: { toolCalls: false, temperature: false, jsonMode: false, vision: false }
                 });
 
                 expect(provider.getCapabilities('gpt-5')).toEqual({
                     maxContext: 128000,
                     maxOutput: 16384,
-                    supports: { toolCalls: true, temperature: false }
+                    supports: { toolCalls: true, temperature: false, jsonMode: true, vision: true }
                 });
             });
 
@@ -339,7 +438,7 @@ describe('Provider Abstraction', () => {
                 expect(provider.getCapabilities('unknown-model')).toEqual({
                     maxContext: 4096,
                     maxOutput: 2048,
-                    supports: { toolCalls: false, temperature: true }
+                    supports: { toolCalls: false, temperature: true, jsonMode: false, vision: false }
                 });
             });
         });
@@ -384,6 +483,65 @@ describe('Provider Abstraction', () => {
             vi.clearAllMocks();
         });
 
+        it('should drop onDelta for models that cannot stream', async () => {
+            const mockProvider = {
+                callLLM: vi.fn().mockResolvedValue({
+                    output: 'Response',
+                    usage: { prompt: 10, completion: 5 },
+                    model: 'o1-mini',
+                    finishReason: 'end_turn'
+                }),
+                getCapabilities: vi.fn().mockReturnValue({
+                    maxContext: 8192,
+                    maxOutput: 1000,
+                    supports: { toolCalls: false, streaming: false }
+                })
+            };
+
+            vi.doMock('../../../engine/providers/index.js', () => ({
+                createProvider: vi.fn().mockReturnValue(mockProvider)
+            }));
+
+            const { callLLM } = await import('../../../engine/providers/io.js');
+
+            await callLLM({ config: { provider: 'openai' }, execLogger: { info: vi.fn() } }, {
+                model: 'o1-mini',
+                thread: [{ role: 'user', content: 'Test' }],
+                maxTokens: 100,
+                onDelta: vi.fn()
+            });
+
+            expect(mockProvider.callLLM.mock.calls[0][1]).not.toHaveProperty('onDelta');
+        });
+
+        it('should charge each call to the turn cost ledger', async () => {
+            const mockProvider = {
+                callLLM: vi.fn().mockResolvedValue({
+                    output: 'Response',
+                    usage: { prompt: 10, completion: 5 },
+                    model: 'gpt-5-2025-08-07',
+                    finishReason: 'end_turn'
+                }),
+                getCapabilities: vi.fn().mockReturnValue({ maxContext: 8192, maxOutput: 1000, supports: {} })
+            };
+
+            vi.doMock('../../../engine/providers/index.js', () => ({
+                createProvider: vi.fn().mockReturnValue(mockProvider)
+            }));
+
+            const { callLLM } = await import('../../../engine/providers/io.js');
+            const costLedger = { record: vi.fn() };
+
+            await callLLM({ config: { provider: 'openai' }, execLogger: { info: vi.fn() }, costLedger }, {
+                model: 'gpt-5',
+                thread: [{ role: 'user', content: 'Test' }],
+                maxTokens: 100
+            });
+
+            // Priced by the requested model, not the dated snapshot the API reports
+            expect(costLedger.record).toHaveBeenCalledWith('openai', 'gpt-5', { prompt: 10, completion: 5 });
+        });
+
         it('should clamp maxTokens to provider limits', async () => {
             const mockProvider = {
                 callLLM: vi.fn().mockResolvedValue({
@@ -0,0 +1,111 @@
+import { describe, it, expect, vi, beforeEach } from 'vitest';
+
+import { parseStructuredOutput, withSchemaInstructions } from '../../../engine/providers/structured.js';
+
+const schema = {
+    type: 'object',
+    properties: { confirmed: { type: 'boolean' } },
+    required: ['confirmed'],
+    additionalProperties: false
+};
+
+const reply = (output) => ({ output, usage: { prompt: 10, completion: 5 }, model: 'test-model', finishReason: 'end_turn' });
+
+// One provider answering with the queued outputs, declaring the given JSON mode support
+function mockProvider(outputs, jsonMode) {
+    const provider = {
+        callLLM: vi.fn(),
+        getCapabilities: vi.fn().mockReturnValue({ maxContext: 8192, maxOutput: 1000, supports: { jsonMode } })
+    };
+    for (const output of outputs) provider.callLLM.mockResolvedValueOnce(reply(output));
+
+    vi.doMock('../../../engine/providers/index.js', () => ({
+        createProvider: vi.fn(() => provider),
+        listConfiguredProviders: vi.fn(() => ({}))
+    }));
+
+    return provider;
+}
+
+const params = {
+    model: 'test-model',
+    thread: [{ role: 'system', content: 'Classify.' }, { role: 'user', content: 'Save this note' }],
+    maxTokens: 20,
+    responseSchema: schema,
+    schemaName: 'capture_validation'
+};
+
+describe('parseStructuredOutput', () => {
+    it('should parse and validate JSON, with or without a code fence', () => {
+        expect(parseStructuredOutput('{"confirmed": true}', schema)).toEqual({ valid: true, value: { confirmed: true } });
+        expect(parseStructuredOutput('```json\n{"confirmed": false}\n```', schema)).toEqual({ valid: true, value: { confirmed: false } });
+    });
+
+    it('should report invalid JSON and schema violations', () => {
+        const notJson = parseStructuredOutput('Yes, confirmed.', schema);
+        expect(notJson.valid).toBe(false);
+        expect(notJson.errors[0]).toMatch(/^not valid JSON/);
+
+        const wrongShape = parseStructuredOutput('{"confirmed": "yes"}', schema);
+        expect(wrongShape).toEqual({ valid: false, errors: ['instance.confirmed is not of a type(s) boolean'] });
+    });
+
+    it('should append the schema to existing instructions', () => {
+        const instructions = withSchemaInstructions('Classify.', schema);
+
+        expect(instructions).toMatch(/^Classify\.\n\nRespond with a single JSON value/);
+        expect(instructions).toContain('"confirmed"');
+    });
+});
+
+describe('callLLM structured output', () => {
+    beforeEach(() => {
+        vi.resetModules();
+        vi.clearAllMocks();
+    });
+
+    it('should pass the schema to a native JSON mode and return the parsed value', async () => {
+        const provider = mockProvider(['{"confirmed": true}'], true);
+        const { callLLM } = await import('../../../engine/providers/io.js');
+
+        const response = await callLLM({ config: { provider: 'openai' }, execLogger: { info: vi.fn() } }, params);
+
+        expect(response.parsed).toEqual({ confirmed: true });
+        expect(provider.callLLM.mock.calls[0][1]).toMatchObject({
+            responseSchema: schema,
+            schemaName: 'capture_validation',
+            systemInstructions: 'Classify.'
+        });
+    });
+
+    it('should prompt for the schema and correct invalid output without a JSON mode', async () => {
+        const provider = mockProvider(['Sure - confirmed!', '{"confirmed": false}'], false);
+        const { callLLM } = await import('../../../engine/providers/io.js');
+        const execLogger = { info: vi.fn(), warn: vi.fn() };
+
+        const response = await callLLM({ config: { provider: 'onnx' }, execLogger }, params);
+
+        expect(response.parsed).toEqual({ confirmed: false });
+        expect(response.usage).toEqual({ prompt: 20, completion: 10 });
+
+        const [first, second] = provider.callLLM.mock.calls.map(([, sent]) => sent);
+        expect(first.responseSchema).toBeUndefined();
+        expect(first.systemInstructions).toContain('Respond with a single JSON value');
+        expect(second.thread.slice(-2)).toEqual([
+            { role: 'assistant', content: 'Sure - confirmed!' },
+            expect.objectContaining({ role: 'user', content: expect.stringContaining('does not match the required JSON schema') })
+        ]);
+        expect(execLogger.warn).toHaveBeenCalledTimes(1);
+    });
+
+    it('should fail once corrections are spent', async () => {
+        const provider = mockProvider(['no', 'still no', 'never'], false);
+        const { callLLM } = await import('../../../engine/providers/io.js');
+
+        const error = await callLLM({ config: { provider: 'onnx' }, execLogger: { info: vi.fn(), warn: vi.fn() } }, params)
+            .catch(e => e);
+
+        expect(error.message).toMatch(/^E_PROVIDER: Structured output did not match the schema: not valid JSON/);
+        expect(provider.callLLM).toHaveBeenCalledTimes(3);
+    });
+});
@@ -3,6 +3,7 @@ import {
     normalizeConfig,
     loadMachineDefinition,
     formatFinalResult,
+    formatPlanOnlyResult,
     withMcpLifecycle,
     selectModule
 } from '../../../engine/run/internals.js';
@@ -120,6 +121,18 @@ describe('run/internals', () => {
             expect(() => normalizeConfig(config)).toThrow('OpenAI API key is required');
         });
 
+        it('should not require provider credentials for plan-only runs', () => {
+            const config = {
+                input: 'test',
+                sessionId: 'test-session',
+                provider: 'openai',
+                providerConfig: { openai: {} },
+                planOnly: true
+            };
+
+            expect(normalizeConfig(config).planOnly).toBe(true);
+        });
+
         it('should throw error when Google Cloud project is missing for Google provider', () => {
             const config = {
                 input: 'test',
@@ -223,6 +236,15 @@ describe('run/internals', () => {
             expect(machineDefinition.States).toBeDefined();
             expect(machineDefinition.StartAt).toBeDefined();
         });
+
+        it('should stop plan-only runs after composing instructions', async () => {
+            const { States } = await loadMachineDefinition();
+
+            expect(States.ComposeInstructions.Next).toBe('CheckPlanOnly');
+            expect(States.CheckPlanOnly.Choices[0]).toEqual({ Variable: '$.planOnly', IsPresent: true, Next: 'PlanOnly' });
+            expect(States.CheckPlanOnly.Default).toBe('Route');
+            expect(States.PlanOnly).toEqual({ Type: 'Pass', End: true });
+        });
     });
 
     describe('formatFinalResult', () => {
@@ -459,6 +481,36 @@ describe('run/internals', () => {
         });
     });
 
+    describe('formatPlanOnlyResult', () => {
+        it('should return the decisions without a response event', () => {
+            const mockLogger = { info: vi.fn() };
+            const plan = { name: 'direct-assistant', strategy: 'direct', role: 'assistant' };
+            const result = {
+                signalsResult: { facts: [{ type: 'Signal', dimension: 'claim', signal: 'factual' }] },
+                evaluateRulesResult: { factMap: { ExecutionPlan: [plan] } },
+                planResult: { plan },
+                instructions: { maxTokens: 400 }
+            };
+
+            const formatted = formatPlanOnlyResult('SUCCEEDED', result, 'test-session', mockLogger, 'turn-1', 'session-1');
+
+            expect(formatted).toEqual({
+                success: true,
+                planOnly: true,
+                sessionId: 'test-session',
+                signals: result.signalsResult.facts,
+                facts: { ExecutionPlan: [plan] },
+                plan,
+                instructions: { maxTokens: 400 }
+            });
+            expect(mockLogger.info).toHaveBeenCalledTimes(1);
+            expect(mockLogger.info).toHaveBeenCalledWith(
+                expect.objectContaining({ event: 'session.turn.complete', data: { planOnly: true, plan, success: true } }),
+                'Plan-only turn completed'
+            );
+        });
+    });
+
     describe('executeOnce', () => {
         beforeEach(() => {
             vi.mock('../../../engine/handlers/index.js', () => ({
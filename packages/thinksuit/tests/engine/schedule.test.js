@@ -6,6 +6,7 @@ import { join } from 'path';
 vi.mock('../../engine/utils/id.js');
 vi.mock('../../engine/transports/session-router.js');
 vi.mock('../../engine/sessions/index.js');
+vi.mock('../../engine/sessions/durable.js');
 
 describe('schedule', () => {
     let tempDir;
@@ -211,6 +212,118 @@ describe('schedule', () => {
         });
     });
 
+    describe('Resuming interrupted tasks', () => {
+        const resumeState = {
+            plan: { role: 'explorer', tools: ['read_text_file'], resolution: { maxCycles: 4 } },
+            userInput: 'Explore the repo',
+            cyclesCompleted: 2,
+            taskThread: [{ role: 'assistant', content: 'Looking around' }]
+        };
+
+        it('should run the interrupted task plan with the original input', async () => {
+            mockSessions.getSession = vi.fn().mockResolvedValue({
+                entries: [
+                    { event: 'session.turn.start' },
+                    { event: 'execution.task.interrupted', data: { cyclesCompleted: 2, resumeState } },
+                    { event: 'session.turn.complete' }
+                ]
+            });
+
+            const result = await schedule({
+                sessionId: 'interrupted-session',
+                resume: true,
+                apiKey: 'test-key'
+            });
+
+            expect(result.scheduled).toBe(true);
+            const { run } = await import('../../engine/run.js');
+            expect(run).toHaveBeenCalledWith(
+                expect.objectContaining({
+                    input: 'Explore the repo',
+                    selectedPlan: expect.objectContaining({
+                        strategy: 'task',
+                        role: 'explorer',
+                        resumeFrom: resumeState
+                    }),
+                    _resumeState: resumeState
+                })
+            );
+        });
+
+        it('should re-drive an orphaned turn from its checkpoint', async () => {
+            const mockDurable = await import('../../engine/sessions/durable.js');
+            const checkpoint = {
+                turnIndex: 2,
+                input: 'Second question',
+                lastState: { name: 'SelectPlan', next: 'ComposeInstructions', data: { plan: { strategy: 'direct' } } }
+            };
+            mockDurable.loadStateCheckpoint.mockResolvedValue(checkpoint);
+            mockSessions.getSession = vi.fn().mockResolvedValue({
+                entries: [
+                    { event: 'session.turn.start' },
+                    { event: 'session.input', data: { input: 'Second question' } },
+                    { event: 'session.orphaned', data: { turnIndex: 2, lastState: 'SelectPlan' } }
+                ]
+            });
+
+            const result = await schedule({
+                sessionId: 'orphaned-session',
+                resume: true,
+                apiKey: 'test-key'
+            });
+
+            expect(result.scheduled).toBe(true);
+            expect(mockDurable.markOrphanedTurn).toHaveBeenCalledWith('orphaned-session');
+            const { run } = await import('../../engine/run.js');
+            expect(run).toHaveBeenCalledWith(
+                expect.objectContaining({
+                    input: 'Second question',
+                    _orphanedCheckpoint: checkpoint
+                })
+            );
+        });
+
+        it('should take over a session whose turn was orphaned', async () => {
+            const mockDurable = await import('../../engine/sessions/durable.js');
+            mockDurable.markOrphanedTurn.mockResolvedValue({ turnIndex: 2 });
+            mockSessionRouter.acquireSession
+                .mockResolvedValueOnce({ success: false, reason: 'Session is currently processing' })
+                .mockResolvedValueOnce({ success: true });
+
+            const result = await schedule({
+                input: 'New question',
+                sessionId: 'crashed-session',
+                apiKey: 'test-key'
+            });
+
+            expect(result.scheduled).toBe(true);
+            expect(mockSessionRouter.acquireSession).toHaveBeenCalledTimes(2);
+        });
+
+        it('should not schedule when the last turn has nothing to resume', async () => {
+            mockSessions.getSession = vi.fn().mockResolvedValue({
+                entries: [
+                    { event: 'session.turn.start' },
+                    { event: 'execution.task.interrupted', data: { cyclesCompleted: 1, resumeState } },
+                    { event: 'session.turn.complete' },
+                    { event: 'session.turn.start' },
+                    { event: 'session.turn.complete' }
+                ]
+            });
+
+            const result = await schedule({
+                sessionId: 'finished-session',
+                resume: true,
+                apiKey: 'test-key'
+            });
+
+            expect(result.scheduled).toBe(false);
+            expect(result.reason).toBe('Nothing to resume - no interrupted task or orphaned turn');
+            expect(mockSessionRouter.acquireSession).not.toHaveBeenCalled();
+            await expect(result.execution).rejects.toThrow('Nothing to resume');
+        });
+    });
+
     describe('Error handling', () => {
         it('should handle execution failure', async () => {
             const { run } = await import('../../engine/run.js');
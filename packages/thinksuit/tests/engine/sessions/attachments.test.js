@@ -0,0 +1,119 @@
+import { describe, it, expect, vi, beforeEach, afterEach } from 'vitest';
+import { mkdtemp, rm, readFile, writeFile, mkdir, unlink } from 'node:fs/promises';
+import { tmpdir } from 'node:os';
+import { join } from 'node:path';
+
+const SESSION_ID = '20250821T164513435Z-xXKTbcJ2';
+
+// 1x1 transparent PNG
+const PNG = Buffer.from('iVBORw0KGgoAAAANSUhEUgAAAAEAAAABCAQAAAC1HAwCAAAAC0lEQVR42mNkYAAAAAYAAjCB0C8AAAAASUVORK5CYII=', 'base64');
+
+describe('input attachments', () => {
+    let baseDir;
+    let filesDir;
+    let attachments;
+
+    beforeEach(async () => {
+        vi.resetModules();
+        baseDir = await mkdtemp(join(tmpdir(), 'thinksuit-attachments-'));
+        filesDir = join(baseDir, 'files');
+        process.env.THINKSUIT_SESSION_DIR = join(baseDir, 'streams');
+        await mkdir(filesDir);
+        await writeFile(join(filesDir, 'notes.md'), '# Notes\nShip on Friday');
+        await writeFile(join(filesDir, 'chart.png'), PNG);
+        attachments = await import('../../../engine/sessions/attachments.js');
+    });
+
+    afterEach(async () => {
+        delete process.env.THINKSUIT_SESSION_DIR;
+        await rm(baseDir, { recursive: true, force: true });
+    });
+
+    it('should copy files and uploads into the session', async () => {
+        const saved = await attachments.saveAttachments(SESSION_ID, [
+            join(filesDir, 'chart.png'),
+            { name: 'data.csv', data: Buffer.from('a,b\n1,2').toString('base64') }
+        ]);
+
+        expect(saved).toEqual([
+            expect.objectContaining({ name: 'chart.png', mediaType: 'image/png', size: PNG.length }),
+            expect.objectContaining({ name: 'data.csv', mediaType: 'text/csv', size: 7 })
+        ]);
+        expect(saved[0].path).toContain(join('2025', '08', '21', '16', `${SESSION_ID}.attachments`));
+        expect(await readFile(saved[0].path)).toEqual(PNG);
+
+        // Stored references pass through untouched
+        expect(await attachments.saveAttachments(SESSION_ID, saved)).toEqual(saved);
+    });
+
+    it('should send text files of unknown types as text and reject binary ones', async () => {
+        await writeFile(join(filesDir, 'Makefile'), 'build:\n\tgo build ./...');
+        await writeFile(join(filesDir, 'tool.exe'), Buffer.from([0x4d, 0x5a, 0x90, 0x00]));
+
+        const [makefile] = await attachments.saveAttachments(SESSION_ID, [join(filesDir, 'Makefile')]);
+        expect(makefile).toMatchObject({ name: 'Makefile', mediaType: 'text/plain' });
+
+        // Uploads whose browser type is not one we read fall back to the content
+        const [upload] = await attachments.saveAttachments(SESSION_ID, [
+            { name: 'App.ts', mediaType: 'video/mp2t', data: Buffer.from('export {}').toString('base64') }
+        ]);
+        expect(upload.mediaType).toBe('text/plain');
+
+        await expect(attachments.saveAttachments(SESSION_ID, [join(filesDir, 'tool.exe')]))
+            .rejects.toThrow('Unsupported attachment type: tool.exe');
+    });
+
+    it('should validate uploads the way they would be stored', () => {
+        const upload = (name, bytes, mediaType) => ({ name, mediaType, data: Buffer.from(bytes).toString('base64') });
+
+        expect(attachments.validateAttachment(upload('chart.png', PNG, 'image/png'))).toBeNull();
+        expect(attachments.validateAttachment(upload('Makefile', 'build:\n\tgo build ./...'))).toBeNull();
+        expect(attachments.validateAttachment(upload('report.docx', [0x50, 0x4b, 0x03, 0x04, 0x00], 'application/vnd.openxmlformats-officedocument.wordprocessingml.document')))
+            .toBe('Unsupported attachment type: report.docx');
+        expect(attachments.validateAttachment(upload('huge.txt', Buffer.alloc(attachments.MAX_ATTACHMENT_BYTES + 1, 'a'), 'text/plain')))
+            .toBe('Attachment huge.txt is larger than 20 MB');
+    });
+
+    it('should find @path mentions of existing supported files only', async () => {
+        await writeFile(join(filesDir, 'main.go'), 'package main');
+        await writeFile(join(filesDir, 'tool.exe'), Buffer.from([0x4d, 0x5a, 0x90, 0x00]));
+
+        const paths = attachments.findAttachmentMentions('Compare @notes.md with @chart.png, ask @alice. Again: @notes.md', filesDir);
+
+        expect(paths).toEqual([join(filesDir, 'notes.md')]);
+        expect(attachments.findAttachmentMentions('Run @tool.exe on @main.go', filesDir)).toEqual([join(filesDir, 'main.go')]);
+        expect(attachments.findAttachmentMentions(`What is in @${join(filesDir, 'chart.png')}`)).toEqual([join(filesDir, 'chart.png')]);
+    });
+
+    it('should resolve references into content parts for vision models', async () => {
+        const saved = await attachments.saveAttachments(SESSION_ID, [join(filesDir, 'notes.md'), join(filesDir, 'chart.png')]);
+        const thread = [
+            { role: 'system', content: 'Be brief.' },
+            { role: 'user', content: 'Summarize these', attachments: saved }
+        ];
+
+        const resolved = await attachments.resolveAttachments(thread, true);
+
+        expect(resolved[0]).toBe(thread[0]);
+        expect(resolved[1]).toEqual({
+            role: 'user',
+            content: [
+                { type: 'text', text: 'Summarize these' },
+                { type: 'text', text: '<file name="notes.md">\n# Notes\nShip on Friday\n</file>' },
+                { type: 'image', name: 'chart.png', mediaType: 'image/png', data: PNG.toString('base64') }
+            ]
+        });
+    });
+
+    it('should fall back to text without vision or once a file is gone', async () => {
+        const saved = await attachments.saveAttachments(SESSION_ID, [join(filesDir, 'chart.png'), join(filesDir, 'notes.md')]);
+        await unlink(saved[1].path);
+
+        const [message] = await attachments.resolveAttachments([{ role: 'user', content: 'Look', attachments: saved }], false);
+
+        expect(message).toEqual({
+            role: 'user',
+            content: 'Look\n\n[Attached image chart.png - this model cannot read it]\n\n[Attachment notes.md is no longer available]'
+        });
+    });
+});
@@ -0,0 +1,123 @@
+import { describe, it, expect, vi, beforeEach, afterEach } from 'vitest';
+import { mkdtemp, rm } from 'node:fs/promises';
+import { tmpdir } from 'node:os';
+import { join } from 'node:path';
+
+const SESSION_ID = '20250821T164513435Z-xXKTbcJ2';
+
+const request = (content) => ({
+    provider: 'openai',
+    model: 'gpt-5',
+    systemInstructions: 'You are a thinking companion.',
+    thread: [{ role: 'user', content }],
+    temperature: 0.7,
+    maxTokens: 400
+});
+
+const response = (output) => ({ output, usage: { prompt: 10, completion: 5 }, model: 'gpt-5', finishReason: 'end_turn' });
+
+describe('session cassettes', () => {
+    let sessionDir;
+
+    beforeEach(async () => {
+        vi.resetModules();
+        sessionDir = await mkdtemp(join(tmpdir(), 'thinksuit-cassette-'));
+        process.env.THINKSUIT_SESSION_DIR = sessionDir;
+    });
+
+    afterEach(async () => {
+        delete process.env.THINKSUIT_SESSION_DIR;
+        await rm(sessionDir, { recursive: true, force: true });
+    });
+
+    it('should record LLM and tool traffic and append turns to the cassette file', async () => {
+        const { createCassette, loadCassette, saveCassette } = await import('../../../engine/sessions/cassette.js');
+
+        const first = createCassette({ mode: 'record', turnIndex: 1 });
+        first.recordLLM(request('Hello'), { response: response('Hi there') });
+        const client = { callTool: vi.fn().mockResolvedValue({ content: [{ type: 'text', text: 'file.txt' }] }) };
+        const tools = first.recordTools({ list_directory: { name: 'list_directory', description: 'List', server: 'fs', client } });
+        await tools.list_directory.client.callTool({ name: 'list_directory', arguments: { path: '.' } });
+        await saveCassette(SESSION_ID, first);
+
+        const second = createCassette({ mode: 'record', turnIndex: 2 });
+        second.recordLLM(request('Again'), { error: 'HTTP 503' });
+        expect(await saveCassette(SESSION_ID, second)).toBe(3);
+
+        const cassette = await loadCassette(SESSION_ID);
+        expect(cassette.tools).toEqual({ list_directory: { name: 'list_directory', description: 'List', server: 'fs' } });
+        expect(cassette.entries.map(entry => [entry.kind, entry.turnIndex])).toEqual([['llm', 1], ['tool', 1], ['llm', 2]]);
+    });
+
+    it('should replay by request content, then by recording order', async () => {
+        const { createCassette } = await import('../../../engine/sessions/cassette.js');
+        const recorder = createCassette({ mode: 'record', turnIndex: 1 });
+        recorder.recordLLM(request('Classify'), { response: response('signals') });
+        recorder.recordLLM(request('Answer'), { response: response('answer') });
+
+        const replayer = createCassette({ mode: 'replay', turnIndex: 1, recording: { entries: recorder.entries } });
+
+        expect(replayer.replayLLM(request('Answer'))).toEqual({ response: response('answer'), mismatch: false });
+        // Prompt changed since recording - the next unused recording answers
+        expect(replayer.replayLLM(request('Classify differently'))).toEqual({ response: response('signals'), mismatch: true });
+        expect(() => replayer.replayLLM(request('Answer'))).toThrow('E_REPLAY');
+    });
+
+    it('should replay recorded tools and failures without MCP servers', async () => {
+        const { createCassette } = await import('../../../engine/sessions/cassette.js');
+        const recorder = createCassette({ mode: 'record', turnIndex: 1 });
+        const client = { callTool: vi.fn().mockRejectedValue(new Error('ENOENT')) };
+        const tools = recorder.recordTools({ read_file: { name: 'read_file', server: 'fs', client } });
+        await expect(tools.read_file.client.callTool({ name: 'read_file', arguments: { path: 'x' } })).rejects.toThrow('ENOENT');
+        recorder.recordLLM(request('Hi'), { error: 'Rate limited' });
+
+        const replayer = createCassette({
+            mode: 'replay',
+            turnIndex: 1,
+            recording: { tools: recorder.tools, entries: recorder.entries }
+        });
+        const replayed = replayer.replayTools();
+
+        expect(Object.keys(replayed)).toEqual(['read_file']);
+        await expect(replayed.read_file.client.callTool({ name: 'read_file', arguments: { path: 'x' } })).rejects.toThrow('ENOENT');
+        expect(() => replayer.replayLLM(request('Hi'))).toThrow('Rate limited');
+    });
+
+    it('should answer callLLM from a replay cassette without a provider', async () => {
+        const createProvider = vi.fn();
+        vi.doMock('../../../engine/providers/index.js', () => ({ createProvider }));
+
+        const { createCassette } = await import('../../../engine/sessions/cassette.js');
+        const { callLLM } = await import('../../../engine/providers/io.js');
+
+        const recorder = createCassette({ mode: 'record', turnIndex: 1 });
+        recorder.recordLLM({
+            provider: 'openai',
+            model: 'gpt-5',
+            systemInstructions: 'Be brief.',
+            thread: [{ role: 'user', content: 'Hi' }],
+            temperature: 0.7,
+            maxTokens: 100
+        }, { response: response('Hello!') });
+
+        const cassette = createCassette({ mode: 'replay', turnIndex: 1, recording: { entries: recorder.entries } });
+        const execLogger = { info: vi.fn() };
+        const onDelta = vi.fn();
+
+        const result = await callLLM({ config: { provider: 'openai' }, execLogger, cassette }, {
+            model: 'gpt-5',
+            thread: [{ role: 'system', content: 'Be brief.' }, { role: 'user', content: 'Hi' }],
+            temperature: 0.7,
+            maxTokens: 100,
+            onDelta
+        });
+
+        expect(createProvider).not.toHaveBeenCalled();
+        expect(result).toMatchObject({ output: 'Hello!', replayed: true });
+        expect(onDelta).toHaveBeenCalledWith({ type: 'text', text: 'Hello!' });
+        expect(execLogger.info).toHaveBeenCalledWith(
+            expect.objectContaining({ event: 'processing.llm.replay', data: expect.objectContaining({ mismatch: false }) }),
+            'LLM replay'
+        );
+    });
+});
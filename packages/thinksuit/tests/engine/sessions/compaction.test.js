@@ -0,0 +1,150 @@
+import { describe, it, expect, vi, beforeEach, afterEach } from 'vitest';
+import { mkdtemp, rm, writeFile, mkdir } from 'node:fs/promises';
+import { tmpdir } from 'node:os';
+import { join } from 'node:path';
+
+vi.mock('../../../engine/providers/io.js');
+
+import {
+    estimateThreadTokens,
+    resolveContextBudget,
+    findRecentTurnsStart,
+    compactThread
+} from '../../../engine/sessions/compaction.js';
+import { callLLM } from '../../../engine/providers/io.js';
+
+// Ten turns of roughly 100 tokens per message
+const longThread = Array.from({ length: 10 }, (_, i) => [
+    { role: 'user', content: `Question ${i + 1} `.padEnd(400, 'q') },
+    { role: 'assistant', content: `Answer ${i + 1} `.padEnd(400, 'a') }
+]).flat();
+
+function createMachineContext(context = {}) {
+    return {
+        config: {
+            provider: 'openai',
+            model: 'gpt-5',
+            context: { budgets: { 'openai/gpt-5': 2000 }, threshold: 0.75, keepTurns: 2, ...context }
+        },
+        execLogger: { info: vi.fn(), warn: vi.fn() }
+    };
+}
+
+describe('context compaction', () => {
+    beforeEach(() => {
+        vi.clearAllMocks();
+    });
+
+    it('should estimate thread tokens from content length', () => {
+        expect(estimateThreadTokens([{ role: 'user', content: 'x'.repeat(400) }])).toBe(104);
+        expect(estimateThreadTokens(longThread)).toBe(2080);
+    });
+
+    it('should prefer a configured budget over the model context window', () => {
+        expect(resolveContextBudget({ provider: 'openai', model: 'gpt-5', context: { budgets: { 'openai/gpt-5': 5000 } } })).toBe(5000);
+        expect(resolveContextBudget({ provider: 'anthropic', model: 'claude-sonnet-4-5', providerConfig: { anthropic: {} } })).toBe(200000);
+    });
+
+    it('should find where the most recent turns begin', () => {
+        expect(findRecentTurnsStart(longThread, 2)).toBe(16);
+        expect(findRecentTurnsStart(longThread, 20)).toBe(0);
+        expect(findRecentTurnsStart(longThread, 0)).toBe(20);
+    });
+
+    it('should leave a thread within budget alone', async () => {
+        const thread = longThread.slice(0, 4);
+        const result = await compactThread({ thread, input: 'Next', compaction: null, machineContext: createMachineContext(), parentBoundaryId: 'turn-1' });
+
+        expect(result).toBe(thread);
+        expect(callLLM).not.toHaveBeenCalled();
+    });
+
+    it('should summarize older turns and keep recent turns verbatim', async () => {
+        callLLM.mockResolvedValue({ output: 'The user asked eight questions.' });
+        const machineContext = createMachineContext();
+
+        const result = await compactThread({ thread: longThread, input: 'Next', compaction: null, machineContext, parentBoundaryId: 'turn-11' });
+
+        expect(result).toEqual([
+            { role: 'user', content: 'Summary of the earlier conversation:\n\nThe user asked eight questions.', semantic: 'summary' },
+            ...longThread.slice(16)
+        ]);
+        expect(callLLM.mock.calls[0][1].thread[1].content).toContain('Question 8');
+        expect(callLLM.mock.calls[0][1].thread[1].content).not.toContain('Question 9');
+        expect(machineContext.execLogger.info).toHaveBeenCalledWith(
+            expect.objectContaining({
+                event: 'session.compaction',
+                parentBoundaryId: 'turn-11',
+                data: expect.objectContaining({ summary: 'The user asked eight questions.', messages: 16, turns: 8, budget: 2000 })
+            }),
+            expect.any(String)
+        );
+    });
+
+    it('should reuse a persisted compaction and fold it into the next summary', async () => {
+        const compaction = { summary: 'Earlier summary', messages: 16 };
+        const thread = [...longThread, ...longThread.slice(0, 4)];
+        callLLM.mockResolvedValue({ output: 'Newer summary' });
+
+        // Within budget once the persisted summary stands in for the first 16 messages
+        const reused = await compactThread({ thread: longThread, input: 'Next', compaction, machineContext: createMachineContext(), parentBoundaryId: 'turn-11' });
+        expect(reused[0].content).toContain('Earlier summary');
+        expect(reused).toHaveLength(5);
+        expect(callLLM).not.toHaveBeenCalled();
+
+        const result = await compactThread({ thread, input: 'Next', compaction, machineContext: createMachineContext({ threshold: 0.1 }), parentBoundaryId: 'turn-13' });
+        const transcript = callLLM.mock.calls[0][1].thread[1].content;
+        expect(transcript).toMatch(/^User: Summary of the earlier conversation:\n\nEarlier summary/);
+        expect(transcript).not.toContain('Question 8');
+        expect(result[0].content).toContain('Newer summary');
+        expect(result).toEqual([result[0], ...thread.slice(20)]);
+    });
+
+    it('should send the thread uncompacted when the summary fails', async () => {
+        callLLM.mockRejectedValue(new Error('E_PROVIDER: rate limited'));
+        const machineContext = createMachineContext();
+
+        const result = await compactThread({ thread: longThread, input: 'Next', compaction: null, machineContext, parentBoundaryId: 'turn-11' });
+
+        expect(result).toBe(longThread);
+        expect(machineContext.execLogger.warn).toHaveBeenCalled();
+    });
+
+    it('should not compact when disabled', async () => {
+        const result = await compactThread({ thread: longThread, input: 'Next', compaction: null, machineContext: createMachineContext({ enabled: false }), parentBoundaryId: 'turn-11' });
+
+        expect(result).toBe(longThread);
+        expect(callLLM).not.toHaveBeenCalled();
+    });
+});
+
+describe('loadSessionCompaction', () => {
+    const SESSION_ID = '20250821T164513435Z-cOmPaCt1';
+    let baseDir;
+
+    beforeEach(async () => {
+        vi.resetModules();
+        baseDir = await mkdtemp(join(tmpdir(), 'thinksuit-compaction-'));
+        process.env.THINKSUIT_SESSION_DIR = baseDir;
+    });
+
+    afterEach(async () => {
+        delete process.env.THINKSUIT_SESSION_DIR;
+        await rm(baseDir, { recursive: true, force: true });
+    });
+
+    it('should return the latest compaction in the session', async () => {
+        const { loadSessionCompaction } = await import('../../../engine/transports/session-router.js');
+        const dir = join(baseDir, '2025', '08', '21', '16');
+        await mkdir(dir, { recursive: true });
+        await writeFile(join(dir, `${SESSION_ID}.jsonl`), [
+            { event: 'session.input', data: { input: 'Hello' } },
+            { event: 'session.compaction', data: { summary: 'First', messages: 8 } },
+            { event: 'session.compaction', data: { summary: 'Second', messages: 16 } },
+            { event: 'session.response', data: { response: 'Hi' } }
+        ].map(entry => JSON.stringify(entry)).join('\n') + '\n');
+
+        expect(await loadSessionCompaction(SESSION_ID)).toEqual({ summary: 'Second', messages: 16 });
+        expect(await loadSessionCompaction('20250821T164513435Z-missing0')).toBeNull();
+    });
+});
@@ -0,0 +1,106 @@
+import { describe, it, expect } from 'vitest';
+
+import { summarizeTurns, diffSessionEntries } from '../../../engine/sessions/diff.js';
+import { SESSION_EVENTS, PIPELINE_EVENTS } from '../../../engine/constants/events.js';
+
+const turn = ({ input, signals, factMap, trace, plan, role = 'assistant', response }) => [
+    { event: SESSION_EVENTS.TURN_START, data: {} },
+    { event: SESSION_EVENTS.INPUT, data: { input } },
+    { event: PIPELINE_EVENTS.SIGNAL_DETECTION_COMPLETE, data: { signals } },
+    { event: PIPELINE_EVENTS.RULE_EVALUATION_COMPLETE, data: { factMap } },
+    ...(trace ? [{ event: PIPELINE_EVENTS.RULE_EXECUTION_TRACE, data: { executionTrace: trace.map(ruleName => ({ ruleName })) } }] : []),
+    { event: PIPELINE_EVENTS.PLAN_SELECTION_COMPLETE, data: { selectedPlan: { name: plan, strategy: 'direct', role, rationale: 'ignored' } } },
+    {
+        event: PIPELINE_EVENTS.INSTRUCTION_COMPOSITION_COMPLETE,
+        data: { role, maxTokens: 400, instructions: { thread: [{ role: 'system', content: `You are ${role}.` }] } }
+    },
+    // Nested cycles repeat the pipeline; only the first pass counts
+    { event: PIPELINE_EVENTS.PLAN_SELECTION_COMPLETE, data: { selectedPlan: { name: 'nested', strategy: 'direct' } } },
+    { event: SESSION_EVENTS.RESPONSE, data: { response } }
+];
+
+const claim = { dimension: 'claim', signal: 'high-certainty', confidence: 0.9 };
+const support = { dimension: 'support', signal: 'none', confidence: 0.8 };
+
+const firstTurn = turn({
+    input: 'Hello',
+    signals: [],
+    factMap: { ExecutionPlan: [{ name: 'direct-assistant' }] },
+    plan: 'direct-assistant',
+    response: 'Hi!'
+});
+
+describe('session diff', () => {
+    it('should reduce each turn to its decisions and response', () => {
+        const [summary] = summarizeTurns(turn({
+            input: 'This always works',
+            signals: [claim],
+            factMap: { ExecutionPlan: [{ name: 'analyze' }], RoleSelection: [{ role: 'analyzer' }] },
+            plan: 'analyze',
+            role: 'analyzer',
+            response: 'Does it?'
+        }));
+
+        expect(summary).toEqual({
+            index: 1,
+            input: 'This always works',
+            signals: ['claim.high-certainty'],
+            rules: { source: 'facts', items: ['ExecutionPlan:analyze', 'RoleSelection:analyzer'] },
+            plan: { name: 'analyze', strategy: 'direct', role: 'analyzer' },
+            instructions: { role: 'analyzer', maxTokens: 400, systemInstructions: 'You are analyzer.' },
+            response: 'Does it?'
+        });
+    });
+
+    it('should skip plan-only dry runs', () => {
+        const dryRun = [
+            { event: SESSION_EVENTS.TURN_START, data: { planOnly: true } },
+            { event: SESSION_EVENTS.INPUT, data: { input: 'What would you do?', planOnly: true } },
+            { event: PIPELINE_EVENTS.PLAN_SELECTION_COMPLETE, data: { selectedPlan: { name: 'analyze' } } }
+        ];
+        // Older turn starts may not carry the flag - the input still does
+        const unmarkedDryRun = [
+            { event: SESSION_EVENTS.TURN_START, data: {} },
+            { event: SESSION_EVENTS.INPUT, data: { input: 'And now?', planOnly: true } },
+            { event: PIPELINE_EVENTS.PLAN_SELECTION_COMPLETE, data: { selectedPlan: { name: 'analyze' } } }
+        ];
+        const secondTurn = turn({ input: 'Thanks', signals: [], factMap: {}, plan: 'direct-assistant', response: 'Welcome.' });
+
+        const turns = summarizeTurns([...firstTurn, ...dryRun, ...unmarkedDryRun, ...secondTurn]);
+
+        expect(turns.map(t => [t.index, t.input, t.plan.name, t.response])).toEqual([
+            [1, 'Hello', 'direct-assistant', 'Hi!'],
+            [2, 'Thanks', 'direct-assistant', 'Welcome.']
+        ]);
+    });
+
+    it('should align turns and report where a fork diverges', () => {
+        const source = [
+            ...firstTurn,
+            ...turn({ input: 'Prove it', signals: [claim], factMap: {}, trace: ['claim-rule'], plan: 'direct-assistant', response: 'Sure.' })
+        ];
+        const fork = [
+            ...firstTurn,
+            ...turn({ input: 'Prove it', signals: [claim, support], factMap: {}, trace: ['claim-rule', 'support-rule'], plan: 'analyze', role: 'analyzer', response: 'Evidence?' }),
+            ...turn({ input: 'More', signals: [], factMap: {}, plan: 'direct-assistant', response: 'Ok.' })
+        ];
+
+        const diff = diffSessionEntries(source, fork);
+
+        expect(diff.identical).toBe(false);
+        expect(diff.firstDifference).toBe(2);
+        expect(diff.turns.map(t => t.same)).toEqual([true, false, false]);
+
+        const [, second, third] = diff.turns;
+        expect(second.input.same).toBe(true);
+        expect(second.signals).toMatchObject({ added: ['support.none'], removed: [] });
+        expect(second.rules).toMatchObject({ source: 'trace', added: ['support-rule'], removed: [] });
+        expect(second.plan.changed).toEqual(['name', 'role']);
+        expect(second.instructions.changed).toEqual(['role', 'systemInstructions']);
+        expect(second.response).toEqual({ same: false, a: 'Sure.', b: 'Evidence?' });
+
+        // Turns only one side has are never the same
+        expect(third.response).toEqual({ same: false, a: null, b: 'Ok.' });
+        expect(diffSessionEntries(source, source).identical).toBe(true);
+    });
+});
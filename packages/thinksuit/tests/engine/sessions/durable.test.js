@@ -0,0 +1,141 @@
+import { describe, it, expect, vi, beforeEach, afterEach } from 'vitest';
+import { mkdtemp, rm, readFile, writeFile, mkdir, access } from 'node:fs/promises';
+import { tmpdir } from 'node:os';
+import { join } from 'node:path';
+
+const SESSION_ID = '20250821T164513435Z-xXKTbcJ2';
+const DEAD_PID = 99999999; // Above any pid_max
+
+const machineDefinition = {
+    StartAt: 'DetectSignals',
+    States: {
+        DetectSignals: { Type: 'Task', Next: 'SelectPlan' },
+        SelectPlan: { Type: 'Task', Next: 'Route' },
+        Route: { Type: 'Choice', Choices: [], Default: 'DoDirect' },
+        DoDirect: { Type: 'Task', End: true }
+    }
+};
+
+const fileExists = (path) => access(path).then(() => true, () => false);
+
+describe('durable turns', () => {
+    let baseDir;
+    let checkpointDir;
+    let sessionFile;
+
+    beforeEach(async () => {
+        vi.resetModules();
+        baseDir = await mkdtemp(join(tmpdir(), 'thinksuit-durable-'));
+        checkpointDir = join(baseDir, 'checkpoints');
+        process.env.THINKSUIT_SESSION_DIR = join(baseDir, 'streams');
+        process.env.THINKSUIT_CHECKPOINT_DIR = checkpointDir;
+        sessionFile = join(baseDir, 'streams', '2025', '08', '21', '16', `${SESSION_ID}.jsonl`);
+    });
+
+    afterEach(async () => {
+        delete process.env.THINKSUIT_SESSION_DIR;
+        delete process.env.THINKSUIT_CHECKPOINT_DIR;
+        await rm(baseDir, { recursive: true, force: true });
+    });
+
+    // A turn that started and never finished
+    async function writeBusySession() {
+        await mkdir(join(sessionFile, '..'), { recursive: true });
+        await writeFile(sessionFile, [
+            { event: 'session.input', data: { input: 'First question' } },
+            { event: 'session.response', data: { response: 'First answer' } },
+            { event: 'session.turn.complete' },
+            { event: 'session.turn.start' },
+            { event: 'session.input', data: { input: 'Second question' } }
+        ].map(entry => JSON.stringify(entry)).join('\n') + '\n');
+    }
+
+    async function writeDeadCheckpoint() {
+        await mkdir(checkpointDir, { recursive: true });
+        await writeFile(join(checkpointDir, `${SESSION_ID}.json`), JSON.stringify({
+            version: 1,
+            sessionId: SESSION_ID,
+            turnIndex: 2,
+            input: 'Second question',
+            pid: DEAD_PID,
+            hostname: (await import('node:os')).hostname(),
+            processToken: 'gone',
+            completedStates: ['DetectSignals'],
+            lastState: { name: 'DetectSignals', next: 'SelectPlan', data: { userInput: 'Second question' } }
+        }));
+    }
+
+    it('should checkpoint states that hand on to a next state and clear when the turn ends', async () => {
+        const { openStateCheckpoint, loadStateCheckpoint } = await import('../../../engine/sessions/durable.js');
+
+        const checkpoint = await openStateCheckpoint({ sessionId: SESSION_ID, turnIndex: 1, input: 'Hello', machineDefinition });
+        checkpoint.record('DetectSignals', { userInput: 'Hello', signals: ['question'], module: { classify: () => {} } });
+        checkpoint.record('Route', { userInput: 'Hello' });
+        await checkpoint.flush();
+
+        const saved = await loadStateCheckpoint(SESSION_ID);
+        expect(saved).toMatchObject({ sessionId: SESSION_ID, turnIndex: 1, input: 'Hello', pid: process.pid });
+        expect(saved.completedStates).toEqual(['DetectSignals']);
+        expect(saved.lastState).toEqual({
+            name: 'DetectSignals',
+            next: 'SelectPlan',
+            data: { userInput: 'Hello', signals: ['question'] }
+        });
+
+        await checkpoint.clear();
+        expect(await loadStateCheckpoint(SESSION_ID)).toBeNull();
+    });
+
+    it('should not treat a turn this process is running as orphaned', async () => {
+        const { openStateCheckpoint, markOrphanedTurn } = await import('../../../engine/sessions/durable.js');
+        await writeBusySession();
+
+        await openStateCheckpoint({ sessionId: SESSION_ID, turnIndex: 2, input: 'Second question', machineDefinition });
+
+        expect(await markOrphanedTurn(SESSION_ID)).toBeNull();
+    });
+
+    it('should mark a busy turn whose process died and make the session ready', async () => {
+        const { markOrphanedTurn, loadStateCheckpoint } = await import('../../../engine/sessions/durable.js');
+        const { getSessionStatus, loadSessionThread } = await import('../../../engine/transports/session-router.js');
+        await writeBusySession();
+        await writeDeadCheckpoint();
+
+        expect(await getSessionStatus(SESSION_ID)).toBe('busy');
+
+        const orphaned = await markOrphanedTurn(SESSION_ID);
+        expect(orphaned).toMatchObject({ turnIndex: 2, pid: DEAD_PID });
+
+        const lines = (await readFile(sessionFile, 'utf-8')).trim().split('\n').map(line => JSON.parse(line));
+        expect(lines.at(-1)).toMatchObject({
+            event: 'session.orphaned',
+            data: { turnIndex: 2, lastState: 'DetectSignals', nextState: 'SelectPlan', completedStates: ['DetectSignals'] }
+        });
+        expect(await getSessionStatus(SESSION_ID)).toBe('ready');
+
+        // The unanswered input is left out of the conversation
+        expect(await loadSessionThread(SESSION_ID)).toEqual([
+            { role: 'user', content: 'First question' },
+            { role: 'assistant', content: 'First answer' }
+        ]);
+
+        // The checkpoint stays for re-driving, and the turn is only marked once
+        expect((await loadStateCheckpoint(SESSION_ID)).orphanedAt).toBeDefined();
+        expect(await markOrphanedTurn(SESSION_ID)).toBeNull();
+    });
+
+    it('should recover every orphaned turn and drop checkpoints of finished turns', async () => {
+        const { recoverOrphanedTurns } = await import('../../../engine/sessions/durable.js');
+        await writeBusySession();
+        await writeDeadCheckpoint();
+
+        expect((await recoverOrphanedTurns()).map(checkpoint => checkpoint.sessionId)).toEqual([SESSION_ID]);
+
+        // Session completed, but the process died before removing its checkpoint
+        await writeFile(sessionFile, JSON.stringify({ event: 'session.turn.complete' }) + '\n');
+        await writeDeadCheckpoint();
+
+        expect(await recoverOrphanedTurns()).toEqual([]);
+        expect(await fileExists(join(checkpointDir, `${SESSION_ID}.json`))).toBe(false);
+    });
+});
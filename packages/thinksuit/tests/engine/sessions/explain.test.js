@@ -0,0 +1,68 @@
+import { describe, it, expect } from 'vitest';
+
+import { explainTurn, formatExplanation } from '../../../engine/sessions/explain.js';
+
+const provenance = {
+    facts: [
+        { id: 'f1', type: 'Signal', label: 'claim.factual', producer: 'detector' },
+        { id: 'f2', type: 'ExecutionPlan', label: 'investigate', producer: 'mu:investigate' },
+        { id: 'f3', type: 'ExecutionPlan', label: 'execute', producer: 'mu:execute' },
+        { id: 'f4', type: 'SelectedPlan', label: 'investigate', producer: 'system:select-execution-plan' }
+    ],
+    firings: [
+        { seq: 1, rule: 'mu:investigate', salience: 50, consumed: ['f1'], produced: ['f2'] },
+        { seq: 2, rule: 'system:select-execution-plan', salience: 0, consumed: ['f2', 'f3'], produced: ['f4'] }
+    ],
+    planResolution: {
+        precedence: ['execute', 'investigate'],
+        plans: [
+            { factId: 'f2', name: 'investigate', strategy: 'task', producer: 'mu:investigate', precedenceRank: 1, blocked: false },
+            { factId: 'f5', name: 'execute', strategy: 'task', producer: 'system:enforce-risk-constraint', precedenceRank: 0, blocked: true, blockReason: 'writes files' }
+        ],
+        selected: { factId: 'f4', name: 'investigate', producer: 'system:select-execution-plan' }
+    }
+};
+
+const turn = (input, data = {}) => [
+    { event: 'session.turn.start' },
+    { event: 'session.input', data: { input } },
+    { event: 'pipeline.rule_evaluation.complete', data },
+    { event: 'pipeline.plan_selection.complete', data: { selectedPlan: { name: 'investigate', strategy: 'task', role: 'assistant' } } },
+    { event: 'session.turn.complete' }
+];
+
+describe('plan selection explanations', () => {
+    it('should pick the last turn by default', () => {
+        const entries = [...turn('first', { provenance }), ...turn('second')];
+
+        expect(explainTurn(entries)).toMatchObject({ index: 2, input: 'second', provenance: null });
+        expect(explainTurn(entries, { turn: 1 }).provenance).toBe(provenance);
+        expect(explainTurn(entries, { turn: 3 })).toBeNull();
+        expect(formatExplanation(explainTurn(entries))).toContain('No rule provenance was recorded for this turn');
+    });
+
+    it('should number turns like the thread, without plan-only dry runs', () => {
+        const dryRun = [
+            { event: 'session.turn.start', data: { planOnly: true } },
+            { event: 'session.input', data: { input: 'What would you do?', planOnly: true } },
+            { event: 'pipeline.plan_selection.complete', data: { selectedPlan: { name: 'execute', strategy: 'task' } } },
+            { event: 'session.turn.complete', data: { planOnly: true } }
+        ];
+        const entries = [...turn('first'), ...dryRun, ...turn('second', { provenance })];
+
+        expect(explainTurn(entries, { turn: 2 })).toMatchObject({ index: 2, input: 'second', provenance });
+        expect(explainTurn(entries, { turn: 3 })).toBeNull();
+        expect(explainTurn([...entries, ...dryRun])).toMatchObject({ index: 2, input: 'second' });
+    });
+
+    it('should summarize firings and plan resolution', () => {
+        const lines = formatExplanation(explainTurn(turn('Read the config', { provenance })));
+
+        expect(lines[0]).toBe('Turn 1: "Read the config"');
+        expect(lines).toContain('Selected plan: investigate (task, assistant)');
+        expect(lines).toContain('  1. mu:investigate [50]: Signal:claim.factual -> ExecutionPlan:investigate');
+        expect(lines).toContain('Plan resolution (precedence: execute > investigate):');
+        expect(lines).toContain('  execute: blocked by system:enforce-risk-constraint - writes files');
+        expect(lines).toContain('  -> investigate chosen by system:select-execution-plan');
+    });
+});
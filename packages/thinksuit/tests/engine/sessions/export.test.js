@@ -0,0 +1,87 @@
+import { describe, it, expect } from 'vitest';
+
+import { renderSessionExport, buildExportTurns } from '../../../engine/sessions/export.js';
+
+const SESSION_ID = '20250821T164513435Z-xXKTbcJ2';
+
+let clock = 0;
+const at = () => new Date(Date.UTC(2025, 7, 21, 16, 45, 0, clock++ * 10)).toISOString();
+
+const boundary = (role, boundaryType, boundaryId, parentBoundaryId, data, event) =>
+    ({ event, eventRole: role, boundaryType, boundaryId, parentBoundaryId, data, time: at() });
+
+function turnEntries(n, input, response, { tool } = {}) {
+    const turnId = `turn-${n}`;
+    const entries = [
+        boundary('boundary_start', 'turn', turnId, 'session-x', undefined, 'session.turn.start'),
+        { event: 'session.input', parentBoundaryId: turnId, data: { input }, time: at() },
+        boundary('boundary_start', 'pipeline', `plan-${n}`, turnId, { stage: 'plan_selection' }, 'pipeline.plan_selection.start'),
+        boundary('boundary_end', 'pipeline', `plan-${n}`, turnId, {
+            stage: 'plan_selection',
+            selectedPlan: { name: tool ? 'task-assistant' : 'direct-assistant', strategy: tool ? 'task' : 'direct', role: 'assistant' }
+        }, 'pipeline.plan_selection.complete')
+    ];
+    if (tool) {
+        entries.push(
+            boundary('boundary_start', 'tool', `tool-${n}`, turnId, { tool, args: { path: '.' } }, 'execution.tool.start'),
+            boundary('boundary_end', 'tool', `tool-${n}`, turnId, { request: { tool }, success: true }, 'execution.tool.complete')
+        );
+    }
+    entries.push(
+        { event: 'session.response', parentBoundaryId: turnId, data: { response }, time: at() },
+        boundary('boundary_end', 'turn', turnId, 'session-x', undefined, 'session.turn.complete')
+    );
+    return entries;
+}
+
+const entries = [
+    ...turnEntries(1, 'Hello <there>', 'Hi!'),
+    ...turnEntries(2, 'List files', 'Two files.', { tool: 'list_directory' })
+];
+
+describe('session export', () => {
+    it('should reduce the session tree to turns, with details on request', () => {
+        expect(buildExportTurns(entries).map(({ input, response }) => [input, response]))
+            .toEqual([['Hello <there>', 'Hi!'], ['List files', 'Two files.']]);
+
+        const [, second] = buildExportTurns(entries, { details: true });
+        expect(second.plan).toMatchObject({ name: 'task-assistant', strategy: 'task' });
+        expect(second.pipeline).toEqual([{ stage: 'plan_selection', durationMs: 10 }]);
+        expect(second.tools).toEqual([{ tool: 'list_directory', args: { path: '.' }, status: 'ok' }]);
+    });
+
+    it('should leave out plan-only dry runs', () => {
+        const dryRun = [
+            boundary('boundary_start', 'turn', 'turn-dry', 'session-x', { planOnly: true }, 'session.turn.start'),
+            { event: 'session.input', parentBoundaryId: 'turn-dry', data: { input: 'What would you do?', planOnly: true }, time: at() },
+            boundary('boundary_end', 'turn', 'turn-dry', 'session-x', { planOnly: true, success: true }, 'session.turn.complete')
+        ];
+
+        const turns = buildExportTurns([...turnEntries(3, 'Hello', 'Hi!'), ...dryRun, ...turnEntries(4, 'List files', 'Two files.')]);
+
+        expect(turns.map(({ index, input, response }) => [index, input, response]))
+            .toEqual([[1, 'Hello', 'Hi!'], [2, 'List files', 'Two files.']]);
+    });
+
+    it('should render markdown, escaped html and plain messages', () => {
+        const markdown = renderSessionExport(SESSION_ID, entries, { details: true });
+        expect(markdown.filename).toBe(`${SESSION_ID}.md`);
+        expect(markdown.content).toContain('## Turn 2\n\n**User**\n\nList files\n\n> Plan: task-assistant (task, assistant)');
+        expect(markdown.content).toContain('> Tool: list_directory({"path":"."}) - ok');
+
+        const html = renderSessionExport(SESSION_ID, entries, { format: 'html' });
+        expect(html.mimeType).toBe('text/html');
+        expect(html.content).toContain('<div class="message user">Hello &lt;there&gt;</div>');
+        expect(html.content).not.toContain('Plan:');
+
+        const json = renderSessionExport(SESSION_ID, entries, { format: 'json', details: true });
+        expect(JSON.parse(json.content)).toEqual([
+            { role: 'user', content: 'Hello <there>' },
+            { role: 'assistant', content: 'Hi!' },
+            { role: 'user', content: 'List files' },
+            { role: 'assistant', content: 'Two files.' }
+        ]);
+
+        expect(() => renderSessionExport(SESSION_ID, entries, { format: 'pdf' })).toThrow('Unknown export format');
+    });
+});
@@ -0,0 +1,123 @@
+import { describe, it, expect, vi, beforeEach, afterEach } from 'vitest';
+import { mkdtemp, rm, readFile, writeFile, unlink, utimes, readdir } from 'node:fs/promises';
+import { tmpdir } from 'node:os';
+import { join } from 'node:path';
+
+import { pino } from '../../../engine/logger.js';
+
+describe('long-term memory', () => {
+    let memoryDir;
+    let memory;
+
+    beforeEach(async () => {
+        vi.resetModules();
+        memoryDir = await mkdtemp(join(tmpdir(), 'thinksuit-memory-'));
+        process.env.THINKSUIT_MEMORY_DIR = memoryDir;
+        memory = await import('../../../engine/sessions/memory.js');
+    });
+
+    afterEach(async () => {
+        delete process.env.THINKSUIT_MEMORY_DIR;
+        await rm(memoryDir, { recursive: true, force: true });
+    });
+
+    it('should store memories with their source and #tags', async () => {
+        const stored = await memory.addMemory({
+            content: 'Remember: API keys rotate every Friday #ops #Security',
+            sessionId: '20250821T164513435Z-xXKTbcJ2',
+            turnIndex: 3
+        });
+
+        expect(stored).toMatchObject({
+            content: 'Remember: API keys rotate every Friday #ops #Security',
+            tags: ['ops', 'security'],
+            sessionId: '20250821T164513435Z-xXKTbcJ2',
+            turnIndex: 3
+        });
+
+        const file = JSON.parse(await readFile(join(memoryDir, 'memories.json'), 'utf-8'));
+        expect(file).toEqual({ version: 1, memories: [stored] });
+
+        await expect(memory.addMemory({ content: '  ' })).rejects.toThrow('Memory content is required');
+    });
+
+    it('should list newest first, filter by tag and delete', async () => {
+        const first = await memory.addMemory({ content: 'The staging database is pg-stage-2 #ops' });
+        await new Promise(resolve => setTimeout(resolve, 5));
+        const second = await memory.addMemory({ content: 'Maya prefers tea' });
+
+        expect((await memory.listMemories()).map(m => m.id)).toEqual([second.id, first.id]);
+        expect((await memory.listMemories({ tag: 'OPS' })).map(m => m.id)).toEqual([first.id]);
+
+        expect(await memory.deleteMemory(first.id)).toBe(true);
+        expect(await memory.deleteMemory(first.id)).toBe(false);
+        expect((await memory.listMemories()).map(m => m.id)).toEqual([second.id]);
+    });
+
+    it('should wait for another process holding the store lock', async () => {
+        const lockPath = join(memoryDir, 'memories.json.lock');
+        await writeFile(lockPath, '');
+
+        let stored = null;
+        const adding = memory.addMemory({ content: 'Deploys freeze on Fridays' }).then((m) => { stored = m; });
+        await new Promise(resolve => setTimeout(resolve, 60));
+        expect(stored).toBeNull();
+
+        await unlink(lockPath);
+        await adding;
+        expect((await memory.listMemories()).map(m => m.id)).toEqual([stored.id]);
+        expect(await readdir(memoryDir)).toEqual(['memories.json']);
+    });
+
+    it('should take over a lock left by a process that died', async () => {
+        const lockPath = join(memoryDir, 'memories.json.lock');
+        await writeFile(lockPath, '');
+        const longAgo = new Date(Date.now() - 60000);
+        await utimes(lockPath, longAgo, longAgo);
+
+        await memory.addMemory({ content: 'Deploys freeze on Fridays' });
+
+        expect(await memory.listMemories()).toHaveLength(1);
+    });
+
+    it('should rank memories by the words and tags they share with a query', async () => {
+        await memory.addMemory({ content: 'Maya prefers tea' });
+        const keys = await memory.addMemory({ content: 'API keys rotate every Friday #keys' });
+        const staging = await memory.addMemory({ content: 'Staging keys live in the vault' });
+
+        const results = await memory.searchMemories('What did I tell you about the keys for staging?');
+
+        expect(results.map(m => [m.id, m.score])).toEqual([[keys.id, 3], [staging.id, 2]]);
+        expect(await memory.searchMemories('what did you say?')).toEqual([]);
+        expect(await memory.searchMemories('keys', { limit: 1 })).toHaveLength(1);
+    });
+
+    describe('retrieval fact', () => {
+        const machineContext = (config = {}) => ({ execLogger: pino({ level: 'silent' }), config });
+
+        it('should add memories matching the input to the aggregated facts', async () => {
+            const stored = await memory.addMemory({ content: 'API keys rotate every Friday' });
+            const { aggregateFactsCore } = await import('../../../engine/handlers/aggregateFacts.js');
+
+            const { facts } = await aggregateFactsCore({ signals: [], userInput: 'When do API keys rotate?' }, machineContext());
+
+            const retrieval = facts.find(f => f.type === 'MemoryRetrieval');
+            expect(retrieval.data.query).toBe('When do API keys rotate?');
+            expect(retrieval.data.memories).toEqual([{ ...stored, score: 3 }]);
+        });
+
+        it('should add nothing when no memory is relevant or memory is off', async () => {
+            await memory.addMemory({ content: 'API keys rotate every Friday' });
+            const { aggregateFactsCore } = await import('../../../engine/handlers/aggregateFacts.js');
+
+            const unrelated = await aggregateFactsCore({ signals: [], userInput: 'Hello there' }, machineContext());
+            const disabled = await aggregateFactsCore(
+                { signals: [], userInput: 'When do API keys rotate?' },
+                machineContext({ memory: { enabled: false } })
+            );
+
+            expect(unrelated.facts.some(f => f.type === 'MemoryRetrieval')).toBe(false);
+            expect(disabled.facts.some(f => f.type === 'MemoryRetrieval')).toBe(false);
+        });
+    });
+});
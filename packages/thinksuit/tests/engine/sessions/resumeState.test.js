@@ -0,0 +1,59 @@
+import { describe, it, expect } from 'vitest';
+import { findResumeState, findOrphanedTurn } from '../../../engine/sessions/resumeState.js';
+import { SESSION_EVENTS, EXECUTION_EVENTS } from '../../../engine/constants/events.js';
+
+const interrupted = (cyclesCompleted) => ({
+    event: EXECUTION_EVENTS.TASK_INTERRUPTED,
+    data: { cyclesCompleted, resumeState: { cyclesCompleted, userInput: 'Explore' } }
+});
+
+describe('findResumeState', () => {
+    it('should return the state saved by the last turn', () => {
+        const entries = [
+            { event: SESSION_EVENTS.TURN_START },
+            interrupted(1),
+            { event: SESSION_EVENTS.TURN_COMPLETE },
+            { event: SESSION_EVENTS.TURN_START },
+            interrupted(3),
+            { event: SESSION_EVENTS.TURN_COMPLETE }
+        ];
+
+        expect(findResumeState(entries)).toEqual({ cyclesCompleted: 3, userInput: 'Explore' });
+    });
+
+    it('should give up the state once another turn starts', () => {
+        const entries = [
+            { event: SESSION_EVENTS.TURN_START },
+            interrupted(2),
+            { event: SESSION_EVENTS.TURN_COMPLETE },
+            { event: SESSION_EVENTS.TURN_START },
+            { event: SESSION_EVENTS.TURN_COMPLETE }
+        ];
+
+        expect(findResumeState(entries)).toBeNull();
+    });
+
+    it('should ignore interrupts of nested tasks', () => {
+        const entries = [
+            { event: SESSION_EVENTS.TURN_START },
+            { event: EXECUTION_EVENTS.TASK_INTERRUPTED, data: { cyclesCompleted: 1 } },
+            { event: SESSION_EVENTS.TURN_COMPLETE }
+        ];
+
+        expect(findResumeState(entries)).toBeNull();
+        expect(findResumeState(undefined)).toBeNull();
+    });
+});
+
+describe('findOrphanedTurn', () => {
+    it('should return the orphaned turn until another turn starts', () => {
+        const entries = [
+            { event: SESSION_EVENTS.TURN_START },
+            { event: SESSION_EVENTS.INPUT, data: { input: 'Question' } },
+            { event: SESSION_EVENTS.ORPHANED, data: { turnIndex: 1, lastState: 'SelectPlan' } }
+        ];
+
+        expect(findOrphanedTurn(entries)).toEqual({ turnIndex: 1, lastState: 'SelectPlan' });
+        expect(findOrphanedTurn([...entries, { event: SESSION_EVENTS.TURN_START }])).toBeNull();
+    });
+});
@@ -0,0 +1,103 @@
+import { describe, it, expect, vi, beforeEach, afterEach } from 'vitest';
+import { mkdtemp, rm, mkdir, writeFile, appendFile, readFile, readdir } from 'node:fs/promises';
+import { tmpdir } from 'node:os';
+import { join } from 'node:path';
+
+const FIRST = '20250821T164513435Z-xXKTbcJ2';
+const SECOND = '20250821T171002001Z-Ab3dEf9Q';
+
+const line = (event, data = {}, extra = {}) => JSON.stringify({ level: 30, event, data, ...extra }) + '\n';
+
+const turn = ({ input, plan, role, tool, response }) => [
+    line('session.turn.start'),
+    line('session.input', { input }),
+    line('pipeline.plan_selection.complete', { selectedPlan: { name: plan, strategy: tool ? 'task' : 'direct', role } }),
+    ...(tool ? [line('execution.tool.start', { tool, args: {} })] : []),
+    line('session.response', { response }),
+    line('session.turn.complete')
+].join('');
+
+describe('session search', () => {
+    let baseDir;
+    let sessionDir;
+
+    beforeEach(async () => {
+        vi.resetModules();
+        baseDir = await mkdtemp(join(tmpdir(), 'thinksuit-search-'));
+        sessionDir = join(baseDir, 'streams');
+        process.env.THINKSUIT_SESSION_DIR = sessionDir;
+        process.env.THINKSUIT_SESSION_METADATA_DIR = join(baseDir, 'metadata');
+
+        await mkdir(join(sessionDir, '2025', '08', '21', '16'), { recursive: true });
+        await mkdir(join(sessionDir, '2025', '08', '21', '17'), { recursive: true });
+        await writeFile(
+            join(sessionDir, '2025', '08', '21', '16', `${FIRST}.jsonl`),
+            turn({ input: 'Plan the quarterly budget', plan: 'direct-planner', role: 'planner', response: 'Start with fixed costs.' })
+        );
+        await writeFile(
+            join(sessionDir, '2025', '08', '21', '17', `${SECOND}.jsonl`),
+            turn({ input: 'What is in src?', plan: 'task-assistant', role: 'assistant', tool: 'list_directory', response: 'Two files.' })
+        );
+    });
+
+    afterEach(async () => {
+        delete process.env.THINKSUIT_SESSION_DIR;
+        delete process.env.THINKSUIT_SESSION_METADATA_DIR;
+        await rm(baseDir, { recursive: true, force: true });
+    });
+
+    it('should match text across inputs and responses and filter by pipeline choices', async () => {
+        const { searchSessions } = await import('../../../engine/sessions/search.js');
+
+        const [hit] = await searchSessions({ text: 'BUDGET fixed' });
+        expect(hit).toMatchObject({ id: FIRST, status: 'ready', turns: 1, plans: ['direct-planner'], roles: ['planner'] });
+        expect(hit.snippet).toBe('Plan the quarterly budget');
+
+        expect((await searchSessions({ tool: 'list_directory' })).map(s => s.id)).toEqual([SECOND]);
+        expect((await searchSessions({ role: 'planner', text: 'files' }))).toEqual([]);
+        expect((await searchSessions({ from: '2025-08-21T17:00:00Z' })).map(s => s.id)).toEqual([SECOND]);
+        expect((await searchSessions()).map(s => s.id)).toEqual([SECOND, FIRST]);
+    });
+
+    it('should leave plan-only dry runs out of the index', async () => {
+        const { searchSessions } = await import('../../../engine/sessions/search.js');
+        const filePath = join(sessionDir, '2025', '08', '21', '16', `${FIRST}.jsonl`);
+
+        await appendFile(filePath, [
+            line('session.turn.start', { planOnly: true }),
+            line('session.input', { input: 'What would a vacation plan look like?', planOnly: true }),
+            line('pipeline.plan_selection.complete', { selectedPlan: { name: 'vacation-planner', strategy: 'direct', role: 'planner' } }),
+            line('session.turn.complete', { planOnly: true })
+        ].join('') + turn({ input: 'And the travel costs?', plan: 'analyze', role: 'analyzer', response: 'Book early.' }));
+
+        expect(await searchSessions({ text: 'vacation' })).toEqual([]);
+        expect(await searchSessions({ plan: 'vacation-planner' })).toEqual([]);
+
+        const [hit] = await searchSessions({ text: 'travel' });
+        expect(hit).toMatchObject({ id: FIRST, turns: 2, plans: ['direct-planner', 'analyze'] });
+    });
+
+    it('should index only what was appended since the last search', async () => {
+        const { searchSessions } = await import('../../../engine/sessions/search.js');
+        const filePath = join(sessionDir, '2025', '08', '21', '16', `${FIRST}.jsonl`);
+
+        await searchSessions({ text: 'budget' });
+        const partial = turn({ input: 'And the travel costs?', plan: 'analyze', role: 'analyzer', response: 'Book early.' });
+        const cut = partial.length - 20;
+        await appendFile(filePath, partial.slice(0, cut));
+
+        // The half-written last line waits for the next refresh
+        expect((await searchSessions({ plan: 'analyze' })).map(s => s.id)).toEqual([FIRST]);
+        expect(await searchSessions({ text: 'travel' })).toHaveLength(1);
+
+        await appendFile(filePath, partial.slice(cut));
+        const [hit] = await searchSessions({ role: 'analyzer' });
+        expect(hit.turns).toBe(2);
+
+        const index = JSON.parse(await readFile(join(baseDir, 'metadata', 'search-index.json'), 'utf-8'));
+        expect(index.sessions[FIRST].inputs).toEqual(['Plan the quarterly budget', 'And the travel costs?']);
+
+        // Written through a temp file that is renamed into place
+        expect(await readdir(join(baseDir, 'metadata'))).not.toContainEqual(expect.stringMatching(/\.tmp$/));
+    });
+});
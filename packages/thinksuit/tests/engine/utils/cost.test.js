@@ -0,0 +1,45 @@
+import { describe, it, expect } from 'vitest';
+
+import { calculateCost, createCostLedger, findPrice } from '../../../engine/utils/cost.js';
+
+const pricing = {
+    'openai/gpt-5': { prompt: 1.25, completion: 10 },
+    'anthropic/claude-haiku-4-5': { prompt: 1, completion: 5 }
+};
+
+describe('cost accounting', () => {
+    it('should price usage per million tokens', () => {
+        const price = findPrice(pricing, 'openai', 'gpt-5');
+
+        expect(calculateCost(price, { prompt: 2000, completion: 500 })).toBe(0.0075);
+        expect(calculateCost(null, { prompt: 2000, completion: 500 })).toBe(0);
+    });
+
+    it('should accumulate a running total across calls', () => {
+        const ledger = createCostLedger(pricing);
+
+        expect(ledger.record('openai', 'gpt-5', { prompt: 1000, completion: 100 })).toBe(0.00225);
+        ledger.record('anthropic', 'claude-haiku-4-5', { prompt: 1000, completion: 200 });
+
+        expect(ledger.totalUsd).toBe(0.00425);
+        expect(ledger.summary()).toEqual({ totalUsd: 0.00425, calls: 2, unpriced: [] });
+    });
+
+    it('should list models missing from the pricing table', () => {
+        const ledger = createCostLedger(pricing);
+
+        ledger.record('local', 'llama3.2', { prompt: 5000, completion: 500 });
+        ledger.record('local', 'llama3.2', { prompt: 5000, completion: 500 });
+
+        expect(ledger.summary()).toEqual({ totalUsd: 0, calls: 2, unpriced: ['local/llama3.2'] });
+    });
+
+    it('should only exhaust when a budget is set and reached', () => {
+        const ledger = createCostLedger(pricing);
+        ledger.record('openai', 'gpt-5', { prompt: 0, completion: 1000 }); // $0.01
+
+        expect(ledger.isExhausted(undefined)).toBe(false);
+        expect(ledger.isExhausted(0.02)).toBe(false);
+        expect(ledger.isExhausted(0.01)).toBe(true);
+    });
+});
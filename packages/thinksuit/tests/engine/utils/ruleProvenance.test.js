@@ -0,0 +1,84 @@
+import { describe, it, expect } from 'vitest';
+
+import { createProvenanceRecorder } from '../../../engine/utils/ruleProvenance.js';
+
+// Minimal engine: stores facts the way actions receive them
+function createEngine() {
+    const facts = [];
+    return {
+        facts,
+        addFact(fact) {
+            facts.push({ data: fact });
+        }
+    };
+}
+
+describe('rule provenance', () => {
+    it('should record firings with the facts consumed and produced', () => {
+        const recorder = createProvenanceRecorder();
+        const engine = createEngine();
+
+        engine.addFact(recorder.stamp({ type: 'Signal', dimension: 'claim', signal: 'factual', provenance: { producer: 'detector' } }));
+        engine.addFact(recorder.stamp({ type: 'Config', name: 'policy.maxDepth', value: 5 }));
+        const [signal] = engine.facts;
+
+        const planRule = {
+            name: 'mu:analyze',
+            salience: 50,
+            action: (facts, eng) => eng.addFact({ type: 'ExecutionPlan', name: 'analyze', strategy: 'sequential' })
+        };
+        recorder.wrapAction(planRule)([], engine, { signal });
+        const plan = engine.facts.at(-1);
+
+        recorder.wrapAction({
+            name: 'system:select-execution-plan',
+            action: (facts, eng, { allPlans }) => eng.addFact({ type: 'SelectedPlan', plan: allPlans[0].data })
+        })([], engine, { allPlans: [plan], precedenceFacts: [] });
+
+        // The wrapper restores addFact once the action returns
+        engine.addFact({ type: 'Derived', name: 'untracked' });
+        expect(engine.facts.at(-1).data.provenance).toBeUndefined();
+
+        const { facts, firings, planResolution } = recorder.build();
+        expect(plan.data.provenance).toEqual({ source: 'rule', producer: 'mu:analyze', factId: 'f3' });
+        expect(facts.map(f => [f.id, f.type, f.label, f.producer])).toEqual([
+            ['f1', 'Signal', 'claim.factual', 'detector'],
+            ['f3', 'ExecutionPlan', 'analyze', 'mu:analyze'],
+            ['f4', 'SelectedPlan', 'analyze', 'system:select-execution-plan']
+        ]);
+        expect(firings).toEqual([
+            { seq: 1, rule: 'mu:analyze', salience: 50, consumed: ['f1'], produced: ['f3'] },
+            { seq: 2, rule: 'system:select-execution-plan', salience: 0, consumed: ['f3'], produced: ['f4'] }
+        ]);
+        expect(planResolution.selected).toEqual({ factId: 'f4', name: 'analyze', producer: 'system:select-execution-plan' });
+    });
+
+    it('should resolve plans against precedence and mark blocked copies', () => {
+        const recorder = createProvenanceRecorder();
+        const engine = createEngine();
+
+        recorder.wrapAction({
+            name: 'mu:plans',
+            action: (facts, eng) => {
+                eng.addFact({ type: 'PlanPrecedence', precedence: ['execute', 'investigate'] });
+                eng.addFact({ type: 'ExecutionPlan', name: 'execute', strategy: 'task', confidence: 0.9 });
+                eng.addFact({ type: 'ExecutionPlan', name: 'investigate', strategy: 'task', confidence: 0.8 });
+            }
+        })([], engine, {});
+        const execute = engine.facts[1];
+
+        recorder.wrapAction({
+            name: 'system:enforce-risk-constraint',
+            salience: 100,
+            action: (facts, eng, { plan }) => eng.addFact({ ...plan.data, confidence: 0, policyBlocked: true, blockReason: 'too risky' })
+        })([], engine, { plan: execute });
+
+        const { plans } = recorder.build().planResolution;
+        expect(plans.map(({ name, precedenceRank, blocked, producer }) => [name, precedenceRank, blocked, producer])).toEqual([
+            ['execute', 0, false, 'mu:plans'],
+            ['investigate', 1, false, 'mu:plans'],
+            ['execute', 0, true, 'system:enforce-risk-constraint']
+        ]);
+        expect(plans[2].blockReason).toBe('too risky');
+    });
+});
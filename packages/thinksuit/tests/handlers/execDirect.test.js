@@ -2,6 +2,8 @@ import { describe, it, expect, beforeEach, vi } from 'vitest';
 import { pino } from '../../engine/logger.js';
 
 import { execDirectCore as execDirect } from '../../engine/handlers/execDirect.js';
+import { PROCESSING_EVENTS } from '../../engine/constants/events.js';
+import { createMockLogger } from '../test-utils/mock-logger.js';
 
 // Mock the callLLM function
 vi.mock('../../engine/providers/io.js', () => ({
@@ -138,7 +140,8 @@ describe('execDirect handler', () => {
                     maxTokens: 800,
                     temperature: 0.3 // analyzer temperature
                 }),
-                {} // toolSchemas parameter
+                {}, // toolSchemas parameter
+                expect.objectContaining({ parentBoundaryId: expect.stringMatching(/^llm-/) })
             );
         });
 
@@ -174,7 +177,8 @@ describe('execDirect handler', () => {
                         })
                     ])
                 }),
-                {} // toolSchemas parameter
+                {}, // toolSchemas parameter
+                expect.objectContaining({ parentBoundaryId: expect.stringMatching(/^llm-/) })
             );
         });
 
@@ -212,7 +216,8 @@ describe('execDirect handler', () => {
                         })
                     ])
                 }),
-                {} // toolSchemas parameter
+                {}, // toolSchemas parameter
+                expect.objectContaining({ parentBoundaryId: expect.stringMatching(/^llm-/) })
             );
         });
     });
@@ -319,9 +324,93 @@ describe('execDirect handler', () => {
                     expect.objectContaining({
                         temperature: temp
                     }),
-                    {} // toolSchemas parameter
+                    {}, // toolSchemas parameter
+                    expect.objectContaining({ parentBoundaryId: expect.stringMatching(/^llm-/) })
                 );
             }
         });
     });
+
+    describe('streaming', () => {
+        const streamingInput = () => ({
+            plan: { strategy: 'direct', role: 'assistant' },
+            instructions: {
+                systemInstructions: 'You are a helpful assistant.',
+                thread: [{ role: 'user', content: 'Tell me a story' }],
+                maxTokens: 400
+            },
+            thread: [{ role: 'user', content: 'Tell me a story' }],
+            context: mockContext,
+            policy: {}
+        });
+
+        beforeEach(() => {
+            callLLM.mockImplementation(async (_machineContext, params) => {
+                params.onDelta?.({ type: 'text', text: 'Once upon ' });
+                params.onDelta?.({ type: 'text', text: 'a time' });
+                return {
+                    output: 'Once upon a time',
+                    usage: { prompt: 10, completion: 4 },
+                    model: 'gpt-4o-mini',
+                    finishReason: 'end_turn',
+                    original: {}
+                };
+            });
+        });
+
+        it('should log streamed output as delta events inside the LLM exchange', async () => {
+            const execLogger = createMockLogger();
+
+            const result = await execDirect(streamingInput(), {
+                config: mockConfig,
+                module: mockModule,
+                execLogger
+            });
+
+            expect(result.response.output).toBe('Once upon a time');
+
+            const events = execLogger.info.mock.calls.map(([entry]) => entry);
+            const request = events.find(e => e.event === PROCESSING_EVENTS.LLM_REQUEST);
+            const deltas = events.filter(e => e.event === PROCESSING_EVENTS.LLM_DELTA);
+            const responseIndex = events.findIndex(e => e.event === PROCESSING_EVENTS.LLM_RESPONSE);
+
+            expect(deltas.length).toBeGreaterThan(0);
+            expect(deltas.map(d => d.data.text).join('')).toBe('Once upon a time');
+            expect(deltas.map(d => d.data.index)).toEqual(deltas.map((_, i) => i));
+            for (const delta of deltas) {
+                expect(delta.parentBoundaryId).toBe(request.boundaryId);
+                expect(events.indexOf(delta)).toBeLessThan(responseIndex);
+            }
+        });
+
+        it('should forward raw deltas to the machine context callback', async () => {
+            const onDelta = vi.fn();
+
+            await execDirect(streamingInput(), {
+                config: mockConfig,
+                module: mockModule,
+                execLogger: createMockLogger(),
+                onDelta
+            });
+
+            expect(onDelta).toHaveBeenCalledTimes(2);
+            expect(onDelta).toHaveBeenCalledWith(
+                expect.objectContaining({ type: 'text', text: 'Once upon ', role: 'assistant' })
+            );
+        });
+
+        it('should not stream when disabled in config', async () => {
+            const execLogger = createMockLogger();
+
+            await execDirect(streamingInput(), {
+                config: { ...mockConfig, stream: false },
+                module: mockModule,
+                execLogger
+            });
+
+            expect(callLLM.mock.calls[0][1].onDelta).toBeUndefined();
+            const events = execLogger.info.mock.calls.map(([entry]) => entry);
+            expect(events.some(e => e.event === PROCESSING_EVENTS.LLM_DELTA)).toBe(false);
+        });
+    });
 });
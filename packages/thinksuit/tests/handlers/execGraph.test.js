@@ -0,0 +1,152 @@
+import { describe, it, expect, vi, beforeEach } from 'vitest';
+import { pino } from '../../engine/logger.js';
+
+// Mock runCycle to prevent actual recursion
+vi.mock('../../engine/runCycle.js', () => ({
+    runCycle: vi.fn()
+}));
+
+// Mock createSpanLogger
+vi.mock('../../engine/logger.js', async (importOriginal) => {
+    const actual = await importOriginal();
+    return {
+        ...actual,
+        createSpanLogger: vi.fn((logger) => logger.child({ span: 'test' }))
+    };
+});
+
+import { execGraphCore } from '../../engine/handlers/execGraph.js';
+import { runCycle } from '../../engine/runCycle.js';
+
+const succeed = (output) => ['SUCCEEDED', {
+    handlerResult: { response: { output, usage: { prompt: 10, completion: 5 } } }
+}];
+
+describe('execGraph handler', () => {
+    let logger, machineContext;
+
+    beforeEach(() => {
+        logger = pino({ level: 'silent' });
+        logger.child = vi.fn(() => logger);
+        logger.bindings = () => ({ spanId: 'parent-span', sessionId: 'test-session' });
+
+        machineContext = {
+            execLogger: logger,
+            config: { provider: 'test', model: 'test-model' },
+            handlers: {},
+            machineDefinition: { StartAt: 'Test' },
+            module: {}
+        };
+
+        vi.clearAllMocks();
+    });
+
+    it('should reject empty and cyclic graphs without running steps', async () => {
+        const empty = await execGraphCore({ plan: { steps: [] }, context: {} }, machineContext);
+        expect(empty.response.error).toBe('No steps provided');
+
+        const cyclic = await execGraphCore({
+            plan: {
+                steps: [
+                    { id: 'a', role: 'analyzer', dependsOn: ['b'] },
+                    { id: 'b', role: 'critic', dependsOn: ['a'] }
+                ]
+            },
+            context: {}
+        }, machineContext);
+        expect(cyclic.response.error).toBe('Invalid graph plan');
+        expect(cyclic.response.output).toContain('dependency cycle');
+        expect(runCycle).not.toHaveBeenCalled();
+    });
+
+    it('should run independent steps first and pass dependency outputs to dependents', async () => {
+        runCycle.mockImplementation(async ({ selectedPlan }) => succeed(`${selectedPlan.role} output`));
+
+        const result = await execGraphCore({
+            plan: {
+                steps: [
+                    { id: 'code', role: 'explorer' },
+                    { id: 'docs', role: 'analyzer' },
+                    { id: 'report', role: 'synthesizer', dependsOn: ['code', 'docs'] }
+                ]
+            },
+            // History only, like run() passes it - the request travels as userInput
+            thread: [
+                { role: 'user', content: 'Hi' },
+                { role: 'assistant', content: 'Hello' }
+            ],
+            userInput: 'Investigate the login bug',
+            context: { traceId: 'test', depth: 0 },
+            policy: { maxFanout: 3 }
+        }, machineContext);
+
+        expect(runCycle).toHaveBeenCalledTimes(3);
+        const calls = runCycle.mock.calls.map(([params]) => params);
+        expect(calls.map(c => c.selectedPlan.role)).toEqual(['explorer', 'analyzer', 'synthesizer']);
+        expect(calls[0]).toMatchObject({ input: 'Investigate the login bug', depth: 1, branch: 'root.code', compositionType: 'default' });
+        expect(calls[0].thread).toHaveLength(2);
+
+        const report = calls[2];
+        expect(report.input).toBe('');
+        expect(report.compositionType).toBe('accumulation');
+        expect(report.thread.slice(2).map(m => m.content)).toEqual([
+            'Investigate the login bug',
+            'Output of step code (explorer):\n\nexplorer output',
+            'Output of step docs (analyzer):\n\nanalyzer output'
+        ]);
+
+        expect(result.response.output).toBe('synthesizer output');
+        expect(result.response.usage).toEqual({ prompt: 30, completion: 15 });
+        expect(result.response.metadata).toMatchObject({ strategy: 'graph', steps: 3, successfulSteps: 3 });
+    });
+
+    it('should run at most maxFanout steps at once', async () => {
+        let active = 0;
+        let peak = 0;
+        runCycle.mockImplementation(async ({ selectedPlan }) => {
+            active++;
+            peak = Math.max(peak, active);
+            await new Promise(resolve => setTimeout(resolve, 5));
+            active--;
+            return succeed(selectedPlan.role);
+        });
+
+        const result = await execGraphCore({
+            plan: {
+                steps: ['a', 'b', 'c', 'd'].map(id => ({ id, role: id })),
+                resultStrategy: 'concat'
+            },
+            context: {},
+            policy: { maxFanout: 2 }
+        }, machineContext);
+
+        expect(peak).toBe(2);
+        expect(result.response.output).toBe('a\n\nb\n\nc\n\nd');
+    });
+
+    it('should skip steps whose dependencies failed', async () => {
+        runCycle
+            .mockResolvedValueOnce(['FAILED', { error: 'boom' }])
+            .mockResolvedValueOnce(succeed('side output'));
+
+        const result = await execGraphCore({
+            plan: {
+                steps: [
+                    { id: 'gather', role: 'explorer' },
+                    { id: 'summarize', role: 'synthesizer', dependsOn: ['gather'] },
+                    { id: 'publish', role: 'assistant', dependsOn: ['summarize'] },
+                    { id: 'side', role: 'critic' }
+                ],
+                resultStrategy: 'label'
+            },
+            context: {},
+            policy: {}
+        }, machineContext);
+
+        expect(runCycle).toHaveBeenCalledTimes(2);
+        expect(result.response.output).toContain('[summarize]\n[Skipped summarize step: gather failed]');
+        expect(result.response.output).toContain('[publish]\n[Skipped publish step: summarize failed]');
+        expect(result.response.output).toContain('[side]\nside output');
+        expect(result.response.metadata.successfulSteps).toBe(1);
+    });
+});
@@ -17,6 +17,7 @@ vi.mock('../../engine/logger.js', async (importOriginal) => {
 
 import { execParallelCore } from '../../engine/handlers/execParallel.js';
 import { runCycle } from '../../engine/runCycle.js';
+import { createCostLedger } from '../../engine/utils/cost.js';
 
 describe('execParallel handler', () => {
     let logger, machineContext;
@@ -295,4 +296,231 @@ describe('execParallel handler', () => {
         expect(result.response.usage.prompt).toBe(0);
         expect(result.response.usage.completion).toBe(0);
     });
+
+    it('should not fan out once the turn cost budget is spent', async () => {
+        const costLedger = createCostLedger({ 'test/test-model': { prompt: 1000, completion: 1000 } });
+        costLedger.record('test', 'test-model', { prompt: 1000, completion: 0 }); // $1 already spent
+        machineContext.costLedger = costLedger;
+
+        const input = {
+            plan: { roles: ['analyzer', 'critic'], costBudget: { maxCostUsd: 0.5 } },
+            thread: [{ role: 'user', content: 'Test' }],
+            context: { traceId: 'test' },
+            policy: {}
+        };
+
+        const result = await execParallelCore(input, machineContext);
+
+        expect(runCycle).not.toHaveBeenCalled();
+        expect(result.response.metadata.successfulBranches).toBe(0);
+        expect(result.response.output).toContain('[Skipped analyzer branch: cost budget exhausted]');
+    });
+
+    it('should stop fanning out when the budget runs out mid-way', async () => {
+        const costLedger = createCostLedger({ 'test/test-model': { prompt: 1000, completion: 1000 } });
+        machineContext.costLedger = costLedger;
+
+        let active = 0;
+        let peak = 0;
+        runCycle.mockImplementation(async () => {
+            active++;
+            peak = Math.max(peak, active);
+            await new Promise(resolve => setTimeout(resolve, 5));
+            costLedger.record('test', 'test-model', { prompt: 400, completion: 0 }); // $0.40 per branch
+            active--;
+            return ['SUCCEEDED', { handlerResult: { response: { output: 'ok', usage: { prompt: 400, completion: 0 } } } }];
+        });
+
+        const input = {
+            plan: { roles: ['analyzer', 'critic', 'planner', 'writer'], costBudget: { maxCostUsd: 1 } },
+            thread: [],
+            context: { traceId: 'test' },
+            policy: {}
+        };
+
+        const result = await execParallelCore(input, machineContext);
+
+        // $0.40, $0.80, then $1.20 spends the budget before the last branch starts
+        expect(runCycle).toHaveBeenCalledTimes(3);
+        expect(peak).toBe(1);
+        expect(result.response.metadata.successfulBranches).toBe(3);
+        expect(result.response.output).toContain('[Skipped writer branch: cost budget exhausted]');
+    });
+
+    it('should start the rest of the branches together once the budget covers them', async () => {
+        const costLedger = createCostLedger({ 'test/test-model': { prompt: 1000, completion: 1000 } });
+        machineContext.costLedger = costLedger;
+
+        let active = 0;
+        let peak = 0;
+        runCycle.mockImplementation(async () => {
+            active++;
+            peak = Math.max(peak, active);
+            await new Promise(resolve => setTimeout(resolve, 5));
+            costLedger.record('test', 'test-model', { prompt: 100, completion: 0 }); // $0.10 per branch
+            active--;
+            return ['SUCCEEDED', { handlerResult: { response: { output: 'ok', usage: { prompt: 100, completion: 0 } } } }];
+        });
+
+        const result = await execParallelCore({
+            plan: { roles: ['analyzer', 'critic', 'planner', 'writer'], costBudget: { maxCostUsd: 1 } },
+            thread: [],
+            context: { traceId: 'test' },
+            policy: {}
+        }, machineContext);
+
+        expect(runCycle).toHaveBeenCalledTimes(4);
+        expect(peak).toBe(3);
+        expect(result.response.metadata.successfulBranches).toBe(4);
+    });
+
+    it('should pass the cost budget and ledger to branches', async () => {
+        runCycle.mockResolvedValue(['SUCCEEDED', {
+            handlerResult: { response: { output: 'ok', usage: { prompt: 1, completion: 1 } } }
+        }]);
+        machineContext.costLedger = createCostLedger();
+
+        const input = {
+            plan: { roles: ['analyzer'], costBudget: { maxCostUsd: 0.5 } },
+            thread: [{ role: 'user', content: 'Test' }],
+            context: { traceId: 'test' },
+            policy: {}
+        };
+
+        await execParallelCore(input, machineContext);
+
+        expect(runCycle.mock.calls[0][0].costLedger).toBe(machineContext.costLedger);
+        expect(runCycle.mock.calls[0][0].selectedPlan.costBudget).toEqual({ maxCostUsd: 0.5 });
+    });
+
+    it('should run sub-plan branches as nested sequential executions', async () => {
+        runCycle.mockResolvedValue(['SUCCEEDED', {
+            handlerResult: { response: { output: 'ok', usage: { prompt: 1, completion: 1 } } }
+        }]);
+
+        const subPlan = { strategy: 'sequential', name: 'deep-dive', sequence: ['explorer', 'analyzer'] };
+        const input = {
+            plan: { roles: [subPlan, 'critic'], resultStrategy: 'label' },
+            thread: [{ role: 'user', content: 'Test' }],
+            context: { traceId: 'test', depth: 1 },
+            policy: { maxDepth: 5 }
+        };
+
+        const result = await execParallelCore(input, machineContext);
+
+        // The sub-plan branch is checked against policy first, so it may start second
+        const call = runCycle.mock.calls.map(([params]) => params).find(params => params.selectedPlan.strategy === 'sequential');
+        expect(call.depth).toBe(2);
+        expect(call.selectedPlan).toMatchObject({ strategy: 'sequential', name: 'deep-dive', sequence: ['explorer', 'analyzer'] });
+        expect(call.config.tools).toBeUndefined();
+        expect(call.parentBoundaryId).toMatch(/^branch-exec-parallel-/);
+        expect(result.response.output).toContain('[deep-dive]');
+    });
+
+    it('should not recurse into sub-plans beyond maxDepth', async () => {
+        runCycle.mockResolvedValue(['SUCCEEDED', {
+            handlerResult: { response: { output: 'ok', usage: { prompt: 1, completion: 1 } } }
+        }]);
+
+        const input = {
+            plan: { roles: [{ strategy: 'sequential', sequence: ['explorer'] }, 'critic'], resultStrategy: 'label' },
+            thread: [{ role: 'user', content: 'Test' }],
+            context: { traceId: 'test', depth: 2 },
+            policy: { maxDepth: 3 }
+        };
+
+        const result = await execParallelCore(input, machineContext);
+
+        expect(runCycle).toHaveBeenCalledTimes(1);
+        expect(runCycle.mock.calls[0][0].selectedPlan.role).toBe('critic');
+        expect(result.response.metadata.successfulBranches).toBe(1);
+        expect(result.response.output).toContain('Sub-plan rejected: Maximum recursion depth (3) exceeded');
+    });
+
+    it('should pick the branch most branches agree with on vote', async () => {
+        const outputs = ['Paris', 'Lyon', 'paris.'];
+        runCycle.mockImplementation(async ({ branch }) => ['SUCCEEDED', {
+            handlerResult: { response: { output: outputs[Number(branch.split('-').pop()) - 1], usage: { prompt: 1, completion: 1 } } }
+        }]);
+
+        const input = {
+            plan: { roles: ['a', 'b', 'c'], resultStrategy: 'vote' },
+            thread: [{ role: 'user', content: 'Capital of France?' }],
+            context: { traceId: 'test' }
+        };
+
+        const result = await execParallelCore(input, machineContext);
+
+        expect(runCycle).toHaveBeenCalledTimes(3);
+        expect(result.response.output).toBe('Paris');
+        expect(result.response.metadata.selection).toMatchObject({ method: 'vote', winner: 1, agreement: 2, majority: true });
+    });
+
+    it('should let the judge role pick a branch and count its usage', async () => {
+        runCycle.mockImplementation(async ({ selectedPlan, branch }) => {
+            const output = selectedPlan.role === 'critic'
+                ? '{"scores": [{"candidate": 1, "score": 3}, {"candidate": 2, "score": 8, "reason": "clearer"}], "winner": 2, "rationale": "Second is clearer"}'
+                : `draft from ${branch}`;
+            return ['SUCCEEDED', { handlerResult: { response: { output, usage: { prompt: 10, completion: 5 } } } }];
+        });
+
+        const input = {
+            plan: {
+                roles: [{ role: 'writer', temperature: 0.2 }, { role: 'writer', temperature: 1 }],
+                resultStrategy: 'judge',
+                judge: 'critic',
+                criteria: ['Clear']
+            },
+            thread: [],
+            userInput: 'Write it',
+            context: { traceId: 'test' }
+        };
+
+        const result = await execParallelCore(input, machineContext);
+
+        const calls = runCycle.mock.calls.map(([params]) => params);
+        expect(calls.filter(params => params.selectedPlan.role === 'writer').map(params => params.selectedPlan.temperature)).toEqual([0.2, 1]);
+
+        const judgeCall = calls.find(params => params.selectedPlan.role === 'critic');
+        expect(judgeCall.branch).toBe('root.judge');
+        expect(judgeCall.parentBoundaryId).toMatch(/^selection-exec-parallel-/);
+        expect(judgeCall.thread.at(-1).content).toContain('Candidate 2 (writer):\ndraft from root.branch-2');
+        expect(judgeCall.thread.at(-1).content).toContain('- Clear');
+        expect(judgeCall.thread.at(-2)).toEqual({ role: 'user', content: 'Write it', semantic: 'input' });
+
+        expect(result.response.output).toBe('draft from root.branch-2');
+        expect(result.response.usage).toEqual({ prompt: 30, completion: 15 });
+        expect(result.response.metadata.selection).toMatchObject({
+            method: 'judge',
+            judge: 'critic',
+            winner: 2,
+            rationale: 'Second is clearer',
+            scores: [
+                { branch: 1, role: 'writer', score: 3 },
+                { branch: 2, role: 'writer', score: 8, reason: 'clearer' }
+            ]
+        });
+    });
+
+    it('should fall back to the vote when the judge verdict is unreadable', async () => {
+        runCycle.mockImplementation(async ({ selectedPlan, branch }) => {
+            const output = selectedPlan.role === 'critic' ? 'They are both fine' : `draft from ${branch}`;
+            return ['SUCCEEDED', { handlerResult: { response: { output, usage: { prompt: 1, completion: 1 } } } }];
+        });
+
+        const input = {
+            plan: { roles: ['writer', 'writer'], resultStrategy: 'judge', judge: 'critic', judgeMode: 'merge' },
+            thread: [],
+            userInput: 'Write it',
+            context: { traceId: 'test' }
+        };
+
+        const result = await execParallelCore(input, machineContext);
+
+        expect(result.response.output).toBe('draft from root.branch-1');
+        expect(result.response.metadata.selection).toMatchObject({
+            method: 'vote',
+            fallback: 'Judge verdict could not be parsed'
+        });
+    });
 });
@@ -0,0 +1,142 @@
+import { describe, it, expect, vi, beforeEach } from 'vitest';
+import { pino } from '../../engine/logger.js';
+
+// Mock runCycle to prevent actual recursion
+vi.mock('../../engine/runCycle.js', () => ({
+    runCycle: vi.fn()
+}));
+
+// Mock createSpanLogger
+vi.mock('../../engine/logger.js', async (importOriginal) => {
+    const actual = await importOriginal();
+    return {
+        ...actual,
+        createSpanLogger: vi.fn((logger) => logger.child({ span: 'test' }))
+    };
+});
+
+import { execRefineCore, isApproved } from '../../engine/handlers/execRefine.js';
+import { runCycle } from '../../engine/runCycle.js';
+
+const succeed = (output) => ['SUCCEEDED', {
+    handlerResult: { response: { output, usage: { prompt: 10, completion: 5 } } }
+}];
+
+describe('execRefine handler', () => {
+    let logger, machineContext;
+
+    beforeEach(() => {
+        logger = pino({ level: 'silent' });
+        logger.child = vi.fn(() => logger);
+        logger.bindings = () => ({ spanId: 'parent-span', sessionId: 'test-session' });
+        vi.spyOn(logger, 'info');
+
+        machineContext = {
+            execLogger: logger,
+            config: { provider: 'test', model: 'test-model' },
+            handlers: {},
+            machineDefinition: { StartAt: 'Test' },
+            module: {}
+        };
+
+        vi.clearAllMocks();
+    });
+
+    it('should read the last verdict line of a critique', () => {
+        expect(isApproved('Looks good.\nVERDICT: APPROVED')).toBe(true);
+        expect(isApproved('**Verdict:** approved')).toBe(true);
+        expect(isApproved('VERDICT: APPROVED\nOn reflection...\nVERDICT: REVISE')).toBe(false);
+        expect(isApproved('I approved of the tone')).toBe(false);
+    });
+
+    it('should revise until the critic approves', async () => {
+        runCycle
+            .mockResolvedValueOnce(succeed('Draft 1'))
+            .mockResolvedValueOnce(succeed('Too vague.\nVERDICT: REVISE'))
+            .mockResolvedValueOnce(succeed('Draft 2'))
+            .mockResolvedValueOnce(succeed('VERDICT: APPROVED'));
+
+        const result = await execRefineCore({
+            plan: {
+                producer: 'synthesize',
+                critic: { role: 'analyze', strategy: 'direct' },
+                criteria: ['Cites sources'],
+                maxIterations: 3
+            },
+            // History only, like run() passes it - the request travels as userInput
+            thread: [
+                { role: 'user', content: 'Hi' },
+                { role: 'assistant', content: 'Hello' }
+            ],
+            userInput: 'Write a summary',
+            context: { traceId: 'test', depth: 0 }
+        }, machineContext);
+
+        expect(runCycle).toHaveBeenCalledTimes(4);
+        const calls = runCycle.mock.calls.map(([params]) => params);
+        expect(calls.map(c => [c.selectedPlan.role, c.selectedPlan.strategy])).toEqual([
+            ['synthesize', 'task'], ['analyze', 'direct'], ['synthesize', 'task'], ['analyze', 'direct']
+        ]);
+        expect(calls[0].input).toBe('Write a summary');
+        expect(calls[0].thread).toHaveLength(2);
+
+        // The critic sees the request, the draft and the criteria
+        const request = { role: 'user', content: 'Write a summary', semantic: 'input' };
+        expect(calls[1].thread.at(-3)).toEqual(request);
+        expect(calls[1].thread.at(-2)).toEqual({ role: 'assistant', content: 'Draft 1' });
+        expect(calls[1].thread.at(-1).content).toContain('- Cites sources');
+
+        // The revision sees the request, its last draft and the critique
+        expect(calls[2].input).toBe('');
+        expect(calls[2].thread.at(-3)).toEqual(request);
+        expect(calls[2].thread.at(-2)).toEqual({ role: 'assistant', content: 'Draft 1' });
+        expect(calls[2].thread.at(-1).content).toContain('Too vague.');
+
+        // Role executions nest under their iteration boundary
+        expect(calls[2].parentBoundaryId).toMatch(/^iteration-exec-refine-.*-2$/);
+        const iterationEnds = logger.info.mock.calls
+            .map(([entry]) => entry)
+            .filter(entry => entry.event === 'execution.refine.iteration_complete');
+        expect(iterationEnds.map(e => [e.boundaryType, e.data.approved])).toEqual([['iteration', false], ['iteration', true]]);
+
+        expect(result.response.output).toBe('Draft 2');
+        expect(result.response.usage).toEqual({ prompt: 40, completion: 20 });
+        expect(result.response.metadata).toMatchObject({ iterations: 2, approved: true, stopReason: 'approved' });
+    });
+
+    it('should return the last draft when maxIterations is hit', async () => {
+        runCycle.mockImplementation(async ({ selectedPlan }) =>
+            succeed(selectedPlan.role === 'critic' ? 'VERDICT: REVISE' : `Draft by ${selectedPlan.role}`));
+
+        const result = await execRefineCore({
+            plan: { producer: 'writer', critic: 'critic', maxIterations: 2 },
+            context: {}
+        }, machineContext);
+
+        expect(runCycle).toHaveBeenCalledTimes(4);
+        expect(result.response.output).toBe('Draft by writer');
+        expect(result.response.metadata).toMatchObject({ iterations: 2, approved: false, stopReason: 'max_iterations' });
+    });
+
+    it('should keep the previous draft when a revision fails', async () => {
+        runCycle
+            .mockResolvedValueOnce(succeed('Draft 1'))
+            .mockResolvedValueOnce(succeed('VERDICT: REVISE'))
+            .mockResolvedValueOnce(['FAILED', { error: 'boom' }]);
+
+        const result = await execRefineCore({
+            plan: { producer: 'writer', critic: 'critic' },
+            context: {}
+        }, machineContext);
+
+        expect(result.response.output).toBe('Draft 1');
+        expect(result.response.metadata).toMatchObject({ iterations: 1, stopReason: 'error' });
+    });
+
+    it('should require a producer and a critic', async () => {
+        const result = await execRefineCore({ plan: { producer: 'writer' }, context: {} }, machineContext);
+
+        expect(result.response.error).toBe('Missing producer or critic');
+        expect(runCycle).not.toHaveBeenCalled();
+    });
+});
@@ -8,6 +8,8 @@ vi.mock('../../engine/runCycle.js', () => ({
 
 import { execSequentialCore } from '../../engine/handlers/execSequential.js';
 import { runCycle } from '../../engine/runCycle.js';
+import { resolveApproval } from '../../engine/approval/async.js';
+import { EXECUTION_EVENTS } from '../../engine/constants/events.js';
 
 describe('execSequential handler', () => {
     let logger;
@@ -235,4 +237,151 @@ describe('execSequential handler', () => {
         expect(runCycle.mock.calls[1][0].branch).toBe('parent.step-2');
         expect(runCycle.mock.calls[2][0].branch).toBe('parent.step-3');
     });
+
+    it('should run a parallel sub-plan step and feed its output forward', async () => {
+        runCycle
+            .mockResolvedValueOnce(['SUCCEEDED', {
+                handlerResult: { response: { output: 'Investigation', usage: { prompt: 30, completion: 15 } } }
+            }])
+            .mockResolvedValueOnce(['SUCCEEDED', {
+                handlerResult: { response: { output: 'Synthesis', usage: { prompt: 10, completion: 5 } } }
+            }]);
+
+        const input = {
+            plan: {
+                sequence: [
+                    { strategy: 'parallel', name: 'investigate', roles: ['explorer', 'analyzer', 'critic'] },
+                    'synthesizer'
+                ],
+                resultStrategy: 'label'
+            },
+            thread: [],
+            context: { traceId: 'test', depth: 0 },
+            policy: { maxDepth: 5, maxFanout: 3 },
+            module: {}
+        };
+
+        const result = await execSequentialCore(input, {
+            handlers: {},
+            config: { tools: ['read_file'] },
+            execLogger: logger
+        });
+
+        expect(runCycle.mock.calls[0][0]).toMatchObject({
+            depth: 1,
+            selectedPlan: { strategy: 'parallel', name: 'investigate', roles: ['explorer', 'analyzer', 'critic'] }
+        });
+        expect(runCycle.mock.calls[0][0].config.tools).toBeUndefined();
+        expect(runCycle.mock.calls[1][0].previousOutput).toBe('Investigation');
+        expect(result.response.output).toContain('[investigate]\nInvestigation');
+    });
+
+    it('should record a step error when a sub-plan exceeds policy limits', async () => {
+        runCycle.mockResolvedValue(['SUCCEEDED', {
+            handlerResult: { response: { output: 'Synthesis', usage: { prompt: 10, completion: 5 } } }
+        }]);
+
+        const input = {
+            plan: {
+                sequence: [{ strategy: 'parallel', roles: ['a', 'b', 'c', 'd'] }, 'synthesizer'],
+                resultStrategy: 'label'
+            },
+            thread: [],
+            context: { traceId: 'test' },
+            policy: { maxFanout: 3 },
+            module: {}
+        };
+
+        const result = await execSequentialCore(input, { handlers: {}, config: {}, execLogger: logger });
+
+        expect(runCycle).toHaveBeenCalledTimes(1);
+        expect(result.response.output).toContain('[Error: Sub-plan rejected: Maximum parallel branches (3) exceeded]');
+    });
+
+    describe('checkpoints', () => {
+        const checkpointPlan = {
+            sequence: ['explorer', { strategy: 'checkpoint', message: 'Review findings' }, 'executor'],
+            resultStrategy: 'label'
+        };
+
+        // Answer the checkpoint the way the console or CLI would
+        function answerCheckpoints(decision) {
+            const requests = [];
+            vi.spyOn(logger, 'info').mockImplementation((entry) => {
+                if (entry?.event === EXECUTION_EVENTS.CHECKPOINT_REQUESTED) {
+                    requests.push(entry.data);
+                    setTimeout(() => resolveApproval(entry.approvalId, decision), 0);
+                }
+            });
+            return requests;
+        }
+
+        beforeEach(() => {
+            runCycle.mockImplementation(async ({ selectedPlan }) => ['SUCCEEDED', {
+                handlerResult: { response: { output: `${selectedPlan.role} output`, usage: { prompt: 1, completion: 1 } } }
+            }]);
+        });
+
+        it('should show the previous output and pass edited guidance to later steps', async () => {
+            const requests = answerCheckpoints({ action: 'edit', guidance: 'Only touch the docs' });
+
+            const result = await execSequentialCore(
+                { plan: checkpointPlan, thread: [], context: { traceId: 'test' }, policy: {} },
+                { handlers: {}, config: {}, execLogger: logger }
+            );
+
+            expect(requests).toEqual([
+                { message: 'Review findings', step: 1, totalSteps: 2, role: 'explorer', output: 'explorer output' }
+            ]);
+            expect(runCycle).toHaveBeenCalledTimes(2);
+            const executorCall = runCycle.mock.calls[1][0];
+            expect(executorCall.branch).toBe('root.step-2');
+            expect(executorCall.thread.some(message => message.content.includes('Only touch the docs'))).toBe(true);
+            expect(result.response.output).toContain('[executor]\nexecutor output');
+        });
+
+        it('should stop the plan when the user aborts', async () => {
+            answerCheckpoints({ action: 'abort' });
+
+            const result = await execSequentialCore(
+                { plan: checkpointPlan, thread: [], context: { traceId: 'test' }, policy: {} },
+                { handlers: {}, config: {}, execLogger: logger }
+            );
+
+            expect(runCycle).toHaveBeenCalledTimes(1);
+            expect(result.response.output).toContain('[explorer]\nexplorer output');
+            expect(result.response.output).toContain('[Plan stopped at checkpoint: Review findings]');
+            expect(result.response.metadata.stoppedAtCheckpoint).toBe('Review findings');
+        });
+
+        it('should still ask when tools are auto-approved', async () => {
+            const requests = answerCheckpoints({ action: 'abort' });
+
+            const result = await execSequentialCore(
+                { plan: checkpointPlan, thread: [], context: { traceId: 'test' }, policy: {} },
+                { handlers: {}, config: { autoApproveTools: true }, execLogger: logger }
+            );
+
+            expect(requests).toHaveLength(1);
+            expect(result.response.metadata.stoppedAtCheckpoint).toBe('Review findings');
+        });
+
+        it('should resolve checkpoints without asking when nobody can answer', async () => {
+            const requests = answerCheckpoints({ action: 'continue' });
+
+            const aborted = await execSequentialCore(
+                { plan: checkpointPlan, thread: [], context: { traceId: 'test' }, policy: {} },
+                { handlers: {}, config: { checkpoints: 'abort' }, execLogger: logger }
+            );
+            expect(aborted.response.metadata.stoppedAtCheckpoint).toBe('Review findings');
+            expect(runCycle).toHaveBeenCalledTimes(1);
+
+            await execSequentialCore(
+                { plan: checkpointPlan, thread: [], context: { traceId: 'test' }, policy: {} },
+                { handlers: {}, config: { checkpoints: 'continue' }, execLogger: logger }
+            );
+            expect(runCycle).toHaveBeenCalledTimes(3);
+            expect(requests).toHaveLength(0);
+        });
+    });
 });
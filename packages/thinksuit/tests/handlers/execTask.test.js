@@ -1,6 +1,8 @@
 import { describe, it, expect, vi, beforeEach } from 'vitest';
 import { execTaskCore } from '../../engine/handlers/execTask.js';
 import { EXECUTION_EVENTS } from '../../engine/constants/events.js';
+import { createCostLedger } from '../../engine/utils/cost.js';
+import { isInterruptError } from '../../engine/errors/InterruptError.js';
 
 // Mock runCycle
 vi.mock('../../engine/runCycle.js', () => ({
@@ -251,12 +253,14 @@ describe('execTask handler', () => {
             expect(secondCallArgs.thread).toHaveLength(3); // user, assistant, tool result
             expect(secondCallArgs.thread[1]).toEqual({
                 role: 'assistant',
-                content: 'Reading file...'
+                content: 'Reading file...',
+                tool_calls: [{ function: { name: 'read_text_file', arguments: 'test.txt' } }]
             });
             // Tool result is added as third item
             expect(secondCallArgs.thread[2]).toEqual({
                 role: 'tool',
                 tool_call_id: undefined,
+                name: 'read_text_file',
                 content: 'file contents'
             });
         });
@@ -394,6 +398,55 @@ describe('execTask handler', () => {
             expect(result.response.metadata.totalToolCalls).toBe(2);
             expect(result.response.finishReason).toBe('max_tool_calls');
         });
+
+        it('should stop cycles once the turn cost budget is spent', async () => {
+            const input = {
+                plan: {
+                    role: 'explorer',
+                    costBudget: { maxCostUsd: 0.01 },
+                    resolution: {
+                        maxCycles: 5,
+                        maxTokens: 10000,
+                        maxToolCalls: 10,
+                        timeoutMs: 60000
+                    }
+                },
+                thread: [],
+                context: {},
+                policy: {}
+            };
+
+            // Each cycle charges the shared ledger as the LLM call would
+            const costLedger = createCostLedger({ 'openai/gpt-4o-mini': { prompt: 50, completion: 50 } });
+            mockMachineContext.costLedger = costLedger;
+            runCycle.mockImplementation(async () => {
+                costLedger.record('openai', 'gpt-4o-mini', { prompt: 100, completion: 50 });
+                return ['SUCCEEDED', {
+                    handlerResult: {
+                        response: {
+                            output: '',
+                            usage: { prompt: 100, completion: 50 },
+                            finishReason: 'tool_use'
+                        }
+                    }
+                }];
+            });
+
+            const result = await execTaskCore(input, mockMachineContext);
+
+            // $0.0075 per cycle - the second cycle crosses $0.01, no synthesis call follows
+            expect(runCycle).toHaveBeenCalledTimes(2);
+            expect(runCycle.mock.calls[0][0].costLedger).toBe(costLedger);
+            expect(result.response.finishReason).toBe('max_cost');
+            expect(mockLogger.warn).toHaveBeenCalledWith(
+                expect.objectContaining({
+                    event: 'execution.task.cost_budget_exhausted',
+                    totalCostUsd: 0.015,
+                    maxCostUsd: 0.01
+                }),
+                'Cost budget exhausted'
+            );
+        });
     });
 
     describe('error handling', () => {
@@ -475,6 +528,114 @@ describe('execTask handler', () => {
         });
     });
 
+    describe('interrupt and resume', () => {
+        const resolution = { maxCycles: 4, maxTokens: 8000, maxToolCalls: 5, timeoutMs: 30000 };
+
+        const textCycle = (output) => [
+            'SUCCEEDED',
+            {
+                handlerResult: {
+                    response: {
+                        output,
+                        usage: { prompt: 100, completion: 50 },
+                        model: 'gpt-4o-mini',
+                        finishReason: 'end_turn'
+                    }
+                }
+            }
+        ];
+
+        const interruptedEvent = () => mockLogger.info.mock.calls
+            .map(([entry]) => entry)
+            .find(entry => entry.event === EXECUTION_EVENTS.TASK_INTERRUPTED);
+
+        it('should log resume state from the start of the interrupted cycle', async () => {
+            const input = {
+                plan: { role: 'explorer', resolution },
+                thread: [{ role: 'user', content: 'Earlier question' }],
+                userInput: 'Explore this codebase',
+                context: { depth: 0 },
+                policy: {}
+            };
+
+            runCycle.mockResolvedValueOnce(textCycle('Found the entry point'));
+            runCycle.mockResolvedValueOnce(['interrupted', { interrupted: true }]);
+
+            const error = await execTaskCore(input, mockMachineContext).catch(e => e);
+
+            expect(isInterruptError(error)).toBe(true);
+            expect(error.resumable).toBe(true);
+
+            const { data } = interruptedEvent();
+            expect(data.cyclesCompleted).toBe(1);
+            expect(data.resumeState).toMatchObject({
+                plan: { role: 'explorer', resolution },
+                userInput: 'Explore this codebase',
+                cyclesCompleted: 1,
+                totalTokens: 150,
+                totalToolCalls: 0,
+                lastResponse: { output: 'Found the entry point', finishReason: 'end_turn' }
+            });
+            expect(data.resumeState.taskThread).toEqual([
+                { role: 'user', content: 'Earlier question' },
+                { role: 'assistant', content: 'Found the entry point' },
+                { role: 'user', content: 'Continue.' }
+            ]);
+        });
+
+        it('should not save resume state for nested tasks', async () => {
+            const input = {
+                plan: { role: 'explorer', resolution },
+                thread: [],
+                context: { depth: 2 },
+                policy: {}
+            };
+
+            runCycle.mockResolvedValueOnce(['interrupted', { interrupted: true }]);
+
+            const error = await execTaskCore(input, mockMachineContext).catch(e => e);
+
+            expect(error.resumable).toBe(false);
+            expect(interruptedEvent().data.resumeState).toBeUndefined();
+        });
+
+        it('should continue from the cycle after the last completed one', async () => {
+            const resumeFrom = {
+                cyclesCompleted: 1,
+                totalTokens: 150,
+                totalToolCalls: 0,
+                taskThread: [
+                    { role: 'assistant', content: 'Found the entry point' },
+                    { role: 'user', content: 'Continue.' }
+                ],
+                currentThread: [{ role: 'system', content: 'framing' }],
+                lastResponse: { output: 'Found the entry point', finishReason: 'end_turn' }
+            };
+            const input = {
+                plan: { role: 'explorer', resolution: { ...resolution, maxCycles: 2 }, resumeFrom },
+                thread: [{ role: 'user', content: 'ignored on resume' }],
+                userInput: 'Explore this codebase',
+                context: { depth: 0 },
+                policy: {}
+            };
+
+            runCycle.mockResolvedValueOnce(textCycle('The entry point calls the router'));
+
+            const result = await execTaskCore(input, mockMachineContext);
+
+            expect(runCycle).toHaveBeenCalledTimes(1);
+            expect(runCycle).toHaveBeenCalledWith(expect.objectContaining({
+                thread: resumeFrom.taskThread,
+                input: '',
+                branch: 'root.task-2',
+                compositionType: 'continuation'
+            }));
+            expect(result.response.output).toBe('The entry point calls the router');
+            expect(result.response.metadata).toMatchObject({ cyclesUsed: 2, totalTokens: 300 });
+            expect(result.response.instructions.thread).toEqual(resumeFrom.currentThread);
+        });
+    });
+
     describe('task context in static plan', () => {
         it('should pass task context to child cycles', async () => {
             const input = {
@@ -513,4 +674,4 @@ describe('execTask handler', () => {
             expect(callArgs.selectedPlan.tools).toEqual(['read_text_file', 'read_media_file', 'read_multiple_files']);
         });
     });
-});
\ No newline at end of file
+});
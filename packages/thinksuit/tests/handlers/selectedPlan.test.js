@@ -35,6 +35,25 @@ describe('Selected Plan routing (deterministic execution)', () => {
         expect(useSelectedState.Next).toBe('RouteSelectedPlan');
     });
 
+    it('should route graph plans to DoGraph from both routers', () => {
+        const { RouteSelectedPlan, Route, DoGraph } = machineDefinition.States;
+        const graphChoice = (state, variable) => state.Choices.find(c => c.Variable === variable && c.StringEquals === 'graph');
+
+        expect(graphChoice(RouteSelectedPlan, '$.selectedPlan.strategy').Next).toBe('DoGraph');
+        expect(graphChoice(Route, '$.planResult.plan.strategy').Next).toBe('DoGraph');
+        expect(DoGraph.Resource).toBe('execGraph');
+        expect(DoGraph.Parameters['userInput.$']).toBe('$.userInput');
+    });
+
+    it('should route refine plans to DoRefine from both routers', () => {
+        const { RouteSelectedPlan, Route, DoRefine } = machineDefinition.States;
+        const refineChoice = (state) => state.Choices.find(c => c.StringEquals === 'refine');
+
+        expect(refineChoice(RouteSelectedPlan).Next).toBe('DoRefine');
+        expect(refineChoice(Route).Next).toBe('DoRefine');
+        expect(DoRefine.Resource).toBe('execRefine');
+    });
+
     it('should not have forcedPlan parameters in any state', () => {
         // Check that no state has forcedPlan in its parameters
         /* eslint-disable no-unused-vars */
@@ -0,0 +1,66 @@
+import { describe, it, expect } from 'vitest';
+import { voteOnResults, defaultJudgePrompt, parseJudgeVerdict } from '../../../engine/handlers/utils/resultSelection.js';
+
+describe('result selection', () => {
+    it('votes for the answer most branches agree on', () => {
+        const vote = voteOnResults([
+            { role: 'analyzer', output: 'The answer is 42.' },
+            { role: 'analyzer', output: 'It is 41' },
+            { role: 'analyzer', output: 'the answer is 42' }
+        ]);
+
+        expect(vote.winner).toBe(0);
+        expect(vote.agreement).toBe(2);
+        expect(vote.majority).toBe(true);
+        expect(vote.scores.map(entry => entry.branch)).toEqual([1, 2, 3]);
+        expect(vote.scores[0].score).toBeGreaterThan(vote.scores[1].score);
+    });
+
+    it('keeps branch numbers and breaks ties toward the earlier branch', () => {
+        const vote = voteOnResults([
+            { role: 'a', output: 'red', branch: 2 },
+            { role: 'b', output: 'blue', branch: 3 }
+        ]);
+
+        expect(vote.winner).toBe(0);
+        expect(vote.majority).toBe(false);
+        expect(vote.scores).toEqual([
+            { branch: 2, role: 'a', score: 0 },
+            { branch: 3, role: 'b', score: 0 }
+        ]);
+    });
+
+    it('lists candidates and criteria in the judge prompt', () => {
+        const prompt = defaultJudgePrompt({
+            candidates: [{ role: 'a', output: 'first' }, { role: 'b', output: 'second' }],
+            criteria: ['Accurate'],
+            mode: 'merge'
+        });
+
+        expect(prompt).toContain('Candidate 2 (b):\nsecond');
+        expect(prompt).toContain('- Accurate');
+        expect(prompt).toContain('"merged"');
+    });
+
+    it('parses a fenced JSON verdict', () => {
+        const verdict = parseJudgeVerdict(
+            'Here you go:\n```json\n{"scores": [{"candidate": 1, "score": 4}, {"candidate": 2, "score": 9, "reason": "cites sources"}], "winner": 2, "rationale": "More complete"}\n```',
+            2
+        );
+
+        expect(verdict).toEqual({
+            winner: 1,
+            scores: [
+                { candidate: 1, score: 4 },
+                { candidate: 2, score: 9, reason: 'cites sources' }
+            ],
+            rationale: 'More complete'
+        });
+    });
+
+    it('rejects verdicts without a valid winner', () => {
+        expect(parseJudgeVerdict('Candidate 1 is best', 2)).toBeNull();
+        expect(parseJudgeVerdict('{"winner": 3}', 2)).toBeNull();
+        expect(parseJudgeVerdict('{"winner": }', 2)).toBeNull();
+    });
+});
@@ -0,0 +1,41 @@
+import { describe, it, expect } from 'vitest';
+import { pino } from '../../../engine/logger.js';
+import { isCompositeStep, stepLabel, buildStepPlan, checkSubPlan } from '../../../engine/handlers/utils/subPlan.js';
+
+const machineContext = { execLogger: pino({ level: 'silent' }) };
+
+describe('sub-plan steps', () => {
+    it('tells leaf steps from nested sub-plans', () => {
+        expect(isCompositeStep('analyzer')).toBe(false);
+        expect(isCompositeStep({ role: 'analyzer', strategy: 'task' })).toBe(false);
+        expect(isCompositeStep({ strategy: 'parallel', roles: ['a', 'b'] })).toBe(true);
+
+        expect(stepLabel('analyzer')).toBe('analyzer');
+        expect(stepLabel({ strategy: 'parallel', name: 'investigate', roles: [] })).toBe('investigate');
+        expect(stepLabel({ strategy: 'sequential', sequence: [] })).toBe('sequential');
+    });
+
+    it('builds leaf plans and passes sub-plans through with the budget', () => {
+        const costBudget = { maxCostUsd: 1 };
+
+        expect(buildStepPlan('analyzer', { costBudget, rationale: 'r' })).toMatchObject({ strategy: 'task', role: 'analyzer', costBudget });
+        expect(buildStepPlan({ role: 'analyzer', strategy: 'direct' }, { costBudget, rationale: 'r' }).strategy).toBe('direct');
+
+        const subPlan = buildStepPlan({ strategy: 'parallel', roles: ['a', 'b'] }, { costBudget, rationale: 'r' });
+        expect(subPlan).toEqual({ strategy: 'parallel', roles: ['a', 'b'], costBudget, rationale: 'r' });
+    });
+
+    it('rejects sub-plans that exceed policy limits or nest too deep', async () => {
+        const parallel = { strategy: 'parallel', roles: ['a', 'b'] };
+
+        expect((await checkSubPlan(parallel, 1, { maxDepth: 3 }, machineContext)).approved).toBe(true);
+        expect(await checkSubPlan(parallel, 3, { maxDepth: 3 }, machineContext)).toMatchObject({ approved: false, code: 'E_DEPTH' });
+        expect(await checkSubPlan({ strategy: 'sequential', sequence: ['a', 'b', 'c'] }, 1, { maxChildren: 2 }, machineContext))
+            .toMatchObject({ approved: false, code: 'E_CHILDREN' });
+
+        const nested = { strategy: 'sequential', sequence: [parallel, 'c'] };
+        expect(await checkSubPlan(nested, 2, { maxDepth: 3 }, machineContext)).toMatchObject({ approved: false, code: 'E_INVALID_PLAN' });
+        expect(await checkSubPlan({ strategy: 'parallel', roles: [{ strategy: 'sequential' }] }, 1, {}, machineContext))
+            .toMatchObject({ approved: false, code: 'E_INVALID_PLAN' });
+    });
+});
@@ -1,6 +1,6 @@
 import { describe, it, expect } from 'vitest';
 
-import { validateFacts, validatePlan } from '../../schemas/validate.js';
+import { validateFacts, validatePlan, getPlanDepth, getGraphErrors } from '../../schemas/validate.js';
 
 describe('validateFacts', () => {
     it('should validate a valid Signal fact', () => {
@@ -252,3 +252,135 @@ describe('validatePlan', () => {
         expect(result.errors[0].message).toContain('is not of a type(s) number');
     });
 });
+
+describe('nested plans', () => {
+    const investigateThenSynthesize = {
+        name: 'investigate-then-synthesize',
+        strategy: 'sequential',
+        sequence: [
+            {
+                strategy: 'parallel',
+                name: 'investigate',
+                roles: ['analyzer', { role: 'explorer', strategy: 'task', tools: ['read_file'] }, 'critic']
+            },
+            'synthesizer'
+        ]
+    };
+
+    it('should accept sub-plans as sequence steps and parallel branches', () => {
+        expect(validatePlan(investigateThenSynthesize).valid).toBe(true);
+        expect(validatePlan({
+            name: 'parallel-of-sequences',
+            strategy: 'parallel',
+            roles: [
+                { strategy: 'sequential', sequence: ['explorer', 'analyzer'] },
+                'critic'
+            ]
+        }).valid).toBe(true);
+    });
+
+    it('should reject sub-plans without steps or with invalid nested steps', () => {
+        expect(validatePlan({
+            name: 'empty-branch',
+            strategy: 'sequential',
+            sequence: [{ strategy: 'parallel' }]
+        }).valid).toBe(false);
+        expect(validatePlan({
+            name: 'bad-leaf',
+            strategy: 'parallel',
+            roles: [{ strategy: 'sequential', sequence: [{ role: 'analyzer', strategy: 'vote' }] }]
+        }).valid).toBe(false);
+    });
+
+    it('should measure nesting depth and enforce maxDepth', () => {
+        expect(getPlanDepth({ name: 'flat', strategy: 'direct' })).toBe(1);
+        expect(getPlanDepth(investigateThenSynthesize)).toBe(2);
+
+        expect(validatePlan(investigateThenSynthesize, { maxDepth: 2 }).valid).toBe(true);
+        const result = validatePlan(investigateThenSynthesize, { maxDepth: 1 });
+        expect(result.valid).toBe(false);
+        expect(result.errors[0].message).toContain('nests 2 levels');
+    });
+});
+
+describe('graph plans', () => {
+    const plan = (steps) => ({ name: 'graph-plan', strategy: 'graph', steps });
+
+    it('should accept steps with dependencies and sub-plans', () => {
+        expect(validatePlan(plan([
+            { id: 'code', role: 'explorer', strategy: 'task', tools: ['read_file'] },
+            { id: 'review', strategy: 'parallel', roles: ['critic', 'analyzer'] },
+            { id: 'report', role: 'synthesizer', dependsOn: ['code', 'review'] }
+        ])).valid).toBe(true);
+    });
+
+    it('should reject steps without ids', () => {
+        expect(validatePlan(plan([{ role: 'explorer' }])).valid).toBe(false);
+    });
+
+    it('should report duplicate ids, unknown dependencies and cycles', () => {
+        expect(getGraphErrors(plan([
+            { id: 'a', role: 'explorer' },
+            { id: 'a', role: 'critic', dependsOn: ['missing'] }
+        ]))).toEqual(['duplicate step id "a"', 'step "a" depends on unknown step "missing"']);
+
+        const result = validatePlan(plan([
+            { id: 'a', role: 'explorer', dependsOn: ['c'] },
+            { id: 'b', role: 'critic', dependsOn: ['a'] },
+            { id: 'c', role: 'analyzer', dependsOn: ['b'] }
+        ]));
+        expect(result.valid).toBe(false);
+        expect(result.errors[0].message).toBe('dependency cycle a -> c -> b -> a');
+    });
+});
+
+describe('refine plans', () => {
+    it('should accept a producer, a critic and criteria', () => {
+        expect(validatePlan({
+            name: 'refine-summary',
+            strategy: 'refine',
+            producer: 'synthesize',
+            critic: { role: 'analyze', strategy: 'direct' },
+            criteria: ['Cites sources', 'Under 200 words'],
+            maxIterations: 3
+        }).valid).toBe(true);
+    });
+
+    it('should reject sub-plan roles and non-positive iteration caps', () => {
+        expect(validatePlan({
+            name: 'bad-critic',
+            strategy: 'refine',
+            producer: 'synthesize',
+            critic: { strategy: 'parallel', roles: ['a', 'b'] }
+        }).valid).toBe(false);
+        expect(validatePlan({ name: 'bad-cap', strategy: 'refine', producer: 'a', critic: 'b', maxIterations: 0 }).valid).toBe(false);
+    });
+});
+
+describe('parallel result selection', () => {
+    it('should accept a judge with branch temperatures', () => {
+        expect(validatePlan({
+            name: 'best-of-two',
+            strategy: 'parallel',
+            roles: [{ role: 'synthesize', temperature: 0.2 }, { role: 'synthesize', temperature: 1 }],
+            resultStrategy: 'judge',
+            judge: { role: 'analyze', strategy: 'direct' },
+            judgeMode: 'merge'
+        }).valid).toBe(true);
+        expect(validatePlan({ name: 'vote', strategy: 'parallel', roles: ['a', 'b', 'c'], resultStrategy: 'vote' }).valid).toBe(true);
+    });
+
+    it('should reject unknown judge modes and out-of-range temperatures', () => {
+        expect(validatePlan({ name: 'bad-mode', strategy: 'parallel', roles: ['a', 'b'], resultStrategy: 'judge', judge: 'c', judgeMode: 'average' }).valid).toBe(false);
+        expect(validatePlan({ name: 'bad-temp', strategy: 'parallel', roles: [{ role: 'a', temperature: 3 }] }).valid).toBe(false);
+    });
+});
+
+describe('checkpoint steps', () => {
+    it('should accept checkpoints in sequences only', () => {
+        const checkpoint = { strategy: 'checkpoint', message: 'Review before changes' };
+        expect(validatePlan({ name: 'gated', strategy: 'sequential', sequence: ['explorer', checkpoint, 'executor'] }).valid).toBe(true);
+        expect(validatePlan({ name: 'gated-branch', strategy: 'parallel', roles: ['explorer', checkpoint] }).valid).toBe(false);
+        expect(validatePlan({ name: 'bad-checkpoint', strategy: 'sequential', sequence: [{ ...checkpoint, role: 'executor' }] }).valid).toBe(false);
+    });
+});